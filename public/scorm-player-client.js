@@ -5,12 +5,15 @@
 
 import Scorm12API from 'scorm-again/scorm12';
 import Scorm2004API from 'scorm-again/scorm2004';
+import CrossFrameLMS from 'scorm-again/cross-frame-lms';
 
 class ScormPlayerClient {
   constructor(config = {}) {
     this.config = {
       apiBaseUrl: config.apiBaseUrl || 'http://localhost:3000/api',
       packageId: config.packageId,
+      itemId: config.itemId || null,
+      organization: config.organization || null,
       userId: config.userId || null,
       scormVersion: config.scormVersion || '2004',
       enableOffline: config.enableOffline !== false,
@@ -19,6 +22,7 @@ class ScormPlayerClient {
 
     this.sessionId = null;
     this.scormApi = null;
+    this.requestValid = null;
     this.offlineQueue = [];
     this.isOnline = navigator.onLine;
 
@@ -94,6 +98,19 @@ class ScormPlayerClient {
     this.setupScormEventListeners();
   }
 
+  /**
+   * Load the content of a launch response into a frame
+   * Content on an isolated origin is framed through the bridge page, which relays its API calls here
+   */
+  loadContent(frame, launch) {
+    if (launch.bridgeUrl) {
+      this.crossFrame = new CrossFrameLMS(this.scormApi, launch.contentOrigin);
+      frame.src = launch.bridgeUrl;
+    } else {
+      frame.src = launch.launchUrl;
+    }
+  }
+
   /**
    * Set up SCORM API event listeners
    */
@@ -143,7 +160,8 @@ class ScormPlayerClient {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             userId: this.config.userId,
-            resume: false,
+            itemId: this.config.itemId,
+            organization: this.config.organization,
           }),
         });
 
@@ -152,10 +170,12 @@ class ScormPlayerClient {
         if (data.success) {
           this.sessionId = data.sessionId;
           
-          // Load initial data if resuming
+          // Load the launch values (and previous data when resuming)
           if (data.initialData) {
             this.scormApi.loadFromJSON(data.initialData.cmi);
           }
+
+          await this.loadNavigationValidity();
         }
       } catch (error) {
         console.error('Failed to initialize session:', error);
@@ -182,20 +202,96 @@ class ScormPlayerClient {
 
     if (this.isOnline && this.sessionId) {
       try {
-        await fetch(`${this.config.apiBaseUrl}/scorm/${this.config.packageId}/terminate`, {
+        const response = await fetch(`${this.config.apiBaseUrl}/scorm/${this.config.packageId}/terminate`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             sessionId: this.sessionId,
             data: this.scormApi.renderCommitObject(),
+            navRequest: this.getNavRequest(),
           }),
         });
+
+        const data = await response.json();
+
+        if (data.success && data.navigation) {
+          this.handleNavigation(data.navigation);
+        }
       } catch (error) {
         console.error('Failed to terminate session:', error);
       }
     }
   }
 
+  /**
+   * Read the navigation request set by the content (adl.nav.request)
+   */
+  getNavRequest() {
+    if (this.config.scormVersion === '1.2') {
+      return null;
+    }
+
+    try {
+      const request = this.scormApi.adl?.nav?.request;
+      return request && request !== '_none_' ? request : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load adl.nav.request_valid.* answers for the current item
+   */
+  async loadNavigationValidity() {
+    if (this.config.scormVersion === '1.2' || !this.sessionId) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${this.config.apiBaseUrl}/scorm/${this.config.packageId}/nav/request_valid?sessionId=${this.sessionId}`
+      );
+      const data = await response.json();
+
+      if (!data.success) {
+        return;
+      }
+
+      this.requestValid = data.requestValid;
+
+      // Let the runtime answer choice/jump validity for known items
+      this.scormApi.settings.scoItemIds = Object.keys(data.requestValid.choice);
+      this.scormApi.settings.scoItemIdValidator = (id) => data.requestValid.choice[id] === 'true';
+
+      const requestValid = this.scormApi.adl?.nav?.request_valid;
+      if (requestValid) {
+        try {
+          requestValid.continue = data.requestValid.continue;
+          requestValid.previous = data.requestValid.previous;
+        } catch (error) {
+          // Read-only in some runtime versions
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load navigation validity:', error);
+    }
+  }
+
+  /**
+   * Act on the navigation resolved by the server at Terminate
+   */
+  handleNavigation(navigation) {
+    window.dispatchEvent(new CustomEvent('scorm:navigation', { detail: navigation }));
+
+    if (navigation.action === 'deliver' && navigation.itemId) {
+      if (typeof this.config.onNavigate === 'function') {
+        this.config.onNavigate(navigation);
+      }
+    } else if (typeof this.config.onExit === 'function') {
+      this.config.onExit(navigation);
+    }
+  }
+
   /**
    * Queue offline commit for later sync
    */
@@ -4,6 +4,9 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Packages, uploads, blobs and the database live under one directory (STORAGE_DIR moves it, e.g. for tests)
+const storageDir = process.env.STORAGE_DIR || path.join(__dirname, '../../storage');
+
 const config = {
   // Server configuration
   port: process.env.PORT || 3000,
@@ -12,10 +15,11 @@ const config = {
   // Storage paths
   paths: {
     root: path.join(__dirname, '../..'),
-    storage: path.join(__dirname, '../../storage'),
-    packages: path.join(__dirname, '../../storage/packages'),
-    uploads: path.join(__dirname, '../../storage/uploads'),
-    database: path.join(__dirname, '../../storage/db'),
+    storage: storageDir,
+    packages: path.join(storageDir, 'packages'),
+    uploads: path.join(storageDir, 'uploads'),
+    blobs: path.join(storageDir, 'blobs'),
+    database: path.join(storageDir, 'db'),
   },
   
   // Database configuration
@@ -28,6 +32,17 @@ const config = {
     supportedVersions: ['1.2', '2004'],
     maxPackageSize: 500 * 1024 * 1024, // 500MB
     allowedExtensions: ['.zip'],
+
+    // Extraction limits (zip-bomb protection)
+    maxUncompressedSize: parseInt(process.env.SCORM_MAX_UNCOMPRESSED_SIZE, 10) || 2 * 1024 * 1024 * 1024, // 2GB
+    maxCompressionRatio: parseInt(process.env.SCORM_MAX_COMPRESSION_RATIO, 10) || 100,
+    maxEntries: parseInt(process.env.SCORM_MAX_ENTRIES, 10) || 20000,
+
+    // Refuse uploads whose validation report contains errors
+    strictValidation: process.env.SCORM_STRICT_VALIDATION === 'true',
+
+    // Store extracted files once in the content-addressed blob store and hardlink them into package directories
+    deduplicateFiles: process.env.SCORM_DEDUPLICATE_FILES !== 'false',
   },
   
   // Offline sync configuration
@@ -35,8 +50,38 @@ const config = {
     batchSize: 100,
     maxRetries: 3,
     retryDelay: 5000, // 5 seconds
+
+    // Secret the offline bundle progress keys are derived from (generated into the database directory when unset)
+    exportSecret: process.env.SYNC_EXPORT_SECRET || null,
   },
   
+  // xAPI configuration
+  xapi: {
+    // Translate SCORM runtime calls into xAPI statements (ADL SCORM profile)
+    translateScorm: process.env.XAPI_TRANSLATE_SCORM === 'true',
+    activityBase: process.env.XAPI_ACTIVITY_BASE || 'https://scorm.local/activities',
+    actorHomePage: process.env.XAPI_ACTOR_HOMEPAGE || 'https://scorm.local',
+
+    // Target LRS for translated statements; the embedded /xapi LRS is used when no endpoint is set
+    lrs: {
+      endpoint: process.env.XAPI_LRS_ENDPOINT || null,
+      username: process.env.XAPI_LRS_USERNAME || '',
+      password: process.env.XAPI_LRS_PASSWORD || '',
+      version: '1.0.3',
+    },
+  },
+
+  // Isolated content origin: package content is served from its own host/port (set CONTENT_PORT to enable)
+  // so course scripts cannot call the API or read learner data from the player's origin
+  content: {
+    port: parseInt(process.env.CONTENT_PORT, 10) || null,
+    host: process.env.CONTENT_HOST || process.env.HOST || 'localhost',
+    // URL learners reach the content origin at (defaults to http://CONTENT_HOST:CONTENT_PORT)
+    publicUrl: process.env.CONTENT_PUBLIC_URL || null,
+    // Origins allowed to frame content and talk to the SCORM API bridge (defaults to the API server)
+    playerOrigins: (process.env.CONTENT_PLAYER_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  },
+
   // CORS configuration
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
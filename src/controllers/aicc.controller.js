@@ -0,0 +1,20 @@
+import aiccService from '../services/aicc-service.js';
+
+export class AiccController {
+  /**
+   * Handle a HACP command (GetParam, PutParam, PutInteractions, ExitAU)
+   */
+  async hacp(req, res) {
+    try {
+      const result = aiccService.handleRequest({ ...req.query, ...req.body });
+
+      // HACP reports errors in the body with a 200 status
+      res.type('text/plain').send(result);
+    } catch (error) {
+      console.error('HACP error:', error);
+      res.status(500).type('text/plain').send(`error=1\r\nerror_text=${error.message}\r\n`);
+    }
+  }
+}
+
+export default new AiccController();
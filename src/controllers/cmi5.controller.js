@@ -0,0 +1,63 @@
+import cmi5Service from '../services/cmi5-service.js';
+
+export class Cmi5Controller {
+  /**
+   * Return the auth token for an AU launch (cmi5 fetch URL)
+   */
+  async fetchAuthToken(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const result = cmi5Service.fetchAuthToken(sessionId);
+
+      // The cmi5 spec reports fetch errors in the body with a 200 status
+      if (result.errorCode) {
+        return res.json({
+          'error-code': String(result.errorCode),
+          'error-text': result.errorText,
+        });
+      }
+
+      res.json({
+        'auth-token': result.authToken,
+      });
+    } catch (error) {
+      console.error('cmi5 fetch error:', error);
+      res.json({
+        'error-code': '2',
+        'error-text': error.message,
+      });
+    }
+  }
+
+  /**
+   * Get launch details for a session
+   */
+  async getLaunch(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const launch = cmi5Service.getLaunch(sessionId);
+
+      if (!launch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Launch not found',
+        });
+      }
+
+      const { auth_token: authToken, ...details } = launch;
+
+      res.json({
+        success: true,
+        launch: details,
+      });
+    } catch (error) {
+      console.error('Get cmi5 launch error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new Cmi5Controller();
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { getPlayerOrigins } from '../utils/content-origin.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+const readFile = promisify(fs.readFile);
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/scorm-bridge');
+
+// Files of the bridge page: the page itself, its script and the scorm-again cross-frame client
+const BRIDGE_FILES = {
+  'index.html': { path: path.join(TEMPLATE_DIR, 'index.html'), type: 'text/html; charset=utf-8' },
+  'bridge.js': { path: path.join(TEMPLATE_DIR, 'bridge.js'), type: 'text/javascript; charset=utf-8' },
+  'cross-frame-api.min.js': { path: require.resolve('scorm-again/cross-frame-api/min'), type: 'text/javascript; charset=utf-8' },
+};
+
+// The pinned scorm-again runtime for the player pages, so both ends of the bridge protocol come from one release
+const RUNTIME_FILES = {
+  'scorm12.min.js': require.resolve('scorm-again/scorm12/min'),
+  'scorm2004.min.js': require.resolve('scorm-again/scorm2004/min'),
+  'cross-frame-lms.min.js': require.resolve('scorm-again/cross-frame-lms/min'),
+};
+
+export class ContentController {
+  /**
+   * Serve the SCORM API bridge page and its scripts on the content origin
+   */
+  async serveBridgeFile(req, res) {
+    try {
+      const file = BRIDGE_FILES[req.params.file];
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+        });
+      }
+
+      let body = await readFile(file.path, 'utf-8');
+
+      if (req.params.file === 'index.html') {
+        // Escape "<" so the JSON cannot close its script element
+        body = body.replace('{{config}}', JSON.stringify({ playerOrigins: getPlayerOrigins() }).replace(/</g, '\\u003c'));
+      }
+
+      res.setHeader('Content-Type', file.type);
+      res.setHeader('Cache-Control', 'no-cache');
+      res.send(body);
+    } catch (error) {
+      console.error('Serve bridge file error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Serve the installed scorm-again runtime scripts to the player pages
+   */
+  async serveRuntimeFile(req, res) {
+    try {
+      const filePath = RUNTIME_FILES[req.params.file];
+
+      if (!filePath) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+        });
+      }
+
+      res.setHeader('Content-Type', 'text/javascript; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.send(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      console.error('Serve runtime file error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new ContentController();
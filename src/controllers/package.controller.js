@@ -1,4 +1,10 @@
 import packageHandler from '../services/package-handler.js';
+import cmi5Service from '../services/cmi5-service.js';
+import tincanService from '../services/tincan-service.js';
+import aiccService from '../services/aicc-service.js';
+import contentDelivery from '../services/content-delivery.js';
+import { isContentIsolated, getContentBaseUrl, getBridgeUrl } from '../utils/content-origin.js';
+import { attachmentDisposition } from '../utils/file-system.js';
 
 export class PackageController {
   /**
@@ -20,18 +26,52 @@ export class PackageController {
         return res.status(400).json({
           success: false,
           error: validation.error,
+          entryErrors: validation.entryErrors,
         });
       }
 
       // Process package
       const result = await packageHandler.processPackage(
         req.file.path,
-        req.file.originalname
+        req.file.originalname,
+        {
+          newPackage: req.body.newPackage === 'true',
+          migrateSessions: req.body.migrateSessions === 'true',
+          ...(req.body.strict !== undefined ? { strict: req.body.strict === 'true' } : {}),
+        }
       );
 
       res.json(result);
     } catch (error) {
       console.error('Upload error:', error);
+
+      // Packages refused in strict mode return their validation report
+      if (error.validation) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          validation: error.validation,
+        });
+      }
+
+      // Migrations refused because of sessions the new version cannot take list them
+      if (error.sessions) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          sessions: error.sessions,
+        });
+      }
+
+      // Archives rejected during extraction report the offending entries
+      if (error.entryErrors) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          entryErrors: error.entryErrors,
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: error.message,
@@ -44,14 +84,25 @@ export class PackageController {
    */
   async getAllPackages(req, res) {
     try {
-      const packages = packageHandler.getAllPackages();
+      const result = packageHandler.listPackages(req.query);
       
       res.json({
         success: true,
-        packages,
-        count: packages.length,
+        packages: result.packages,
+        count: result.packages.length,
+        total: result.total,
+        limit: result.limit,
+        ...(result.offset !== undefined ? { offset: result.offset } : {}),
+        nextCursor: result.nextCursor,
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
       console.error('Get packages error:', error);
       res.status(500).json({
         success: false,
@@ -60,6 +111,92 @@ export class PackageController {
     }
   }
 
+  /**
+   * Search the text of package content; each hit links to its file through the content route
+   */
+  async searchContent(req, res) {
+    try {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const result = await packageHandler.searchContent(req.query);
+
+      res.json({
+        success: true,
+        query: req.query.q,
+        hits: result.hits.map(hit => ({
+          packageId: hit.package_id,
+          packageTitle: hit.package_title,
+          packageVersion: hit.package_version,
+          itemId: hit.item_id,
+          itemTitle: hit.item_title,
+          file: hit.file_path,
+          title: hit.title || null,
+          snippet: hit.snippet,
+          rank: hit.rank,
+          url: packageHandler.getContentUrl(
+            { id: hit.package_id },
+            baseUrl,
+            hit.file_path.split('/').map(encodeURIComponent).join('/')
+          ),
+        })),
+        count: result.hits.length,
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Search content error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Report the space package files use and what deduplication saves
+   */
+  async getStorageReport(req, res) {
+    try {
+      res.json({
+        success: true,
+        storage: packageHandler.getStorageReport(),
+      });
+    } catch (error) {
+      console.error('Get storage report error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Move the files of packages stored before deduplication into the blob store
+   */
+  async deduplicateStorage(req, res) {
+    try {
+      const result = await packageHandler.deduplicateStorage();
+
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Deduplicate storage error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Get package by ID
    */
@@ -78,6 +215,7 @@ export class PackageController {
       res.json({
         success: true,
         package: pkg,
+        details: packageHandler.getPackageDetails(pkg),
       });
     } catch (error) {
       console.error('Get package error:', error);
@@ -88,6 +226,80 @@ export class PackageController {
     }
   }
 
+  /**
+   * Edit package details (title, description, keywords, tags, mastery score, visibility, launch options, organization)
+   */
+  async updatePackage(req, res) {
+    try {
+      const details = packageHandler.updatePackageDetails(req.params.packageId, req.body);
+
+      if (!details) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        details,
+      });
+    } catch (error) {
+      this.sendDetailsError(res, error, 'Update package error:');
+    }
+  }
+
+  /**
+   * Restore the manifest values of edited package details (all fields unless "fields" is given)
+   */
+  async restorePackageDetails(req, res) {
+    try {
+      const { fields } = req.body || {};
+
+      if (fields !== undefined && !(Array.isArray(fields) && fields.every(field => typeof field === 'string'))) {
+        return res.status(400).json({
+          success: false,
+          error: 'fields must be an array of field names',
+        });
+      }
+
+      const details = packageHandler.restorePackageDetails(req.params.packageId, fields);
+
+      if (!details) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        details,
+      });
+    } catch (error) {
+      this.sendDetailsError(res, error, 'Restore package details error:');
+    }
+  }
+
+  /**
+   * Helper: Send a package details error (validation problems carry their status and field errors)
+   */
+  sendDetailsError(res, error, label) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.errors ? { errors: error.errors } : {}),
+      });
+    }
+
+    console.error(label, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
   /**
    * Delete package
    */
@@ -117,17 +329,40 @@ export class PackageController {
       const { packageId } = req.params;
       const baseUrl = `${req.protocol}://${req.get('host')}`;
       
-      const pkg = packageHandler.getPackage(packageId);
+      // Learners resume unfinished attempts on the version they started
+      const versionPkg = packageHandler.getPackage(
+        packageId,
+        packageHandler.resolveVersion(packageId, req.query.userId)
+      );
       
-      if (!pkg) {
+      if (!versionPkg) {
         return res.status(404).json({
           success: false,
           error: 'Package not found',
         });
       }
-      
-      const manifestData = pkg.metadata;
-      const launchPath = manifestData.launchData?.launchUrl || pkg.launch_path;
+
+      // Launch the requested organization, else the learner's, else the package's
+      const pkg = this.selectOrganization(res, versionPkg, req.query);
+      if (!pkg) {
+        return;
+      }
+
+      const launchData = packageHandler.getLaunchData(pkg);
+
+      if (pkg.format === 'cmi5') {
+        return this.sendCmi5Launch(req, res, pkg, launchData?.identifier);
+      }
+
+      if (pkg.format === 'tincan') {
+        return this.sendTincanLaunch(req, res, pkg, launchData?.identifier);
+      }
+
+      if (pkg.format === 'aicc') {
+        return this.sendAiccLaunch(req, res, pkg, launchData?.identifier);
+      }
+
+      const launchPath = packageHandler.getLaunchPath(pkg);
       
       if (!launchPath) {
         return res.status(404).json({
@@ -137,15 +372,20 @@ export class PackageController {
       }
       
       // Return both direct and wrapped URLs
-      const directUrl = `${baseUrl}/api/packages/${packageId}/content/${launchPath}`;
-      const wrappedUrl = `${baseUrl}/api-wrapper.html?packageId=${packageId}`;
+      const directUrl = packageHandler.getContentUrl(pkg, baseUrl, launchPath);
+      const wrappedUrl = `${baseUrl}/api-wrapper.html?packageId=${packageId}${this.getOrganizationParam(pkg)}`;
 
       res.json({
         success: true,
         launchUrl: directUrl,
         wrappedUrl: wrappedUrl,
+        ...this.getBridgeSettings(directUrl, baseUrl),
         packageId,
+        packageVersion: pkg.package_version,
+        organization: pkg.organization_id,
+        itemId: launchData?.identifier || null,
         scormVersion: pkg.scorm_version,
+        ...this.getLaunchSettings(pkg),
       });
     } catch (error) {
       console.error('Get launch URL error:', error);
@@ -157,22 +397,553 @@ export class PackageController {
   }
 
   /**
-   * Serve package content files
+   * Get package activity tree
    */
-  async serveContent(req, res) {
+  async getStructure(req, res) {
     try {
       const { packageId } = req.params;
-      const relativePath = req.params[0]; // Captures wildcard path
 
-      const filePath = packageHandler.getPackageFilePath(packageId, relativePath);
+      if (!packageHandler.getPackage(packageId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      const pkg = this.selectOrganization(res, packageHandler.getPackage(packageId), req.query);
+      if (!pkg) {
+        return;
+      }
+
+      const structure = packageHandler.getPackageStructure(packageId, null, pkg.organization_id);
 
-      res.sendFile(filePath);
+      res.json({
+        success: true,
+        ...structure,
+      });
     } catch (error) {
-      console.error('Serve content error:', error);
+      console.error('Get structure error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get launch URL for a specific item
+   */
+  async getItemLaunchUrl(req, res) {
+    try {
+      const { packageId, itemId } = req.params;
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+      const versionPkg = packageHandler.getPackage(
+        packageId,
+        packageHandler.resolveVersion(packageId, req.query.userId, itemId)
+      );
+
+      if (!versionPkg) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      const pkg = this.selectOrganization(res, versionPkg, req.query);
+      if (!pkg) {
+        return;
+      }
+
+      const item = packageHandler.getPackageItem(packageId, itemId, pkg.package_version, pkg.organization_id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item not found',
+        });
+      }
+
+      if (!item.launchable) {
+        return res.status(400).json({
+          success: false,
+          error: 'Item has no launchable resource',
+        });
+      }
+
+      if (pkg.format === 'cmi5') {
+        return this.sendCmi5Launch(req, res, pkg, itemId);
+      }
+
+      if (pkg.format === 'tincan') {
+        return this.sendTincanLaunch(req, res, pkg, itemId);
+      }
+
+      if (pkg.format === 'aicc') {
+        return this.sendAiccLaunch(req, res, pkg, itemId);
+      }
+
+      const directUrl = packageHandler.getContentUrl(pkg, baseUrl, item.launchUrl);
+      const wrappedUrl = `${baseUrl}/api-wrapper.html?packageId=${packageId}&itemId=${encodeURIComponent(itemId)}` +
+        this.getOrganizationParam(pkg);
+
+      res.json({
+        success: true,
+        launchUrl: directUrl,
+        wrappedUrl,
+        ...this.getBridgeSettings(directUrl, baseUrl),
+        packageId,
+        packageVersion: pkg.package_version,
+        organization: pkg.organization_id,
+        itemId,
+        title: item.title,
+        scormType: item.scormType,
+        parameters: item.parameters,
+        scormVersion: pkg.scorm_version,
+        ...this.getLaunchSettings(pkg),
+      });
+    } catch (error) {
+      console.error('Get item launch URL error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Launch settings edited on the package (mastery score override and player options)
+   */
+  getLaunchSettings(pkg) {
+    const { masteryScore, launchOptions } = pkg.overrides || {};
+
+    return {
+      ...(masteryScore !== undefined ? { masteryScore } : {}),
+      launchOptions: launchOptions || {},
+    };
+  }
+
+  /**
+   * Helper: Select the organization to launch, answering 404 for organizations the package does not have
+   */
+  selectOrganization(res, pkg, { organization, userId } = {}) {
+    try {
+      return packageHandler.selectOrganization(pkg, { organizationId: organization, userId });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+
       res.status(404).json({
         success: false,
         error: error.message,
       });
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Query parameter passing the launched organization on to the player
+   */
+  getOrganizationParam(pkg) {
+    return pkg.organization_id ? `&organization=${encodeURIComponent(pkg.organization_id)}` : '';
+  }
+
+  /**
+   * Helper: Isolated content is framed through the SCORM API bridge on the content origin
+   */
+  getBridgeSettings(launchUrl, baseUrl) {
+    if (!isContentIsolated()) {
+      return {};
+    }
+
+    return {
+      bridgeUrl: getBridgeUrl(launchUrl, baseUrl),
+      contentOrigin: new URL(launchUrl).origin,
+    };
+  }
+
+  /**
+   * Launch a cmi5 AU for a learner
+   */
+  sendCmi5Launch(req, res, pkg, auId) {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const item = auId ? packageHandler.getPackageItem(pkg.id, auId, pkg.package_version, pkg.organization_id) : null;
+
+    if (!item || !item.cmi5) {
+      return res.status(404).json({
+        success: false,
+        error: 'AU not found',
+      });
+    }
+
+    let launch;
+    try {
+      launch = cmi5Service.createLaunch(pkg, item, {
+        baseUrl,
+        userId: req.query.userId,
+        name: req.query.name,
+        registration: req.query.registration,
+        launchMode: req.query.launchMode,
+        returnUrl: req.query.returnUrl,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      launchUrl: launch.launchUrl,
+      packageId: pkg.id,
+      itemId: item.identifier,
+      title: item.title,
+      format: 'cmi5',
+      ...this.getLaunchSettings(pkg),
+      sessionId: launch.sessionId,
+      registration: launch.registration,
+      actor: launch.actor,
+      launchMode: launch.launchMode,
+      launchMethod: launch.launchMethod,
+    });
+  }
+
+  /**
+   * Launch a TinCan activity for a learner
+   */
+  sendTincanLaunch(req, res, pkg, activityId) {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const item = activityId ? packageHandler.getPackageItem(pkg.id, activityId, pkg.package_version, pkg.organization_id) : null;
+
+    if (!item || !item.tincan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found',
+      });
+    }
+
+    let launch;
+    try {
+      launch = tincanService.createLaunch(pkg, item, {
+        baseUrl,
+        userId: req.query.userId,
+        name: req.query.name,
+        registration: req.query.registration,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      launchUrl: launch.launchUrl,
+      packageId: pkg.id,
+      itemId: item.identifier,
+      title: item.title,
+      format: 'tincan',
+      ...this.getLaunchSettings(pkg),
+      sessionId: launch.sessionId,
+      registration: launch.registration,
+      actor: launch.actor,
+    });
+  }
+
+  /**
+   * Launch an AICC AU with HACP parameters
+   */
+  sendAiccLaunch(req, res, pkg, auId) {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const item = auId ? packageHandler.getPackageItem(pkg.id, auId, pkg.package_version, pkg.organization_id) : null;
+
+    if (!item || !item.aicc) {
+      return res.status(404).json({
+        success: false,
+        error: 'AU not found',
+      });
+    }
+
+    const launch = aiccService.createLaunch(pkg, item, {
+      baseUrl,
+      userId: req.query.userId,
+      name: req.query.name,
+    });
+
+    res.json({
+      success: true,
+      launchUrl: launch.launchUrl,
+      packageId: pkg.id,
+      itemId: item.identifier,
+      title: item.title,
+      format: 'aicc',
+      ...this.getLaunchSettings(pkg),
+      sessionId: launch.sessionId,
+    });
+  }
+
+  /**
+   * List the organizations of a package
+   */
+  async getOrganizations(req, res) {
+    try {
+      const { packageId } = req.params;
+      const organizations = packageHandler.getOrganizations(packageId);
+
+      if (!organizations) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        packageId,
+        ...organizations,
+        count: organizations.organizations.length,
+      });
+    } catch (error) {
+      console.error('Get organizations error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List the learners assigned to organizations of a package
+   */
+  async getOrganizationAssignments(req, res) {
+    try {
+      const { packageId } = req.params;
+
+      if (!packageHandler.getPackage(packageId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      const assignments = packageHandler.getOrganizationAssignments(packageId);
+
+      res.json({
+        success: true,
+        packageId,
+        assignments,
+        count: assignments.length,
+      });
+    } catch (error) {
+      console.error('Get organization assignments error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Assign a learner to an organization of a package
+   */
+  async assignOrganization(req, res) {
+    try {
+      const { packageId, userId } = req.params;
+      const { organization } = req.body || {};
+
+      if (typeof organization !== 'string' || !organization) {
+        return res.status(400).json({
+          success: false,
+          error: 'organization is required',
+        });
+      }
+
+      const assignment = packageHandler.assignOrganization(packageId, userId, organization);
+
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        packageId,
+        ...assignment,
+      });
+    } catch (error) {
+      this.sendDetailsError(res, error, 'Assign organization error:');
+    }
+  }
+
+  /**
+   * Remove a learner's organization assignment
+   */
+  async unassignOrganization(req, res) {
+    try {
+      const { packageId, userId } = req.params;
+
+      if (!packageHandler.unassignOrganization(packageId, userId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Assignment not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Assignment removed',
+      });
+    } catch (error) {
+      console.error('Unassign organization error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List package versions
+   */
+  async getVersions(req, res) {
+    try {
+      const { packageId } = req.params;
+
+      if (!packageHandler.getPackage(packageId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      const versions = packageHandler.getPackageVersions(packageId);
+
+      res.json({
+        success: true,
+        packageId,
+        versions,
+        count: versions.length,
+      });
+    } catch (error) {
+      console.error('Get versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get the validation report of a package (current version unless ?version= is given)
+   */
+  async getValidation(req, res) {
+    try {
+      const { packageId } = req.params;
+
+      if (!packageHandler.getPackage(packageId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      if (req.query.version && !packageHandler.getPackage(packageId, req.query.version)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found',
+        });
+      }
+
+      const validation = await packageHandler.getValidationReport(packageId, req.query.version);
+
+      res.json({
+        success: true,
+        packageId,
+        validation,
+      });
+    } catch (error) {
+      console.error('Get validation error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Serve an earlier package version by default again
+   */
+  async rollbackVersion(req, res) {
+    try {
+      const { packageId } = req.params;
+      const version = parseInt(req.params.version, 10);
+
+      if (!packageHandler.getPackage(packageId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      if (!packageHandler.getPackage(packageId, version)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found',
+        });
+      }
+
+      const result = await packageHandler.rollbackPackage(packageId, version, {
+        migrateSessions: req.body.migrateSessions === true || req.body.migrateSessions === 'true',
+      });
+
+      res.json({
+        success: true,
+        packageId,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Rollback version error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.sessions ? { sessions: error.sessions } : {}),
+      });
+    }
+  }
+
+  /**
+   * Serve package content files (redirected to the content origin when content is isolated)
+   */
+  async serveContent(req, res) {
+    if (isContentIsolated()) {
+      return res.redirect(302, `${getContentBaseUrl()}${req.originalUrl}`);
+    }
+
+    return this.sendContent(req, res);
+  }
+
+  /**
+   * Send a package content file
+   */
+  async sendContent(req, res) {
+    try {
+      const { packageId } = req.params;
+      const relativePath = req.params[0]; // Captures wildcard path
+
+      await contentDelivery.send(req, res, packageId, relativePath, req.params.version);
+    } catch (error) {
+      if (error.status !== 404) {
+        console.error('Serve content error:', error);
+      }
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
     }
   }
 
@@ -191,10 +962,11 @@ export class PackageController {
         });
       }
 
-      const bundle = await packageHandler.createOfflineBundle(packageId);
+      // Bundles built for a learner sign their progress exports for that learner
+      const bundle = await packageHandler.createOfflineBundle(packageId, { learner: req.query.userId || null });
 
       res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="${pkg.title}.zip"`);
+      res.setHeader('Content-Disposition', attachmentDisposition(`${pkg.title}.zip`));
       res.send(bundle);
     } catch (error) {
       console.error('Download package error:', error);
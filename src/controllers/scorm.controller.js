@@ -1,5 +1,8 @@
-import scormApiService from '../services/scorm-api.js';
+import scormApiService, { API_METHODS } from '../services/scorm-api.js';
 import packageHandler from '../services/package-handler.js';
+import sequencingEngine from '../services/sequencing-engine.js';
+import { getDataModelVersion } from '../utils/cmi-data-model.js';
+import { getLaunchCmi } from '../utils/launch-data.js';
 
 export class ScormController {
   /**
@@ -10,8 +13,11 @@ export class ScormController {
       const { packageId } = req.params;
       const { userId } = req.body;
 
-      // Verify package exists
-      const pkg = packageHandler.getPackage(packageId);
+      // Verify package exists (unfinished attempts stay on the version they started on)
+      const pkg = packageHandler.getPackage(
+        packageId,
+        req.body.packageVersion || packageHandler.resolveVersion(packageId, userId, req.body.itemId)
+      );
       if (!pkg) {
         return res.status(404).json({
           success: false,
@@ -19,13 +25,37 @@ export class ScormController {
         });
       }
 
-      // Initialize session
-      const result = scormApiService.initializeSession(packageId, userId);
+      // Sessions track the organization they were launched with: the requested one, else the learner's
+      const delivered = this.selectOrganization(res, pkg, req.body.organization, userId);
+      if (!delivered) {
+        return;
+      }
+
+      // Track each item separately, defaulting to the first SCO of the organization
+      const itemId = req.body.itemId || packageHandler.getLaunchData(delivered)?.identifier || null;
+      const item = itemId
+        ? packageHandler.getPackageItem(packageId, itemId, pkg.package_version, delivered.organization_id)
+        : null;
+      if (req.body.itemId && (!item || !item.launchable)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item not found',
+        });
+      }
+
+      // Continue the learner's suspended or unfinished attempt, or start a new one
+      const result = scormApiService.startAttempt(
+        packageId, userId, itemId, pkg.package_version, delivered.organization_id,
+        { newAttempt: Boolean(req.body.newAttempt) }
+      );
 
-      // Load initial data if resuming
-      const initialData = req.body.resume ? 
-        scormApiService.loadInitialData(result.sessionId) : 
-        null;
+      // The SCO starts with the launch data, mastery score and time limit of its manifest item
+      const launchCmi = getLaunchCmi(item, pkg.scorm_version, { masteryScore: pkg.overrides?.masteryScore });
+      scormApiService.storeCmiData(result.sessionId, launchCmi);
+
+      // Everything the SCO reads at Initialize: entry, total time and, when continuing, the attempt's data
+      const { cmi } = scormApiService.getCmiData(result.sessionId);
+      const initialData = { cmi };
 
       res.json({
         ...result,
@@ -55,13 +85,25 @@ export class ScormController {
         });
       }
 
-      const value = scormApiService.getCmiData(sessionId, element);
+      if (element.startsWith('adl.nav.request_valid.')) {
+        return res.json({
+          success: true,
+          element,
+          value: this.getRequestValid(packageId, sessionId, element),
+          errorCode: 0,
+        });
+      }
 
-      res.json({
-        success: true,
-        element,
-        value,
-      });
+      const result = scormApiService.getValue(sessionId, element);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+        });
+      }
+
+      this.sendDataModelResult(res, element, result);
     } catch (error) {
       console.error('Get value error:', error);
       res.status(500).json({
@@ -86,13 +128,16 @@ export class ScormController {
         });
       }
 
-      const result = scormApiService.setCmiData(sessionId, element, value);
+      const result = scormApiService.setValue(sessionId, element, value);
 
-      res.json({
-        ...result,
-        element,
-        value,
-      });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+        });
+      }
+
+      this.sendDataModelResult(res, element, result);
     } catch (error) {
       console.error('Set value error:', error);
       res.status(500).json({
@@ -118,6 +163,7 @@ export class ScormController {
       }
 
       const result = scormApiService.commitSession(sessionId, data || {});
+      this.updateSequencing(packageId, sessionId);
 
       res.json(result);
     } catch (error) {
@@ -145,9 +191,13 @@ export class ScormController {
         });
       }
 
-      const result = scormApiService.terminateSession(sessionId, data || {});
+      const result = scormApiService.terminateSession(sessionId, data || {}, req.body.navRequest);
+      this.updateSequencing(packageId, sessionId);
 
-      res.json(result);
+      const { navRequest, ...response } = result;
+      response.navigation = this.resolveNavigation(packageId, sessionId, navRequest);
+
+      res.json(response);
     } catch (error) {
       console.error('Terminate session error:', error);
       res.status(500).json({
@@ -157,6 +207,328 @@ export class ScormController {
     }
   }
 
+  /**
+   * Run a batch of SCORM API calls for a session
+   */
+  async runApiCalls(req, res) {
+    try {
+      const { packageId } = req.params;
+      const { sessionId, calls } = req.body;
+
+      if (!sessionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Session ID required',
+        });
+      }
+
+      const errors = this.validateApiCalls(calls);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid API calls',
+          errors,
+        });
+      }
+
+      const result = scormApiService.runApiCalls(sessionId, calls, {
+        requestValid: (session, element) => this.getRequestValid(packageId, session.id, element),
+        committed: session => this.updateSequencing(packageId, session.id),
+        terminated: (session, navRequest) => this.resolveNavigation(packageId, session.id, navRequest),
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        sessionId,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Run API calls error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Process a sequencing navigation request
+   */
+  async navigate(req, res) {
+    try {
+      const { packageId } = req.params;
+      const { userId, request, target } = req.body;
+
+      const pkg = packageHandler.getPackage(packageId);
+      if (!pkg) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      if (!request) {
+        return res.status(400).json({
+          success: false,
+          error: 'Navigation request required',
+        });
+      }
+
+      const delivered = this.selectOrganization(res, pkg, req.body.organization, userId);
+      if (!delivered) {
+        return;
+      }
+
+      const result = sequencingEngine.navigate(delivered, userId, request, target);
+
+      res.status(result.success ? 200 : 400).json({ ...result, organization: delivered.organization_id });
+    } catch (error) {
+      console.error('Navigate error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get sequencing status for a learner
+   */
+  async getSequencingStatus(req, res) {
+    try {
+      const { packageId } = req.params;
+      const { userId } = req.query;
+
+      const pkg = packageHandler.getPackage(packageId);
+      if (!pkg) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      const delivered = this.selectOrganization(res, pkg, req.query.organization, userId);
+      if (!delivered) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        organization: delivered.organization_id,
+        ...sequencingEngine.getStatus(delivered, userId),
+      });
+    } catch (error) {
+      console.error('Get sequencing status error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get adl.nav.request_valid.* values for a session
+   */
+  async getNavigationValidity(req, res) {
+    try {
+      const { packageId } = req.params;
+      const { sessionId } = req.query;
+
+      const session = sessionId ? scormApiService.getSession(sessionId) : null;
+      const pkg = this.getSessionPackage(packageId, session);
+
+      if (!pkg || !session) {
+        return res.status(404).json({
+          success: false,
+          error: pkg ? 'Session not found' : 'Package not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        sessionId,
+        itemId: session.item_id,
+        requestValid: sequencingEngine.getRequestValid(pkg, session.user_id, session.item_id),
+      });
+    } catch (error) {
+      console.error('Get navigation validity error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Answer a GetValue/SetValue: rejected calls are a 400 with the SCORM error code and diagnostic
+   */
+  sendDataModelResult(res, element, { value, errorCode, errorString, diagnostic }) {
+    if (errorCode === 0) {
+      return res.json({
+        success: true,
+        element,
+        value,
+        errorCode,
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      element,
+      value: '',
+      errorCode,
+      errorString,
+      diagnostic,
+    });
+  }
+
+  /**
+   * Problems with a batch of API calls: a non-empty list of { method, params } with known methods
+   */
+  validateApiCalls(calls) {
+    if (!Array.isArray(calls) || calls.length === 0) {
+      return ['calls must be a non-empty array'];
+    }
+
+    return calls.flatMap((call, index) => {
+      if (!call || !Object.hasOwn(API_METHODS, call.method)) {
+        return [`calls[${index}].method must be one of: ${Object.keys(API_METHODS).join(', ')}`];
+      }
+
+      if (call.params !== undefined && !Array.isArray(call.params)) {
+        return [`calls[${index}].params must be an array`];
+      }
+
+      return [];
+    });
+  }
+
+  /**
+   * Resolve a single adl.nav.request_valid element for a session
+   */
+  getRequestValid(packageId, sessionId, element) {
+    const session = scormApiService.getSession(sessionId);
+    const pkg = this.getSequencedPackage(packageId, session);
+
+    if (!pkg) {
+      return 'unknown';
+    }
+
+    try {
+      return sequencingEngine.getRequestValidElement(pkg, session.user_id, session.item_id, element) || 'unknown';
+    } catch (error) {
+      console.error('Sequencing error:', error);
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Resolve the navigation request pending at Terminate into the next item
+   */
+  resolveNavigation(packageId, sessionId, navRequest) {
+    const session = scormApiService.getSession(sessionId);
+    const pkg = this.getSequencedPackage(packageId, session);
+
+    if (!pkg) {
+      return navRequest ? { request: navRequest.request, action: 'exit' } : null;
+    }
+
+    // Without a request the SCO attempt simply ends (post conditions still apply)
+    const { request, target } = navRequest || { request: 'exit', target: null };
+    let result;
+    try {
+      result = sequencingEngine.navigate(pkg, session.user_id, request, target, session.item_id);
+    } catch (error) {
+      // The session is already terminated: a sequencing failure only ends the navigation
+      console.error('Sequencing error:', error);
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      return {
+        request: navRequest ? request : '_none_',
+        action: 'exit',
+        error: result.error,
+      };
+    }
+
+    const { success, ...navigation } = result;
+    return {
+      ...navigation,
+      request: navRequest ? request : '_none_',
+      target,
+    };
+  }
+
+  /**
+   * Feed the CMI data stored for an item session (after a commit's checks) into the sequencing engine
+   */
+  updateSequencing(packageId, sessionId) {
+    const session = scormApiService.getSession(sessionId);
+    const pkg = this.getSequencedPackage(packageId, session);
+
+    if (!pkg) {
+      return;
+    }
+
+    // The data is already committed: a sequencing failure must not fail the commit
+    try {
+      sequencingEngine.reportRuntimeData(pkg, session.user_id, session.item_id, scormApiService.getCmiData(sessionId).cmi);
+    } catch (error) {
+      console.error('Sequencing error:', error);
+    }
+  }
+
+  /**
+   * Helper: Package of an item session when it is sequenced (SCORM 2004 with an organization), otherwise null
+   */
+  getSequencedPackage(packageId, session) {
+    if (!session?.item_id) {
+      return null;
+    }
+
+    const pkg = this.getSessionPackage(packageId, session);
+
+    return pkg && getDataModelVersion(pkg.scorm_version) === '2004' && packageHandler.getOrganization(pkg)
+      ? pkg
+      : null;
+  }
+
+  /**
+   * Helper: Package as delivered to a session, in the version and with the organization the session was launched with
+   */
+  getSessionPackage(packageId, session) {
+    const pkg = packageHandler.getPackage(packageId, session?.package_version);
+
+    return pkg && session ? { ...pkg, organization_id: session.organization_id } : pkg;
+  }
+
+  /**
+   * Helper: Select the organization to deliver, answering 404 for organizations the package does not have
+   */
+  selectOrganization(res, pkg, organizationId, userId) {
+    try {
+      return packageHandler.selectOrganization(pkg, { organizationId, userId });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+
+      res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   /**
    * Get session data
    */
@@ -197,8 +569,9 @@ export class ScormController {
   async getPackageSessions(req, res) {
     try {
       const { packageId } = req.params;
+      const { itemId, organization } = req.query;
 
-      const sessions = scormApiService.getSessionsByPackage(packageId);
+      const sessions = scormApiService.getSessionsByPackage(packageId, itemId, organization);
 
       res.json({
         success: true,
@@ -214,6 +587,31 @@ export class ScormController {
     }
   }
 
+  /**
+   * Get a learner's attempt history
+   */
+  async getUserAttempts(req, res) {
+    try {
+      const { userId } = req.params;
+      const { packageId, itemId } = req.query;
+
+      const attempts = scormApiService.getAttemptHistory(userId, { packageId, itemId });
+
+      res.json({
+        success: true,
+        userId,
+        attempts,
+        count: attempts.length,
+      });
+    } catch (error) {
+      console.error('Get user attempts error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Get sessions by user
    */
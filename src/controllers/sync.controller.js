@@ -1,4 +1,5 @@
 import offlineSyncService from '../services/offline-sync.js';
+import progressExportService from '../services/progress-export.js';
 
 export class SyncController {
   /**
@@ -31,6 +32,43 @@ export class SyncController {
     }
   }
 
+  /**
+   * Import a signed progress export from an offline bundle (multipart "file" field or JSON body)
+   */
+  async importProgressFile(req, res) {
+    try {
+      let file = req.body;
+
+      if (req.file) {
+        try {
+          file = JSON.parse(req.file.buffer.toString('utf-8'));
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Progress file is not valid JSON',
+          });
+        }
+      }
+
+      const result = progressExportService.importFile(file, { userId: req.body.userId || null });
+
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        console.error('Import progress file error:', error);
+      }
+
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.errors?.length ? { errors: error.errors } : {}),
+      });
+    }
+  }
+
   /**
    * Get sync status
    */
@@ -0,0 +1,352 @@
+import crypto from 'crypto';
+import xapiLrs, { XAPI_VERSION, SUPPORTED_VERSIONS } from '../services/xapi-lrs.js';
+import { parseMultipart, buildMultipart } from '../utils/multipart.js';
+
+const SINGLE_STATEMENT_PARAMS = ['statementId', 'voidedStatementId', 'attachments', 'format'];
+
+export class XapiController {
+  /**
+   * Set the version header on every response and require it on every request except /about
+   */
+  checkVersion(req, res, next) {
+    res.setHeader('X-Experience-API-Version', XAPI_VERSION);
+    res.setHeader(
+      'Access-Control-Expose-Headers',
+      'ETag, Last-Modified, X-Experience-API-Version, X-Experience-API-Consistent-Through'
+    );
+
+    if (req.path === '/about' || req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const version = req.get('X-Experience-API-Version');
+    if (!version || !/^1\.0(\.\d+)?$/.test(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or unsupported X-Experience-API-Version header',
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Resolve launch credentials from the Authorization header
+   */
+  authenticate(req, res, next) {
+    try {
+      req.xapiCredentials = xapiLrs.resolveCredentials(req.get('authorization'));
+      next();
+    } catch (error) {
+      res.setHeader('WWW-Authenticate', 'Basic realm="xAPI"');
+      res.status(error.status || 401).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * LRS information
+   */
+  async about(req, res) {
+    res.json({
+      version: SUPPORTED_VERSIONS,
+      extensions: {},
+    });
+  }
+
+  /**
+   * Get a single statement or query statements
+   */
+  async getStatements(req, res) {
+    try {
+      const { statementId, voidedStatementId } = req.query;
+      const withAttachments = req.query.attachments === 'true';
+      let result;
+
+      if (statementId || voidedStatementId) {
+        const extra = Object.keys(req.query).filter(param => !SINGLE_STATEMENT_PARAMS.includes(param));
+
+        if ((statementId && voidedStatementId) || extra.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'statementId and voidedStatementId cannot be combined with other filters',
+          });
+        }
+
+        result = xapiLrs.getStatement(statementId || voidedStatementId, {
+          voided: Boolean(voidedStatementId),
+          format: xapiLrs.parseFormat(req.query.format),
+        });
+      } else {
+        const { statements, cursor } = xapiLrs.queryStatements(req.query);
+        let more = '';
+
+        if (cursor !== null) {
+          const params = new URLSearchParams({ ...req.query, cursor: String(cursor) });
+          more = `${req.baseUrl}/statements?${params.toString()}`;
+        }
+
+        result = { statements, more };
+      }
+
+      res.setHeader('X-Experience-API-Consistent-Through', new Date().toISOString());
+
+      if (!withAttachments) {
+        return res.json(result);
+      }
+
+      const list = result.statements || [result];
+      const multipart = buildMultipart([
+        {
+          headers: { 'Content-Type': 'application/json' },
+          content: JSON.stringify(result),
+        },
+        ...xapiLrs.getAttachmentContent(list).map(attachment => ({
+          headers: {
+            'Content-Type': attachment.contentType,
+            'Content-Transfer-Encoding': 'binary',
+            'X-Experience-API-Hash': attachment.sha2,
+          },
+          content: attachment.content,
+        })),
+      ]);
+
+      res.setHeader('Content-Type', multipart.contentType);
+      res.send(multipart.body);
+    } catch (error) {
+      this.sendError(res, error, 'Get statements error:');
+    }
+  }
+
+  /**
+   * Store a single statement with a client-assigned id
+   */
+  async putStatement(req, res) {
+    try {
+      const { statementId } = req.query;
+
+      if (!statementId) {
+        return res.status(400).json({
+          success: false,
+          error: 'statementId parameter is required',
+        });
+      }
+
+      const { statement, attachments } = this.parseStatementBody(req);
+
+      xapiLrs.storeStatements(statement, {
+        statementId,
+        attachments,
+        credentials: req.xapiCredentials,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      this.sendError(res, error, 'Put statement error:');
+    }
+  }
+
+  /**
+   * Store one or more statements
+   */
+  async postStatements(req, res) {
+    try {
+      const { statement, attachments } = this.parseStatementBody(req);
+
+      const ids = xapiLrs.storeStatements(statement, {
+        attachments,
+        credentials: req.xapiCredentials,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+      });
+
+      res.json(ids);
+    } catch (error) {
+      this.sendError(res, error, 'Post statements error:');
+    }
+  }
+
+  /**
+   * Get a document, or the list of document ids when no id is given
+   */
+  async getDocument(req, res, type) {
+    try {
+      const { key, id, since } = xapiLrs.resolveDocument(type, req.query);
+
+      if (!id) {
+        return res.json(xapiLrs.listDocumentIds(type, key, since));
+      }
+
+      const document = xapiLrs.getDocument(type, key, id);
+
+      res.setHeader('Content-Type', document.contentType);
+      res.setHeader('ETag', `"${document.etag}"`);
+      res.setHeader('Last-Modified', new Date(document.updated).toUTCString());
+      res.send(document.content);
+    } catch (error) {
+      this.sendError(res, error, 'Get document error:');
+    }
+  }
+
+  /**
+   * Store a document (PUT replaces, POST merges JSON)
+   */
+  async saveDocument(req, res, type, merge = false) {
+    try {
+      const { key, id } = xapiLrs.resolveDocument(type, req.query);
+
+      const { etag } = xapiLrs.saveDocument(type, key, id, {
+        content: this.getBody(req),
+        contentType: req.get('content-type'),
+        merge,
+        ifMatch: req.get('if-match'),
+        ifNoneMatch: req.get('if-none-match'),
+      });
+
+      res.setHeader('ETag', `"${etag}"`);
+      res.status(204).end();
+    } catch (error) {
+      this.sendError(res, error, 'Save document error:');
+    }
+  }
+
+  /**
+   * Delete a document
+   */
+  async deleteDocument(req, res, type) {
+    try {
+      const { key, id } = xapiLrs.resolveDocument(type, req.query);
+
+      xapiLrs.deleteDocument(type, key, id, {
+        ifMatch: req.get('if-match'),
+        ifNoneMatch: req.get('if-none-match'),
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      this.sendError(res, error, 'Delete document error:');
+    }
+  }
+
+  /**
+   * Get an activity definition
+   */
+  async getActivity(req, res) {
+    try {
+      res.json(xapiLrs.getActivity(req.query.activityId));
+    } catch (error) {
+      this.sendError(res, error, 'Get activity error:');
+    }
+  }
+
+  /**
+   * Get the Person object for an agent
+   */
+  async getAgent(req, res) {
+    try {
+      if (!req.query.agent) {
+        return res.status(400).json({
+          success: false,
+          error: 'agent parameter is required',
+        });
+      }
+
+      res.json(xapiLrs.getPerson(req.query.agent));
+    } catch (error) {
+      this.sendError(res, error, 'Get agent error:');
+    }
+  }
+
+  /**
+   * Parse a statements request body (JSON or multipart/mixed with attachments)
+   */
+  parseStatementBody(req) {
+    const body = this.getBody(req);
+    const contentType = req.get('content-type') || '';
+    let json = body;
+    let attachments = [];
+
+    if (/^multipart\/mixed/i.test(contentType)) {
+      const [first, ...rest] = this.parseParts(body, contentType);
+
+      if (!first || !/^application\/json/i.test(first.headers['content-type'] || '')) {
+        throw this.badRequest('The first multipart part must contain the statements as JSON');
+      }
+
+      json = first.content;
+      attachments = rest.map(part => {
+        const sha2 = part.headers['x-experience-api-hash'];
+
+        if (!sha2) {
+          throw this.badRequest('Attachment parts require an X-Experience-API-Hash header');
+        }
+
+        if (crypto.createHash('sha256').update(part.content).digest('hex') !== sha2) {
+          throw this.badRequest(`Attachment content does not match its hash ${sha2}`);
+        }
+
+        return {
+          sha2,
+          contentType: part.headers['content-type'] || 'application/octet-stream',
+          content: part.content,
+        };
+      });
+    } else if (!/^application\/json/i.test(contentType)) {
+      throw this.badRequest('Statements must be sent as application/json or multipart/mixed');
+    }
+
+    try {
+      return {
+        statement: JSON.parse(json.toString('utf8')),
+        attachments,
+      };
+    } catch (error) {
+      throw this.badRequest('Statements body is not valid JSON');
+    }
+  }
+
+  /**
+   * Parse multipart parts, reporting malformed bodies as bad requests
+   */
+  parseParts(body, contentType) {
+    try {
+      return parseMultipart(body, contentType);
+    } catch (error) {
+      throw this.badRequest(error.message);
+    }
+  }
+
+  /**
+   * Raw request body as a buffer
+   */
+  getBody(req) {
+    return Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  }
+
+  /**
+   * Helper: Create a 400 error
+   */
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Helper: Send an LRS error with its status
+   */
+  sendError(res, error, label) {
+    if (!error.status || error.status >= 500) {
+      console.error(label, error);
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+export default new XapiController();
@@ -0,0 +1,14 @@
+import { buildContentSecurityPolicy } from '../utils/content-origin.js';
+
+/**
+ * Security headers for every response of the isolated content origin
+ */
+export function contentSecurityHeaders(req, res, next) {
+  res.setHeader('Content-Security-Policy', buildContentSecurityPolicy());
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Referrer-Policy', 'same-origin');
+  res.setHeader('Cross-Origin-Resource-Policy', 'same-origin');
+  res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=(), payment=(), usb=()');
+
+  next();
+}
@@ -15,6 +15,15 @@ const db = new Database(dbPath);
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Add a column to an existing table if it is missing
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 // Initialize database schema
 function initializeDatabase() {
   // Packages table
@@ -34,6 +43,27 @@ function initializeDatabase() {
     )
   `);
 
+  // Package versions (every upload of the same manifest identifier)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS package_versions (
+      id TEXT PRIMARY KEY,
+      package_id TEXT NOT NULL,
+      version_number INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      version TEXT,
+      scorm_version TEXT NOT NULL,
+      identifier TEXT,
+      launch_path TEXT NOT NULL,
+      metadata TEXT,
+      file_path TEXT NOT NULL,
+      file_size INTEGER,
+      format TEXT DEFAULT 'scorm',
+      uploaded_at INTEGER DEFAULT (strftime('%s', 'now')),
+      UNIQUE (package_id, version_number),
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
   // SCORM sessions table
   db.exec(`
     CREATE TABLE IF NOT EXISTS scorm_sessions (
@@ -50,6 +80,7 @@ function initializeDatabase() {
       session_time TEXT,
       total_time TEXT,
       suspend_data TEXT,
+      item_id TEXT,
       FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
     )
   `);
@@ -98,14 +129,320 @@ function initializeDatabase() {
     )
   `);
 
+  // Sequencing activity state (per learner, package and organization)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sequencing_state (
+      package_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      organization_id TEXT NOT NULL DEFAULT '',
+      state TEXT NOT NULL,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      PRIMARY KEY (package_id, user_id, organization_id),
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Organization a learner is assigned to in a package
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS organization_assignments (
+      package_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      organization_id TEXT NOT NULL,
+      assigned_at INTEGER DEFAULT (strftime('%s', 'now')),
+      PRIMARY KEY (package_id, user_id),
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Global shared objectives (per learner)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS global_objectives (
+      user_id TEXT NOT NULL,
+      objective_id TEXT NOT NULL,
+      satisfied_status INTEGER,
+      normalized_measure REAL,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      PRIMARY KEY (user_id, objective_id)
+    )
+  `);
+
+  // cmi5 registrations (per learner and course)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cmi5_registrations (
+      registration TEXT PRIMARY KEY,
+      package_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // cmi5 AU launches (one per launched session)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cmi5_launches (
+      session_id TEXT PRIMARY KEY,
+      registration TEXT NOT NULL,
+      package_id TEXT NOT NULL,
+      au_id TEXT NOT NULL,
+      auth_token TEXT NOT NULL,
+      token_fetched INTEGER DEFAULT 0,
+      launch_mode TEXT NOT NULL,
+      launch_data TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (session_id) REFERENCES scorm_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TinCan launches (one per launched session)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tincan_launches (
+      session_id TEXT PRIMARY KEY,
+      package_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      activity_id TEXT NOT NULL,
+      registration TEXT NOT NULL,
+      auth_token TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (session_id) REFERENCES scorm_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // AICC launches (HACP sessions)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS aicc_launches (
+      session_id TEXT PRIMARY KEY,
+      package_id TEXT NOT NULL,
+      au_id TEXT NOT NULL,
+      student_name TEXT,
+      ended INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (session_id) REFERENCES scorm_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // xAPI statements (embedded LRS)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xapi_statements (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      statement TEXT NOT NULL,
+      actor_key TEXT,
+      verb_id TEXT NOT NULL,
+      activity_id TEXT,
+      object_agent_key TEXT,
+      registration TEXT,
+      related_agents TEXT NOT NULL,
+      related_activities TEXT NOT NULL,
+      voids TEXT,
+      voided INTEGER DEFAULT 0,
+      session_id TEXT,
+      stored TEXT NOT NULL
+    )
+  `);
+
+  // xAPI attachment content (keyed by SHA-2 hash)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xapi_attachments (
+      sha2 TEXT PRIMARY KEY,
+      content_type TEXT NOT NULL,
+      length INTEGER NOT NULL,
+      content BLOB NOT NULL
+    )
+  `);
+
+  // xAPI state documents
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xapi_state (
+      activity_id TEXT NOT NULL,
+      agent_key TEXT NOT NULL,
+      registration TEXT NOT NULL DEFAULT '',
+      state_id TEXT NOT NULL,
+      content BLOB NOT NULL,
+      content_type TEXT NOT NULL,
+      etag TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (activity_id, agent_key, registration, state_id)
+    )
+  `);
+
+  // xAPI activity profile documents
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xapi_activity_profile (
+      activity_id TEXT NOT NULL,
+      profile_id TEXT NOT NULL,
+      content BLOB NOT NULL,
+      content_type TEXT NOT NULL,
+      etag TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (activity_id, profile_id)
+    )
+  `);
+
+  // xAPI agent profile documents
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xapi_agent_profile (
+      agent_key TEXT NOT NULL,
+      profile_id TEXT NOT NULL,
+      content BLOB NOT NULL,
+      content_type TEXT NOT NULL,
+      etag TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (agent_key, profile_id)
+    )
+  `);
+
+  // Catalog search index (title, description and keywords from the manifest or their overrides, tags)
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS packages_fts USING fts5(
+      package_id UNINDEXED,
+      title,
+      description,
+      keywords,
+      tags,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  // Custom package tags
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS package_tags (
+      package_id TEXT NOT NULL,
+      tag TEXT NOT NULL COLLATE NOCASE,
+      PRIMARY KEY (package_id, tag),
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Full-text index of the text in package content files (current version of each package)
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS package_content_fts USING fts5(
+      package_id UNINDEXED,
+      item_id UNINDEXED,
+      item_title UNINDEXED,
+      file_path UNINDEXED,
+      title,
+      body,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  // Package version each content index was built from
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS package_content_index (
+      package_id TEXT PRIMARY KEY,
+      package_version INTEGER NOT NULL,
+      file_count INTEGER NOT NULL,
+      indexed_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Content-addressed blob store: one file per distinct content, counted once per package file using it
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS blobs (
+      hash TEXT PRIMARY KEY,
+      size INTEGER NOT NULL,
+      ref_count INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+
+  // Files of each package version and the blob holding their content
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS package_files (
+      version_id TEXT NOT NULL,
+      path TEXT NOT NULL,
+      hash TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      PRIMARY KEY (version_id, path)
+    )
+  `);
+
+  // Columns added after the initial schema
+  ensureColumn('scorm_sessions', 'item_id', 'TEXT');
+  ensureColumn('packages', 'format', "TEXT DEFAULT 'scorm'");
+  ensureColumn('packages', 'manifest_identifier', 'TEXT');
+  ensureColumn('packages', 'current_version', 'INTEGER DEFAULT 1');
+  ensureColumn('scorm_sessions', 'package_version', 'INTEGER');
+  ensureColumn('package_versions', 'validation', 'TEXT');
+  ensureColumn('packages', 'overrides', 'TEXT');
+  ensureColumn('scorm_sessions', 'organization_id', 'TEXT');
+  ensureColumn('scorm_sessions', 'api_state', "TEXT DEFAULT 'not initialized'");
+  ensureColumn('scorm_sessions', 'last_error', 'INTEGER DEFAULT 0');
+  ensureColumn('scorm_sessions', 'last_diagnostic', 'TEXT');
+  ensureColumn('scorm_sessions', 'attempt', 'INTEGER');
+
+  // Packages uploaded before versioning become version 1 of themselves
+  db.exec(`
+    INSERT INTO package_versions (id, package_id, version_number, title, version, scorm_version, identifier,
+                                  launch_path, metadata, file_path, file_size, format, uploaded_at)
+    SELECT id, id, 1, title, version, scorm_version, identifier, launch_path, metadata, file_path, file_size,
+           format, uploaded_at
+    FROM packages
+    WHERE id NOT IN (SELECT package_id FROM package_versions)
+  `);
+  db.exec('UPDATE scorm_sessions SET package_version = 1 WHERE package_version IS NULL');
+
+  // Packages uploaded before versioning are matched by the identifier their parser kept in the metadata (SCORM
+  // metadata has none: PackageHandler.backfillManifestIdentifiers reads those manifests again)
+  db.exec(`
+    UPDATE packages
+    SET manifest_identifier = json_extract(metadata, '$.manifestIdentifier')
+    WHERE manifest_identifier IS NULL AND json_extract(metadata, '$.manifestIdentifier') IS NOT NULL
+  `);
+
+  // Sessions started before organizations could be chosen ran in the default one
+  db.exec(`
+    UPDATE scorm_sessions
+    SET organization_id = (SELECT json_extract(metadata, '$.identifier') FROM packages WHERE packages.id = scorm_sessions.package_id)
+    WHERE organization_id IS NULL
+  `);
+
+  // Sessions started before attempts were tracked each count as an attempt of their learner's item
+  db.exec(`
+    UPDATE scorm_sessions
+    SET attempt = (
+      SELECT COUNT(*) FROM scorm_sessions AS earlier
+      WHERE earlier.package_id = scorm_sessions.package_id
+        AND earlier.user_id IS scorm_sessions.user_id
+        AND earlier.item_id IS scorm_sessions.item_id
+        AND earlier.organization_id IS scorm_sessions.organization_id
+        AND (earlier.started_at < scorm_sessions.started_at
+          OR (earlier.started_at = scorm_sessions.started_at AND earlier.rowid <= scorm_sessions.rowid))
+    )
+    WHERE attempt IS NULL
+  `);
+
   // Create indexes
   db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_packages_manifest ON packages(manifest_identifier, format);
+    CREATE INDEX IF NOT EXISTS idx_packages_uploaded ON packages(uploaded_at, id);
+    CREATE INDEX IF NOT EXISTS idx_packages_updated ON packages(updated_at, id);
+    CREATE INDEX IF NOT EXISTS idx_packages_title ON packages(title COLLATE NOCASE, id);
+    CREATE INDEX IF NOT EXISTS idx_packages_size ON packages(file_size, id);
+    CREATE INDEX IF NOT EXISTS idx_packages_scorm_version ON packages(scorm_version);
+    CREATE INDEX IF NOT EXISTS idx_package_tags_tag ON package_tags(tag);
+    CREATE INDEX IF NOT EXISTS idx_package_files_hash ON package_files(hash);
     CREATE INDEX IF NOT EXISTS idx_sessions_package ON scorm_sessions(package_id);
     CREATE INDEX IF NOT EXISTS idx_sessions_user ON scorm_sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_attempt ON scorm_sessions(package_id, user_id, item_id, attempt);
+    CREATE INDEX IF NOT EXISTS idx_sessions_item ON scorm_sessions(package_id, item_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_organization ON scorm_sessions(package_id, organization_id);
     CREATE INDEX IF NOT EXISTS idx_cmi_session ON cmi_data(session_id);
     CREATE INDEX IF NOT EXISTS idx_cmi_element ON cmi_data(element);
     CREATE INDEX IF NOT EXISTS idx_sync_status ON sync_queue(synced);
     CREATE INDEX IF NOT EXISTS idx_interactions_session ON interactions(session_id);
+    CREATE INDEX IF NOT EXISTS idx_tincan_launch_user ON tincan_launches(package_id, user_id);
+    CREATE INDEX IF NOT EXISTS idx_xapi_statements_actor ON xapi_statements(actor_key);
+    CREATE INDEX IF NOT EXISTS idx_xapi_statements_verb ON xapi_statements(verb_id);
+    CREATE INDEX IF NOT EXISTS idx_xapi_statements_activity ON xapi_statements(activity_id);
+    CREATE INDEX IF NOT EXISTS idx_xapi_statements_registration ON xapi_statements(registration);
+    CREATE INDEX IF NOT EXISTS idx_xapi_statements_voids ON xapi_statements(voids);
   `);
 
   console.log('Database initialized successfully');
@@ -118,8 +455,8 @@ initializeDatabase();
 const statements = {
   // Packages
   insertPackage: db.prepare(`
-    INSERT INTO packages (id, title, version, scorm_version, identifier, launch_path, metadata, file_path, file_size)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO packages (id, title, version, scorm_version, identifier, launch_path, metadata, file_path, file_size, format, manifest_identifier)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
   
   getPackage: db.prepare('SELECT * FROM packages WHERE id = ?'),
@@ -130,16 +467,153 @@ const statements = {
   
   updatePackage: db.prepare(`
     UPDATE packages 
-    SET title = ?, version = ?, metadata = ?, updated_at = strftime('%s', 'now')
+    SET title = ?, version = ?, metadata = ?, overrides = ?, updated_at = strftime('%s', 'now')
     WHERE id = ?
   `),
 
+  // Catalog index
+  deletePackageFts: db.prepare('DELETE FROM packages_fts WHERE package_id = ?'),
+
+  insertPackageFts: db.prepare(`
+    INSERT INTO packages_fts (package_id, title, description, keywords, tags)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  deletePackageTags: db.prepare('DELETE FROM package_tags WHERE package_id = ?'),
+
+  insertPackageTag: db.prepare('INSERT OR IGNORE INTO package_tags (package_id, tag) VALUES (?, ?)'),
+
+  countUnindexedPackages: db.prepare(`
+    SELECT COUNT(*) AS count FROM packages
+    WHERE id NOT IN (SELECT package_id FROM packages_fts)
+  `),
+
+  // Content index
+  deletePackageContent: db.prepare('DELETE FROM package_content_fts WHERE package_id = ?'),
+
+  insertPackageContent: db.prepare(`
+    INSERT INTO package_content_fts (package_id, item_id, item_title, file_path, title, body)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+
+  setPackageContentIndex: db.prepare(`
+    INSERT OR REPLACE INTO package_content_index (package_id, package_version, file_count, indexed_at)
+    VALUES (?, ?, ?, strftime('%s', 'now'))
+  `),
+
+  deletePackageContentIndex: db.prepare('DELETE FROM package_content_index WHERE package_id = ?'),
+
+  getStaleContentPackages: db.prepare(`
+    SELECT p.id FROM packages p
+    LEFT JOIN package_content_index c ON c.package_id = p.id
+    WHERE c.package_version IS NOT p.current_version
+  `),
+
+  // Blob store
+  addBlobReference: db.prepare(`
+    INSERT INTO blobs (hash, size, ref_count) VALUES (?, ?, 1)
+    ON CONFLICT(hash) DO UPDATE SET ref_count = ref_count + 1
+  `),
+
+  releaseBlobReference: db.prepare('UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ?'),
+
+  getBlob: db.prepare('SELECT * FROM blobs WHERE hash = ?'),
+
+  getUnreferencedBlobs: db.prepare('SELECT hash FROM blobs WHERE ref_count <= 0'),
+
+  deleteBlob: db.prepare('DELETE FROM blobs WHERE hash = ? AND ref_count <= 0'),
+
+  insertPackageFile: db.prepare('INSERT INTO package_files (version_id, path, hash, size) VALUES (?, ?, ?, ?)'),
+
+  getPackageFiles: db.prepare('SELECT * FROM package_files WHERE version_id = ? ORDER BY path'),
+
+  deletePackageFiles: db.prepare('DELETE FROM package_files WHERE version_id = ?'),
+
+  getStorageTotals: db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM package_files) AS files,
+      (SELECT COALESCE(SUM(size), 0) FROM package_files) AS logical_bytes,
+      (SELECT COUNT(*) FROM blobs) AS blobs,
+      (SELECT COALESCE(SUM(size), 0) FROM blobs) AS stored_bytes
+  `),
+
+  getPackageStorage: db.prepare(`
+    SELECT v.package_id, COUNT(DISTINCT v.id) AS versions, COUNT(*) AS files, SUM(f.size) AS bytes,
+           SUM(CASE WHEN b.ref_count > 1 THEN f.size ELSE 0 END) AS shared_bytes
+    FROM package_files f
+    JOIN package_versions v ON v.id = f.version_id
+    JOIN blobs b ON b.hash = f.hash
+    GROUP BY v.package_id
+    ORDER BY shared_bytes DESC, v.package_id
+  `),
+
+  getUnstoredPackageVersions: db.prepare(`
+    SELECT id, package_id, file_path FROM package_versions
+    WHERE id NOT IN (SELECT DISTINCT version_id FROM package_files)
+    ORDER BY uploaded_at
+  `),
+
+  getPackagesWithoutManifestIdentifier: db.prepare(`
+    SELECT id, file_path FROM packages
+    WHERE manifest_identifier IS NULL AND format = 'scorm'
+  `),
+
+  setPackageManifestIdentifier: db.prepare('UPDATE packages SET manifest_identifier = ? WHERE id = ?'),
+
+  getPackageByManifestIdentifier: db.prepare(`
+    SELECT * FROM packages
+    WHERE manifest_identifier = ? AND format = ?
+    ORDER BY uploaded_at DESC LIMIT 1
+  `),
+
+  // Point a package at one of its versions (the packages row mirrors the current version, keeping an edited title)
+  setCurrentPackageVersion: db.prepare(`
+    UPDATE packages
+    SET title = COALESCE(json_extract(overrides, '$.title'), ?), version = ?, scorm_version = ?, identifier = ?,
+        launch_path = ?, metadata = ?, file_path = ?, file_size = ?, current_version = ?,
+        updated_at = strftime('%s', 'now')
+    WHERE id = ?
+  `),
+
+  // Package versions
+  insertPackageVersion: db.prepare(`
+    INSERT INTO package_versions (id, package_id, version_number, title, version, scorm_version, identifier,
+                                  launch_path, metadata, file_path, file_size, format, validation)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  updatePackageVersionValidation: db.prepare('UPDATE package_versions SET validation = ? WHERE id = ?'),
+
+  getPackageVersion: db.prepare('SELECT * FROM package_versions WHERE package_id = ? AND version_number = ?'),
+
+  getPackageVersions: db.prepare(`
+    SELECT v.*,
+      (SELECT COUNT(*) FROM scorm_sessions s
+       WHERE s.package_id = v.package_id AND s.package_version = v.version_number) AS session_count
+    FROM package_versions v
+    WHERE v.package_id = ?
+    ORDER BY v.version_number DESC
+  `),
+
+  getNextPackageVersionNumber: db.prepare(`
+    SELECT COALESCE(MAX(version_number), 0) + 1 AS next FROM package_versions WHERE package_id = ?
+  `),
+
   // Sessions
   insertSession: db.prepare(`
-    INSERT INTO scorm_sessions (id, package_id, user_id)
-    VALUES (?, ?, ?)
+    INSERT INTO scorm_sessions (id, package_id, user_id, item_id, package_version, organization_id, attempt)
+    VALUES (?, ?, ?, ?, COALESCE(?, (SELECT current_version FROM packages WHERE id = ?)), ?, ?)
   `),
   
+  // Sessions recorded offline keep their own id and timestamps
+  insertImportedSession: db.prepare(`
+    INSERT INTO scorm_sessions (id, package_id, user_id, item_id, package_version, started_at, last_accessed, organization_id,
+                                attempt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  setSessionLastAccessed: db.prepare('UPDATE scorm_sessions SET last_accessed = ? WHERE id = ?'),
+
   getSession: db.prepare('SELECT * FROM scorm_sessions WHERE id = ?'),
   
   updateSession: db.prepare(`
@@ -154,10 +628,69 @@ const statements = {
     WHERE id = ?
   `),
   
+  // State of the server-side SCORM API instance (runtime RPC): not initialized, running or terminated
+  updateSessionApiState: db.prepare(`
+    UPDATE scorm_sessions
+    SET last_accessed = strftime('%s', 'now'),
+        api_state = ?,
+        last_error = ?,
+        last_diagnostic = ?
+    WHERE id = ?
+  `),
+
+  // Progress reported outside the SCORM runtime (xAPI statements); never regresses completion
+  updateSessionProgress: db.prepare(`
+    UPDATE scorm_sessions
+    SET last_accessed = strftime('%s', 'now'),
+        completed = MAX(completed, ?),
+        success_status = COALESCE(?, success_status),
+        score_raw = COALESCE(?, score_raw),
+        score_min = COALESCE(?, score_min),
+        score_max = COALESCE(?, score_max),
+        session_time = COALESCE(?, session_time)
+    WHERE id = ?
+  `),
+
   getSessionsByPackage: db.prepare('SELECT * FROM scorm_sessions WHERE package_id = ?'),
+
+  // Unfinished sessions of a learner, latest first (a resumable attempt pins the package version it started on)
+  getUnfinishedSessions: db.prepare(`
+    SELECT * FROM scorm_sessions
+    WHERE package_id = ? AND user_id = ? AND completed = 0
+    ORDER BY started_at DESC, rowid DESC
+  `),
+
+  // Move learner records (suspend data, completion) onto another package version
+  migratePackageSessions: db.prepare(`
+    UPDATE scorm_sessions SET package_version = ?
+    WHERE package_id = ? AND package_version != ?
+  `),
+  
+  getSessionsByPackageItem: db.prepare('SELECT * FROM scorm_sessions WHERE package_id = ? AND item_id = ?'),
+
+  getSessionsByPackageOrganization: db.prepare('SELECT * FROM scorm_sessions WHERE package_id = ? AND organization_id = ?'),
   
   getSessionsByUser: db.prepare('SELECT * FROM scorm_sessions WHERE user_id = ?'),
 
+  // Latest session of a learner's item in an organization (the current attempt)
+  getLatestAttemptSession: db.prepare(`
+    SELECT * FROM scorm_sessions
+    WHERE package_id = ? AND user_id IS ? AND item_id IS ? AND organization_id IS ?
+    ORDER BY attempt DESC, started_at DESC, rowid DESC LIMIT 1
+  `),
+
+  getUserAttemptSessions: db.prepare(`
+    SELECT * FROM scorm_sessions
+    WHERE user_id = ?
+    ORDER BY package_id, organization_id, item_id, attempt, started_at, rowid
+  `),
+
+  getPreviousItemSession: db.prepare(`
+    SELECT * FROM scorm_sessions
+    WHERE package_id = ? AND user_id IS ? AND item_id = ? AND id != ?
+    ORDER BY started_at DESC, rowid DESC LIMIT 1
+  `),
+
   // CMI Data
   insertCmiData: db.prepare(`
     INSERT INTO cmi_data (session_id, element, value)
@@ -167,13 +700,13 @@ const statements = {
   getCmiData: db.prepare(`
     SELECT * FROM cmi_data 
     WHERE session_id = ? AND element = ?
-    ORDER BY timestamp DESC LIMIT 1
+    ORDER BY timestamp DESC, id DESC LIMIT 1
   `),
   
   getAllCmiData: db.prepare(`
     SELECT * FROM cmi_data 
     WHERE session_id = ?
-    ORDER BY timestamp ASC
+    ORDER BY timestamp ASC, id ASC
   `),
 
   // Sync Queue
@@ -201,6 +734,215 @@ const statements = {
     WHERE id = ?
   `),
 
+  // cmi5
+  getCmi5Registration: db.prepare(`
+    SELECT * FROM cmi5_registrations 
+    WHERE package_id = ? AND user_id = ?
+    ORDER BY created_at DESC LIMIT 1
+  `),
+  
+  getCmi5RegistrationById: db.prepare('SELECT * FROM cmi5_registrations WHERE registration = ?'),
+  
+  insertCmi5Registration: db.prepare(`
+    INSERT INTO cmi5_registrations (registration, package_id, user_id, actor)
+    VALUES (?, ?, ?, ?)
+  `),
+  
+  insertCmi5Launch: db.prepare(`
+    INSERT INTO cmi5_launches (session_id, registration, package_id, au_id, auth_token, launch_mode, launch_data)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  
+  getCmi5Launch: db.prepare('SELECT * FROM cmi5_launches WHERE session_id = ?'),
+  
+  getCmi5LaunchByToken: db.prepare('SELECT * FROM cmi5_launches WHERE auth_token = ?'),
+  
+  markCmi5TokenFetched: db.prepare(`
+    UPDATE cmi5_launches SET token_fetched = 1 
+    WHERE session_id = ? AND token_fetched = 0
+  `),
+
+  // TinCan
+  insertTincanLaunch: db.prepare(`
+    INSERT INTO tincan_launches (session_id, package_id, user_id, activity_id, registration, auth_token, actor)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getTincanLaunch: db.prepare('SELECT * FROM tincan_launches WHERE session_id = ?'),
+
+  getTincanLaunchByToken: db.prepare('SELECT * FROM tincan_launches WHERE auth_token = ?'),
+
+  getLatestTincanLaunch: db.prepare(`
+    SELECT * FROM tincan_launches
+    WHERE package_id = ? AND user_id = ?
+    ORDER BY created_at DESC, rowid DESC LIMIT 1
+  `),
+
+  // AICC
+  insertAiccLaunch: db.prepare(`
+    INSERT INTO aicc_launches (session_id, package_id, au_id, student_name)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  getAiccLaunch: db.prepare('SELECT * FROM aicc_launches WHERE session_id = ?'),
+
+  endAiccLaunch: db.prepare('UPDATE aicc_launches SET ended = 1 WHERE session_id = ?'),
+
+  // xAPI statements
+  insertXapiStatement: db.prepare(`
+    INSERT INTO xapi_statements (id, statement, actor_key, verb_id, activity_id, object_agent_key, registration,
+                                 related_agents, related_activities, voids, voided, session_id, stored)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getXapiStatement: db.prepare('SELECT * FROM xapi_statements WHERE id = ?'),
+
+  getXapiVoidingStatement: db.prepare('SELECT id FROM xapi_statements WHERE voids = ? LIMIT 1'),
+
+  voidXapiStatement: db.prepare('UPDATE xapi_statements SET voided = 1 WHERE id = ?'),
+
+  getLatestXapiActivityStatement: db.prepare(`
+    SELECT statement FROM xapi_statements
+    WHERE activity_id = ?
+    ORDER BY seq DESC LIMIT 1
+  `),
+
+  insertXapiAttachment: db.prepare(`
+    INSERT OR IGNORE INTO xapi_attachments (sha2, content_type, length, content)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  getXapiAttachment: db.prepare('SELECT * FROM xapi_attachments WHERE sha2 = ?'),
+
+  // xAPI documents
+  getXapiState: db.prepare(`
+    SELECT * FROM xapi_state
+    WHERE activity_id = ? AND agent_key = ? AND registration = ? AND state_id = ?
+  `),
+
+  getXapiStateIds: db.prepare(`
+    SELECT state_id AS id FROM xapi_state
+    WHERE activity_id = ? AND agent_key = ? AND registration = ? AND updated_at > ?
+    ORDER BY state_id
+  `),
+
+  saveXapiState: db.prepare(`
+    INSERT INTO xapi_state (activity_id, agent_key, registration, state_id, content, content_type, etag, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(activity_id, agent_key, registration, state_id)
+    DO UPDATE SET content = excluded.content, content_type = excluded.content_type,
+                  etag = excluded.etag, updated_at = excluded.updated_at
+  `),
+
+  deleteXapiState: db.prepare(`
+    DELETE FROM xapi_state
+    WHERE activity_id = ? AND agent_key = ? AND registration = ? AND state_id = ?
+  `),
+
+  deleteXapiStates: db.prepare(`
+    DELETE FROM xapi_state
+    WHERE activity_id = ? AND agent_key = ? AND registration = ?
+  `),
+
+  getXapiActivityProfile: db.prepare(`
+    SELECT * FROM xapi_activity_profile
+    WHERE activity_id = ? AND profile_id = ?
+  `),
+
+  getXapiActivityProfileIds: db.prepare(`
+    SELECT profile_id AS id FROM xapi_activity_profile
+    WHERE activity_id = ? AND updated_at > ?
+    ORDER BY profile_id
+  `),
+
+  saveXapiActivityProfile: db.prepare(`
+    INSERT INTO xapi_activity_profile (activity_id, profile_id, content, content_type, etag, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(activity_id, profile_id)
+    DO UPDATE SET content = excluded.content, content_type = excluded.content_type,
+                  etag = excluded.etag, updated_at = excluded.updated_at
+  `),
+
+  deleteXapiActivityProfile: db.prepare(`
+    DELETE FROM xapi_activity_profile
+    WHERE activity_id = ? AND profile_id = ?
+  `),
+
+  getXapiAgentProfile: db.prepare(`
+    SELECT * FROM xapi_agent_profile
+    WHERE agent_key = ? AND profile_id = ?
+  `),
+
+  getXapiAgentProfileIds: db.prepare(`
+    SELECT profile_id AS id FROM xapi_agent_profile
+    WHERE agent_key = ? AND updated_at > ?
+    ORDER BY profile_id
+  `),
+
+  saveXapiAgentProfile: db.prepare(`
+    INSERT INTO xapi_agent_profile (agent_key, profile_id, content, content_type, etag, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(agent_key, profile_id)
+    DO UPDATE SET content = excluded.content, content_type = excluded.content_type,
+                  etag = excluded.etag, updated_at = excluded.updated_at
+  `),
+
+  deleteXapiAgentProfile: db.prepare(`
+    DELETE FROM xapi_agent_profile
+    WHERE agent_key = ? AND profile_id = ?
+  `),
+
+  // Sequencing
+  getSequencingState: db.prepare(`
+    SELECT * FROM sequencing_state 
+    WHERE package_id = ? AND user_id = ? AND organization_id = ?
+  `),
+  
+  saveSequencingState: db.prepare(`
+    INSERT INTO sequencing_state (package_id, user_id, organization_id, state)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(package_id, user_id, organization_id) 
+    DO UPDATE SET state = excluded.state, updated_at = strftime('%s', 'now')
+  `),
+
+  // Organization assignments
+  getOrganizationAssignment: db.prepare(`
+    SELECT * FROM organization_assignments
+    WHERE package_id = ? AND user_id = ?
+  `),
+
+  getOrganizationAssignments: db.prepare(`
+    SELECT * FROM organization_assignments
+    WHERE package_id = ?
+    ORDER BY user_id
+  `),
+
+  saveOrganizationAssignment: db.prepare(`
+    INSERT INTO organization_assignments (package_id, user_id, organization_id)
+    VALUES (?, ?, ?)
+    ON CONFLICT(package_id, user_id)
+    DO UPDATE SET organization_id = excluded.organization_id, assigned_at = strftime('%s', 'now')
+  `),
+
+  deleteOrganizationAssignment: db.prepare(`
+    DELETE FROM organization_assignments
+    WHERE package_id = ? AND user_id = ?
+  `),
+  
+  getGlobalObjective: db.prepare(`
+    SELECT * FROM global_objectives 
+    WHERE user_id = ? AND objective_id = ?
+  `),
+  
+  saveGlobalObjective: db.prepare(`
+    INSERT INTO global_objectives (user_id, objective_id, satisfied_status, normalized_measure)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id, objective_id) 
+    DO UPDATE SET satisfied_status = excluded.satisfied_status, 
+                  normalized_measure = excluded.normalized_measure,
+                  updated_at = strftime('%s', 'now')
+  `),
+
   // Interactions
   insertInteraction: db.prepare(`
     INSERT INTO interactions (session_id, interaction_id, type, timestamp, correct_responses, learner_response, result, latency, description)
@@ -0,0 +1,15 @@
+import express from 'express';
+import aiccController from '../controllers/aicc.controller.js';
+
+const router = express.Router();
+
+// HACP commands are form posts; GET is accepted for AUs that send query strings
+router.post('/hacp', (req, res) => 
+  aiccController.hacp(req, res)
+);
+
+router.get('/hacp', (req, res) => 
+  aiccController.hacp(req, res)
+);
+
+export default router;
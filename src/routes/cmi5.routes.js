@@ -0,0 +1,15 @@
+import express from 'express';
+import cmi5Controller from '../controllers/cmi5.controller.js';
+
+const router = express.Router();
+
+// AU fetch URL (auth token handshake)
+router.post('/fetch/:sessionId', (req, res) => 
+  cmi5Controller.fetchAuthToken(req, res)
+);
+
+router.get('/launches/:sessionId', (req, res) => 
+  cmi5Controller.getLaunch(req, res)
+);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import packageController from '../controllers/package.controller.js';
+import contentController from '../controllers/content.controller.js';
+
+// Routes of the isolated content origin (package content and the SCORM API bridge only)
+const router = express.Router();
+
+router.get('/scorm-bridge/:file', (req, res) => 
+  contentController.serveBridgeFile(req, res)
+);
+
+router.get('/api/packages/:packageId/versions/:version/content/*', (req, res) => 
+  packageController.sendContent(req, res)
+);
+
+router.get('/api/packages/:packageId/content/*', (req, res) => 
+  packageController.sendContent(req, res)
+);
+
+export default router;
@@ -41,10 +41,30 @@ router.get('/', (req, res) =>
   packageController.getAllPackages(req, res)
 );
 
+router.get('/search/content', (req, res) => 
+  packageController.searchContent(req, res)
+);
+
+router.get('/storage/report', (req, res) => 
+  packageController.getStorageReport(req, res)
+);
+
+router.post('/storage/deduplicate', (req, res) => 
+  packageController.deduplicateStorage(req, res)
+);
+
 router.get('/:packageId', (req, res) => 
   packageController.getPackage(req, res)
 );
 
+router.patch('/:packageId', (req, res) => 
+  packageController.updatePackage(req, res)
+);
+
+router.post('/:packageId/details/restore', (req, res) => 
+  packageController.restorePackageDetails(req, res)
+);
+
 router.delete('/:packageId', (req, res) => 
   packageController.deletePackage(req, res)
 );
@@ -53,11 +73,51 @@ router.get('/:packageId/launch', (req, res) =>
   packageController.getLaunchUrl(req, res)
 );
 
+router.get('/:packageId/structure', (req, res) => 
+  packageController.getStructure(req, res)
+);
+
+router.get('/:packageId/organizations', (req, res) => 
+  packageController.getOrganizations(req, res)
+);
+
+router.get('/:packageId/organizations/assignments', (req, res) => 
+  packageController.getOrganizationAssignments(req, res)
+);
+
+router.put('/:packageId/organizations/assignments/:userId', (req, res) => 
+  packageController.assignOrganization(req, res)
+);
+
+router.delete('/:packageId/organizations/assignments/:userId', (req, res) => 
+  packageController.unassignOrganization(req, res)
+);
+
+router.get('/:packageId/items/:itemId/launch', (req, res) => 
+  packageController.getItemLaunchUrl(req, res)
+);
+
 router.get('/:packageId/download', (req, res) => 
   packageController.downloadPackage(req, res)
 );
 
-// Serve package content (wildcard route - must be last)
+router.get('/:packageId/validation', (req, res) => 
+  packageController.getValidation(req, res)
+);
+
+router.get('/:packageId/versions', (req, res) => 
+  packageController.getVersions(req, res)
+);
+
+router.post('/:packageId/versions/:version/rollback', (req, res) => 
+  packageController.rollbackVersion(req, res)
+);
+
+// Serve package content (wildcard routes - must be last)
+router.get('/:packageId/versions/:version/content/*', (req, res) => 
+  packageController.serveContent(req, res)
+);
+
 router.get('/:packageId/content/*', (req, res) => 
   packageController.serveContent(req, res)
 );
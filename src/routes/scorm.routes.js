@@ -25,6 +25,24 @@ router.post('/:packageId/set/:element(*)', (req, res) =>
   scormController.setValue(req, res)
 );
 
+// Batched SCORM API calls
+router.post('/:packageId/rpc', (req, res) => 
+  scormController.runApiCalls(req, res)
+);
+
+// Sequencing and navigation
+router.post('/:packageId/navigate', (req, res) => 
+  scormController.navigate(req, res)
+);
+
+router.get('/:packageId/nav/request_valid', (req, res) => 
+  scormController.getNavigationValidity(req, res)
+);
+
+router.get('/:packageId/sequencing', (req, res) => 
+  scormController.getSequencingStatus(req, res)
+);
+
 // Session queries
 router.get('/session/:sessionId', (req, res) => 
   scormController.getSession(req, res)
@@ -38,4 +56,8 @@ router.get('/user/:userId/sessions', (req, res) =>
   scormController.getUserSessions(req, res)
 );
 
+router.get('/user/:userId/attempts', (req, res) => 
+  scormController.getUserAttempts(req, res)
+);
+
 export default router;
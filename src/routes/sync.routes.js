@@ -1,13 +1,26 @@
 import express from 'express';
+import multer from 'multer';
 import syncController from '../controllers/sync.controller.js';
 
 const router = express.Router();
 
+// Progress files are small JSON documents, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024,
+  },
+});
+
 // Sync operations
 router.post('/upload', (req, res) => 
   syncController.uploadOfflineData(req, res)
 );
 
+router.post('/import-file', upload.single('file'), (req, res) => 
+  syncController.importProgressFile(req, res)
+);
+
 router.get('/status', (req, res) => 
   syncController.getSyncStatus(req, res)
 );
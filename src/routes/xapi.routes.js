@@ -0,0 +1,94 @@
+import express from 'express';
+import xapiController from '../controllers/xapi.controller.js';
+
+const router = express.Router();
+
+// Documents may be any content type, so bodies are kept raw
+router.use(express.raw({ type: () => true, limit: '50mb' }));
+
+router.use((req, res, next) =>
+  xapiController.checkVersion(req, res, next)
+);
+
+router.get('/about', (req, res) =>
+  xapiController.about(req, res)
+);
+
+router.use((req, res, next) =>
+  xapiController.authenticate(req, res, next)
+);
+
+// Statements
+router.get('/statements', (req, res) =>
+  xapiController.getStatements(req, res)
+);
+
+router.put('/statements', (req, res) =>
+  xapiController.putStatement(req, res)
+);
+
+router.post('/statements', (req, res) =>
+  xapiController.postStatements(req, res)
+);
+
+// State
+router.get('/activities/state', (req, res) =>
+  xapiController.getDocument(req, res, 'state')
+);
+
+router.put('/activities/state', (req, res) =>
+  xapiController.saveDocument(req, res, 'state')
+);
+
+router.post('/activities/state', (req, res) =>
+  xapiController.saveDocument(req, res, 'state', true)
+);
+
+router.delete('/activities/state', (req, res) =>
+  xapiController.deleteDocument(req, res, 'state')
+);
+
+// Activity profile
+router.get('/activities/profile', (req, res) =>
+  xapiController.getDocument(req, res, 'activityProfile')
+);
+
+router.put('/activities/profile', (req, res) =>
+  xapiController.saveDocument(req, res, 'activityProfile')
+);
+
+router.post('/activities/profile', (req, res) =>
+  xapiController.saveDocument(req, res, 'activityProfile', true)
+);
+
+router.delete('/activities/profile', (req, res) =>
+  xapiController.deleteDocument(req, res, 'activityProfile')
+);
+
+// Agent profile
+router.get('/agents/profile', (req, res) =>
+  xapiController.getDocument(req, res, 'agentProfile')
+);
+
+router.put('/agents/profile', (req, res) =>
+  xapiController.saveDocument(req, res, 'agentProfile')
+);
+
+router.post('/agents/profile', (req, res) =>
+  xapiController.saveDocument(req, res, 'agentProfile', true)
+);
+
+router.delete('/agents/profile', (req, res) =>
+  xapiController.deleteDocument(req, res, 'agentProfile')
+);
+
+// Activities and agents
+router.get('/activities', (req, res) =>
+  xapiController.getActivity(req, res)
+);
+
+router.get('/agents', (req, res) =>
+  xapiController.getAgent(req, res)
+);
+
+export default router;
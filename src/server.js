@@ -6,13 +6,21 @@ import config from './config/config.js';
 import packageRoutes from './routes/package.routes.js';
 import scormRoutes from './routes/scorm.routes.js';
 import syncRoutes from './routes/sync.routes.js';
+import cmi5Routes from './routes/cmi5.routes.js';
+import aiccRoutes from './routes/aicc.routes.js';
+import xapiRoutes from './routes/xapi.routes.js';
+import contentRoutes from './routes/content.routes.js';
+import contentController from './controllers/content.controller.js';
 import { 
   errorHandler, 
   notFoundHandler, 
   requestLogger 
 } from './middleware/error-handler.js';
+import { contentSecurityHeaders } from './middleware/content-security.js';
 import { ensureDir } from './utils/file-system.js';
 import offlineSyncService from './services/offline-sync.js';
+import packageHandler from './services/package-handler.js';
+import { isContentIsolated, getContentBaseUrl } from './utils/content-origin.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,6 +34,12 @@ async function initializeServer() {
   await ensureDir(config.paths.database);
   
   console.log('Storage directories initialized');
+
+  // Packages uploaded before versioning need their manifest identifier to receive new versions
+  const backfilled = await packageHandler.backfillManifestIdentifiers();
+  if (backfilled > 0) {
+    console.log(`Manifest identifiers read for ${backfilled} package(s)`);
+  }
   
   // Start auto-sync service
   offlineSyncService.startAutoSync(60000); // Sync every minute
@@ -34,17 +48,26 @@ async function initializeServer() {
 
 // Middleware
 app.use(cors(config.cors));
+app.use(requestLogger);
+
+// Embedded xAPI LRS (parses its own raw bodies, so it is mounted before the JSON parser)
+app.use('/xapi', xapiRoutes);
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-app.use(requestLogger);
 
 // Serve static files (for PWA and player)
 app.use(express.static(path.join(__dirname, '../public')));
 
+// scorm-again runtime of the installed (pinned) version for the player pages
+app.get('/vendor/scorm-again/:file', (req, res) => contentController.serveRuntimeFile(req, res));
+
 // API Routes
 app.use('/api/packages', packageRoutes);
 app.use('/api/scorm', scormRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/cmi5', cmi5Routes);
+app.use('/api/aicc', aiccRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -61,15 +84,31 @@ app.get('/api', (req, res) => {
     success: true,
     name: 'Offline SCORM Player API',
     version: '1.0.0',
+    contentOrigin: isContentIsolated() ? getContentBaseUrl() : null,
     endpoints: {
       packages: {
         upload: 'POST /api/packages/upload',
         list: 'GET /api/packages',
+        searchContent: 'GET /api/packages/search/content?q=',
+        storageReport: 'GET /api/packages/storage/report',
+        deduplicateStorage: 'POST /api/packages/storage/deduplicate',
         get: 'GET /api/packages/:id',
+        update: 'PATCH /api/packages/:id',
+        restoreDetails: 'POST /api/packages/:id/details/restore',
         delete: 'DELETE /api/packages/:id',
         launch: 'GET /api/packages/:id/launch',
+        structure: 'GET /api/packages/:id/structure',
+        itemLaunch: 'GET /api/packages/:id/items/:itemId/launch',
+        organizations: 'GET /api/packages/:id/organizations',
+        organizationAssignments: 'GET /api/packages/:id/organizations/assignments',
+        assignOrganization: 'PUT /api/packages/:id/organizations/assignments/:userId',
+        unassignOrganization: 'DELETE /api/packages/:id/organizations/assignments/:userId',
         download: 'GET /api/packages/:id/download',
         content: 'GET /api/packages/:id/content/*',
+        validation: 'GET /api/packages/:id/validation',
+        versions: 'GET /api/packages/:id/versions',
+        rollback: 'POST /api/packages/:id/versions/:version/rollback',
+        versionContent: 'GET /api/packages/:id/versions/:version/content/*',
       },
       scorm: {
         initialize: 'POST /api/scorm/:packageId/initialize',
@@ -77,17 +116,39 @@ app.get('/api', (req, res) => {
         terminate: 'POST /api/scorm/:packageId/terminate',
         getValue: 'GET /api/scorm/:packageId/get/:element',
         setValue: 'POST /api/scorm/:packageId/set/:element',
+        rpc: 'POST /api/scorm/:packageId/rpc',
+        navigate: 'POST /api/scorm/:packageId/navigate',
+        sequencing: 'GET /api/scorm/:packageId/sequencing',
+        requestValid: 'GET /api/scorm/:packageId/nav/request_valid',
         getSession: 'GET /api/scorm/session/:sessionId',
         packageSessions: 'GET /api/scorm/package/:packageId/sessions',
         userSessions: 'GET /api/scorm/user/:userId/sessions',
+        userAttempts: 'GET /api/scorm/user/:userId/attempts',
       },
       sync: {
         upload: 'POST /api/sync/upload',
+        importFile: 'POST /api/sync/import-file',
         status: 'GET /api/sync/status',
         trigger: 'POST /api/sync/trigger',
         startAutoSync: 'POST /api/sync/auto-sync/start',
         stopAutoSync: 'POST /api/sync/auto-sync/stop',
       },
+      cmi5: {
+        fetch: 'POST /api/cmi5/fetch/:sessionId',
+        launch: 'GET /api/cmi5/launches/:sessionId',
+      },
+      aicc: {
+        hacp: 'POST /api/aicc/hacp',
+      },
+      xapi: {
+        about: 'GET /xapi/about',
+        statements: 'GET|PUT|POST /xapi/statements',
+        state: 'GET|PUT|POST|DELETE /xapi/activities/state',
+        activityProfile: 'GET|PUT|POST|DELETE /xapi/activities/profile',
+        agentProfile: 'GET|PUT|POST|DELETE /xapi/agents/profile',
+        activities: 'GET /xapi/activities',
+        agents: 'GET /xapi/agents',
+      },
     },
   });
 });
@@ -96,6 +157,15 @@ app.get('/api', (req, res) => {
 app.use(notFoundHandler);
 app.use(errorHandler);
 
+// Isolated content origin: serves nothing but package content and the SCORM API bridge
+const contentApp = express();
+contentApp.disable('x-powered-by');
+contentApp.use(requestLogger);
+contentApp.use(contentSecurityHeaders);
+contentApp.use(contentRoutes);
+contentApp.use(notFoundHandler);
+contentApp.use(errorHandler);
+
 // Start server
 async function startServer() {
   try {
@@ -115,6 +185,12 @@ async function startServer() {
 ╚════════════════════════════════════════════════════════════╝
       `);
     });
+
+    if (isContentIsolated()) {
+      contentApp.listen(config.content.port, config.content.host, () => {
+        console.log(`Package content served from ${getContentBaseUrl()}`);
+      });
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
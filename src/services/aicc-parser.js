@@ -0,0 +1,346 @@
+import fs from 'fs';
+import { promisify } from 'util';
+import path from 'path';
+import { findFileByExtension } from '../utils/file-system.js';
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+
+// Sections holding free-form text rather than key=value pairs
+const TEXT_SECTIONS = ['course_description', 'core_lesson', 'core_vendor', 'comments'];
+
+/**
+ * Parse AICC course structure files (.crs, .au, .des, .cst)
+ */
+export class AiccParser {
+  /**
+   * Find and parse the AICC descriptor files of an extracted package
+   */
+  async parseCourse(packagePath) {
+    try {
+      const crsPath = await findFileByExtension(packagePath, '.crs');
+
+      if (!crsPath) {
+        throw new Error('.crs file not found in package');
+      }
+
+      const dir = path.dirname(crsPath);
+      const files = await this.findDescriptorFiles(dir, path.basename(crsPath, path.extname(crsPath)));
+
+      if (!files.au) {
+        throw new Error('.au file not found next to the .crs file');
+      }
+
+      const baseDir = path.relative(packagePath, dir).split(path.sep).join('/');
+
+      return this.extractCourseData({
+        crs: await readFile(crsPath, 'utf8'),
+        au: await readFile(files.au, 'utf8'),
+        des: files.des ? await readFile(files.des, 'utf8') : '',
+        cst: files.cst ? await readFile(files.cst, 'utf8') : '',
+      }, baseDir);
+    } catch (error) {
+      console.error('AICC parsing error:', error);
+      throw new Error(`Failed to parse AICC course: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the .au, .des and .cst files belonging to a course (same base name preferred)
+   */
+  async findDescriptorFiles(dir, baseName) {
+    const entries = await readdir(dir);
+    const files = {};
+
+    for (const extension of ['au', 'des', 'cst']) {
+      const matches = entries.filter(entry => path.extname(entry).toLowerCase() === `.${extension}`);
+      const preferred = matches.find(entry =>
+        path.basename(entry, path.extname(entry)).toLowerCase() === baseName.toLowerCase());
+
+      if (preferred || matches[0]) {
+        files[extension] = path.join(dir, preferred || matches[0]);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Build course data in the same shape as SCORM manifest data
+   */
+  extractCourseData({ crs, au, des, cst }, baseDir = '') {
+    const course = this.parseIni(crs);
+    const courseInfo = course.course || {};
+    const courseId = courseInfo.course_id;
+
+    if (!courseId) {
+      throw new Error('.crs file has no Course_ID');
+    }
+
+    const descriptions = new Map(
+      this.parseCsv(des).map(row => [row.system_id?.toLowerCase(), row])
+    );
+
+    const resources = [];
+    const aus = new Map();
+
+    for (const row of this.parseCsv(au)) {
+      if (!row.system_id || !row.file_name) {
+        continue;
+      }
+
+      const id = row.system_id;
+      const description = descriptions.get(id.toLowerCase());
+      const isAbsolute = /^[a-z][a-z0-9+.-]*:/i.test(row.file_name);
+      const resourceId = `${id}#resource`;
+
+      resources.push({
+        identifier: resourceId,
+        type: 'aicc',
+        href: isAbsolute || !baseDir ? row.file_name : `${baseDir}/${row.file_name}`,
+        scormType: 'sco',
+        external: isAbsolute,
+        files: [],
+        dependencies: [],
+      });
+
+      aus.set(id.toLowerCase(), {
+        identifier: id,
+        identifierref: resourceId,
+        title: description?.title || id,
+        description: description?.description || '',
+        isvisible: true,
+        parameters: row.web_launch || null,
+        sequencing: null,
+        aicc: {
+          systemId: id,
+          type: row.type || null,
+          commandLine: row.command_line || null,
+          coreVendor: row.core_vendor || null,
+          masteryScore: this.toNumber(row.mastery_score),
+          maxScore: this.toNumber(row.max_score),
+          maxTimeAllowed: row.max_time_allowed || null,
+          timeLimitAction: row.time_limit_action || null,
+          password: row.au_password || null,
+        },
+        children: [],
+      });
+    }
+
+    if (aus.size === 0) {
+      throw new Error('.au file does not contain any assignable units');
+    }
+
+    const title = courseInfo.course_title || courseId;
+    const items = this.buildItems(cst, aus, descriptions);
+    const first = items.length > 0 ? this.findFirstAu(items) : null;
+
+    return {
+      format: 'aicc',
+      version: 'AICC',
+      title,
+      identifier: courseId,
+      manifestIdentifier: courseId,
+      metadata: {
+        schema: 'AICC',
+        schemaVersion: courseInfo.version || null,
+        general: {
+          title,
+          description: course.course_description?._text || '',
+          creator: courseInfo.course_creator || null,
+        },
+      },
+      organizations: [{
+        identifier: courseId,
+        title,
+        structure: 'aicc',
+        sequencing: null,
+        items,
+      }],
+      resources,
+      sequencing: null,
+      launchData: first ? {
+        identifier: first.identifier,
+        resource: first.identifierref,
+        launchUrl: resources.find(r => r.identifier === first.identifierref).href,
+        parameters: first.parameters,
+        scormType: 'sco',
+      } : null,
+    };
+  }
+
+  /**
+   * Build the item tree from the course structure table (all AUs at the top level without one)
+   */
+  buildItems(cst, aus, descriptions) {
+    const rows = this.parseCsvRows(cst);
+
+    if (rows.length < 2) {
+      return [...aus.values()];
+    }
+
+    // Rows are "block", "member", "member", ...
+    const blocks = new Map();
+    for (const [block, ...members] of rows.slice(1)) {
+      if (block) {
+        blocks.set(block.toLowerCase(), members.filter(Boolean));
+      }
+    }
+
+    const build = (id, seen) => {
+      const key = id.toLowerCase();
+
+      if (aus.has(key)) {
+        return aus.get(key);
+      }
+
+      if (!blocks.has(key) || seen.has(key)) {
+        return null;
+      }
+
+      const description = descriptions.get(key);
+      return {
+        identifier: id,
+        identifierref: null,
+        title: description?.title || id,
+        description: description?.description || '',
+        isvisible: true,
+        parameters: null,
+        sequencing: null,
+        children: blocks.get(key)
+          .map(member => build(member, new Set([...seen, key])))
+          .filter(Boolean),
+      };
+    };
+
+    const root = blocks.get('root');
+    if (!root) {
+      return [...aus.values()];
+    }
+
+    return root.map(member => build(member, new Set(['root']))).filter(Boolean);
+  }
+
+  /**
+   * Find the first AU in document order
+   */
+  findFirstAu(items) {
+    for (const item of items) {
+      if (item.aicc) return item;
+
+      const au = this.findFirstAu(item.children || []);
+      if (au) return au;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse an INI-style AICC file into lower-cased sections and keys
+   * Free-form sections keep their text under "_text"
+   */
+  parseIni(content) {
+    const sections = {};
+    let current = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+
+      if (!line || line.startsWith(';')) {
+        continue;
+      }
+
+      const header = /^\[(.+)\]$/.exec(line);
+      if (header) {
+        current = header[1].trim().toLowerCase();
+        sections[current] = sections[current] || { _text: '' };
+        continue;
+      }
+
+      if (!current) {
+        continue;
+      }
+
+      const separator = line.indexOf('=');
+      if (separator > 0 && !TEXT_SECTIONS.includes(current)) {
+        sections[current][line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      } else {
+        sections[current]._text += (sections[current]._text ? '\n' : '') + line;
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Parse a CSV AICC file into objects keyed by lower-cased header names
+   */
+  parseCsv(content) {
+    const [header, ...rows] = this.parseCsvRows(content);
+
+    if (!header) {
+      return [];
+    }
+
+    const keys = header.map(name => name.trim().toLowerCase());
+
+    return rows.map(row => Object.fromEntries(
+      keys.map((key, index) => [key, (row[index] ?? '').trim()])
+    ));
+  }
+
+  /**
+   * Parse CSV rows (quoted fields may contain commas, quotes and line breaks)
+   */
+  parseCsvRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < (content || '').length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+
+    return rows;
+  }
+
+  /**
+   * Helper: Parse an optional number
+   */
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  }
+}
+
+export default new AiccParser();
@@ -0,0 +1,296 @@
+import { statements } from '../models/database.js';
+import scormApiService from './scorm-api.js';
+import packageHandler from './package-handler.js';
+import aiccParser from './aicc-parser.js';
+
+const HACP_VERSION = '2.2';
+
+const HACP_ERRORS = {
+  0: 'Successful',
+  1: 'Invalid Command',
+  2: 'Invalid AU password',
+  3: 'Invalid Session ID',
+};
+
+// Lesson_Status values may be abbreviated to their first letter
+const LESSON_STATUSES = {
+  p: 'passed',
+  c: 'completed',
+  f: 'failed',
+  i: 'incomplete',
+  b: 'browsed',
+  n: 'not attempted',
+};
+
+const EXIT_FLAGS = {
+  l: 'logout',
+  s: 'suspend',
+  t: 'time-out',
+};
+
+const INTERACTION_TYPES = {
+  c: 'choice',
+  f: 'fill-in',
+  l: 'likert',
+  m: 'matching',
+  n: 'numeric',
+  p: 'performance',
+  s: 'sequencing',
+  t: 'true-false',
+};
+
+const INTERACTION_RESULTS = {
+  c: 'correct',
+  w: 'wrong',
+  u: 'unanticipated',
+  n: 'neutral',
+};
+
+/**
+ * AICC Service
+ * Launches AICC AUs and implements the HACP commands on top of SCORM sessions and CMI data
+ */
+export class AiccService {
+  /**
+   * Create a HACP session for an AU and build its launch URL
+   */
+  createLaunch(pkg, item, { baseUrl, userId = null, name = null }) {
+    if (!item.aicc) {
+      throw new Error('Item is not an AICC AU');
+    }
+
+    const { sessionId } = scormApiService.initializeSession(pkg.id, userId, item.identifier, pkg.package_version);
+    statements.insertAiccLaunch.run(sessionId, pkg.id, item.identifier, name || userId);
+
+    const url = /^[a-z][a-z0-9+.-]*:/i.test(item.launchUrl)
+      ? item.launchUrl
+      : packageHandler.getContentUrl(pkg, baseUrl, item.launchUrl);
+
+    const params = new URLSearchParams({
+      aicc_sid: sessionId,
+      aicc_url: `${baseUrl}/api/aicc/hacp`,
+    });
+
+    return {
+      sessionId,
+      launchUrl: `${url}${url.includes('?') ? '&' : '?'}${params.toString()}`,
+    };
+  }
+
+  /**
+   * Handle a HACP request (form fields are case-insensitive)
+   */
+  handleRequest(fields) {
+    const request = Object.fromEntries(
+      Object.entries(fields || {}).map(([key, value]) => [key.toLowerCase(), value])
+    );
+
+    const command = String(request.command || '').toLowerCase();
+    const sessionId = request.session_id;
+    const aiccData = request.aicc_data || '';
+
+    if (!['getparam', 'putparam', 'putinteractions', 'exitau'].includes(command)) {
+      return this.response(1);
+    }
+
+    const launch = sessionId ? statements.getAiccLaunch.get(sessionId) : null;
+    const session = launch ? scormApiService.getSession(sessionId) : null;
+
+    if (!launch || !session || launch.ended) {
+      return this.response(3);
+    }
+
+    switch (command) {
+      case 'getparam':
+        return this.response(0, this.getParam(launch, session));
+      case 'putparam':
+        this.putParam(session, aiccData);
+        return this.response(0);
+      case 'putinteractions':
+        this.putInteractions(session, aiccData);
+        return this.response(0);
+      default:
+        scormApiService.terminateSession(sessionId);
+        statements.endAiccLaunch.run(sessionId);
+        return this.response(0);
+    }
+  }
+
+  /**
+   * Build the GetParam aicc_data from this session (or the previous attempt when resuming)
+   */
+  getParam(launch, session) {
+    const previous = statements.getPreviousItemSession.get(
+      session.package_id, session.user_id, session.item_id, session.id
+    );
+
+    let core = this.getCore(session.id);
+    let entry = 'ab-initio';
+
+    if (!core.lesson_status && previous) {
+      const previousCore = this.getCore(previous.id);
+
+      if (previousCore.exit === 'suspend') {
+        core = previousCore;
+        entry = 'resume';
+      } else {
+        core = { lesson_status: previousCore.lesson_status, score: previousCore.score };
+      }
+      core.total_time = previous.total_time || previousCore.total_time;
+    }
+
+    const item = this.getItem(session);
+    const masteryScore = this.getPackage(session)?.overrides.masteryScore ?? item?.aicc?.masteryScore;
+    const score = core.score || {};
+
+    return [
+      '[Core]',
+      `Student_ID=${session.user_id || ''}`,
+      `Student_Name=${launch.student_name || session.user_id || ''}`,
+      `Lesson_Location=${core.lesson_location || ''}`,
+      'Credit=credit',
+      `Lesson_Status=${core.lesson_status || 'not attempted'},${entry}`,
+      `Score=${[score.raw, score.max, score.min].filter(value => value !== undefined && value !== '').join(',')}`,
+      `Time=${core.total_time || '00:00:00'}`,
+      'Lesson_Mode=normal',
+      '[Core_Lesson]',
+      core.suspend_data || '',
+      '[Core_Vendor]',
+      item?.aicc?.coreVendor || '',
+      '[Student_Data]',
+      `Mastery_Score=${masteryScore ?? ''}`,
+      `Max_Time_Allowed=${item?.aicc?.maxTimeAllowed || ''}`,
+      `Time_Limit_Action=${item?.aicc?.timeLimitAction || ''}`,
+    ].join('\r\n');
+  }
+
+  /**
+   * Store PutParam data as SCORM 1.2 CMI data
+   */
+  putParam(session, aiccData) {
+    const sections = aiccParser.parseIni(aiccData);
+    const core = sections.core || {};
+    const [status, flag] = (core.lesson_status || '').split(',').map(value => value.trim().toLowerCase());
+    const [raw, max, min] = (core.score || '').split(',').map(value => value.trim());
+
+    const previous = statements.getPreviousItemSession.get(
+      session.package_id, session.user_id, session.item_id, session.id
+    );
+
+    const cmiCore = this.compact({
+      lesson_location: core.lesson_location,
+      lesson_status: status ? LESSON_STATUSES[status[0]] : undefined,
+      exit: flag ? EXIT_FLAGS[flag[0]] : undefined,
+      session_time: core.time,
+      score: raw ? this.compact({ raw, max, min }) : undefined,
+    });
+
+    const objectives = [];
+    const objectiveData = sections.objectives_status || {};
+    for (const key of Object.keys(objectiveData)) {
+      const match = /^j_id\.(\d+)$/.exec(key);
+      if (!match) continue;
+
+      objectives.push(this.compact({
+        id: objectiveData[key],
+        score: objectiveData[`j_score.${match[1]}`]
+          ? { raw: objectiveData[`j_score.${match[1]}`] }
+          : undefined,
+        status: objectiveData[`j_status.${match[1]}`]
+          ? LESSON_STATUSES[objectiveData[`j_status.${match[1]}`].toLowerCase()[0]]
+          : undefined,
+      }));
+    }
+
+    const cmi = this.compact({
+      core: cmiCore,
+      suspend_data: sections.core_lesson?._text,
+      objectives: objectives.length > 0 ? objectives : undefined,
+    });
+
+    // The total time before this session is kept by the LMS; the commit adds the session time to it
+    scormApiService.storeCmiData(session.id, { core: { total_time: previous?.total_time || '0000:00:00' } });
+    scormApiService.commitSession(session.id, { cmi });
+  }
+
+  /**
+   * Store PutInteractions CSV rows as interactions
+   */
+  putInteractions(session, aiccData) {
+    const interactions = aiccParser.parseCsv(aiccData)
+      .filter(row => row.interaction_id)
+      .map(row => {
+        const type = (row.type_interaction || '').toLowerCase();
+        const result = (row.result || '').toLowerCase();
+
+        return {
+          id: row.interaction_id,
+          type: INTERACTION_TYPES[type[0]] || type || null,
+          timestamp: row.date && row.time ? `${row.date.replace(/\//g, '-')}T${row.time}` : null,
+          correct_responses: row.correct_response ? [{ pattern: row.correct_response }] : null,
+          learner_response: row.student_response || null,
+          result: INTERACTION_RESULTS[result] || row.result || null,
+          latency: row.latency || null,
+          description: row.objective_id ? `Objective ${row.objective_id}` : null,
+        };
+      });
+
+    scormApiService.storeInteractions(session.id, interactions);
+  }
+
+  /**
+   * Read the SCORM 1.2 core values stored for a session
+   */
+  getCore(sessionId) {
+    const cmi = scormApiService.getCmiData(sessionId).cmi || {};
+
+    return {
+      ...(cmi.core || {}),
+      suspend_data: cmi.suspend_data,
+    };
+  }
+
+  /**
+   * Get the package version a session was launched from
+   */
+  getPackage(session) {
+    return packageHandler.getPackage(session.package_id, session.package_version);
+  }
+
+  /**
+   * Find the AU item of a session in the package version it was launched from
+   */
+  getItem(session) {
+    if (!this.getPackage(session)) return null;
+
+    return packageHandler.getPackageItem(session.package_id, session.item_id, session.package_version);
+  }
+
+  /**
+   * Build a HACP response body
+   */
+  response(error, aiccData = null) {
+    const lines = [
+      `error=${error}`,
+      `error_text=${HACP_ERRORS[error]}`,
+      `version=${HACP_VERSION}`,
+    ];
+
+    if (aiccData !== null) {
+      lines.push(`aicc_data=${aiccData}`);
+    }
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Helper: Remove undefined and empty values
+   */
+  compact(object) {
+    return Object.fromEntries(
+      Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+}
+
+export default new AiccService();
@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import config from '../config/config.js';
+import { db, statements } from '../models/database.js';
+import { ensureDir, listFiles } from '../utils/file-system.js';
+import { isCompressible } from '../utils/mime-types.js';
+
+const copyFile = promisify(fs.copyFile);
+const link = promisify(fs.link);
+const rename = promisify(fs.rename);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+
+// Errors of file systems that cannot hardlink between these paths (other device, no hardlink support)
+const LINK_UNSUPPORTED = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK'];
+
+// Smaller files gain too little from compression to be worth a variant
+const MIN_COMPRESS_SIZE = 1024;
+
+// Precompressed variants kept next to text blobs, by content encoding
+const ENCODINGS = {
+  br: {
+    extension: '.br',
+    // Quality 9 gets close to the maximum ratio in a fraction of the time quality 11 takes on large frameworks
+    createStream: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } }),
+  },
+  gzip: {
+    extension: '.gz',
+    createStream: () => zlib.createGzip({ level: 9 }),
+  },
+};
+
+/**
+ * Blob Store
+ * Keeps one hash-named copy of every distinct file and hardlinks it into the package directories using it,
+ * so package directories stay plain file trees for parsing, validation, bundles and content serving
+ */
+export class BlobStore {
+  /**
+   * Move the files of an extracted package version into the store
+   * Files whose content is already stored are replaced by a link to the existing blob
+   */
+  async storeDirectory(versionId, directory) {
+    const files = [];
+    const created = [];
+    let dedupedFiles = 0;
+    let dedupedBytes = 0;
+
+    try {
+      for (const file of (await listFiles(directory)).sort()) {
+        const filePath = path.join(directory, file);
+        const { size } = await stat(filePath);
+        const hash = await this.hashFile(filePath);
+        const result = await this.linkBlob(hash, filePath);
+
+        if (result.created) {
+          created.push(hash);
+          if (isCompressible(file) && size >= MIN_COMPRESS_SIZE) {
+            await this.compressBlob(hash, size);
+          }
+        } else if (result.deduped) {
+          dedupedFiles++;
+          dedupedBytes += size;
+        }
+
+        files.push({ file, hash, size });
+      }
+    } catch (error) {
+      // Blobs this version created have no references yet: nothing else would ever delete them
+      await this.deleteBlobFiles(created.filter(hash => !statements.getBlob.get(hash)));
+      throw error;
+    }
+
+    db.transaction(() => {
+      for (const { file, hash, size } of files) {
+        statements.addBlobReference.run(hash, size);
+        statements.insertPackageFile.run(versionId, file, hash, size);
+      }
+    })();
+
+    return { files: files.length, dedupedFiles, dedupedBytes };
+  }
+
+  /**
+   * Give a file its blob: the file becomes the blob if the content is new, otherwise it is swapped for
+   * a link to the stored blob. Where hardlinks are not possible the blob is a copy and the file stays as it is.
+   * Returns whether the blob was created and whether the file was deduplicated.
+   */
+  async linkBlob(hash, filePath) {
+    const blobPath = this.getBlobPath(hash);
+    await ensureDir(path.dirname(blobPath));
+
+    try {
+      await link(filePath, blobPath);
+      return { created: true, deduped: false };
+    } catch (error) {
+      if (LINK_UNSUPPORTED.includes(error.code)) {
+        return { created: await this.copyBlob(filePath, blobPath), deduped: false };
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    // Link next to the file first so the swap is atomic for requests serving it
+    const temporaryPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.blob`;
+    try {
+      await link(blobPath, temporaryPath);
+    } catch (error) {
+      if (LINK_UNSUPPORTED.includes(error.code)) {
+        return { created: false, deduped: false };
+      }
+      throw error;
+    }
+    await rename(temporaryPath, filePath);
+
+    return { created: false, deduped: true };
+  }
+
+  /**
+   * Store a copy of a file as its blob unless the blob exists (returns whether it was created)
+   */
+  async copyBlob(filePath, blobPath) {
+    try {
+      await copyFile(filePath, blobPath, fs.constants.COPYFILE_EXCL);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      return false;
+    }
+  }
+
+  /**
+   * Write the precompressed variants of a blob (variants that would not be smaller are left out)
+   */
+  async compressBlob(hash, size) {
+    const blobPath = this.getBlobPath(hash);
+
+    for (const encoding of Object.keys(ENCODINGS)) {
+      const variantPath = this.getVariantPath(hash, encoding);
+      const temporaryPath = `${variantPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+      await pipeline(fs.createReadStream(blobPath), ENCODINGS[encoding].createStream(), fs.createWriteStream(temporaryPath));
+
+      if ((await stat(temporaryPath)).size < size) {
+        await rename(temporaryPath, variantPath);
+      } else {
+        await unlink(temporaryPath);
+      }
+    }
+  }
+
+  /**
+   * Drop the references a package version holds and delete blobs nothing uses anymore
+   * Versions stored before the blob store existed hold no references
+   */
+  async releaseVersions(versionIds) {
+    db.transaction(() => {
+      for (const versionId of versionIds) {
+        for (const { hash } of statements.getPackageFiles.all(versionId)) {
+          statements.releaseBlobReference.run(hash);
+        }
+        statements.deletePackageFiles.run(versionId);
+      }
+    })();
+
+    return this.deleteUnreferencedBlobs();
+  }
+
+  /**
+   * Delete unreferenced blobs (a blob picked up again by a concurrent upload is kept)
+   */
+  async deleteUnreferencedBlobs() {
+    let deleted = 0;
+
+    for (const { hash } of statements.getUnreferencedBlobs.all()) {
+      if (statements.deleteBlob.run(hash).changes === 0) {
+        continue;
+      }
+
+      await this.deleteBlobFiles([hash]);
+      deleted++;
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Delete the files of blobs and their precompressed variants
+   */
+  async deleteBlobFiles(hashes) {
+    for (const hash of hashes) {
+      const variants = Object.keys(ENCODINGS).map(encoding => this.getVariantPath(hash, encoding));
+
+      for (const blobPath of [this.getBlobPath(hash), ...variants]) {
+        try {
+          await unlink(blobPath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Space used by package files compared with the space their blobs take, overall and per package
+   */
+  getReport() {
+    const totals = statements.getStorageTotals.get();
+
+    return {
+      files: totals.files,
+      blobs: totals.blobs,
+      logicalBytes: totals.logical_bytes,
+      storedBytes: totals.stored_bytes,
+      savedBytes: totals.logical_bytes - totals.stored_bytes,
+      savedRatio: totals.logical_bytes > 0
+        ? Math.round((1 - totals.stored_bytes / totals.logical_bytes) * 10000) / 10000
+        : 0,
+      packages: statements.getPackageStorage.all().map(row => ({
+        packageId: row.package_id,
+        versions: row.versions,
+        files: row.files,
+        bytes: row.bytes,
+        sharedBytes: row.shared_bytes,
+      })),
+    };
+  }
+
+  /**
+   * Helper: SHA-256 of a file's content
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Helper: Location of a blob (fanned out by the first two hex digits)
+   */
+  getBlobPath(hash) {
+    return path.join(config.paths.blobs, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Helper: Location of a precompressed variant of a blob
+   */
+  getVariantPath(hash, encoding) {
+    return `${this.getBlobPath(hash)}${ENCODINGS[encoding].extension}`;
+  }
+}
+
+export default new BlobStore();
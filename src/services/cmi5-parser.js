@@ -0,0 +1,225 @@
+import fs from 'fs';
+import { promisify } from 'util';
+import xml2js from 'xml2js';
+import path from 'path';
+import { findFile } from '../utils/file-system.js';
+
+const readFile = promisify(fs.readFile);
+
+// Blocks and AUs may be interleaved, so child order has to be preserved
+const parser = new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true });
+
+const MOVE_ON_VALUES = ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'];
+
+/**
+ * Parse cmi5 course structure (cmi5.xml)
+ */
+export class Cmi5Parser {
+  /**
+   * Find and parse cmi5.xml from extracted package
+   */
+  async parseCourseStructure(packagePath) {
+    try {
+      const structurePath = await findFile(packagePath, 'cmi5.xml');
+
+      if (!structurePath) {
+        throw new Error('cmi5.xml not found in package');
+      }
+
+      const content = await readFile(structurePath, 'utf8');
+      const parsed = await parser.parseStringPromise(content);
+      const baseDir = path.relative(packagePath, path.dirname(structurePath)).split(path.sep).join('/');
+
+      return this.extractCourseData(parsed, baseDir);
+    } catch (error) {
+      console.error('cmi5 parsing error:', error);
+      throw new Error(`Failed to parse cmi5.xml: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract course, blocks and AUs in the same shape as SCORM manifest data
+   */
+  extractCourseData(parsed, baseDir = '') {
+    const root = parsed.courseStructure || parsed[Object.keys(parsed)[0]];
+
+    if (!root || this.localName(root['#name']) !== 'courseStructure') {
+      throw new Error('Invalid cmi5 course structure');
+    }
+
+    const course = this.children(root, 'course')[0];
+    if (!course || !course.$?.id) {
+      throw new Error('cmi5 course structure has no course id');
+    }
+
+    const resources = [];
+    const items = this.extractNodes(root, baseDir, resources);
+
+    if (resources.length === 0) {
+      throw new Error('cmi5 course structure does not contain any AUs');
+    }
+
+    const organization = {
+      identifier: course.$.id,
+      title: this.langString(this.children(course, 'title')[0]) || 'cmi5 Course',
+      structure: 'cmi5',
+      sequencing: null,
+      items,
+    };
+    const firstAu = this.findFirstAu(items);
+
+    return {
+      format: 'cmi5',
+      version: 'cmi5',
+      title: organization.title,
+      identifier: course.$.id,
+      manifestIdentifier: course.$.id,
+      metadata: {
+        schema: 'cmi5',
+        schemaVersion: '1.0',
+        general: {
+          title: organization.title,
+          description: this.langString(this.children(course, 'description')[0]),
+        },
+      },
+      organizations: [organization],
+      resources,
+      sequencing: null,
+      launchData: firstAu ? {
+        identifier: firstAu.identifier,
+        resource: firstAu.identifierref,
+        launchUrl: resources.find(r => r.identifier === firstAu.identifierref).href,
+        parameters: null,
+        scormType: 'au',
+      } : null,
+    };
+  }
+
+  /**
+   * Recursively extract blocks and AUs in document order
+   */
+  extractNodes(node, baseDir, resources) {
+    const items = [];
+
+    for (const child of node.$$ || []) {
+      const name = this.localName(child['#name']);
+
+      if (name === 'block') {
+        items.push({
+          identifier: child.$?.id,
+          identifierref: null,
+          title: this.langString(this.children(child, 'title')[0]),
+          description: this.langString(this.children(child, 'description')[0]),
+          isvisible: true,
+          parameters: null,
+          sequencing: null,
+          children: this.extractNodes(child, baseDir, resources),
+        });
+      } else if (name === 'au') {
+        items.push(this.extractAu(child, baseDir, resources));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Extract an assignable unit and register its launch resource
+   */
+  extractAu(au, baseDir, resources) {
+    const attrs = au.$ || {};
+
+    if (!attrs.id) {
+      throw new Error('cmi5 AU is missing its id');
+    }
+
+    const url = this.text(this.children(au, 'url')[0]);
+    if (!url) {
+      throw new Error(`cmi5 AU ${attrs.id} is missing its url`);
+    }
+
+    const moveOn = attrs.moveOn || 'NotApplicable';
+    if (!MOVE_ON_VALUES.includes(moveOn)) {
+      throw new Error(`cmi5 AU ${attrs.id} has invalid moveOn value: ${moveOn}`);
+    }
+
+    const isAbsolute = /^[a-z][a-z0-9+.-]*:/i.test(url);
+    const resourceId = `${attrs.id}#resource`;
+
+    resources.push({
+      identifier: resourceId,
+      type: 'cmi5',
+      href: isAbsolute || !baseDir ? url : `${baseDir}/${url}`,
+      scormType: 'au',
+      external: isAbsolute,
+      files: [],
+      dependencies: [],
+    });
+
+    return {
+      identifier: attrs.id,
+      identifierref: resourceId,
+      title: this.langString(this.children(au, 'title')[0]),
+      description: this.langString(this.children(au, 'description')[0]),
+      isvisible: true,
+      parameters: null,
+      sequencing: null,
+      cmi5: {
+        moveOn,
+        masteryScore: attrs.masteryScore !== undefined ? parseFloat(attrs.masteryScore) : null,
+        launchMethod: attrs.launchMethod || 'AnyWindow',
+        activityType: attrs.activityType || null,
+        launchParameters: this.text(this.children(au, 'launchParameters')[0]) || null,
+        entitlementKey: this.text(this.children(au, 'entitlementKey')[0]) || null,
+      },
+      children: [],
+    };
+  }
+
+  /**
+   * Find the first AU in document order
+   */
+  findFirstAu(items) {
+    for (const item of items) {
+      if (item.cmi5) return item;
+
+      const au = this.findFirstAu(item.children || []);
+      if (au) return au;
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper: Child elements with a given local name
+   */
+  children(node, name) {
+    return (node?.$$ || []).filter(child => this.localName(child['#name']) === name);
+  }
+
+  /**
+   * Helper: Element name without namespace prefix
+   */
+  localName(name) {
+    return name ? name.split(':').pop() : '';
+  }
+
+  /**
+   * Helper: Text content of an element
+   */
+  text(node) {
+    if (!node) return '';
+    if (typeof node === 'string') return node.trim();
+    return (node._ || '').trim();
+  }
+
+  /**
+   * Helper: First langstring of a title or description element
+   */
+  langString(node) {
+    const langstring = this.children(node, 'langstring')[0];
+    return langstring ? this.text(langstring) : this.text(node);
+  }
+}
+
+export default new Cmi5Parser();
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { statements } from '../models/database.js';
+import scormApiService from './scorm-api.js';
+import packageHandler from './package-handler.js';
+import xapiLrs from './xapi-lrs.js';
+
+const SESSION_ID_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/sessionid';
+const LAUNCH_MODES = ['Normal', 'Browse', 'Review'];
+const CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+const LAUNCHED_VERB = 'http://adlnet.gov/expapi/verbs/launched';
+
+/**
+ * cmi5 Service
+ * Handles registrations, AU launch URLs and the fetch (auth token) handshake
+ */
+export class Cmi5Service {
+  /**
+   * Get the learner's registration for a course, creating one if needed
+   */
+  getOrCreateRegistration(packageId, userId, actor, registration = null) {
+    if (registration) {
+      const existing = statements.getCmi5RegistrationById.get(registration);
+
+      if (existing) {
+        if (existing.package_id !== packageId || existing.user_id !== userId) {
+          throw new Error('Registration belongs to a different course or learner');
+        }
+        return existing.registration;
+      }
+    } else {
+      const existing = statements.getCmi5Registration.get(packageId, userId);
+      if (existing) {
+        return existing.registration;
+      }
+    }
+
+    const id = registration || uuidv4();
+    statements.insertCmi5Registration.run(id, packageId, userId, JSON.stringify(actor));
+
+    return id;
+  }
+
+  /**
+   * Create a launch (session, auth token and LaunchData) for an AU
+   */
+  createLaunch(pkg, item, options) {
+    const {
+      baseUrl,
+      userId = 'anonymous',
+      name = null,
+      registration = null,
+      launchMode = 'Normal',
+      returnUrl = null,
+    } = options;
+
+    if (!item.cmi5) {
+      throw new Error('Item is not a cmi5 AU');
+    }
+
+    if (!LAUNCH_MODES.includes(launchMode)) {
+      throw new Error(`Invalid launch mode: ${launchMode}`);
+    }
+
+    const actor = xapiLrs.buildActor(userId, baseUrl, name);
+    const registrationId = this.getOrCreateRegistration(pkg.id, userId, actor, registration);
+    const { sessionId } = scormApiService.initializeSession(pkg.id, userId, item.identifier, pkg.package_version);
+    const authToken = crypto.randomBytes(24).toString('hex');
+
+    // Package mastery score overrides are percentages; cmi5 uses 0..1
+    const masteryScore = pkg.overrides?.masteryScore !== undefined
+      ? pkg.overrides.masteryScore / 100
+      : item.cmi5.masteryScore;
+
+    const launchData = {
+      contextTemplate: {
+        contextActivities: {
+          grouping: [{ objectType: 'Activity', id: pkg.identifier }],
+        },
+        extensions: {
+          [SESSION_ID_EXTENSION]: sessionId,
+        },
+      },
+      launchMode,
+      moveOn: item.cmi5.moveOn,
+      ...(masteryScore !== null ? { masteryScore } : {}),
+      ...(item.cmi5.launchParameters ? { launchParameters: item.cmi5.launchParameters } : {}),
+      ...(item.cmi5.entitlementKey ? { entitlementKey: { courseStructure: item.cmi5.entitlementKey } } : {}),
+      ...(returnUrl ? { returnURL: returnUrl } : {}),
+    };
+
+    statements.insertCmi5Launch.run(
+      sessionId,
+      registrationId,
+      pkg.id,
+      item.identifier,
+      authToken,
+      launchMode,
+      JSON.stringify(launchData)
+    );
+
+    const launchUrl = this.buildLaunchUrl(pkg, item, {
+      baseUrl,
+      sessionId,
+      actor,
+      registration: registrationId,
+    });
+
+    this.recordLaunch(item, { actor, registration: registrationId, launchData, launchUrl, baseUrl });
+
+    return {
+      sessionId,
+      registration: registrationId,
+      actor,
+      launchMode,
+      launchMethod: item.cmi5.launchMethod,
+      launchData,
+      launchUrl,
+    };
+  }
+
+  /**
+   * Write the LMS.LaunchData state document and the "launched" statement to the LRS
+   */
+  recordLaunch(item, { actor, registration, launchData, launchUrl, baseUrl }) {
+    const agent = JSON.stringify(actor);
+    const { key } = xapiLrs.resolveDocument('state', {
+      activityId: item.identifier,
+      agent,
+      registration,
+    });
+
+    xapiLrs.saveDocument('state', key, 'LMS.LaunchData', {
+      content: Buffer.from(JSON.stringify(launchData)),
+      contentType: 'application/json',
+    });
+
+    xapiLrs.storeStatements({
+      actor,
+      verb: { id: LAUNCHED_VERB, display: { 'en-US': 'Launched' } },
+      object: { objectType: 'Activity', id: item.identifier },
+      context: {
+        ...launchData.contextTemplate,
+        registration,
+        contextActivities: {
+          ...launchData.contextTemplate.contextActivities,
+          category: [{ objectType: 'Activity', id: CMI5_CATEGORY }],
+        },
+        extensions: {
+          ...launchData.contextTemplate.extensions,
+          'https://w3id.org/xapi/cmi5/context/extensions/launchmode': launchData.launchMode,
+          'https://w3id.org/xapi/cmi5/context/extensions/launchurl': launchUrl,
+          'https://w3id.org/xapi/cmi5/context/extensions/moveon': launchData.moveOn,
+          ...(launchData.launchParameters
+            ? { 'https://w3id.org/xapi/cmi5/context/extensions/launchparameters': launchData.launchParameters }
+            : {}),
+        },
+      },
+    }, { baseUrl });
+  }
+
+  /**
+   * Build the AU URL with the cmi5 launch query parameters
+   */
+  buildLaunchUrl(pkg, item, { baseUrl, sessionId, actor, registration }) {
+    const resource = (pkg.metadata.resources || []).find(r => r.identifier === item.identifierref);
+
+    if (!resource) {
+      throw new Error('AU resource not found');
+    }
+
+    const url = resource.external
+      ? resource.href
+      : packageHandler.getContentUrl(pkg, baseUrl, resource.href);
+
+    const params = new URLSearchParams({
+      endpoint: `${baseUrl}/xapi/`,
+      fetch: `${baseUrl}/api/cmi5/fetch/${sessionId}`,
+      actor: JSON.stringify(actor),
+      registration,
+      activityId: item.identifier,
+    });
+
+    return `${url}${url.includes('?') ? '&' : '?'}${params.toString()}`;
+  }
+
+  /**
+   * Get launch record for a session
+   */
+  getLaunch(sessionId) {
+    const launch = statements.getCmi5Launch.get(sessionId);
+
+    if (!launch) {
+      return null;
+    }
+
+    return {
+      ...launch,
+      launch_data: launch.launch_data ? JSON.parse(launch.launch_data) : null,
+    };
+  }
+
+  /**
+   * Exchange a launch for its auth token (allowed only once per launch)
+   */
+  fetchAuthToken(sessionId) {
+    const launch = statements.getCmi5Launch.get(sessionId);
+
+    if (!launch) {
+      return { errorCode: 3, errorText: 'Unknown launch session' };
+    }
+
+    const result = statements.markCmi5TokenFetched.run(sessionId);
+    if (result.changes === 0) {
+      return { errorCode: 1, errorText: 'Auth token has already been retrieved' };
+    }
+
+    return {
+      authToken: Buffer.from(`cmi5:${launch.auth_token}`).toString('base64'),
+    };
+  }
+
+  /**
+   * Find the launch an auth token was issued for
+   */
+  findLaunchByToken(authToken) {
+    return statements.getCmi5LaunchByToken.get(authToken) || null;
+  }
+}
+
+export default new Cmi5Service();
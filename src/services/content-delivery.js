@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { statements } from '../models/database.js';
+import blobStore from './blob-store.js';
+import { getContentType, isCompressible } from '../utils/mime-types.js';
+
+const stat = promisify(fs.stat);
+
+// Upper bound of the per-file cache (hashes and available encodings)
+const MAX_CACHED_FILES = 10000;
+
+/**
+ * Create a delivery error carrying the HTTP status
+ */
+function deliveryError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Content Delivery
+ * Serves package files with hash-based validators, byte ranges and precompressed variants,
+ * keeping package directory and file lookups in memory
+ */
+export class ContentDelivery {
+  constructor() {
+    this.roots = new Map();
+    this.files = new Map();
+  }
+
+  /**
+   * Forget the cached directories of a package (after a new version, a rollback or a delete)
+   */
+  invalidatePackage(packageId) {
+    for (const [key, root] of this.roots) {
+      if (root.packageId === packageId) this.roots.delete(key);
+    }
+  }
+
+  /**
+   * Forget every cached directory (after package files moved into the blob store)
+   */
+  invalidateAll() {
+    this.roots.clear();
+    this.files.clear();
+  }
+
+  /**
+   * Resolve the directory serving a package version (the current one unless a version is given)
+   */
+  getRoot(packageId, packageVersion = null) {
+    const key = `${packageId}@${packageVersion || 'current'}`;
+
+    if (!this.roots.has(key)) {
+      const pkg = statements.getPackage.get(packageId);
+      const versionRow = pkg ? statements.getPackageVersion.get(packageId, Number(packageVersion || pkg.current_version)) : null;
+
+      if (!versionRow) {
+        throw deliveryError(404, pkg ? 'Version not found' : 'Package not found');
+      }
+
+      this.roots.set(key, {
+        packageId,
+        versionId: versionRow.id,
+        directory: versionRow.file_path,
+        // Earlier versions never change; the current one changes with every upload or rollback
+        immutable: Boolean(packageVersion),
+        hashes: null,
+      });
+    }
+
+    return this.roots.get(key);
+  }
+
+  /**
+   * Describe a content file: size, modification time, content hash and precompressed variants
+   */
+  async getFile(root, relativePath) {
+    const filePath = path.join(root.directory, relativePath);
+
+    // Security check: ensure path is within package directory
+    if (path.relative(root.directory, filePath).startsWith('..') || filePath === root.directory) {
+      throw deliveryError(404, 'Invalid file path');
+    }
+
+    let stats;
+    try {
+      stats = await stat(filePath);
+    } catch (error) {
+      throw deliveryError(404, 'File not found');
+    }
+
+    if (!stats.isFile()) {
+      throw deliveryError(404, 'File not found');
+    }
+
+    const cached = this.files.get(filePath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached;
+    }
+
+    if (!root.hashes) {
+      root.hashes = new Map(statements.getPackageFiles.all(root.versionId).map(file => [file.path, file.hash]));
+    }
+
+    const relative = path.relative(root.directory, filePath).split(path.sep).join('/');
+    const storedHash = root.hashes.get(relative);
+    const hash = storedHash || await blobStore.hashFile(filePath);
+    const encodings = {};
+
+    // Only files in the blob store have precompressed variants
+    if (storedHash && isCompressible(filePath)) {
+      for (const encoding of ['br', 'gzip']) {
+        const variantPath = blobStore.getVariantPath(hash, encoding);
+
+        try {
+          encodings[encoding] = { path: variantPath, size: (await stat(variantPath)).size };
+        } catch (error) {
+          // Not worth compressing
+        }
+      }
+    }
+
+    const file = {
+      path: filePath,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      lastModified: stats.mtime.toUTCString(),
+      hash,
+      contentType: getContentType(filePath),
+      compressible: isCompressible(filePath),
+      encodings,
+    };
+
+    if (this.files.size >= MAX_CACHED_FILES) {
+      this.files.delete(this.files.keys().next().value);
+    }
+    this.files.set(filePath, file);
+
+    return file;
+  }
+
+  /**
+   * Send a content file, answering conditional, range and compressed requests
+   */
+  async send(req, res, packageId, relativePath, packageVersion = null) {
+    const root = this.getRoot(packageId, packageVersion);
+    const file = await this.getFile(root, relativePath);
+
+    // Byte ranges are served from the identity encoding only
+    const encoding = req.headers.range || Object.keys(file.encodings).length === 0
+      ? null
+      : req.acceptsEncodings(...Object.keys(file.encodings)) || null;
+    const variant = encoding ? file.encodings[encoding] : null;
+    const etag = `"${file.hash}${encoding ? `-${encoding}` : ''}"`;
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', file.lastModified);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', root.immutable ? 'public, max-age=31536000, immutable' : 'no-cache');
+    if (file.compressible) {
+      res.setHeader('Vary', 'Accept-Encoding');
+    }
+
+    if (this.isNotModified(req, etag, file)) {
+      res.statusCode = 304;
+      res.removeHeader('Content-Type');
+      return res.end();
+    }
+
+    if (variant) {
+      res.setHeader('Content-Encoding', encoding);
+      return this.stream(req, res, variant.path, 200, variant.size);
+    }
+
+    const range = this.getRange(req, file, etag);
+
+    if (range === -1) {
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      res.statusCode = 416;
+      return res.end();
+    }
+
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+      return this.stream(req, res, file.path, 206, range.end - range.start + 1, range);
+    }
+
+    return this.stream(req, res, file.path, 200, file.size);
+  }
+
+  /**
+   * Whether the client's cached copy is current (If-None-Match wins over If-Modified-Since)
+   */
+  isNotModified(req, etag, file) {
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (ifNoneMatch) {
+      return ifNoneMatch.trim() === '*' ||
+        ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+
+    return !Number.isNaN(ifModifiedSince) && Math.floor(file.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  /**
+   * Resolve a single byte range: null for the whole file, -1 when unsatisfiable
+   * Multiple ranges and ranges of an outdated If-Range validator get the whole file
+   */
+  getRange(req, file, etag) {
+    if (!req.headers.range) {
+      return null;
+    }
+
+    const ifRange = req.headers['if-range'];
+    if (ifRange && ifRange.trim() !== etag && ifRange.trim() !== file.lastModified) {
+      return null;
+    }
+
+    const ranges = req.range(file.size, { combine: true });
+
+    if (ranges === -1) {
+      return -1;
+    }
+
+    if (ranges === -2 || ranges === undefined || ranges.type !== 'bytes' || ranges.length !== 1) {
+      return null;
+    }
+
+    return ranges[0];
+  }
+
+  /**
+   * Stream a file (or part of it) as the response body
+   */
+  stream(req, res, filePath, status, length, range = null) {
+    res.statusCode = status;
+    res.setHeader('Content-Length', length);
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : {});
+    stream.on('error', error => res.destroy(error));
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  }
+}
+
+export default new ContentDelivery();
@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { db, statements } from '../models/database.js';
+import { listFiles } from '../utils/file-system.js';
+import { escapeHtml, extractText } from '../utils/text-extractor.js';
+
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Larger files are not indexed, and the indexed text of a file is capped
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 200000;
+
+// Package descriptors are structure, not content
+const DESCRIPTOR_FILES = ['imsmanifest.xml', 'cmi5.xml', 'tincan.xml'];
+
+// Snippets mark matches with control characters, turned into <mark> once the indexed text is HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Relevance weights for the package_content_fts columns (package_id, item_id, item_title, file_path, title, body)
+const BM25_WEIGHTS = '0, 0, 0, 0, 5, 1';
+
+/**
+ * Create a search error carrying the HTTP status
+ */
+function searchError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Content Index
+ * Keeps a full-text index of the text in package content files and answers content searches
+ */
+export class ContentIndex {
+  /**
+   * Rebuild the index of a package version from its files
+   * Files are attributed to the first item whose resource launches or lists them
+   */
+  async indexPackage(pkg, items, resources = []) {
+    const owners = this.mapFilesToItems(items, resources);
+    const documents = [];
+
+    for (const file of (await listFiles(pkg.file_path)).sort()) {
+      if (DESCRIPTOR_FILES.includes(file.toLowerCase())) {
+        continue;
+      }
+
+      const filePath = path.join(pkg.file_path, file);
+      if ((await stat(filePath)).size > MAX_FILE_SIZE) {
+        continue;
+      }
+
+      const extracted = extractText(file, await readFile(filePath, 'utf-8'));
+      if (!extracted || (!extracted.text && !extracted.title)) {
+        continue;
+      }
+
+      const owner = owners.get(file) || null;
+      documents.push({
+        itemId: owner?.identifier ?? null,
+        itemTitle: owner?.title ?? null,
+        file,
+        title: extracted.title,
+        body: extracted.text.replace(/[\u0002\u0003]/g, '').slice(0, MAX_TEXT_LENGTH),
+      });
+    }
+
+    db.transaction(() => {
+      statements.deletePackageContent.run(pkg.id);
+
+      for (const document of documents) {
+        statements.insertPackageContent.run(
+          pkg.id, document.itemId, document.itemTitle, document.file, document.title, document.body
+        );
+      }
+
+      statements.setPackageContentIndex.run(pkg.id, pkg.package_version, documents.length);
+    })();
+
+    return { packageId: pkg.id, packageVersion: pkg.package_version, files: documents.length };
+  }
+
+  /**
+   * Drop a package from the content index
+   */
+  removePackage(packageId) {
+    db.transaction(() => {
+      statements.deletePackageContent.run(packageId);
+      statements.deletePackageContentIndex.run(packageId);
+    })();
+  }
+
+  /**
+   * Packages whose content index is missing or was built from another version
+   */
+  getStalePackages() {
+    return statements.getStaleContentPackages.all().map(row => row.id);
+  }
+
+  /**
+   * Map content files to the items that use them: launch files first, then the other resource files
+   */
+  mapFilesToItems(items, resources) {
+    const owners = new Map();
+    const flat = [];
+    const visit = (list) => list.forEach(item => {
+      flat.push(item);
+      visit(item.children || []);
+    });
+    visit(items);
+
+    const assign = (file, item) => {
+      const normalized = this.normalizePath(file);
+      if (normalized && !owners.has(normalized)) {
+        owners.set(normalized, item);
+      }
+    };
+
+    for (const item of flat) {
+      if (item.href) assign(item.href, item);
+    }
+
+    for (const item of flat) {
+      const resource = resources.find(r => r.identifier === item.resource);
+
+      for (const file of resource?.files || []) {
+        assign(file, item);
+      }
+    }
+
+    return owners;
+  }
+
+  /**
+   * Helper: Turn a manifest href into a package relative file path
+   */
+  normalizePath(href) {
+    if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      return null;
+    }
+
+    let file = href.split(/[?#]/)[0];
+    try {
+      file = decodeURI(file);
+    } catch (error) {
+      // Keep malformed escapes as written
+    }
+
+    return path.posix.normalize(file).replace(/^(\.\/|\/)+/, '');
+  }
+
+  /**
+   * Search the content of visible packages; hits are ranked by bm25 with title matches weighted up
+   */
+  search(query = {}) {
+    if (query.q === undefined) {
+      throw searchError(400, 'q is required');
+    }
+
+    const limit = query.limit !== undefined ? this.parseInteger(query.limit, 'limit') : DEFAULT_LIMIT;
+    const offset = query.offset !== undefined ? this.parseInteger(query.offset, 'offset') : 0;
+
+    if (limit < 1 || limit > MAX_LIMIT) {
+      throw searchError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const conditions = ['package_content_fts MATCH ?'];
+    const params = [this.buildMatchQuery(query.q)];
+
+    if (query.includeHidden !== 'true') {
+      conditions.push("json_extract(p.overrides, '$.visibility') IS NOT 'hidden'");
+    }
+
+    if (query.packageId !== undefined) {
+      conditions.push('c.package_id = ?');
+      params.push(String(query.packageId));
+    }
+
+    const from = `
+      FROM package_content_fts c
+      JOIN packages p ON p.id = c.package_id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const total = db.prepare(`SELECT COUNT(*) AS count ${from}`).get(...params).count;
+
+    const hits = db.prepare(`
+      SELECT c.package_id, p.title AS package_title, p.current_version AS package_version,
+             c.item_id, c.item_title, c.file_path, c.title,
+             snippet(package_content_fts, 5, char(2), char(3), '…', 16) AS snippet,
+             bm25(package_content_fts, ${BM25_WEIGHTS}) AS rank
+      ${from}
+      ORDER BY rank, c.package_id, c.file_path
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      hits: hits.map(hit => ({ ...hit, snippet: this.highlight(hit.snippet) })),
+      total,
+      limit,
+      offset,
+    };
+  }
+
+  /**
+   * HTML-escape a snippet of indexed (untrusted) text and wrap its matches in <mark>
+   */
+  highlight(snippet) {
+    return escapeHtml(snippet || '').replaceAll(MATCH_START, '<mark>').replaceAll(MATCH_END, '</mark>');
+  }
+
+  /**
+   * Turn free text into an FTS5 query: every word must match, as a prefix
+   */
+  buildMatchQuery(text) {
+    const terms = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+
+    if (terms.length === 0) {
+      throw searchError(400, 'q must contain at least one word');
+    }
+
+    return terms.map(term => `"${term}"*`).join(' ');
+  }
+
+  /**
+   * Parse a non-negative integer parameter
+   */
+  parseInteger(value, name) {
+    if (!/^\d+$/.test(String(value))) {
+      throw searchError(400, `${name} must be a non-negative integer`);
+    }
+
+    return parseInt(value, 10);
+  }
+}
+
+export default new ContentIndex();
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import AdmZip from 'adm-zip';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { listFiles } from '../utils/file-system.js';
+import { getLaunchCmi } from '../utils/launch-data.js';
+
+const readFile = promisify(fs.readFile);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/offline-bundle');
+const SHELL_FILES = ['index.html', 'player.css', 'player.js', 'sw.js'];
+
+// Every entry gets the same timestamp (1980-01-01 00:00 in DOS format) so identical input gives identical archives
+const DOS_EPOCH = (1 << 5 | 1) << 16;
+
+const RUNTIMES = {
+  '1.2': { module: 'scorm-again/scorm12/min', file: 'scorm12.min.js', global: 'Scorm12API' },
+  '2004': { module: 'scorm-again/scorm2004/min', file: 'scorm2004.min.js', global: 'Scorm2004API' },
+};
+
+/**
+ * Offline Bundle Service
+ * Builds self-contained ZIP bundles: player shell, vendored runtime, service worker and package content
+ */
+export class OfflineBundleService {
+  constructor() {
+    this.secret = null;
+  }
+
+  /**
+   * Build the bundle for a package version and its activity tree
+   * Bundles downloaded without a learner get an anonymous one issued here, so every export is signed for a learner
+   */
+  async createBundle(pkg, structure, { learner = null } = {}) {
+    learner = learner || this.issueAnonymousLearner();
+    const scormVersion = pkg.scorm_version.startsWith('2004') ? '2004' : '1.2';
+    const runtime = this.getRuntime(scormVersion);
+    const files = new Map();
+
+    for (const name of SHELL_FILES) {
+      files.set(name, await readFile(path.join(TEMPLATE_DIR, name)));
+    }
+
+    files.set(`runtime/${runtime.file}`, await readFile(runtime.path));
+    files.set('runtime/LICENSE', await readFile(path.join(runtime.packageDir, 'LICENSE')));
+
+    for (const file of (await listFiles(pkg.file_path)).sort()) {
+      files.set(`content/${file}`, await readFile(path.join(pkg.file_path, file)));
+    }
+
+    const bundle = {
+      packageId: pkg.id,
+      packageVersion: pkg.package_version,
+      title: pkg.title,
+      scormVersion,
+      learner,
+      organization: structure.organization?.identifier || null,
+      progressExport: {
+        algorithm: 'HMAC-SHA256',
+        key: this.getProgressKey(pkg.id, pkg.package_version, learner),
+      },
+      runtime: {
+        name: 'scorm-again',
+        version: runtime.version,
+        script: `runtime/${runtime.file}`,
+        global: runtime.global,
+      },
+      items: this.flattenItems(structure.items, item => (
+        getLaunchCmi(item, pkg.scorm_version, { masteryScore: pkg.overrides?.masteryScore })
+      )),
+    };
+    files.set('bundle.json', Buffer.from(JSON.stringify(bundle, null, 2), 'utf-8'));
+
+    const assetManifest = this.buildAssetManifest(files, bundle);
+    files.set('asset-manifest.json', Buffer.from(JSON.stringify(assetManifest, null, 2), 'utf-8'));
+
+    const zip = new AdmZip();
+
+    for (const name of [...files.keys()].sort()) {
+      zip.addFile(name, files.get(name));
+      zip.getEntry(name).header.timeval = DOS_EPOCH;
+    }
+
+    return zip.toBuffer();
+  }
+
+  /**
+   * Server secret the progress keys are derived from (generated once and kept next to the database)
+   */
+  getSecret() {
+    if (!this.secret) {
+      const keyPath = path.join(config.paths.database, 'progress-export.key');
+
+      if (!config.sync.exportSecret) {
+        try {
+          fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+      }
+
+      this.secret = config.sync.exportSecret || fs.readFileSync(keyPath, 'utf-8').trim();
+    }
+
+    return this.secret;
+  }
+
+  /**
+   * Learner id for a bundle downloaded without one (its progress imports for that id only)
+   */
+  issueAnonymousLearner() {
+    return `anonymous-${uuidv4()}`;
+  }
+
+  /**
+   * Key a bundle signs its progress exports with
+   * Keys are derived rather than stored, so rebuilding a bundle for the same learner gives the same archive
+   */
+  getProgressKey(packageId, packageVersion, learner) {
+    return crypto.createHmac('sha256', this.getSecret())
+      .update(JSON.stringify([packageId, packageVersion, learner]))
+      .digest('hex');
+  }
+
+  /**
+   * Locate the vendored runtime build for a SCORM version
+   */
+  getRuntime(scormVersion) {
+    const runtime = RUNTIMES[scormVersion];
+    const runtimePath = require.resolve(runtime.module);
+    const packageDir = path.resolve(path.dirname(runtimePath), '..');
+    const { version } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf-8'));
+
+    return { ...runtime, path: runtimePath, packageDir, version };
+  }
+
+  /**
+   * Flatten the activity tree into the ordered list the player uses for its TOC and navigation
+   * Items carry the CMI values their SCO starts with (launch data, mastery score, time limit)
+   */
+  flattenItems(items, launchCmi, depth = 0) {
+    return items.flatMap(item => {
+      const cmi = launchCmi(item);
+
+      return [
+        {
+          identifier: item.identifier,
+          title: item.title,
+          depth,
+          isvisible: item.isvisible !== false,
+          launchUrl: item.launchUrl,
+          ...(Object.keys(cmi).length > 0 ? { launchCmi: cmi } : {}),
+        },
+        ...this.flattenItems(item.children || [], launchCmi, depth + 1),
+      ];
+    });
+  }
+
+  /**
+   * List every bundled asset with its size and hash
+   * The manifest has no timestamps, so rebuilding a package version for the same learner gives the same bundle hash
+   */
+  buildAssetManifest(files, bundle) {
+    const assets = [...files.keys()].sort().map(name => ({
+      path: name,
+      size: files.get(name).length,
+      sha256: crypto.createHash('sha256').update(files.get(name)).digest('hex'),
+    }));
+
+    const bundleHash = crypto.createHash('sha256')
+      .update(assets.map(asset => `${asset.sha256}  ${asset.path}`).join('\n'))
+      .digest('hex');
+
+    return {
+      packageId: bundle.packageId,
+      packageVersion: bundle.packageVersion,
+      runtime: { name: bundle.runtime.name, version: bundle.runtime.version },
+      bundleHash,
+      assets,
+    };
+  }
+}
+
+export default new OfflineBundleService();
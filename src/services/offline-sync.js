@@ -1,5 +1,6 @@
 import config from '../config/config.js';
 import scormApiService from '../services/scorm-api.js';
+import xapiLrs from '../services/xapi-lrs.js';
 
 /**
  * Offline Sync Service
@@ -108,6 +109,10 @@ export class OfflineSyncService {
         await this.syncTerminate(item.session_id, item.package_id, data);
         break;
 
+      case 'xapi':
+        await this.syncXapiStatements(item.session_id, item.package_id, data);
+        break;
+
       default:
         console.warn(`Unknown sync action: ${item.action}`);
     }
@@ -155,6 +160,77 @@ export class OfflineSyncService {
     return { success: true };
   }
 
+  /**
+   * Send translated xAPI statements to the configured LRS (or the embedded one)
+   */
+  async syncXapiStatements(sessionId, packageId, data) {
+    const { endpoint, username, password, version } = config.xapi.lrs;
+
+    if (!endpoint) {
+      xapiLrs.storeStatements(data.statements);
+      return { success: true };
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': version,
+    };
+
+    if (username || password) {
+      headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    }
+
+    const url = `${endpoint.replace(/\/?$/, '/')}statements`;
+
+    // Statement ids are assigned at translation time, so retries are idempotent
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(data.statements),
+    });
+
+    if (response.status === 409) {
+      // A resync of statements the LRS already stored (e.g. after a lost response): only send the missing ones
+      const missing = [];
+      for (const statement of data.statements) {
+        if (!(await this.lrsHasStatement(url, headers, statement.id))) {
+          missing.push(statement);
+        }
+      }
+
+      if (missing.length === data.statements.length) {
+        throw new Error(`LRS rejected statements for session ${sessionId}: ${response.status}`);
+      }
+
+      return missing.length > 0
+        ? this.syncXapiStatements(sessionId, packageId, { ...data, statements: missing })
+        : { success: true };
+    }
+
+    if (!response.ok) {
+      throw new Error(`LRS rejected statements for session ${sessionId}: ${response.status}`);
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Whether the LRS has stored a statement id
+   */
+  async lrsHasStatement(url, headers, statementId) {
+    const response = await fetch(`${url}?statementId=${encodeURIComponent(statementId)}`, { headers });
+
+    if (response.status === 404) {
+      return false;
+    }
+
+    if (!response.ok) {
+      throw new Error(`LRS statement lookup failed for ${statementId}: ${response.status}`);
+    }
+
+    return true;
+  }
+
   /**
    * Upload offline session data
    */
@@ -0,0 +1,321 @@
+import { db, statements } from '../models/database.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sort keys and the expressions they order by (ties are broken by id so cursors are stable)
+const SORTS = {
+  uploaded_at: 'p.uploaded_at',
+  updated_at: 'p.updated_at',
+  title: 'p.title COLLATE NOCASE',
+  file_size: 'COALESCE(p.file_size, 0)',
+};
+
+// Columns a "fields" projection may select; metadata is the parsed manifest and by far the largest
+const FIELDS = [
+  'id', 'title', 'version', 'scorm_version', 'format', 'identifier', 'manifest_identifier', 'launch_path',
+  'file_size', 'current_version', 'uploaded_at', 'updated_at', 'metadata', 'overrides',
+];
+
+// Relevance weights for the packages_fts columns (package_id, title, description, keywords, tags)
+const BM25_WEIGHTS = '0, 10, 4, 3, 3';
+
+/**
+ * Create a catalog error carrying the HTTP status
+ */
+function catalogError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Package Catalog
+ * Keeps the catalog search index and answers paginated, filtered package listings
+ */
+export class PackageCatalog {
+  /**
+   * Index the searchable details and tags of a package
+   */
+  indexPackage(packageId, { title, description, keywords, tags }) {
+    db.transaction(() => {
+      statements.deletePackageFts.run(packageId);
+      statements.insertPackageFts.run(packageId, title, description || '', keywords.join(' '), tags.join(' '));
+
+      statements.deletePackageTags.run(packageId);
+      for (const tag of tags) {
+        statements.insertPackageTag.run(packageId, tag);
+      }
+    })();
+  }
+
+  /**
+   * Drop a package from the search index (tags go with the package row)
+   */
+  removePackage(packageId) {
+    statements.deletePackageFts.run(packageId);
+  }
+
+  /**
+   * Whether some packages are missing from the search index (uploaded before it existed)
+   */
+  needsIndexing() {
+    return statements.countUnindexedPackages.get().count > 0;
+  }
+
+  /**
+   * List packages with filters, search, sorting, a field projection and limit/offset or cursor pagination
+   */
+  listPackages(query = {}) {
+    const conditions = [];
+    const params = [];
+    const joins = [];
+    const joinParams = [];
+
+    if (query.includeHidden !== 'true') {
+      conditions.push("json_extract(p.overrides, '$.visibility') IS NOT 'hidden'");
+    }
+
+    if (query.q !== undefined) {
+      joins.push(`
+        JOIN (
+          SELECT package_id, bm25(packages_fts, ${BM25_WEIGHTS}) AS rank
+          FROM packages_fts WHERE packages_fts MATCH ?
+        ) f ON f.package_id = p.id
+      `);
+      joinParams.push(this.buildMatchQuery(query.q));
+    }
+
+    const scormVersions = this.parseList(query.scormVersion);
+    if (scormVersions.length > 0) {
+      // "2004" matches every edition ("2004 3rd Edition", "2004 4th Edition", ...)
+      conditions.push(`(${scormVersions.map(() => "(p.scorm_version = ? OR p.scorm_version LIKE ? || ' %')").join(' OR ')})`);
+      params.push(...scormVersions.flatMap(version => [version, version]));
+    }
+
+    const formats = this.parseList(query.format);
+    if (formats.length > 0) {
+      conditions.push(`p.format IN (${formats.map(() => '?').join(', ')})`);
+      params.push(...formats);
+    }
+
+    for (const tag of this.parseList(query.tag)) {
+      conditions.push('EXISTS (SELECT 1 FROM package_tags t WHERE t.package_id = p.id AND t.tag = ?)');
+      params.push(tag);
+    }
+
+    if (query.uploadedAfter !== undefined) {
+      conditions.push('p.uploaded_at >= ?');
+      params.push(this.parseTimestamp(query.uploadedAfter, 'uploadedAfter'));
+    }
+
+    if (query.uploadedBefore !== undefined) {
+      conditions.push('p.uploaded_at < ?');
+      params.push(this.parseTimestamp(query.uploadedBefore, 'uploadedBefore'));
+    }
+
+    if (query.minSize !== undefined) {
+      conditions.push('COALESCE(p.file_size, 0) >= ?');
+      params.push(this.parseInteger(query.minSize, 'minSize'));
+    }
+
+    if (query.maxSize !== undefined) {
+      conditions.push('COALESCE(p.file_size, 0) <= ?');
+      params.push(this.parseInteger(query.maxSize, 'maxSize'));
+    }
+
+    const { sortExpression, direction } = this.parseSort(query);
+    const limit = query.limit !== undefined ? this.parseInteger(query.limit, 'limit') : DEFAULT_LIMIT;
+
+    if (limit < 1 || limit > MAX_LIMIT) {
+      throw catalogError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    if (query.cursor !== undefined && query.offset !== undefined) {
+      throw catalogError(400, 'Use either cursor or offset, not both');
+    }
+
+    const offset = query.offset !== undefined ? this.parseInteger(query.offset, 'offset') : 0;
+    const from = `FROM packages p ${joins.join(' ')}`;
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) AS count ${from} ${where}`).get(...joinParams, ...params).count;
+
+    // Keyset pagination: continue after the last (sort value, id) pair of the previous page
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (query.cursor !== undefined) {
+      const [value, id] = this.decodeCursor(query.cursor);
+      const operator = direction === 'ASC' ? '>' : '<';
+
+      pageConditions.push(`(${sortExpression} ${operator} ? OR (${sortExpression} = ? AND p.id ${operator} ?))`);
+      pageParams.push(value, value, id);
+    }
+
+    const fields = this.parseFields(query.fields);
+    const columns = fields ? fields.map(field => `p.${field}`).join(', ') : 'p.*';
+    const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+    const rows = db.prepare(`
+      SELECT ${columns}, ${sortExpression} AS _sort, p.id AS _id
+      ${from}
+      ${pageWhere}
+      ORDER BY ${sortExpression} ${direction}, p.id ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...joinParams, ...pageParams, limit + 1, offset);
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      packages: page.map(row => this.formatRow(row)),
+      total,
+      limit,
+      ...(query.cursor === undefined ? { offset } : {}),
+      nextCursor: rows.length > limit && query.sort !== 'relevance' ? this.encodeCursor([last._sort, last._id]) : null,
+    };
+  }
+
+  /**
+   * Turn free text into an FTS5 query: every word must match, as a prefix
+   */
+  buildMatchQuery(text) {
+    const terms = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+
+    if (terms.length === 0) {
+      throw catalogError(400, 'q must contain at least one word');
+    }
+
+    return terms.map(term => `"${term}"*`).join(' ');
+  }
+
+  /**
+   * Resolve the sort key and direction (relevance needs a search query and offset pagination)
+   */
+  parseSort(query) {
+    const sort = query.sort || 'uploaded_at';
+    const order = (query.order || (sort === 'title' || sort === 'relevance' ? 'asc' : 'desc')).toLowerCase();
+
+    if (!['asc', 'desc'].includes(order)) {
+      throw catalogError(400, 'order must be asc or desc');
+    }
+
+    if (sort === 'relevance') {
+      if (query.q === undefined) {
+        throw catalogError(400, 'sort=relevance requires q');
+      }
+      if (query.cursor !== undefined) {
+        throw catalogError(400, 'sort=relevance supports offset pagination only');
+      }
+
+      // bm25 scores are lower for better matches
+      return { sortExpression: 'f.rank', direction: order === 'asc' ? 'ASC' : 'DESC' };
+    }
+
+    if (!SORTS[sort]) {
+      throw catalogError(400, `sort must be one of: ${[...Object.keys(SORTS), 'relevance'].join(', ')}`);
+    }
+
+    return { sortExpression: SORTS[sort], direction: order === 'asc' ? 'ASC' : 'DESC' };
+  }
+
+  /**
+   * Parse the "fields" projection (id is always included)
+   */
+  parseFields(value) {
+    if (value === undefined) {
+      return null;
+    }
+
+    const fields = this.parseList(value);
+    const unknown = fields.filter(field => !FIELDS.includes(field));
+
+    if (unknown.length > 0) {
+      throw catalogError(400, `Unknown fields: ${unknown.join(', ')}`);
+    }
+
+    return ['id', ...fields.filter(field => field !== 'id')];
+  }
+
+  /**
+   * Parse a comma separated (or repeated) query parameter
+   */
+  parseList(value) {
+    if (value === undefined) {
+      return [];
+    }
+
+    return [value].flat().flatMap(entry => String(entry).split(',')).map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse a non-negative integer parameter
+   */
+  parseInteger(value, name) {
+    if (!/^\d+$/.test(String(value))) {
+      throw catalogError(400, `${name} must be a non-negative integer`);
+    }
+
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Parse a date parameter (ISO 8601 or Unix seconds) into Unix seconds
+   */
+  parseTimestamp(value, name) {
+    if (/^\d+$/.test(String(value))) {
+      return parseInt(value, 10);
+    }
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw catalogError(400, `${name} must be an ISO 8601 date or Unix timestamp`);
+    }
+
+    return Math.floor(time / 1000);
+  }
+
+  /**
+   * Helper: Encode a page position as an opaque cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Helper: Decode a cursor back into its [sort value, id] position
+   */
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+
+      if (Array.isArray(position) && position.length === 2 && typeof position[1] === 'string') {
+        return position;
+      }
+    } catch (error) {
+      // Reported below
+    }
+
+    throw catalogError(400, 'Invalid cursor');
+  }
+
+  /**
+   * Parse JSON columns and drop the pagination helpers
+   */
+  formatRow(row) {
+    const { _sort, _id, ...pkg } = row;
+
+    if (pkg.metadata !== undefined) {
+      pkg.metadata = JSON.parse(pkg.metadata);
+    }
+
+    if (pkg.overrides !== undefined) {
+      pkg.overrides = JSON.parse(pkg.overrides || '{}');
+    }
+
+    return pkg;
+  }
+}
+
+export default new PackageCatalog();
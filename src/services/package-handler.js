@@ -1,12 +1,24 @@
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import AdmZip from 'adm-zip';
 import { promisify } from 'util';
 import config from '../config/config.js';
 import scormParser from './scorm-parser.js';
-import { statements } from '../models/database.js';
-import { ensureDir, deleteDir, getDirectorySize } from '../utils/file-system.js';
+import cmi5Parser from './cmi5-parser.js';
+import tincanParser from './tincan-parser.js';
+import aiccParser from './aicc-parser.js';
+import packageValidator from './package-validator.js';
+import offlineBundle from './offline-bundle.js';
+import packageCatalog from './package-catalog.js';
+import contentIndex from './content-index.js';
+import blobStore from './blob-store.js';
+import contentDelivery from './content-delivery.js';
+import scormApiService from './scorm-api.js';
+import { db, statements } from '../models/database.js';
+import { ensureDir, deleteDir, getDirectorySize, findFile, findFileByExtension } from '../utils/file-system.js';
+import { extractZip, inspectZip } from '../utils/zip-extractor.js';
+import { getContentBaseUrl } from '../utils/content-origin.js';
+import { validateDetails, applyDetailChanges, buildDetails, EDITABLE_FIELDS } from '../utils/package-details.js';
 
 const unlink = promisify(fs.unlink);
 const stat = promisify(fs.stat);
@@ -25,25 +37,53 @@ export class PackageHandler {
   async initializeStorage() {
     await ensureDir(config.paths.packages);
     await ensureDir(config.paths.uploads);
+    await ensureDir(config.paths.blobs);
   }
 
   /**
    * Process uploaded SCORM package
+   * An upload whose manifest identifier matches an existing package becomes its next version
    */
-  async processPackage(filePath, filename) {
-    const packageId = uuidv4();
-    const packageDir = path.join(config.paths.packages, packageId);
+  async processPackage(filePath, filename, options = {}) {
+    const {
+      newPackage = false,
+      migrateSessions = false,
+      strict = config.scorm.strictValidation,
+    } = options;
+    const versionId = uuidv4();
+    const packageDir = path.join(config.paths.packages, versionId);
 
     try {
       // Extract package
       await this.extractPackage(filePath, packageDir);
 
       // Parse manifest
-      const manifestData = await scormParser.parseManifest(packageDir);
+      const manifestData = await this.parsePackageManifest(packageDir);
+
+      // Conformance report (strict mode refuses packages with errors)
+      const validation = await packageValidator.validate(packageDir, manifestData);
+
+      if (strict && !validation.valid) {
+        const error = new Error(`Package failed validation with ${validation.summary.errors} error(s)`);
+        error.validation = validation;
+        throw error;
+      }
 
       // Get package size
       const size = await getDirectorySize(packageDir);
 
+      // Share identical files with the packages and versions already stored
+      if (config.scorm.deduplicateFiles) {
+        await blobStore.storeDirectory(versionId, packageDir);
+      }
+
+      const format = manifestData.format || 'scorm';
+      const manifestIdentifier = manifestData.manifestIdentifier || null;
+      const existing = !newPackage && manifestIdentifier
+        ? statements.getPackageByManifestIdentifier.get(manifestIdentifier, format)
+        : null;
+      const packageId = existing ? existing.id : versionId;
+
       // Store in database
       const packageData = {
         id: packageId,
@@ -55,19 +95,63 @@ export class PackageHandler {
         metadata: JSON.stringify(manifestData),
         filePath: packageDir,
         fileSize: size,
+        format,
       };
 
-      statements.insertPackage.run(
-        packageData.id,
-        packageData.title,
-        packageData.version,
-        packageData.scormVersion,
-        packageData.identifier,
-        packageData.launchPath,
-        packageData.metadata,
-        packageData.filePath,
-        packageData.fileSize
-      );
+      const store = db.transaction(() => {
+        const versionNumber = existing
+          ? statements.getNextPackageVersionNumber.get(packageId).next
+          : 1;
+
+        if (!existing) {
+          statements.insertPackage.run(
+            packageData.id,
+            packageData.title,
+            packageData.version,
+            packageData.scormVersion,
+            packageData.identifier,
+            packageData.launchPath,
+            packageData.metadata,
+            packageData.filePath,
+            packageData.fileSize,
+            packageData.format,
+            manifestIdentifier
+          );
+          this.updateCatalogIndex(packageId);
+        }
+
+        statements.insertPackageVersion.run(
+          versionId,
+          packageId,
+          versionNumber,
+          packageData.title,
+          packageData.version,
+          packageData.scormVersion,
+          packageData.identifier,
+          packageData.launchPath,
+          packageData.metadata,
+          packageData.filePath,
+          packageData.fileSize,
+          packageData.format,
+          JSON.stringify(validation)
+        );
+
+        let migrated = 0;
+        if (existing) {
+          this.setCurrentVersion(packageId, statements.getPackageVersion.get(packageId, versionNumber));
+
+          if (migrateSessions) {
+            migrated = this.migrateSessions(packageId, versionNumber);
+          }
+        }
+
+        return { versionNumber, migrated };
+      });
+
+      const { versionNumber, migrated } = store();
+
+      // A new version replaces the indexed content of the package
+      await this.updateContentIndex(packageId);
 
       // Clean up uploaded file
       await unlink(filePath);
@@ -75,11 +159,16 @@ export class PackageHandler {
       return {
         success: true,
         packageId,
+        packageVersion: versionNumber,
+        isNewVersion: Boolean(existing),
+        migratedSessions: migrated,
         data: packageData,
         manifestData,
+        validation,
       };
     } catch (error) {
       // Clean up on error
+      await blobStore.releaseVersions([versionId]);
       await deleteDir(packageDir);
       if (fs.existsSync(filePath)) {
         await unlink(filePath);
@@ -90,40 +179,449 @@ export class PackageHandler {
   }
 
   /**
-   * Extract ZIP package
+   * Make a stored version the one served by default
    */
-  async extractPackage(zipPath, extractPath) {
+  setCurrentVersion(packageId, versionRow) {
+    statements.setCurrentPackageVersion.run(
+      versionRow.title,
+      versionRow.version,
+      versionRow.scorm_version,
+      versionRow.identifier,
+      versionRow.launch_path,
+      versionRow.metadata,
+      versionRow.file_path,
+      versionRow.file_size,
+      versionRow.version_number,
+      packageId
+    );
+    contentDelivery.invalidatePackage(packageId);
+    this.updateCatalogIndex(packageId);
+  }
+
+  /**
+   * Refresh the catalog search index entry of a package
+   */
+  updateCatalogIndex(packageId) {
+    const pkg = this.getPackage(packageId);
+    const details = this.getPackageDetails(pkg);
+
+    packageCatalog.indexPackage(packageId, details);
+  }
+
+  /**
+   * Rebuild the content search index of a package from its current version
+   * Indexing failures are logged rather than failing the upload or rollback that triggered them
+   */
+  async updateContentIndex(packageId) {
+    const pkg = this.getPackage(packageId);
+
     try {
-      await ensureDir(extractPath);
-      
-      const zip = new AdmZip(zipPath);
-      zip.extractAllTo(extractPath, true);
+      const structure = this.getPackageStructure(packageId);
+      await contentIndex.indexPackage(pkg, structure.items, pkg.metadata.resources || []);
+    } catch (error) {
+      console.error(`Content indexing failed for package ${packageId}:`, error);
+    }
+  }
 
-      // Verify extraction
-      if (!fs.existsSync(extractPath)) {
-        throw new Error('Package extraction failed');
+  /**
+   * Search the text of package content (packages indexed before an upload or rollback are refreshed first)
+   */
+  async searchContent(query = {}) {
+    for (const packageId of contentIndex.getStalePackages()) {
+      await this.updateContentIndex(packageId);
+    }
+
+    return contentIndex.search(query);
+  }
+
+  /**
+   * List packages for the catalog (see PackageCatalog.listPackages for the query parameters)
+   */
+  listPackages(query = {}) {
+    if (packageCatalog.needsIndexing()) {
+      for (const { id } of statements.getAllPackages.all()) {
+        this.updateCatalogIndex(id);
       }
+    }
+
+    return packageCatalog.listPackages(query);
+  }
+
+  /**
+   * List the stored versions of a package (newest first)
+   */
+  getPackageVersions(packageId) {
+    const pkg = statements.getPackage.get(packageId);
+
+    if (!pkg) {
+      throw new Error('Package not found');
+    }
+
+    const versions = statements.getPackageVersions.all(packageId);
+
+    // Manifest data, paths and validation reports stay out of the list (reports have their own endpoint)
+    return versions.map(({ metadata, file_path: filePath, validation, ...version }) => ({
+      ...version,
+      current: version.version_number === pkg.current_version,
+    }));
+  }
+
+  /**
+   * Get the validation report of a package version (reports missing for older uploads are created on demand)
+   */
+  async getValidationReport(packageId, packageVersion = null) {
+    const pkg = statements.getPackage.get(packageId);
+
+    if (!pkg) {
+      throw new Error('Package not found');
+    }
+
+    const versionRow = statements.getPackageVersion.get(packageId, Number(packageVersion || pkg.current_version));
+
+    if (!versionRow) {
+      throw new Error('Version not found');
+    }
+
+    if (versionRow.validation) {
+      return JSON.parse(versionRow.validation);
+    }
+
+    const validation = await packageValidator.validate(versionRow.file_path, JSON.parse(versionRow.metadata));
+    statements.updatePackageVersionValidation.run(JSON.stringify(validation), versionRow.id);
+
+    return validation;
+  }
+
+  /**
+   * Serve an earlier version by default again
+   */
+  async rollbackPackage(packageId, versionNumber, { migrateSessions = false } = {}) {
+    const pkg = statements.getPackage.get(packageId);
+
+    if (!pkg) {
+      throw new Error('Package not found');
+    }
+
+    const versionRow = statements.getPackageVersion.get(packageId, versionNumber);
+
+    if (!versionRow) {
+      throw new Error('Version not found');
+    }
+
+    const rollback = db.transaction(() => {
+      this.setCurrentVersion(packageId, versionRow);
+
+      return migrateSessions ? this.migrateSessions(packageId, versionNumber) : 0;
+    });
+
+    const migratedSessions = rollback();
+    await this.updateContentIndex(packageId);
+
+    return {
+      packageVersion: versionNumber,
+      migratedSessions,
+    };
+  }
+
+  /**
+   * Read the manifest identifier of SCORM packages uploaded before versioning, so re-uploads become new versions
+   */
+  async backfillManifestIdentifiers() {
+    let updated = 0;
+
+    for (const pkg of statements.getPackagesWithoutManifestIdentifier.all()) {
+      try {
+        const { manifestIdentifier } = await scormParser.parseManifest(pkg.file_path);
+
+        if (manifestIdentifier) {
+          statements.setPackageManifestIdentifier.run(manifestIdentifier, pkg.id);
+          updated++;
+        }
+      } catch (error) {
+        console.error(`Could not read the manifest identifier of package ${pkg.id}:`, error.message);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Version a learner should be served an item in: the one their resumable attempt on it started on, else the current
+   * one. Without an item, the item the current version launches for the learner is meant.
+   */
+  resolveVersion(packageId, userId = null, itemId = null) {
+    const pkg = statements.getPackage.get(packageId);
+
+    if (!pkg || !userId) {
+      return pkg ? pkg.current_version : null;
+    }
+
+    const launchedItem = itemId ||
+      this.getLaunchData(this.selectOrganization(this.getPackage(packageId), { userId }))?.identifier ||
+      null;
+    const resumable = scormApiService.getResumableSession(packageId, userId, launchedItem);
+
+    return resumable?.package_version || pkg.current_version;
+  }
+
+  /**
+   * Move learner records (suspend data, completion) onto a package version
+   * Refuses (409) when sessions belong to an organization or item the version does not have, listing them
+   */
+  migrateSessions(packageId, versionNumber) {
+    const pkg = this.getPackage(packageId, versionNumber);
+    const organizations = (pkg.metadata.organizations || []).map(org => org.identifier);
+    const conflicts = [];
+
+    for (const session of statements.getSessionsByPackage.all(packageId)) {
+      if (session.package_version === versionNumber) {
+        continue;
+      }
+
+      let error = null;
+      if (session.organization_id && !organizations.includes(session.organization_id)) {
+        error = `Organization ${session.organization_id} not found in version ${versionNumber}`;
+      } else if (session.item_id &&
+        !this.getPackageItem(packageId, session.item_id, versionNumber, session.organization_id)) {
+        error = `Item ${session.item_id} not found in version ${versionNumber}`;
+      }
+
+      if (error) {
+        conflicts.push({
+          sessionId: session.id,
+          userId: session.user_id,
+          organization: session.organization_id,
+          itemId: session.item_id,
+          error,
+        });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      const error = new Error(`${conflicts.length} session(s) cannot be migrated to version ${versionNumber}`);
+      error.status = 409;
+      error.sessions = conflicts;
+      throw error;
+    }
+
+    return statements.migratePackageSessions.run(versionNumber, packageId, versionNumber).changes;
+  }
+
+  /**
+   * Parse the course structure of an extracted package based on its format
+   */
+  async parsePackageManifest(packageDir) {
+    if (await findFile(packageDir, 'imsmanifest.xml')) {
+      return scormParser.parseManifest(packageDir);
+    }
+
+    if (await findFile(packageDir, 'cmi5.xml')) {
+      return cmi5Parser.parseCourseStructure(packageDir);
+    }
+
+    if (await findFile(packageDir, 'tincan.xml')) {
+      return tincanParser.parseDescriptor(packageDir);
+    }
+
+    if (await findFileByExtension(packageDir, '.crs')) {
+      return aiccParser.parseCourse(packageDir);
+    }
+
+    throw new Error('Package does not contain imsmanifest.xml, cmi5.xml, tincan.xml or an AICC course');
+  }
+
+  /**
+   * Detect package format from archive entry names
+   */
+  detectFormat(entryNames) {
+    const names = entryNames.map(name => name.toLowerCase());
+
+    if (names.some(name => name.endsWith('imsmanifest.xml'))) {
+      return 'scorm';
+    }
+
+    if (names.some(name => name === 'cmi5.xml' || name.endsWith('/cmi5.xml'))) {
+      return 'cmi5';
+    }
+
+    if (names.some(name => name === 'tincan.xml' || name.endsWith('/tincan.xml'))) {
+      return 'tincan';
+    }
+
+    if (names.some(name => name.endsWith('.crs')) && names.some(name => name.endsWith('.au'))) {
+      return 'aicc';
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract ZIP package (streamed entry by entry within the configured limits)
+   */
+  async extractPackage(zipPath, extractPath) {
+    try {
+      await extractZip(zipPath, extractPath);
     } catch (error) {
-      throw new Error(`Failed to extract package: ${error.message}`);
+      error.message = `Failed to extract package: ${error.message}`;
+      throw error;
     }
   }
 
   /**
-   * Get package by ID
+   * Get package by ID (optionally as one of its earlier versions)
    */
-  getPackage(packageId) {
+  getPackage(packageId, packageVersion = null) {
     const pkg = statements.getPackage.get(packageId);
     
     if (!pkg) {
       return null;
     }
 
+    if (packageVersion && Number(packageVersion) !== pkg.current_version) {
+      const versionRow = statements.getPackageVersion.get(packageId, Number(packageVersion));
+
+      if (!versionRow) {
+        return null;
+      }
+
+      return {
+        ...pkg,
+        title: versionRow.title,
+        version: versionRow.version,
+        scorm_version: versionRow.scorm_version,
+        identifier: versionRow.identifier,
+        launch_path: versionRow.launch_path,
+        metadata: JSON.parse(versionRow.metadata),
+        file_path: versionRow.file_path,
+        file_size: versionRow.file_size,
+        overrides: JSON.parse(pkg.overrides || '{}'),
+        package_version: versionRow.version_number,
+      };
+    }
+
     return {
       ...pkg,
       metadata: JSON.parse(pkg.metadata),
+      overrides: JSON.parse(pkg.overrides || '{}'),
+      package_version: pkg.current_version,
     };
   }
 
+  /**
+   * Get the editable details of a package: manifest values with administrator overrides applied
+   */
+  getPackageDetails(pkg) {
+    const general = pkg.metadata.metadata?.general || {};
+    const keywords = [general.keywords].flat().filter(Boolean)
+      .flatMap(keyword => [keyword.string ?? keyword].flat())
+      .map(keyword => scormParser.extractLangString(keyword))
+      .filter(Boolean);
+
+    return buildDetails({
+      title: pkg.metadata.title || pkg.title,
+      description: scormParser.extractLangString(general.description) || '',
+      keywords,
+      organization: pkg.metadata.identifier || null,
+    }, pkg.overrides || {});
+  }
+
+  /**
+   * Edit package details; the manifest values stay untouched so they can be restored
+   */
+  updatePackageDetails(packageId, input) {
+    const pkg = this.getPackage(packageId);
+
+    if (!pkg) {
+      return null;
+    }
+
+    const { changes, errors } = validateDetails(input);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid package details: ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+      error.status = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    if (changes.organization && !(pkg.metadata.organizations || []).some(org => org.identifier === changes.organization)) {
+      const error = new Error('Invalid package details: 1 error');
+      error.status = 400;
+      error.errors = [{ field: 'organization', error: 'is not an organization of the package' }];
+      throw error;
+    }
+
+    return this.saveOverrides(pkg, applyDetailChanges(pkg.overrides, changes));
+  }
+
+  /**
+   * Restore the manifest values (or defaults) of some or all edited fields
+   */
+  restorePackageDetails(packageId, fields = EDITABLE_FIELDS) {
+    const pkg = this.getPackage(packageId);
+
+    if (!pkg) {
+      return null;
+    }
+
+    const unknown = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown fields: ${unknown.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return this.saveOverrides(pkg, applyDetailChanges(pkg.overrides, Object.fromEntries(fields.map(field => [field, null]))));
+  }
+
+  /**
+   * Store package overrides; the packages row carries the effective title so listings show it
+   */
+  saveOverrides(pkg, overrides) {
+    const original = this.getPackageDetails({ ...pkg, overrides: {} });
+
+    statements.updatePackage.run(
+      overrides.title ?? original.title,
+      pkg.version,
+      JSON.stringify(pkg.metadata),
+      Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null,
+      pkg.id
+    );
+    this.updateCatalogIndex(pkg.id);
+
+    return this.getPackageDetails(this.getPackage(pkg.id));
+  }
+
+  /**
+   * Move the files of versions stored before deduplication (or with it disabled) into the blob store
+   */
+  async deduplicateStorage() {
+    const versions = statements.getUnstoredPackageVersions.all();
+    const result = { versions: 0, files: 0, dedupedFiles: 0, dedupedBytes: 0 };
+
+    for (const version of versions) {
+      if (!fs.existsSync(version.file_path)) {
+        continue;
+      }
+
+      const stored = await blobStore.storeDirectory(version.id, version.file_path);
+      result.versions++;
+      result.files += stored.files;
+      result.dedupedFiles += stored.dedupedFiles;
+      result.dedupedBytes += stored.dedupedBytes;
+    }
+    contentDelivery.invalidateAll();
+
+    return { ...result, report: blobStore.getReport() };
+  }
+
+  /**
+   * Storage used by package files and the space deduplication saves
+   */
+  getStorageReport() {
+    return blobStore.getReport();
+  }
+
   /**
    * Get all packages
    */
@@ -133,6 +631,7 @@ export class PackageHandler {
     return packages.map(pkg => ({
       ...pkg,
       metadata: JSON.parse(pkg.metadata),
+      overrides: JSON.parse(pkg.overrides || '{}'),
     }));
   }
 
@@ -146,11 +645,20 @@ export class PackageHandler {
       throw new Error('Package not found');
     }
 
-    // Delete from database (cascades to sessions)
+    const versions = statements.getPackageVersions.all(packageId);
+    const directories = new Set([pkg.file_path, ...versions.map(version => version.file_path)]);
+
+    // Delete from database (cascades to sessions and versions)
     statements.deletePackage.run(packageId);
+    packageCatalog.removePackage(packageId);
+    contentIndex.removePackage(packageId);
+    contentDelivery.invalidatePackage(packageId);
 
-    // Delete files
-    await deleteDir(pkg.file_path);
+    // Delete files of every version, then the blobs no other package uses
+    for (const directory of directories) {
+      await deleteDir(directory);
+    }
+    await blobStore.releaseVersions(versions.map(version => version.id));
 
     return { success: true };
   }
@@ -165,21 +673,193 @@ export class PackageHandler {
       throw new Error('Package not found');
     }
 
-    const manifestData = pkg.metadata;
-    const launchPath = manifestData.launchData?.launchUrl || pkg.launch_path;
+    const launchPath = this.getLaunchPath(pkg);
 
     if (!launchPath) {
       throw new Error('No launch path found in package');
     }
 
-    return `${baseUrl}/api/packages/${packageId}/content/${launchPath}`;
+    return this.getContentUrl(pkg, baseUrl, launchPath);
   }
 
   /**
-   * Get package file path
+   * Build the URL of a content file (earlier versions are served from their own path, isolated content from its own origin)
    */
-  getPackageFilePath(packageId, relativePath) {
+  getContentUrl(pkg, baseUrl, relativePath) {
+    const versionPath = pkg.package_version && pkg.package_version !== pkg.current_version
+      ? `/versions/${pkg.package_version}`
+      : '';
+
+    return `${getContentBaseUrl(baseUrl)}/api/packages/${pkg.id}${versionPath}/content/${relativePath}`;
+  }
+
+  /**
+   * Get the organization used to launch a package: the one selected for this delivery (organization_id),
+   * else the one chosen for the package, else the manifest default
+   */
+  getOrganization(pkg) {
+    const organizations = pkg.metadata.organizations || [];
+    const preferred = [pkg.organization_id, pkg.overrides?.organization, pkg.metadata.identifier].filter(Boolean);
+
+    for (const identifier of preferred) {
+      const organization = organizations.find(org => org.identifier === identifier);
+      if (organization) return organization;
+    }
+
+    return organizations[0] || null;
+  }
+
+  /**
+   * Select the organization a package is delivered with: the requested one, else the learner's assignment
+   * Assignments to organizations a version does not have fall back to the package's organization
+   */
+  selectOrganization(pkg, { organizationId = null, userId = null } = {}) {
+    const organizations = pkg.metadata.organizations || [];
+
+    if (organizationId) {
+      if (!organizations.some(org => org.identifier === organizationId)) {
+        const error = new Error('Organization not found');
+        error.status = 404;
+        throw error;
+      }
+
+      return { ...pkg, organization_id: organizationId };
+    }
+
+    const assignment = userId ? statements.getOrganizationAssignment.get(pkg.id, userId) : null;
+    const organization = this.getOrganization({ ...pkg, organization_id: assignment?.organization_id });
+
+    return { ...pkg, organization_id: organization ? organization.identifier : null };
+  }
+
+  /**
+   * List the organizations of a package with the one launched by default
+   */
+  getOrganizations(packageId) {
     const pkg = this.getPackage(packageId);
+
+    if (!pkg) {
+      return null;
+    }
+
+    const active = this.getOrganization(pkg);
+
+    return {
+      defaultOrganization: pkg.metadata.identifier || null,
+      activeOrganization: active ? active.identifier : null,
+      organizations: (pkg.metadata.organizations || []).map(organization => ({
+        identifier: organization.identifier,
+        title: organization.title,
+        isDefault: organization.identifier === pkg.metadata.identifier,
+        isActive: organization.identifier === active?.identifier,
+        itemCount: this.countItems(organization.items || []),
+        launchItemId: scormParser.getLaunchData(organization, pkg.metadata.resources || [])?.identifier || null,
+      })),
+    };
+  }
+
+  /**
+   * List the learners assigned to an organization of a package
+   */
+  getOrganizationAssignments(packageId) {
+    return statements.getOrganizationAssignments.all(packageId).map(assignment => ({
+      userId: assignment.user_id,
+      organization: assignment.organization_id,
+      assignedAt: new Date(assignment.assigned_at * 1000).toISOString(),
+    }));
+  }
+
+  /**
+   * Assign a learner to an organization of a package
+   */
+  assignOrganization(packageId, userId, organizationId) {
+    const pkg = this.getPackage(packageId);
+
+    if (!pkg) {
+      return null;
+    }
+
+    this.selectOrganization(pkg, { organizationId });
+    statements.saveOrganizationAssignment.run(packageId, userId, organizationId);
+
+    return { userId, organization: organizationId };
+  }
+
+  /**
+   * Remove a learner's organization assignment; they get the package's organization again
+   */
+  unassignOrganization(packageId, userId) {
+    return statements.deleteOrganizationAssignment.run(packageId, userId).changes > 0;
+  }
+
+  /**
+   * Launch data of the organization a package is delivered with (the manifest's is for the default one)
+   */
+  getLaunchData(pkg) {
+    const organization = this.getOrganization(pkg);
+
+    if (!organization || organization.identifier === pkg.metadata.identifier) {
+      return pkg.metadata.launchData || null;
+    }
+
+    return scormParser.getLaunchData(organization, pkg.metadata.resources || []);
+  }
+
+  /**
+   * Launch path of the organization a package is delivered with, item parameters merged into the href
+   */
+  getLaunchPath(pkg) {
+    const launchData = this.getLaunchData(pkg);
+
+    return launchData?.launchUrl
+      ? scormParser.buildLaunchUrl(launchData.launchUrl, launchData.parameters)
+      : pkg.launch_path;
+  }
+
+  /**
+   * Helper: Count the items of an items tree
+   */
+  countItems(items) {
+    return items.reduce((count, item) => count + 1 + this.countItems(item.children || []), 0);
+  }
+
+  /**
+   * Get the activity tree for a package (of the package's organization unless one is given)
+   */
+  getPackageStructure(packageId, packageVersion = null, organizationId = null) {
+    const pkg = this.getPackage(packageId, packageVersion);
+
+    if (!pkg) {
+      throw new Error('Package not found');
+    }
+
+    const organization = this.getOrganization({ ...pkg, organization_id: organizationId });
+
+    return {
+      packageId,
+      packageVersion: pkg.package_version,
+      scormVersion: pkg.scorm_version,
+      organization: organization ? {
+        identifier: organization.identifier,
+        title: organization.title,
+      } : null,
+      items: scormParser.buildActivityTree(organization, pkg.metadata.resources || []),
+    };
+  }
+
+  /**
+   * Get a single item from the package activity tree
+   */
+  getPackageItem(packageId, itemId, packageVersion = null, organizationId = null) {
+    const structure = this.getPackageStructure(packageId, packageVersion, organizationId);
+    return scormParser.findItem(structure.items, itemId);
+  }
+
+  /**
+   * Get package file path
+   */
+  getPackageFilePath(packageId, relativePath, packageVersion = null) {
+    const pkg = this.getPackage(packageId, packageVersion);
     
     if (!pkg) {
       throw new Error('Package not found');
@@ -202,112 +882,21 @@ export class PackageHandler {
   /**
    * Create package bundle for offline use
    */
-  async createOfflineBundle(packageId) {
+  async createOfflineBundle(packageId, { learner = null } = {}) {
     const pkg = this.getPackage(packageId);
     
     if (!pkg) {
       throw new Error('Package not found');
     }
 
-    // Create ZIP of package with offline player
-    const zip = new AdmZip();
-    
-    // Add package files
-    zip.addLocalFolder(pkg.file_path);
-
-    // Add offline player HTML wrapper
-    const offlinePlayer = this.generateOfflinePlayer(pkg);
-    zip.addFile('offline-player.html', Buffer.from(offlinePlayer, 'utf-8'));
-
-    // Add offline configuration
-    const offlineConfig = {
-      packageId: pkg.id,
-      title: pkg.title,
-      version: pkg.scorm_version,
-      launchPath: pkg.launch_path,
-      enableOfflineSupport: true,
-      syncOnInitialize: true,
-      syncOnTerminate: true,
-    };
-    zip.addFile('offline-config.json', Buffer.from(JSON.stringify(offlineConfig, null, 2), 'utf-8'));
-
-    return zip.toBuffer();
-  }
+    if (['cmi5', 'tincan', 'aicc'].includes(pkg.format)) {
+      throw new Error(`Offline bundles are not available for ${pkg.format} packages`);
+    }
 
-  /**
-   * Generate offline player HTML
-   */
-  generateOfflinePlayer(pkg) {
-    const scormVersion = pkg.scorm_version.startsWith('2004') ? '2004' : '1.2';
-    const apiName = scormVersion === '2004' ? 'API_1484_11' : 'API';
+    // Learners get the organization assigned to them
+    const { organization_id: organizationId } = this.selectOrganization(pkg, { userId: learner });
 
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${pkg.title} - Offline Player</title>
-    <style>
-        body, html {
-            margin: 0;
-            padding: 0;
-            width: 100%;
-            height: 100%;
-            overflow: hidden;
-        }
-        #scorm-content {
-            width: 100%;
-            height: 100%;
-            border: none;
-        }
-    </style>
-</head>
-<body>
-    <iframe id="scorm-content" src="${pkg.launch_path}"></iframe>
-    
-    <!-- Include scorm-again library from CDN -->
-    <script src="https://cdn.jsdelivr.net/npm/scorm-again@latest/dist/scorm${scormVersion === '1.2' ? '12' : '2004'}.min.js"></script>
-    
-    <script>
-        // Load offline configuration
-        fetch('./offline-config.json')
-            .then(response => response.json())
-            .then(config => {
-                // Initialize SCORM API with offline support
-                const settings = {
-                    autocommit: true,
-                    autocommitSeconds: 10,
-                    enableOfflineSupport: true,
-                    courseId: config.packageId,
-                    syncOnInitialize: true,
-                    syncOnTerminate: true,
-                    logLevel: 'INFO',
-                };
-
-                // Create API
-                window.${apiName} = new ${scormVersion === '1.2' ? 'Scorm12API' : 'Scorm2004API'}(settings);
-
-                // Listen for SCORM events
-                window.${apiName}.on('${scormVersion === '1.2' ? 'LMS' : ''}Initialize', () => {
-                    console.log('SCORM session initialized');
-                });
-
-                window.${apiName}.on('${scormVersion === '1.2' ? 'LMS' : ''}Commit', () => {
-                    console.log('SCORM data committed (offline)');
-                });
-
-                window.${apiName}.on('${scormVersion === '1.2' ? 'LMS' : ''}Finish', () => {
-                    console.log('SCORM session finished');
-                });
-
-                console.log('Offline SCORM player initialized for: ' + config.title);
-            })
-            .catch(error => {
-                console.error('Failed to load offline configuration:', error);
-            });
-    </script>
-</body>
-</html>`;
+    return offlineBundle.createBundle(pkg, this.getPackageStructure(packageId, null, organizationId), { learner });
   }
 
   /**
@@ -321,26 +910,31 @@ export class PackageHandler {
         throw new Error(`Package exceeds maximum size of ${config.scorm.maxPackageSize} bytes`);
       }
 
-      // Check if valid ZIP
-      const zip = new AdmZip(filePath);
-      const entries = zip.getEntries();
+      // Check if valid ZIP (reads the central directory only)
+      const { names, entryErrors } = await inspectZip(filePath);
 
-      if (entries.length === 0) {
+      if (names.length === 0) {
         throw new Error('Package is empty');
       }
 
-      // Check for manifest
-      const hasManifest = entries.some(entry => 
-        entry.entryName.toLowerCase().endsWith('imsmanifest.xml')
-      );
+      if (entryErrors.length > 0) {
+        return {
+          valid: false,
+          error: `Package contains ${entryErrors.length} invalid entr${entryErrors.length === 1 ? 'y' : 'ies'}`,
+          entryErrors,
+        };
+      }
+
+      // Check for a SCORM manifest, cmi5 course structure, TinCan descriptor or AICC course
+      const format = this.detectFormat(names);
 
-      if (!hasManifest) {
-        throw new Error('Package does not contain imsmanifest.xml');
+      if (!format) {
+        throw new Error('Package does not contain imsmanifest.xml, cmi5.xml, tincan.xml or an AICC course');
       }
 
-      return { valid: true };
+      return { valid: true, format };
     } catch (error) {
-      return { valid: false, error: error.message };
+      return { valid: false, error: error.message, entryErrors: error.entryErrors || [] };
     }
   }
 }
@@ -0,0 +1,335 @@
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { findFile, listFiles } from '../utils/file-system.js';
+import { getCanonicalPrefix, getNamespaceVersion, parseNamespacedXml } from '../utils/xml-namespaces.js';
+
+const readFile = promisify(fs.readFile);
+
+const SUPPORTED_SCHEMA_VERSIONS = ['1.2', 'CAM 1.3', '2004 3rd Edition', '2004 4th Edition'];
+const SCORM_TYPES = ['sco', 'asset'];
+
+// SCORM 1.2 item elements replaced in SCORM 2004 (masteryscore by objectives, the rest by adlcp/imsss elements)
+const SCORM12_ITEM_ELEMENTS = ['adlcp:masteryscore', 'adlcp:prerequisites', 'adlcp:maxtimeallowed', 'adlcp:datafromlms'];
+
+// Files that belong to the package format rather than to its content
+const PACKAGE_FILE_PATTERN = /(^|\/)(imsmanifest\.xml|cmi5\.xml|tincan\.xml)$|\.(xsd|dtd)$/i;
+
+// Unreferenced files are listed up to this count in the report
+const MAX_LISTED_FILES = 50;
+
+/**
+ * Package Validator
+ * Builds a conformance report for an extracted package
+ */
+export class PackageValidator {
+  /**
+   * Validate an extracted package against its parsed manifest data
+   */
+  async validate(packageDir, manifestData) {
+    const issues = [];
+    const format = manifestData.format || 'scorm';
+    const files = await listFiles(packageDir);
+    const report = (severity, code, message, details = {}) => {
+      issues.push({ severity, code, message, ...details });
+    };
+
+    let scormTypes = null;
+    if (format === 'scorm') {
+      scormTypes = await this.checkScormManifest(packageDir, manifestData, report);
+    } else {
+      this.checkDuplicateItems(manifestData, report);
+    }
+
+    this.checkReferences(manifestData, report);
+    this.checkFiles(manifestData, files, format, report);
+    this.checkLaunchable(manifestData, format, scormTypes, report);
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+
+    return {
+      valid: errors === 0,
+      format,
+      scormVersion: manifestData.version,
+      summary: {
+        errors,
+        warnings: issues.length - errors,
+      },
+      issues,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Checks that need the raw imsmanifest.xml: identifiers, scormtype values, schema version and version mismatches
+   * Returns the raw scormtype of each resource
+   */
+  async checkScormManifest(packageDir, manifestData, report) {
+    const manifestPath = await findFile(packageDir, 'imsmanifest.xml');
+    const { document, namespaces } = await parseNamespacedXml(await readFile(manifestPath, 'utf8'));
+    const manifest = document.manifest;
+    const version = manifestData.version?.startsWith('2004') ? '2004' : '1.2';
+
+    // Duplicate identifiers
+    const seen = new Map();
+    const collect = (element, kind) => {
+      if (element?.identifier) {
+        seen.set(element.identifier, [...(seen.get(element.identifier) || []), kind]);
+      }
+    };
+    const walkItems = (items) => {
+      for (const item of this.toArray(items)) {
+        collect(item, 'item');
+        walkItems(item.item);
+      }
+    };
+
+    // Sub-manifests share the identifier space of the manifest containing them
+    const manifests = [];
+    const walkManifests = (element) => {
+      manifests.push(element);
+      for (const subManifest of this.toArray(element.manifest)) {
+        collect(subManifest, 'manifest');
+        walkManifests(subManifest);
+      }
+    };
+    walkManifests(manifest);
+
+    for (const organization of manifests.flatMap(element => this.toArray(element.organizations?.organization))) {
+      collect(organization, 'organization');
+      walkItems(organization.item);
+    }
+
+    const resources = manifests.flatMap(element => this.toArray(element.resources?.resource));
+    resources.forEach(resource => collect(resource, 'resource'));
+
+    for (const [identifier, kinds] of seen) {
+      if (kinds.length > 1) {
+        report('error', 'DUPLICATE_IDENTIFIER', `Identifier "${identifier}" is used ${kinds.length} times (${kinds.join(', ')})`, { identifier });
+      }
+    }
+
+    // adlcp:scormtype values (attribute casing differs between 1.2 and 2004)
+    const scormTypes = new Map();
+    const expectedAttribute = version === '2004' ? 'adlcp:scormType' : 'adlcp:scormtype';
+    const otherAttribute = version === '2004' ? 'adlcp:scormtype' : 'adlcp:scormType';
+
+    for (const resource of resources) {
+      const value = resource[expectedAttribute] ?? resource[otherAttribute];
+      scormTypes.set(resource.identifier, value);
+
+      if (value === undefined) {
+        report('warning', 'MISSING_SCORMTYPE', `Resource "${resource.identifier}" has no ${expectedAttribute} attribute`, { identifier: resource.identifier });
+      } else if (!SCORM_TYPES.includes(value)) {
+        report('error', 'INVALID_SCORMTYPE', `Resource "${resource.identifier}" has invalid ${expectedAttribute} "${value}" (expected "sco" or "asset")`, { identifier: resource.identifier });
+      }
+
+      if (resource[expectedAttribute] === undefined && resource[otherAttribute] !== undefined) {
+        report('warning', 'VERSION_MISMATCH', `Resource "${resource.identifier}" uses the ${otherAttribute} attribute in a SCORM ${version} manifest`, { identifier: resource.identifier });
+      }
+
+      if (resource.type && resource.type !== 'webcontent') {
+        report('warning', 'UNEXPECTED_RESOURCE_TYPE', `Resource "${resource.identifier}" has type "${resource.type}" (expected "webcontent")`, { identifier: resource.identifier });
+      }
+    }
+
+    // Schema and schema version
+    const schemaVersion = manifestData.metadata?.schemaVersion;
+    if (!schemaVersion) {
+      report('warning', 'MISSING_SCHEMA_VERSION', 'Manifest metadata has no schemaversion');
+    } else if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
+      report('warning', 'UNSUPPORTED_SCHEMA_VERSION', `Schema version "${schemaVersion}" is not one of ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`);
+    }
+
+    if (manifestData.metadata?.schema && manifestData.metadata.schema !== 'ADL SCORM') {
+      report('warning', 'UNEXPECTED_SCHEMA', `Schema "${manifestData.metadata.schema}" should be "ADL SCORM"`);
+    }
+
+    // 1.2 / 2004 mismatches
+    const otherVersion = version === '2004' ? '1.2' : '2004';
+    const declares = (prefix, namespaceVersion) => namespaces.some(uri =>
+      getCanonicalPrefix(uri) === prefix && (!namespaceVersion || getNamespaceVersion(uri) === namespaceVersion));
+
+    if (declares('adlcp', otherVersion)) {
+      report('error', 'VERSION_MISMATCH', `SCORM ${version} manifest declares the SCORM ${otherVersion} adlcp namespace`);
+    }
+
+    if (version === '1.2' && (declares('imsss') || declares('adlseq') || declares('adlnav'))) {
+      report('warning', 'VERSION_MISMATCH', 'SCORM 1.2 manifest declares SCORM 2004 sequencing namespaces; sequencing is ignored');
+    }
+
+    if (version === '2004') {
+      const legacyItems = [];
+      const findLegacy = (items) => {
+        for (const item of this.toArray(items)) {
+          if (SCORM12_ITEM_ELEMENTS.some(element => item[element] !== undefined)) {
+            legacyItems.push(item.identifier);
+          }
+          findLegacy(item.item);
+        }
+      };
+      this.toArray(manifest.organizations?.organization).forEach(org => findLegacy(org.item));
+
+      for (const identifier of legacyItems) {
+        report('warning', 'VERSION_MISMATCH', `Item "${identifier}" uses SCORM 1.2 elements that SCORM 2004 ignores`, { identifier });
+      }
+    }
+
+    return scormTypes;
+  }
+
+  /**
+   * Duplicate item identifiers of formats without a raw manifest check
+   */
+  checkDuplicateItems(manifestData, report) {
+    const counts = new Map();
+
+    for (const item of this.flattenItems(manifestData)) {
+      counts.set(item.identifier, (counts.get(item.identifier) || 0) + 1);
+    }
+
+    for (const [identifier, count] of counts) {
+      if (count > 1) {
+        report('error', 'DUPLICATE_IDENTIFIER', `Identifier "${identifier}" is used ${count} times`, { identifier });
+      }
+    }
+  }
+
+  /**
+   * Dangling item identifierrefs and resource dependencies
+   */
+  checkReferences(manifestData, report) {
+    const resourceIds = new Set((manifestData.resources || []).map(resource => resource.identifier));
+
+    for (const item of this.flattenItems(manifestData)) {
+      if (item.identifierref && !resourceIds.has(item.identifierref)) {
+        report('error', 'DANGLING_IDENTIFIERREF', `Item "${item.identifier}" references missing resource "${item.identifierref}"`, { identifier: item.identifier });
+      }
+    }
+
+    for (const resource of manifestData.resources || []) {
+      for (const dependency of resource.dependencies || []) {
+        if (!resourceIds.has(dependency)) {
+          report('error', 'DANGLING_DEPENDENCY', `Resource "${resource.identifier}" depends on missing resource "${dependency}"`, { identifier: resource.identifier });
+        }
+      }
+    }
+  }
+
+  /**
+   * Resource hrefs and <file> entries that are missing on disk, and files no resource lists
+   */
+  checkFiles(manifestData, files, format, report) {
+    const existing = new Set(files);
+    const lowerCase = new Map(files.map(file => [file.toLowerCase(), file]));
+    const referenced = new Set();
+
+    const check = (resource, href, severity, code, label) => {
+      if (!href || resource.external || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+        return;
+      }
+
+      const file = this.toFilePath(href);
+      referenced.add(file);
+
+      if (existing.has(file)) {
+        return;
+      }
+
+      const other = lowerCase.get(file.toLowerCase());
+      const message = other
+        ? `${label} "${file}" of resource "${resource.identifier}" only exists as "${other}" (paths are case-sensitive)`
+        : `${label} "${file}" of resource "${resource.identifier}" does not exist`;
+
+      report(severity, code, message, { identifier: resource.identifier, path: file });
+    };
+
+    for (const resource of manifestData.resources || []) {
+      check(resource, resource.href, 'error', 'MISSING_HREF_FILE', 'Launch file');
+
+      // The launch file is usually listed again as a <file>; it is reported once
+      const hrefPath = resource.href ? this.toFilePath(resource.href) : null;
+      for (const file of resource.files || []) {
+        if (this.toFilePath(file) !== hrefPath) {
+          check(resource, file, 'warning', 'MISSING_FILE', 'File');
+        }
+      }
+    }
+
+    // Only manifests that list their files can be checked for unreferenced ones
+    const listsFiles = format === 'scorm' && (manifestData.resources || []).some(resource => resource.files?.length > 0);
+    if (!listsFiles) {
+      return;
+    }
+
+    const unreferenced = files.filter(file => !referenced.has(file) && !PACKAGE_FILE_PATTERN.test(file));
+    if (unreferenced.length > 0) {
+      report('warning', 'UNREFERENCED_FILES', `${unreferenced.length} file(s) are not listed by any resource`, {
+        files: unreferenced.slice(0, MAX_LISTED_FILES),
+      });
+    }
+  }
+
+  /**
+   * SCO resources without a launch file, and packages with nothing to launch
+   */
+  checkLaunchable(manifestData, format, scormTypes, report) {
+    if (format === 'scorm') {
+      const scos = [...scormTypes].filter(([, type]) => type === 'sco').map(([identifier]) => identifier);
+
+      if (scos.length === 0) {
+        report('error', 'NO_SCO', 'Manifest has no resource with scormtype "sco"');
+      }
+
+      for (const identifier of scos) {
+        const resource = (manifestData.resources || []).find(r => r.identifier === identifier);
+        if (!resource?.href) {
+          report('error', 'MISSING_SCO_HREF', `SCO resource "${identifier}" has no href`, { identifier });
+        }
+      }
+    }
+
+    if (!manifestData.launchData) {
+      report('error', 'NO_LAUNCHABLE_ITEM', 'No item in the default organization can be launched');
+    }
+  }
+
+  /**
+   * Helper: All items of all organizations
+   */
+  flattenItems(manifestData) {
+    const result = [];
+    const walk = (items) => {
+      for (const item of items || []) {
+        result.push(item);
+        walk(item.children);
+      }
+    };
+
+    (manifestData.organizations || []).forEach(org => walk(org.items));
+    return result;
+  }
+
+  /**
+   * Helper: Turn an href into a package-relative file path
+   */
+  toFilePath(href) {
+    const file = href.split(/[?#]/)[0].replace(/\\/g, '/').replace(/^\.\//, '');
+
+    try {
+      return path.posix.normalize(decodeURI(file));
+    } catch {
+      return path.posix.normalize(file);
+    }
+  }
+
+  /**
+   * Helper: Normalize an xml2js value to an array
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+export default new PackageValidator();
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import { db, statements } from '../models/database.js';
+import scormApiService from './scorm-api.js';
+import packageHandler from './package-handler.js';
+import offlineBundle from './offline-bundle.js';
+import { formatTime, toSeconds } from '../utils/scorm-time.js';
+
+const EXPORT_FORMAT = 'scorm-offline-progress';
+const EXPORT_FORMAT_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+/**
+ * Create an import error carrying the HTTP status and the sessions that caused it
+ */
+function importError(status, message, errors = []) {
+  const error = new Error(message);
+  error.status = status;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Progress Export Service
+ * Verifies the signed progress files exported by offline bundles and merges them into learner sessions
+ */
+export class ProgressExportService {
+  /**
+   * Sign an export payload with a bundle key
+   */
+  sign(payload, key) {
+    return crypto.createHmac('sha256', Buffer.from(key, 'hex'))
+      .update(JSON.stringify(payload))
+      .digest('hex');
+  }
+
+  /**
+   * Validate a progress export file and merge its sessions for the package version and the learner it was signed for
+   */
+  importFile(file, { userId = null } = {}) {
+    const { payload, signature } = file || {};
+
+    if (!payload || typeof payload !== 'object' || !signature || typeof signature !== 'object') {
+      throw importError(400, 'Not a progress export file');
+    }
+
+    if (payload.format !== EXPORT_FORMAT || payload.formatVersion !== EXPORT_FORMAT_VERSION) {
+      throw importError(400, `Unsupported export format: ${payload.format} ${payload.formatVersion}`);
+    }
+
+    // Every bundle is issued for a learner (anonymous ones get an id); the signature covers it
+    const learner = payload.learner ?? null;
+
+    if (!learner || typeof learner !== 'string') {
+      throw importError(400, 'Export is not bound to a learner');
+    }
+
+    if (userId && learner !== userId) {
+      throw importError(400, 'Export belongs to a different learner');
+    }
+
+    const pkg = Number.isInteger(payload.packageVersion)
+      ? packageHandler.getPackage(payload.packageId, payload.packageVersion)
+      : null;
+
+    if (!pkg) {
+      throw importError(404, 'Package version not found');
+    }
+
+    this.verifySignature(payload, signature, offlineBundle.getProgressKey(pkg.id, payload.packageVersion, learner));
+
+    if (!Array.isArray(payload.sessions)) {
+      throw importError(400, 'Export has no sessions');
+    }
+
+    const delivered = this.selectOrganization(pkg, payload.organization, learner);
+    const errors = payload.sessions
+      .map(session => ({ sessionId: session?.sessionId ?? null, error: this.checkSession(session, delivered, learner) }))
+      .filter(({ error }) => error);
+
+    if (errors.length > 0) {
+      throw importError(400, `Export contains ${errors.length} invalid session${errors.length === 1 ? '' : 's'}`, errors);
+    }
+
+    const sessions = db.transaction(() => payload.sessions.map(session => this.mergeSession(session, delivered, learner)))();
+
+    return {
+      packageId: pkg.id,
+      packageVersion: payload.packageVersion,
+      organization: delivered.organization_id,
+      userId: learner,
+      bundleHash: payload.bundleHash || null,
+      exportedAt: payload.exportedAt || null,
+      imported: sessions.filter(session => session.status !== 'skipped').length,
+      skipped: sessions.filter(session => session.status === 'skipped').length,
+      sessions,
+    };
+  }
+
+  /**
+   * Organization the bundle was built with (exports from older bundles get the learner's one)
+   */
+  selectOrganization(pkg, organizationId, userId) {
+    try {
+      return packageHandler.selectOrganization(pkg, { organizationId: organizationId || null, userId });
+    } catch (error) {
+      throw importError(error.status || 400, `Organization ${organizationId} not found in package version ${pkg.package_version}`);
+    }
+  }
+
+  /**
+   * Check the export signature (constant time)
+   * The key ships in the bundle, so this catches corrupted or mismatched files; it does not authenticate the learner
+   */
+  verifySignature(payload, signature, key) {
+    if (signature.algorithm !== SIGNATURE_ALGORITHM || typeof signature.value !== 'string') {
+      throw importError(400, `Unsupported signature algorithm: ${signature.algorithm}`);
+    }
+
+    const expected = Buffer.from(this.sign(payload, key), 'hex');
+    const actual = Buffer.from(signature.value, 'hex');
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw importError(400, 'Invalid export signature');
+    }
+  }
+
+  /**
+   * Describe what is wrong with an exported session, or return null
+   */
+  checkSession(session, pkg, userId) {
+    if (!session || typeof session !== 'object') {
+      return 'Session must be an object';
+    }
+
+    if (typeof session.sessionId !== 'string' || !session.sessionId) {
+      return 'sessionId is required';
+    }
+
+    if (!session.cmi || typeof session.cmi !== 'object') {
+      return 'cmi must be an object';
+    }
+
+    if (Number.isNaN(Date.parse(session.startedAt)) || Number.isNaN(Date.parse(session.updatedAt))) {
+      return 'startedAt and updatedAt must be ISO 8601 timestamps';
+    }
+
+    if (!packageHandler.getPackageItem(pkg.id, session.itemId, pkg.package_version, pkg.organization_id)) {
+      return `Item ${session.itemId} not found in package version ${pkg.package_version}`;
+    }
+
+    const existing = statements.getSession.get(session.sessionId);
+    if (existing && (existing.package_id !== pkg.id || existing.user_id !== userId || existing.item_id !== session.itemId)) {
+      return 'Session id belongs to a different package, learner or item';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or update the session of an exported attempt
+   * Sessions the server has seen since the attempt was last saved are left untouched
+   */
+  mergeSession(session, pkg, userId) {
+    const startedAt = Math.floor(Date.parse(session.startedAt) / 1000);
+    const updatedAt = Math.floor(Date.parse(session.updatedAt) / 1000);
+    const existing = statements.getSession.get(session.sessionId);
+
+    if (existing && existing.last_accessed >= updatedAt) {
+      return { sessionId: session.sessionId, itemId: session.itemId, status: 'skipped', reason: 'Server copy is up to date' };
+    }
+
+    if (!existing) {
+      // Sessions the offline player resumed or continued belong to the learner's latest attempt
+      const latest = statements.getLatestAttemptSession.get(pkg.id, userId, session.itemId, pkg.organization_id);
+      const entry = session.cmi.entry ?? session.cmi.core?.entry;
+      const attempt = latest && (entry === 'resume' || entry === '') ? latest.attempt : (latest?.attempt || 0) + 1;
+
+      statements.insertImportedSession.run(
+        session.sessionId, pkg.id, userId, session.itemId, pkg.package_version, startedAt, updatedAt, pkg.organization_id,
+        attempt
+      );
+    }
+
+    // Entry and total time come from the offline runtime (the LMS side); the SCO's data is checked like any commit
+    const { cmi, runtime } = this.splitRuntimeValues(session, pkg.scorm_version);
+    scormApiService.storeCmiData(session.sessionId, runtime);
+    const { rejected } = scormApiService.commitSession(session.sessionId, { cmi });
+
+    statements.setSessionLastAccessed.run(updatedAt, session.sessionId);
+
+    return {
+      sessionId: session.sessionId,
+      itemId: session.itemId,
+      status: existing ? 'updated' : 'created',
+      ...(rejected.length > 0 ? { rejected } : {}),
+    };
+  }
+
+  /**
+   * Separate the values the offline runtime keeps (entry, total time before the session) from the SCO's CMI data
+   * The exported totalTime includes the session, so it only stands in (less the session time) for a missing total_time
+   */
+  splitRuntimeValues(session, scormVersion) {
+    const owned = (values) => {
+      const { entry, total_time: totalTime, ...rest } = values;
+      const before = totalTime || (session.totalTime
+        ? formatTime(Math.max(0, toSeconds(session.totalTime) - toSeconds(values.session_time)), scormVersion)
+        : undefined);
+      const runtime = Object.fromEntries(Object.entries({ entry, total_time: before })
+        .filter(([, value]) => value !== undefined && value !== null));
+
+      return { rest, runtime };
+    };
+
+    // SCORM 1.2 keeps them under cmi.core
+    if (session.cmi.core) {
+      const { rest, runtime } = owned(session.cmi.core);
+      return { cmi: { ...session.cmi, core: rest }, runtime: { core: runtime } };
+    }
+
+    const { rest, runtime } = owned(session.cmi);
+    return { cmi: rest, runtime };
+  }
+}
+
+export default new ProgressExportService();
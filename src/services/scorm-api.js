@@ -1,5 +1,41 @@
 import { v4 as uuidv4 } from 'uuid';
 import { statements } from '../models/database.js';
+import scormXapiTranslator from './scorm-xapi-translator.js';
+import {
+  checkValues, getDataModelVersion, getErrorCode, getErrorString, getValue as getDataModelValue,
+  setValue as setDataModelValue,
+} from '../utils/cmi-data-model.js';
+import { addSessionTime } from '../utils/scorm-time.js';
+
+// SCORM API methods by the names both versions use (SCORM 1.2 prefixes them with LMS and calls Terminate LMSFinish)
+export const API_METHODS = {
+  Initialize: 'Initialize',
+  LMSInitialize: 'Initialize',
+  Terminate: 'Terminate',
+  LMSFinish: 'Terminate',
+  GetValue: 'GetValue',
+  LMSGetValue: 'GetValue',
+  SetValue: 'SetValue',
+  LMSSetValue: 'SetValue',
+  Commit: 'Commit',
+  LMSCommit: 'Commit',
+  GetLastError: 'GetLastError',
+  LMSGetLastError: 'GetLastError',
+  GetErrorString: 'GetErrorString',
+  LMSGetErrorString: 'GetErrorString',
+  GetDiagnostic: 'GetDiagnostic',
+  LMSGetDiagnostic: 'GetDiagnostic',
+};
+
+// Exit values that end an attempt; an attempt left without one (or suspended) is continued on the next launch
+const ENDING_EXITS = ['normal', 'time-out', 'logout'];
+
+// Elements that belong to a single session and are not carried into the next session of an attempt
+const SESSION_ELEMENTS = [
+  'cmi.entry', 'cmi.exit', 'cmi.session_time', 'cmi.total_time',
+  'cmi.core.entry', 'cmi.core.exit', 'cmi.core.session_time', 'cmi.core.total_time',
+  'adl.nav.request',
+];
 
 /**
  * SCORM API Service
@@ -9,23 +45,185 @@ export class ScormApiService {
   /**
    * Initialize a new SCORM session
    */
-  initializeSession(packageId, userId = null) {
+  initializeSession(packageId, userId = null, itemId = null, packageVersion = null, organizationId = null, attempt = null) {
     const sessionId = uuidv4();
 
     try {
-      statements.insertSession.run(sessionId, packageId, userId);
+      // Sessions default to the package's current version and to a new attempt
+      const latest = statements.getLatestAttemptSession.get(packageId, userId, itemId, organizationId);
+      attempt = attempt || (latest?.attempt || 0) + 1;
+
+      statements.insertSession.run(
+        sessionId, packageId, userId, itemId, packageVersion, packageId, organizationId, attempt
+      );
+      this.queueXapiStatements(sessionId, () => scormXapiTranslator.translateInitialize(sessionId));
       
       return {
         success: true,
         sessionId,
         packageId,
         userId,
+        itemId,
+        organization: organizationId,
+        attempt,
       };
     } catch (error) {
       throw new Error(`Failed to initialize session: ${error.message}`);
     }
   }
 
+  /**
+   * Start a session of a learner's item, continuing their latest attempt when it was suspended or left
+   * incomplete on the same package version and starting the next attempt otherwise (or when asked to)
+   * A suspended attempt resumes with cmi.entry "resume", a continued one with "", a new one with "ab-initio".
+   */
+  startAttempt(packageId, userId, itemId, packageVersion, organizationId, { newAttempt = false } = {}) {
+    const previous = userId
+      ? statements.getLatestAttemptSession.get(packageId, userId, itemId, organizationId)
+      : null;
+    const status = previous ? this.getAttemptStatus(previous) : null;
+    const resumed = !newAttempt && ['suspended', 'incomplete'].includes(status) &&
+      previous.package_version === packageVersion;
+
+    const result = this.initializeSession(
+      packageId, userId, itemId, packageVersion, organizationId, resumed ? previous.attempt : null
+    );
+
+    let entry = 'ab-initio';
+    if (resumed) {
+      entry = status === 'suspended' ? 'resume' : '';
+      this.carryOverAttempt(previous, result.sessionId);
+    }
+
+    const { version } = this.getDataModelContext(result.sessionId);
+    this.setCmiData(result.sessionId, version === '2004' ? 'cmi.entry' : 'cmi.core.entry', entry);
+
+    return { ...result, entry, resumed };
+  }
+
+  /**
+   * Copy the run-time data of an attempt's previous session into its next one, adding the session time
+   * to the total time
+   */
+  carryOverAttempt(previous, sessionId) {
+    const { version } = this.getDataModelContext(sessionId);
+    const prefix = version === '2004' ? 'cmi.' : 'cmi.core.';
+    const stored = new Map(statements.getAllCmiData.all(previous.id).map(row => [row.element, row.value]));
+
+    for (const [element, value] of stored) {
+      if (!SESSION_ELEMENTS.includes(element)) {
+        this.setCmiData(sessionId, element, value);
+      }
+    }
+
+    const totalTime = addSessionTime(stored.get(`${prefix}total_time`), stored.get(`${prefix}session_time`), version);
+    this.setCmiData(sessionId, `${prefix}total_time`, totalTime);
+
+    // Interactions already reported stay with the attempt so they are not reported again
+    for (const interaction of statements.getInteractions.all(previous.id)) {
+      statements.insertInteraction.run(
+        sessionId,
+        interaction.interaction_id,
+        interaction.type,
+        interaction.timestamp,
+        interaction.correct_responses,
+        interaction.learner_response,
+        interaction.result,
+        interaction.latency,
+        interaction.description
+      );
+    }
+
+    statements.updateSession.run(
+      previous.completed,
+      previous.success_status,
+      previous.score_raw,
+      null,
+      totalTime,
+      previous.suspend_data,
+      sessionId
+    );
+  }
+
+  /**
+   * Status of the attempt a session belongs to: completed, suspended, exited (ended by cmi.exit) or incomplete
+   */
+  getAttemptStatus(session) {
+    const cmi = this.getCmiData(session.id).cmi || {};
+    const exit = cmi.exit ?? cmi.core?.exit ?? '';
+
+    if (session.completed) {
+      return 'completed';
+    }
+
+    if (exit === 'suspend') {
+      return 'suspended';
+    }
+
+    return ENDING_EXITS.includes(exit) ? 'exited' : 'incomplete';
+  }
+
+  /**
+   * Latest session of a learner's attempts on an item of a package that the next launch would continue (suspended or
+   * left incomplete), or null
+   */
+  getResumableSession(packageId, userId, itemId) {
+    const sessions = statements.getUnfinishedSessions.all(packageId, userId)
+      .filter(session => session.item_id === itemId);
+
+    return sessions.find((session) => {
+      const latest = statements.getLatestAttemptSession.get(packageId, userId, itemId, session.organization_id);
+
+      return latest.id === session.id && ['suspended', 'incomplete'].includes(this.getAttemptStatus(session));
+    }) || null;
+  }
+
+  /**
+   * Attempts of a learner, optionally for one package or item, with the sessions of each
+   */
+  getAttemptHistory(userId, { packageId = null, itemId = null } = {}) {
+    const attempts = new Map();
+
+    for (const session of statements.getUserAttemptSessions.all(userId)) {
+      if ((packageId && session.package_id !== packageId) || (itemId && session.item_id !== itemId)) {
+        continue;
+      }
+
+      const key = JSON.stringify([session.package_id, session.organization_id, session.item_id, session.attempt]);
+      if (!attempts.has(key)) {
+        attempts.set(key, []);
+      }
+      attempts.get(key).push(session);
+    }
+
+    return [...attempts.values()].map((sessions) => {
+      const [first] = sessions;
+      const latest = sessions[sessions.length - 1];
+      const { version, stored } = this.getDataModelContext(latest.id);
+      const prefix = version === '2004' ? 'cmi.' : 'cmi.core.';
+
+      return {
+        packageId: first.package_id,
+        organization: first.organization_id,
+        itemId: first.item_id,
+        attempt: first.attempt,
+        status: this.getAttemptStatus(latest),
+        completed: Boolean(latest.completed),
+        successStatus: latest.success_status,
+        scoreRaw: latest.score_raw,
+        totalTime: addSessionTime(stored.get(`${prefix}total_time`), stored.get(`${prefix}session_time`), version),
+        startedAt: first.started_at,
+        lastAccessed: latest.last_accessed,
+        sessions: sessions.map(session => ({
+          sessionId: session.id,
+          startedAt: session.started_at,
+          lastAccessed: session.last_accessed,
+          sessionTime: session.session_time,
+        })),
+      };
+    });
+  }
+
   /**
    * Get session data
    */
@@ -72,8 +270,218 @@ export class ScormApiService {
     }
   }
 
+  /**
+   * GetValue against the session's data model
+   * Returns { value, errorCode, errorString, diagnostic } or null when the session does not exist
+   */
+  getValue(sessionId, element) {
+    const context = this.getDataModelContext(sessionId);
+
+    if (!context) {
+      return null;
+    }
+
+    const { version, stored, defaults } = context;
+    return this.withErrorString(version, getDataModelValue(version, element, stored, defaults));
+  }
+
+  /**
+   * SetValue against the session's data model; only valid values are stored
+   * Returns { value, errorCode, errorString, diagnostic } or null when the session does not exist
+   */
+  setValue(sessionId, element, value) {
+    const context = this.getDataModelContext(sessionId);
+
+    if (!context) {
+      return null;
+    }
+
+    const result = setDataModelValue(context.version, element, value, context.stored);
+
+    if (result.errorCode === 0) {
+      this.setCmiData(sessionId, element, result.value);
+    }
+
+    return this.withErrorString(context.version, result);
+  }
+
+  /**
+   * Data model version, stored values and LMS-provided defaults of a session
+   */
+  getDataModelContext(sessionId) {
+    const session = this.getSession(sessionId);
+
+    if (!session) {
+      return null;
+    }
+
+    const pkg = statements.getPackageVersion.get(session.package_id, session.package_version) ||
+      statements.getPackage.get(session.package_id);
+    const version = getDataModelVersion(pkg?.scorm_version);
+    const stored = new Map(statements.getAllCmiData.all(sessionId).map(row => [row.element, row.value]));
+    const learnerId = session.user_id || '';
+    const defaults = version === '2004'
+      ? { 'cmi.learner_id': learnerId, 'cmi.learner_name': '' }
+      : { 'cmi.core.student_id': learnerId, 'cmi.core.student_name': '' };
+
+    return { session, version, stored, defaults };
+  }
+
+  /**
+   * Add the GetErrorString text to a data model result
+   */
+  withErrorString(version, result) {
+    return { ...result, errorString: getErrorString(version, result.errorCode) };
+  }
+
+  /**
+   * Run a batch of SCORM API calls ({ method, params }) for a session in order, as the SCO's API instance would
+   * The session's API state (not initialized, running, terminated) and last error carry over between batches.
+   * hooks.requestValid(session, element) answers adl.nav.request_valid elements, hooks.committed(session)
+   * runs after each successful Commit or Terminate and hooks.terminated(session, navRequest) returns the
+   * navigation added to the Terminate result.
+   * Returns { state, results } or null when the session does not exist
+   */
+  runApiCalls(sessionId, calls, hooks = {}) {
+    const context = this.getDataModelContext(sessionId);
+
+    if (!context) {
+      return null;
+    }
+
+    const api = {
+      ...context,
+      state: context.session.api_state || 'not initialized',
+      lastError: context.session.last_error || 0,
+      diagnostic: context.session.last_diagnostic || '',
+    };
+
+    try {
+      const results = calls.map(({ id, method, params = [] }) => ({
+        ...(id !== undefined ? { id } : {}),
+        method,
+        ...this.runApiCall(api, API_METHODS[method], params, hooks),
+      }));
+
+      return { state: api.state, results };
+    } finally {
+      statements.updateSessionApiState.run(api.state, api.lastError, api.diagnostic, sessionId);
+    }
+  }
+
+  /**
+   * Run one API call against a batch's API state; returns { result, errorCode } and sets the last error
+   */
+  runApiCall(api, method, params, hooks) {
+    const { version } = api;
+    const [first = '', second = ''] = params;
+
+    // The error methods report on the last call without changing it
+    if (method === 'GetLastError') {
+      return { result: String(api.lastError), errorCode: api.lastError };
+    }
+
+    if (method === 'GetErrorString') {
+      return { result: getErrorString(version, Number(first)), errorCode: api.lastError };
+    }
+
+    if (method === 'GetDiagnostic') {
+      const current = first === '' || Number(first) === api.lastError;
+      return {
+        result: current ? api.diagnostic || getErrorString(version, api.lastError) : getErrorString(version, Number(first)),
+        errorCode: api.lastError,
+      };
+    }
+
+    const outcome = this.checkApiState(api, method, first) || this.callApi(api, method, first, second, hooks);
+    api.lastError = outcome.errorCode;
+    api.diagnostic = outcome.diagnostic || '';
+
+    const { diagnostic, ...result } = outcome;
+    return outcome.errorCode ? { ...result, errorString: getErrorString(version, outcome.errorCode), diagnostic } : result;
+  }
+
+  /**
+   * The failure of a call the API state does not allow, or null
+   */
+  checkApiState(api, method, parameter) {
+    const { version, state } = api;
+    const fail = (kind, diagnostic) => ({
+      result: method === 'GetValue' ? '' : 'false',
+      errorCode: getErrorCode(version, kind),
+      diagnostic,
+    });
+
+    const kind = method.charAt(0).toLowerCase() + method.slice(1).replace(/Value$/, '');
+
+    if (method === 'Initialize') {
+      if (state === 'running') return fail('alreadyInitialized', 'The API instance is already initialized');
+      if (state === 'terminated') return fail('initializeAfterTermination', 'The API instance has been terminated');
+    } else if (state === 'not initialized') {
+      return fail(`${kind}BeforeInitialization`, `${method} called before Initialize`);
+    } else if (state === 'terminated') {
+      return fail(`${kind}AfterTermination`, `${method} called after Terminate`);
+    }
+
+    // Initialize, Commit and Terminate take an empty string
+    if (['Initialize', 'Commit', 'Terminate'].includes(method) && parameter !== '') {
+      return fail('argument', `${method} takes an empty string parameter`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Carry out a call the API state allows
+   */
+  callApi(api, method, element, value, hooks) {
+    const { version, session } = api;
+
+    switch (method) {
+      case 'Initialize':
+        api.state = 'running';
+        return { result: 'true', errorCode: 0 };
+
+      case 'GetValue': {
+        const { errorCode, value: result, diagnostic } = String(element).startsWith('adl.nav.request_valid.') && hooks.requestValid
+          ? { errorCode: 0, value: hooks.requestValid(session, element) }
+          : this.getValue(session.id, element);
+        return { result, errorCode, diagnostic };
+      }
+
+      case 'SetValue': {
+        const { errorCode, diagnostic } = this.setValue(session.id, element, value);
+        return { result: errorCode ? 'false' : 'true', errorCode, diagnostic };
+      }
+
+      default: {
+        // Commit and Terminate persist the values set so far; Terminate also ends the API instance
+        try {
+          let navigation;
+
+          this.commitSession(session.id, {});
+          hooks.committed?.(session);
+
+          if (method === 'Terminate') {
+            const { navRequest } = this.terminateSession(session.id);
+            navigation = hooks.terminated?.(session, navRequest);
+            api.state = 'terminated';
+          }
+
+          return { result: 'true', errorCode: 0, ...(navigation !== undefined ? { navigation } : {}) };
+        } catch (error) {
+          const kind = method === 'Terminate' ? 'terminateFailure' : 'commitFailure';
+          return { result: 'false', errorCode: getErrorCode(version, kind), diagnostic: error.message };
+        }
+      }
+    }
+  }
+
   /**
    * Commit SCORM data
+   * Every value is checked against the data model like a SetValue; rejected values (read-only elements, keywords,
+   * invalid values) are not stored and come back with their error codes. The session summary is taken from the
+   * values stored after the commit.
    */
   commitSession(sessionId, commitData) {
     try {
@@ -83,23 +491,27 @@ export class ScormApiService {
         throw new Error('Session not found');
       }
 
+      // Keep the pending navigation request until Terminate
+      const navRequest = commitData.navRequest || commitData.adl?.nav?.request;
+      const values = this.flattenCmi(commitData.cmi || {});
+      if (navRequest) {
+        values.push(['adl.nav.request', String(navRequest)]);
+      }
+
+      const { version, stored, defaults } = this.getDataModelContext(sessionId);
+      const { accepted, rejected } = checkValues(version, values, stored, defaults);
+      for (const [element, value] of accepted) {
+        this.setCmiData(sessionId, element, value);
+      }
+
       // Extract common fields
-      const completed = this.determineCompletion(commitData);
-      const successStatus = commitData.cmi?.success_status || 
-                           commitData.cmi?.core?.lesson_status || 
-                           null;
-      const scoreRaw = commitData.cmi?.score?.raw || 
-                      commitData.cmi?.core?.score?.raw || 
-                      null;
-      const sessionTime = commitData.cmi?.session_time || 
-                         commitData.cmi?.core?.session_time || 
-                         null;
-      const totalTime = commitData.cmi?.total_time || 
-                       commitData.cmi?.core?.total_time || 
-                       null;
-      const suspendData = commitData.cmi?.suspend_data || 
-                         commitData.cmi?.core?.suspend_data || 
-                         null;
+      const cmi = this.getCmiData(sessionId).cmi || {};
+      const completed = this.determineCompletion({ cmi });
+      const successStatus = cmi.success_status || cmi.core?.lesson_status || null;
+      const scoreRaw = cmi.score?.raw || cmi.core?.score?.raw || null;
+      const sessionTime = cmi.session_time || cmi.core?.session_time || null;
+      const totalTime = addSessionTime(cmi.total_time || cmi.core?.total_time, sessionTime, version);
+      const suspendData = cmi.suspend_data || null;
 
       // Update session
       statements.updateSession.run(
@@ -112,18 +524,23 @@ export class ScormApiService {
         sessionId
       );
 
-      // Store all CMI data
-      this.storeCmiData(sessionId, commitData.cmi || {});
+      // Store interactions not recorded yet
+      const newInteractions = cmi.interactions ? this.findNewInteractions(sessionId, cmi.interactions) : [];
+      this.storeInteractions(sessionId, newInteractions);
 
-      // Store interactions if present
-      if (commitData.cmi?.interactions) {
-        this.storeInteractions(sessionId, commitData.cmi.interactions);
-      }
+      this.queueXapiStatements(sessionId, () => scormXapiTranslator.translateCommit(sessionId, {
+        previous: session,
+        cmi,
+        completed,
+        successStatus,
+        interactions: newInteractions,
+      }));
 
       return {
         success: true,
         sessionId,
         committed: true,
+        rejected: rejected.map(result => this.withErrorString(version, result)),
       };
     } catch (error) {
       throw new Error(`Failed to commit session: ${error.message}`);
@@ -133,17 +550,35 @@ export class ScormApiService {
   /**
    * Terminate SCORM session
    */
-  terminateSession(sessionId, finalData = {}) {
+  terminateSession(sessionId, finalData = {}, navRequest = null) {
     try {
       // Commit final data
-      if (Object.keys(finalData).length > 0) {
-        this.commitSession(sessionId, finalData);
+      const { rejected = [] } = Object.keys(finalData).length > 0 || navRequest
+        ? this.commitSession(sessionId, navRequest ? { ...finalData, navRequest } : finalData)
+        : {};
+
+      // Consume the pending navigation request
+      const pending = this.parseNavRequest(this.getCmiData(sessionId, 'adl.nav.request'));
+      if (pending) {
+        this.setCmiData(sessionId, 'adl.nav.request', '_none_');
       }
 
+      this.queueXapiStatements(sessionId, () => {
+        const cmi = this.getCmiData(sessionId).cmi || {};
+
+        return scormXapiTranslator.translateTerminate(sessionId, {
+          exit: cmi.exit ?? cmi.core?.exit ?? null,
+          sessionTime: cmi.session_time ?? cmi.core?.session_time ?? null,
+          cmi,
+        });
+      });
+
       return {
         success: true,
         sessionId,
         terminated: true,
+        navRequest: pending,
+        rejected,
       };
     } catch (error) {
       throw new Error(`Failed to terminate session: ${error.message}`);
@@ -151,29 +586,48 @@ export class ScormApiService {
   }
 
   /**
-   * Store all CMI data from commit object
+   * Parse an adl.nav.request value such as "continue" or "{target=ID}choice"
+   */
+  parseNavRequest(value) {
+    if (!value || value === '_none_') {
+      return null;
+    }
+
+    const match = /^\{target=([^}]+)\}(choice|jump)$/.exec(value);
+    if (match) {
+      return { request: match[2], target: match[1] };
+    }
+
+    return { request: value, target: null };
+  }
+
+  /**
+   * Store CMI data as given, without data model checks (values the LMS itself provides)
    */
   storeCmiData(sessionId, cmi, prefix = 'cmi') {
-    for (const [key, value] of Object.entries(cmi)) {
+    for (const [element, value] of this.flattenCmi(cmi, prefix)) {
+      this.setCmiData(sessionId, element, value);
+    }
+  }
+
+  /**
+   * Flatten a CMI object (as committed by the player) into [element, value] pairs in order
+   */
+  flattenCmi(cmi, prefix = 'cmi') {
+    return Object.entries(cmi).flatMap(([key, value]) => {
       const element = prefix ? `${prefix}.${key}` : key;
 
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        // Recursively handle nested objects
-        this.storeCmiData(sessionId, value, element);
-      } else if (Array.isArray(value)) {
-        // Handle arrays (like interactions, objectives)
-        value.forEach((item, index) => {
-          if (typeof item === 'object') {
-            this.storeCmiData(sessionId, item, `${element}.${index}`);
-          } else {
-            this.setCmiData(sessionId, `${element}.${index}`, String(item));
-          }
-        });
-      } else {
-        // Store primitive values
-        this.setCmiData(sessionId, element, String(value));
+      if (value === null || value === undefined) {
+        return [];
       }
-    }
+
+      // Nested objects and arrays (like interactions, objectives)
+      if (typeof value === 'object') {
+        return this.flattenCmi(Array.isArray(value) ? { ...value } : value, element);
+      }
+
+      return [[element, String(value)]];
+    });
   }
 
   /**
@@ -193,7 +647,8 @@ export class ScormApiService {
         interaction.type || null,
         interaction.timestamp ? new Date(interaction.timestamp).getTime() : null,
         interaction.correct_responses ? JSON.stringify(interaction.correct_responses) : null,
-        interaction.learner_response || null,
+        // SCORM 1.2 calls the learner response student_response
+        interaction.learner_response || interaction.student_response || null,
         interaction.result || null,
         interaction.latency || null,
         interaction.description || null
@@ -201,6 +656,42 @@ export class ScormApiService {
     }
   }
 
+  /**
+   * Interactions in a commit that differ from those already stored for the session
+   */
+  findNewInteractions(sessionId, interactions) {
+    const list = Array.isArray(interactions) ? interactions : Object.values(interactions);
+    const key = (id, response, result) => JSON.stringify([id, response || null, result || null]);
+    const stored = new Set(
+      statements.getInteractions.all(sessionId)
+        .map(row => key(row.interaction_id, row.learner_response, row.result))
+    );
+
+    return list.filter(interaction => interaction?.id &&
+      !stored.has(key(interaction.id, interaction.learner_response || interaction.student_response, interaction.result)));
+  }
+
+  /**
+   * Queue translated xAPI statements for the configured LRS
+   */
+  queueXapiStatements(sessionId, translate) {
+    if (!scormXapiTranslator.isEnabled()) {
+      return;
+    }
+
+    try {
+      const xapiStatements = translate();
+
+      if (xapiStatements.length > 0) {
+        const session = this.getSession(sessionId);
+        this.createSyncItem(sessionId, session.package_id, 'xapi', { statements: xapiStatements });
+      }
+    } catch (error) {
+      // Translation problems must never fail the SCORM runtime call
+      console.error('xAPI translation error:', error);
+    }
+  }
+
   /**
    * Determine completion status
    */
@@ -224,7 +715,16 @@ export class ScormApiService {
   /**
    * Get sessions by package
    */
-  getSessionsByPackage(packageId) {
+  getSessionsByPackage(packageId, itemId = null, organizationId = null) {
+    if (itemId) {
+      const sessions = statements.getSessionsByPackageItem.all(packageId, itemId);
+      return organizationId ? sessions.filter(session => session.organization_id === organizationId) : sessions;
+    }
+
+    if (organizationId) {
+      return statements.getSessionsByPackageOrganization.all(packageId, organizationId);
+    }
+
     return statements.getSessionsByPackage.all(packageId);
   }
 
@@ -249,27 +749,6 @@ export class ScormApiService {
     }));
   }
 
-  /**
-   * Load initial CMI data for session
-   * Used when resuming a session
-   */
-  loadInitialData(sessionId) {
-    const session = this.getSession(sessionId);
-    
-    if (!session) {
-      return null;
-    }
-
-    const cmiData = this.getCmiData(sessionId);
-    const interactions = this.getInteractions(sessionId);
-
-    return {
-      session,
-      cmi: cmiData,
-      interactions,
-    };
-  }
-
   /**
    * Helper: Set nested object value from dot notation
    */
@@ -1,11 +1,13 @@
 import fs from 'fs';
 import { promisify } from 'util';
-import xml2js from 'xml2js';
 import path from 'path';
 import { findFile } from '../utils/file-system.js';
+import { getCanonicalPrefix, getNamespaceVersion, parseNamespacedXml } from '../utils/xml-namespaces.js';
 
 const readFile = promisify(fs.readFile);
-const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
+
+// href values with a scheme (http:, https:, data:, ...) point outside the package
+const ABSOLUTE_URL = /^[a-z][a-z0-9+.-]*:/i;
 
 /**
  * Parse SCORM package manifest
@@ -23,22 +25,24 @@ export class ScormParser {
       }
 
       const manifestContent = await readFile(manifestPath, 'utf8');
-      const manifest = await parser.parseStringPromise(manifestContent);
+      const { document, namespaces } = await parseNamespacedXml(manifestContent);
+      // Elements and attributes are named by namespace: IMS CP unprefixed, then adlcp:, imsss:, adlseq:, adlnav:
+      const manifest = { ...document, namespaces };
 
       // Debug logging for troubleshooting
       console.log('Manifest parsed successfully');
       console.log('Root keys:', Object.keys(manifest));
       if (manifest.manifest) {
         console.log('Manifest root keys:', Object.keys(manifest.manifest));
-        if (manifest.manifest['$']) {
-          console.log('Manifest attributes:', manifest.manifest['$']);
-        }
         if (manifest.manifest.metadata) {
           console.log('Manifest metadata:', manifest.manifest.metadata);
         }
       }
 
-      return this.extractManifestData(manifest, packagePath);
+      // Hrefs are resolved against the manifest's directory but stored relative to the package root
+      const basePath = path.relative(packagePath, path.dirname(manifestPath)).split(path.sep).join('/');
+
+      return this.extractManifestData(manifest, basePath);
     } catch (error) {
       console.error('Manifest parsing error:', error);
       throw new Error(`Failed to parse manifest: ${error.message}`);
@@ -48,13 +52,14 @@ export class ScormParser {
   /**
    * Extract relevant data from parsed manifest
    */
-  extractManifestData(manifest, packagePath) {
+  extractManifestData(manifest, basePath = '') {
     const result = {
       version: this.detectScormVersion(manifest),
       metadata: this.extractMetadata(manifest),
       organizations: this.extractOrganizations(manifest),
-      resources: this.extractResources(manifest, packagePath),
+      resources: this.extractResources(manifest, basePath),
       sequencing: this.extractSequencing(manifest),
+      manifestIdentifier: manifest.manifest?.identifier || null,
     };
 
     // Get default organization
@@ -78,11 +83,11 @@ export class ScormParser {
       throw new Error('Invalid manifest structure');
     }
 
-    const attrs = root['$'] || {};
     const metadata = root.metadata || {};
-    const schemaVersion = metadata.schemaversion || metadata.schemaVersion || '';
-    const manifestVersion = attrs.version || '';
-    const schemaLocation = attrs['xsi:schemaLocation'] || '';
+    const schemaVersion = String(metadata.schemaversion || metadata.schemaVersion || '').trim();
+    const manifestVersion = root.version || '';
+    const schemaLocation = root['xsi:schemaLocation'] || '';
+    const namespaces = manifest.namespaces || [];
 
     // Check metadata schema version first (most reliable)
     if (schemaVersion) {
@@ -96,8 +101,17 @@ export class ScormParser {
       }
     }
 
+    // Check the ADL CP namespace (adlcp_rootv1p2 or adlcp_v1p3, whatever its prefix)
+    const adlcpVersion = namespaces
+      .filter(uri => getCanonicalPrefix(uri) === 'adlcp')
+      .map(uri => getNamespaceVersion(uri))
+      .find(Boolean);
+    if (adlcpVersion) {
+      return adlcpVersion;
+    }
+
     // Check for SCORM 2004 namespaces (adlseq, adlnav, imsss)
-    if (attrs['xmlns:adlseq'] || attrs['xmlns:adlnav'] || attrs['xmlns:imsss']) {
+    if (namespaces.some(uri => ['imsss', 'adlseq', 'adlnav'].includes(getCanonicalPrefix(uri)))) {
       return '2004';
     }
 
@@ -126,9 +140,19 @@ export class ScormParser {
       return '1.2';
     }
 
+    // Check the IMS CP namespace (1.1.2 came with SCORM 1.2, 1.1.3 and later with SCORM 2004)
+    const imscpVersion = namespaces
+      .filter(uri => getCanonicalPrefix(uri) === '')
+      .map(uri => getNamespaceVersion(uri))
+      .find(Boolean);
+    if (imscpVersion) {
+      return imscpVersion;
+    }
+
     // Last resort: check for SCORM 2004 specific elements
-    if (root.organizations?.organization?.item?.sequencing || 
-        root.organizations?.organization?.sequencing) {
+    const hasSequencing = (nodes) => this.toArray(nodes)
+      .some(node => this.seqNode(node, 'sequencing') || hasSequencing(node.item));
+    if (hasSequencing(root.organizations?.organization)) {
       return '2004';
     }
 
@@ -145,13 +169,17 @@ export class ScormParser {
       return {};
     }
 
+    // Inline LOM / IMS Metadata (lom:lom), or a bare <general> in manifests parsed without namespaces
+    const lom = metadata['lom:lom'] || metadata;
+    const general = lom['lom:general'] || lom.general;
+
     return {
       schema: metadata.schema,
       schemaVersion: metadata.schemaversion,
-      general: metadata.general ? {
-        title: this.extractLangString(metadata.general.title),
-        description: this.extractLangString(metadata.general.description),
-        keywords: metadata.general.keyword,
+      general: general ? {
+        title: this.extractLangString(general['lom:title'] ?? general.title),
+        description: this.extractLangString(general['lom:description'] ?? general.description),
+        keywords: general['lom:keyword'] ?? general.keyword,
       } : {},
     };
   }
@@ -169,67 +197,149 @@ export class ScormParser {
     const organizations = Array.isArray(orgs.organization) 
       ? orgs.organization 
       : [orgs.organization];
+    const collection = this.extractSequencingCollection(manifest);
+    const subManifests = this.collectSubManifests(manifest.manifest);
 
     return organizations.map(org => ({
       identifier: org.identifier,
       title: this.extractLangString(org.title),
       structure: org.structure,
-      items: this.extractItems(org.item),
+      sequencing: this.extractItemSequencing(org, collection),
+      items: this.extractItems(org.item, collection, subManifests),
     }));
   }
 
   /**
    * Recursively extract items (SCOs and assets)
+   * An item referencing a sub-manifest aggregates the items of that manifest's default organization
    */
-  extractItems(items) {
+  extractItems(items, collection = {}, subManifests = {}) {
     if (!items) return [];
 
     const itemArray = Array.isArray(items) ? items : [items];
 
-    return itemArray.map(item => ({
-      identifier: item.identifier,
-      identifierref: item.identifierref,
-      title: this.extractLangString(item.title),
-      isvisible: item.isvisible !== 'false',
-      parameters: item.parameters,
-      sequencing: item.sequencing,
-      prerequisites: item.prerequisites,
-      maxtimeallowed: item.maxtimeallowed,
-      timelimitaction: item.timelimitaction,
-      datafromlms: item.datafromlms,
-      masteryscore: item.masteryscore,
-      children: this.extractItems(item.item),
-    }));
+    return itemArray.map(item => {
+      const subManifest = item.identifierref ? subManifests[item.identifierref] : null;
+      const children = this.extractItems(item.item, collection, subManifests);
+
+      return {
+        identifier: item.identifier,
+        identifierref: subManifest ? undefined : item.identifierref,
+        title: this.extractLangString(item.title),
+        isvisible: item.isvisible !== 'false',
+        parameters: item.parameters,
+        sequencing: this.extractItemSequencing(item, collection),
+        prerequisites: this.adlcpValue(item, 'prerequisites'),
+        maxtimeallowed: this.adlcpValue(item, 'maxtimeallowed'),
+        timelimitaction: this.adlcpValue(item, 'timelimitaction', 'timeLimitAction'),
+        datafromlms: this.adlcpValue(item, 'datafromlms', 'dataFromLMS'),
+        masteryscore: this.adlcpValue(item, 'masteryscore'),
+        hideLMSUI: this.extractHideLMSUI(item),
+        ...(subManifest ? { subManifest: subManifest.identifier } : {}),
+        children: subManifest
+          ? [...children, ...this.extractSubManifestItems(subManifest, subManifests)]
+          : children,
+      };
+    });
   }
 
   /**
-   * Extract resources from manifest
+   * Collect the nested <manifest> elements of a manifest (at any depth) keyed by identifier
    */
-  extractResources(manifest, packagePath) {
-    const resources = manifest.manifest.resources;
-    
-    if (!resources || !resources.resource) {
+  collectSubManifests(root, collected = {}) {
+    for (const subManifest of this.toArray(root?.manifest)) {
+      if (subManifest.identifier && !collected[subManifest.identifier]) {
+        collected[subManifest.identifier] = subManifest;
+        this.collectSubManifests(subManifest, collected);
+      }
+    }
+
+    return collected;
+  }
+
+  /**
+   * Items of a sub-manifest's default organization, with the sub-manifest's own sequencing collection
+   */
+  extractSubManifestItems(subManifest, subManifests) {
+    const organizations = this.toArray(subManifest.organizations?.organization);
+    const organization = organizations.find(org => org.identifier === subManifest.organizations?.default) || organizations[0];
+
+    if (!organization) {
       return [];
     }
 
-    const resourceArray = Array.isArray(resources.resource) 
-      ? resources.resource 
-      : [resources.resource];
+    // A sub-manifest referencing itself (directly or through another) would aggregate forever
+    const others = { ...subManifests };
+    delete others[subManifest.identifier];
+    const collection = this.extractSequencingCollection({ manifest: subManifest });
 
-    return resourceArray.map(resource => {
-      const files = resource.file ? 
-        (Array.isArray(resource.file) ? resource.file : [resource.file]) : [];
+    return this.extractItems(organization.item, collection, others);
+  }
+
+  /**
+   * Extract resources from manifest
+   */
+  extractResources(manifest, basePath = '', rootPath = basePath) {
+    const root = manifest.manifest;
+    // xml:base is inherited from <manifest> through <resources> down to each <resource> and its files
+    const manifestBase = this.resolveBase(basePath, root['xml:base'], rootPath);
+    const resources = root.resources || {};
+    const resourcesBase = this.resolveBase(manifestBase, resources['xml:base'], rootPath);
+
+    const resourceArray = this.toArray(resources.resource).map(resource => {
+      const base = this.resolveBase(resourcesBase, resource['xml:base'], rootPath);
+      const files = this.toArray(resource.file);
 
       return {
         identifier: resource.identifier,
         type: resource.type,
-        href: resource.href,
-        scormType: resource['adlcp:scormtype'] || resource.scormtype,
+        href: resource.href ? this.resolveHref(base, resource.href, rootPath) : resource.href,
+        scormType: this.extractScormType(resource),
         metadata: resource.metadata,
-        files: files.map(f => f.href),
+        files: files.map(f => f.href && this.resolveHref(base, f.href, rootPath)),
         dependencies: this.extractDependencies(resource.dependency),
       };
     });
+
+    // Resources of sub-manifests resolve against the base of the manifest containing them
+    const nested = this.toArray(root.manifest)
+      .flatMap(subManifest => this.extractResources({ manifest: subManifest }, manifestBase, rootPath));
+
+    return [...resourceArray, ...nested];
+  }
+
+  /**
+   * Apply an xml:base value to a base directory (bases are directories even without a trailing slash)
+   */
+  resolveBase(base, xmlBase, rootPath = '') {
+    if (!xmlBase || typeof xmlBase !== 'string') {
+      return base;
+    }
+
+    return this.resolveHref(base, xmlBase.endsWith('/') ? xmlBase : `${xmlBase}/`, rootPath);
+  }
+
+  /**
+   * Resolve an href against a base directory into a path relative to the package root
+   * Absolute URLs are kept; a root-relative href starts at the manifest's directory (rootPath)
+   */
+  resolveHref(base, href, rootPath = '') {
+    if (ABSOLUTE_URL.test(href)) {
+      return href;
+    }
+
+    if (ABSOLUTE_URL.test(base)) {
+      return new URL(href, base.endsWith('/') ? base : `${base}/`).href;
+    }
+
+    const trailingSlash = href.endsWith('/');
+    const resolved = path.posix.normalize(path.posix.join((href.startsWith('/') ? rootPath : base) || '.', href));
+
+    if (resolved === '.' || resolved === './') {
+      return '';
+    }
+
+    return trailingSlash && !resolved.endsWith('/') ? `${resolved}/` : resolved;
   }
 
   /**
@@ -256,22 +366,231 @@ export class ScormParser {
       ? orgs.organization[0] 
       : orgs.organization;
 
-    if (!org.sequencing && !org['imsss:sequencing']) {
+    return this.extractItemSequencing(org, this.extractSequencingCollection(manifest));
+  }
+
+  /**
+   * Extract reusable sequencing definitions keyed by ID
+   */
+  extractSequencingCollection(manifest) {
+    const collection = this.seqNode(manifest.manifest, 'sequencingCollection');
+
+    return this.toArray(collection ? this.seqNode(collection, 'sequencing') : null)
+      .reduce((map, sequencing) => {
+        if (sequencing.ID) {
+          map[sequencing.ID] = sequencing;
+        }
+        return map;
+      }, {});
+  }
+
+  /**
+   * Extract and normalize the imsss:sequencing of an item or organization
+   */
+  extractItemSequencing(node, collection = {}) {
+    let sequencing = this.seqNode(node, 'sequencing');
+
+    if (!sequencing) {
       return null;
     }
 
-    // This is a simplified extraction - full sequencing is complex
-    const sequencing = org.sequencing || org['imsss:sequencing'];
-    
+    // Elements on the item override those of a referenced collection entry
+    if (sequencing.IDRef && collection[sequencing.IDRef]) {
+      sequencing = { ...collection[sequencing.IDRef], ...sequencing };
+    }
+
+    const controlMode = this.seqNode(sequencing, 'controlMode') || {};
+    const rules = this.seqNode(sequencing, 'sequencingRules') || {};
+    const limits = this.seqNode(sequencing, 'limitConditions') || {};
+    const rollupRules = this.seqNode(sequencing, 'rollupRules') || {};
+    const delivery = this.seqNode(sequencing, 'deliveryControls') || {};
+    const considerations = sequencing['adlseq:rollupConsiderations'] || {};
+    const constrained = sequencing['adlseq:constrainedChoiceConsiderations'] || {};
+
     return {
-      controlMode: sequencing['imsss:controlMode'] || sequencing.controlMode,
-      sequencingRules: sequencing['imsss:sequencingRules'] || sequencing.sequencingRules,
-      rollupRules: sequencing['imsss:rollupRules'] || sequencing.rollupRules,
-      objectives: sequencing['imsss:objectives'] || sequencing.objectives,
-      deliveryControls: sequencing['imsss:deliveryControls'] || sequencing.deliveryControls,
+      controlMode: {
+        choice: this.toBool(controlMode.choice, true),
+        choiceExit: this.toBool(controlMode.choiceExit, true),
+        flow: this.toBool(controlMode.flow, false),
+        forwardOnly: this.toBool(controlMode.forwardOnly, false),
+        useCurrentAttemptObjectiveInfo: this.toBool(controlMode.useCurrentAttemptObjectiveInfo, true),
+        useCurrentAttemptProgressInfo: this.toBool(controlMode.useCurrentAttemptProgressInfo, true),
+      },
+      sequencingRules: {
+        preConditionRules: this.toArray(this.seqNode(rules, 'preConditionRule')).map(r => this.extractSequencingRule(r)),
+        exitConditionRules: this.toArray(this.seqNode(rules, 'exitConditionRule')).map(r => this.extractSequencingRule(r)),
+        postConditionRules: this.toArray(this.seqNode(rules, 'postConditionRule')).map(r => this.extractSequencingRule(r)),
+      },
+      limitConditions: {
+        attemptLimit: limits.attemptLimit !== undefined ? parseInt(limits.attemptLimit, 10) : null,
+        attemptAbsoluteDurationLimit: limits.attemptAbsoluteDurationLimit || null,
+      },
+      rollupRules: {
+        rollupObjectiveSatisfied: this.toBool(rollupRules.rollupObjectiveSatisfied, true),
+        rollupProgressCompletion: this.toBool(rollupRules.rollupProgressCompletion, true),
+        objectiveMeasureWeight: rollupRules.objectiveMeasureWeight !== undefined
+          ? parseFloat(rollupRules.objectiveMeasureWeight)
+          : 1,
+        rules: this.toArray(this.seqNode(rollupRules, 'rollupRule')).map(r => this.extractRollupRule(r)),
+      },
+      objectives: this.extractObjectives(this.seqNode(sequencing, 'objectives')),
+      deliveryControls: {
+        tracked: this.toBool(delivery.tracked, true),
+        completionSetByContent: this.toBool(delivery.completionSetByContent, false),
+        objectiveSetByContent: this.toBool(delivery.objectiveSetByContent, false),
+      },
+      rollupConsiderations: {
+        requiredForSatisfied: considerations.requiredForSatisfied || 'always',
+        requiredForNotSatisfied: considerations.requiredForNotSatisfied || 'always',
+        requiredForCompleted: considerations.requiredForCompleted || 'always',
+        requiredForIncomplete: considerations.requiredForIncomplete || 'always',
+        measureSatisfactionIfActive: this.toBool(considerations.measureSatisfactionIfActive, true),
+      },
+      constrainedChoice: {
+        preventActivation: this.toBool(constrained.preventActivation, false),
+        constrainChoice: this.toBool(constrained.constrainChoice, false),
+      },
     };
   }
 
+  /**
+   * Extract a pre, exit or post condition sequencing rule
+   */
+  extractSequencingRule(rule) {
+    const conditions = this.seqNode(rule, 'ruleConditions') || {};
+    const action = this.seqNode(rule, 'ruleAction') || {};
+
+    return {
+      conditionCombination: conditions.conditionCombination || 'all',
+      conditions: this.toArray(this.seqNode(conditions, 'ruleCondition')).map(c => ({
+        condition: c.condition,
+        operator: c.operator || 'noOp',
+        referencedObjective: c.referencedObjective || null,
+        measureThreshold: c.measureThreshold !== undefined ? parseFloat(c.measureThreshold) : 0,
+      })),
+      action: action.action,
+    };
+  }
+
+  /**
+   * Extract a rollup rule
+   */
+  extractRollupRule(rule) {
+    const conditions = this.seqNode(rule, 'rollupConditions') || {};
+    const action = this.seqNode(rule, 'rollupAction') || {};
+
+    return {
+      childActivitySet: rule.childActivitySet || 'all',
+      minimumCount: rule.minimumCount !== undefined ? parseInt(rule.minimumCount, 10) : 0,
+      minimumPercent: rule.minimumPercent !== undefined ? parseFloat(rule.minimumPercent) : 0,
+      conditionCombination: conditions.conditionCombination || 'any',
+      conditions: this.toArray(this.seqNode(conditions, 'rollupCondition')).map(c => ({
+        condition: c.condition,
+        operator: c.operator || 'noOp',
+      })),
+      action: action.action,
+    };
+  }
+
+  /**
+   * Extract primary and secondary objectives with their global maps
+   */
+  extractObjectives(objectives) {
+    if (!objectives) return [];
+
+    const extract = (objective, primary) => {
+      const minMeasure = this.seqNode(objective, 'minNormalizedMeasure');
+      const minValue = typeof minMeasure === 'object' ? minMeasure?._ : minMeasure;
+
+      return {
+        objectiveID: objective.objectiveID || null,
+        primary,
+        satisfiedByMeasure: this.toBool(objective.satisfiedByMeasure, false),
+        minNormalizedMeasure: minValue !== undefined && minValue !== null ? parseFloat(minValue) : 1,
+        mapInfo: this.toArray(this.seqNode(objective, 'mapInfo')).map(map => ({
+          targetObjectiveID: map.targetObjectiveID,
+          readSatisfiedStatus: this.toBool(map.readSatisfiedStatus, true),
+          readNormalizedMeasure: this.toBool(map.readNormalizedMeasure, true),
+          writeSatisfiedStatus: this.toBool(map.writeSatisfiedStatus, false),
+          writeNormalizedMeasure: this.toBool(map.writeNormalizedMeasure, false),
+        })),
+      };
+    };
+
+    const primary = this.seqNode(objectives, 'primaryObjective');
+    return [
+      ...(primary ? [extract(primary, true)] : []),
+      ...this.toArray(this.seqNode(objectives, 'objective')).map(o => extract(o, false)),
+    ];
+  }
+
+  /**
+   * Read an ADL CP element or attribute under any of its names (SCORM 1.2 and 2004 differ in casing)
+   * Unprefixed names are read too for manifests with undeclared prefixes
+   */
+  adlcpValue(node, ...names) {
+    for (const name of names) {
+      for (const key of [`adlcp:${name}`, name]) {
+        if (node?.[key] !== undefined) {
+          return node[key];
+        }
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Resource scormtype: adlcp:scormtype in SCORM 1.2, adlcp:scormType in SCORM 2004
+   */
+  extractScormType(resource) {
+    const value = this.adlcpValue(resource, 'scormType', 'scormtype');
+
+    return typeof value === 'string' ? value.trim().toLowerCase() : value;
+  }
+
+  /**
+   * Navigation controls an item asks the LMS to hide (adlnav:presentation)
+   */
+  extractHideLMSUI(item) {
+    const navigation = item['adlnav:presentation']?.['adlnav:navigationInterface'];
+
+    return this.toArray(navigation?.['adlnav:hideLMSUI'])
+      .map(value => (typeof value === 'string' ? value : value?._))
+      .filter(Boolean);
+  }
+
+  /**
+   * Read an IMSSS element by its canonical imsss: name
+   * Unprefixed names are read too for manifests with undeclared prefixes
+   */
+  seqNode(node, name) {
+    if (!node || typeof node !== 'object') {
+      return undefined;
+    }
+
+    return node[`imsss:${name}`] !== undefined ? node[`imsss:${name}`] : node[name];
+  }
+
+  /**
+   * Helper: Wrap a single parsed node in an array
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Helper: Parse an xs:boolean attribute with a default
+   */
+  toBool(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+
+    return value === true || value === 'true' || value === '1';
+  }
+
   /**
    * Get default organization
    */
@@ -320,6 +639,104 @@ export class ScormParser {
     };
   }
 
+  /**
+   * Build the activity tree for an organization with resolved resources
+   */
+  buildActivityTree(organization, resources) {
+    if (!organization || !organization.items) {
+      return [];
+    }
+
+    const buildItems = (items) => items.map(item => {
+      const resource = item.identifierref
+        ? resources.find(r => r.identifier === item.identifierref)
+        : null;
+      const href = resource?.href || null;
+
+      return {
+        identifier: item.identifier,
+        title: item.title,
+        isvisible: item.isvisible,
+        identifierref: item.identifierref || null,
+        resource: resource ? resource.identifier : null,
+        href,
+        scormType: resource?.scormType || null,
+        parameters: item.parameters || null,
+        sequencing: item.sequencing || null,
+        launchUrl: href ? this.buildLaunchUrl(href, item.parameters) : null,
+        launchable: Boolean(href),
+        ...(item.hideLMSUI?.length ? { hideLMSUI: item.hideLMSUI } : {}),
+        ...this.pickRuntimeData(item),
+        ...(item.cmi5 ? { cmi5: item.cmi5 } : {}),
+        ...(item.tincan ? { tincan: item.tincan } : {}),
+        ...(item.aicc ? { aicc: item.aicc } : {}),
+        children: buildItems(item.children || []),
+      };
+    });
+
+    return buildItems(organization.items);
+  }
+
+  /**
+   * Helper: adlcp elements of an item the runtime starts the SCO with (only those the manifest sets)
+   */
+  pickRuntimeData(item) {
+    return Object.fromEntries(
+      ['datafromlms', 'masteryscore', 'maxtimeallowed', 'timelimitaction']
+        .filter(name => item[name] !== undefined && item[name] !== '')
+        .map(name => [name, typeof item[name] === 'object' ? item[name]._ : item[name]])
+    );
+  }
+
+  /**
+   * Recursively find an item by identifier in an items tree
+   */
+  findItem(items, identifier) {
+    for (const item of items) {
+      if (item.identifier === identifier) {
+        return item;
+      }
+
+      if (item.children && item.children.length > 0) {
+        const found = this.findItem(item.children, identifier);
+        if (found) return found;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Append item parameters to a resource href (SCORM CAM): a leading "?" or "&" is dropped, a "#" fragment
+   * is only added when the href has none, and query parameters join the href's query ahead of its fragment
+   */
+  buildLaunchUrl(href, parameters) {
+    const params = (parameters || '').trim().replace(/^[?&]/, '');
+    if (!params) {
+      return href;
+    }
+
+    const [path, fragment = null] = this.splitFragment(href);
+
+    if (params.startsWith('#')) {
+      return fragment === null ? `${href}${params}` : href;
+    }
+
+    const [query, paramsFragment = null] = this.splitFragment(params);
+    const separator = !path.includes('?') ? '?' : (/[?&]$/.test(path) ? '' : '&');
+    const hash = fragment ?? paramsFragment;
+
+    return `${path}${separator}${query}${hash !== null ? `#${hash}` : ''}`;
+  }
+
+  /**
+   * Helper: Split a URL at its first "#" into the part before it and the fragment (left out when there is none)
+   */
+  splitFragment(url) {
+    const index = url.indexOf('#');
+    return index === -1 ? [url] : [url.slice(0, index), url.slice(index + 1)];
+  }
+
   /**
    * Recursively find first SCO in items tree
    */
@@ -350,14 +767,15 @@ export class ScormParser {
       return value;
     }
 
-    if (value.langstring) {
-      const langString = value.langstring;
-      if (typeof langString === 'string') {
-        return langString;
-      }
-      if (langString._) {
-        return langString._;
-      }
+    // Several languages: the first one wins
+    if (Array.isArray(value)) {
+      return this.extractLangString(value[0]);
+    }
+
+    // IMS Metadata 1.2 <langstring>, IEEE LOM <string>
+    const langString = value['lom:langstring'] ?? value['lom:string'] ?? value.langstring ?? value.string;
+    if (langString !== undefined) {
+      return this.extractLangString(langString);
     }
 
     if (value._) {
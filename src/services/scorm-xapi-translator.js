@@ -0,0 +1,296 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { statements } from '../models/database.js';
+import scormParser from './scorm-parser.js';
+import xapiLrs from './xapi-lrs.js';
+
+const SCORM_PROFILE = 'https://w3id.org/xapi/scorm';
+
+const VERBS = {
+  initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+  answered: 'http://adlnet.gov/expapi/verbs/answered',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  suspended: 'http://adlnet.gov/expapi/verbs/suspended',
+  terminated: 'http://adlnet.gov/expapi/verbs/terminated',
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  lesson: 'http://adlnet.gov/expapi/activities/lesson',
+  attempt: 'http://adlnet.gov/expapi/activities/attempt',
+  interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+  profile: 'http://adlnet.gov/expapi/activities/profile',
+};
+
+const INTERACTION_TYPES = [
+  'true-false', 'choice', 'fill-in', 'long-fill-in', 'matching',
+  'performance', 'sequencing', 'likert', 'numeric', 'other',
+];
+
+/**
+ * SCORM to xAPI Translator
+ * Builds xAPI statements for SCORM 1.2 and 2004 runtime events following the ADL SCORM profile
+ */
+export class ScormXapiTranslator {
+  /**
+   * Whether SCORM runtime events should be translated
+   */
+  isEnabled() {
+    return Boolean(config.xapi.translateScorm);
+  }
+
+  /**
+   * Statements for a newly initialized session
+   */
+  translateInitialize(sessionId) {
+    const context = this.loadContext(sessionId);
+    if (!context) return [];
+
+    return [this.buildStatement(context, VERBS.initialized, 'initialized')];
+  }
+
+  /**
+   * Statements for a commit: newly answered interactions, completion and success changes
+   */
+  translateCommit(sessionId, { previous, cmi = {}, completed, successStatus, interactions = [] }) {
+    const context = this.loadContext(sessionId);
+    if (!context) return [];
+
+    const result = [];
+
+    for (const interaction of interactions) {
+      result.push(this.buildInteractionStatement(context, interaction));
+    }
+
+    const score = this.buildScore(cmi);
+
+    if (completed && !previous.completed) {
+      result.push(this.buildStatement(context, VERBS.completed, 'completed', {
+        completion: true,
+        ...(score ? { score } : {}),
+      }));
+    }
+
+    if (['passed', 'failed'].includes(successStatus) && successStatus !== previous.success_status) {
+      result.push(this.buildStatement(context, VERBS[successStatus], successStatus, {
+        success: successStatus === 'passed',
+        ...(score ? { score } : {}),
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Statements for a terminated session (suspended when exiting with suspend)
+   */
+  translateTerminate(sessionId, { exit = null, sessionTime = null, cmi = {} }) {
+    const context = this.loadContext(sessionId);
+    if (!context) return [];
+
+    const duration = this.toDuration(sessionTime);
+    const score = this.buildScore(cmi);
+    const result = {
+      ...(duration ? { duration } : {}),
+      ...(score ? { score } : {}),
+    };
+    const list = [];
+
+    if (exit === 'suspend') {
+      list.push(this.buildStatement(context, VERBS.suspended, 'suspended', duration ? { duration } : null));
+    }
+
+    list.push(this.buildStatement(context, VERBS.terminated, 'terminated', Object.keys(result).length ? result : null));
+
+    return list;
+  }
+
+  /**
+   * Load package, session and activities for a SCORM session
+   */
+  loadContext(sessionId) {
+    const session = statements.getSession.get(sessionId);
+    const row = session ? statements.getPackage.get(session.package_id) : null;
+
+    if (!row || (row.format && row.format !== 'scorm')) {
+      return null;
+    }
+
+    const metadata = JSON.parse(row.metadata);
+    const course = {
+      objectType: 'Activity',
+      id: `${config.xapi.activityBase.replace(/\/$/, '')}/${encodeURIComponent(row.identifier || row.id)}`,
+      definition: {
+        type: ACTIVITY_TYPES.course,
+        name: { 'en-US': row.title },
+      },
+    };
+
+    let activity = course;
+    if (session.item_id) {
+      const items = (metadata.organizations || []).flatMap(org => org.items || []);
+      const item = scormParser.findItem(items, session.item_id);
+
+      activity = {
+        objectType: 'Activity',
+        id: `${course.id}/${encodeURIComponent(session.item_id)}`,
+        definition: {
+          type: ACTIVITY_TYPES.lesson,
+          name: { 'en-US': item?.title || session.item_id },
+        },
+      };
+    }
+
+    return {
+      session,
+      scormVersion: row.scorm_version,
+      actor: xapiLrs.buildActor(session.user_id || 'anonymous', config.xapi.actorHomePage),
+      course,
+      activity,
+      attempt: {
+        objectType: 'Activity',
+        id: `${activity.id}?attemptId=${sessionId}`,
+        definition: { type: ACTIVITY_TYPES.attempt },
+      },
+    };
+  }
+
+  /**
+   * Build a statement about the SCO in the context of its course and attempt
+   */
+  buildStatement(context, verbId, verbName, result = null, object = null) {
+    const parent = object ? [context.activity] : [];
+    if (context.activity !== context.course) {
+      parent.push(context.course);
+    }
+
+    return {
+      id: uuidv4(),
+      actor: context.actor,
+      verb: { id: verbId, display: { 'en-US': verbName } },
+      object: object || context.activity,
+      ...(result ? { result } : {}),
+      context: {
+        contextActivities: {
+          ...(parent.length ? { parent } : {}),
+          grouping: [context.attempt],
+          category: [{
+            objectType: 'Activity',
+            id: SCORM_PROFILE,
+            definition: { type: ACTIVITY_TYPES.profile },
+          }],
+        },
+      },
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Build an "answered" statement for a cmi.interactions entry
+   */
+  buildInteractionStatement(context, interaction) {
+    const definition = { type: ACTIVITY_TYPES.interaction };
+
+    if (INTERACTION_TYPES.includes(interaction.type)) {
+      definition.interactionType = interaction.type;
+    }
+
+    const patterns = this.toArray(interaction.correct_responses)
+      .map(response => (typeof response === 'object' ? response.pattern : response))
+      .filter(pattern => pattern !== undefined && pattern !== null);
+    if (patterns.length > 0) {
+      definition.correctResponsesPattern = patterns.map(String);
+    }
+
+    if (interaction.description) {
+      definition.description = { 'en-US': interaction.description };
+    }
+
+    const result = {};
+    const response = interaction.learner_response ?? interaction.student_response;
+    if (response !== undefined && response !== null) {
+      result.response = String(response);
+    }
+
+    if (interaction.result === 'correct') {
+      result.success = true;
+    } else if (interaction.result === 'incorrect' || interaction.result === 'wrong') {
+      result.success = false;
+    }
+
+    const duration = this.toDuration(interaction.latency);
+    if (duration) {
+      result.duration = duration;
+    }
+
+    return this.buildStatement(context, VERBS.answered, 'answered', Object.keys(result).length ? result : null, {
+      objectType: 'Activity',
+      id: `${context.activity.id}/interactions/${encodeURIComponent(interaction.id)}`,
+      definition,
+    });
+  }
+
+  /**
+   * Build an xAPI score from SCORM 2004 cmi.score or SCORM 1.2 cmi.core.score
+   */
+  buildScore(cmi) {
+    const source = cmi.score || cmi.core?.score;
+    if (!source) return null;
+
+    const score = {};
+    for (const key of ['raw', 'min', 'max', 'scaled']) {
+      const value = parseFloat(source[key]);
+      if (!Number.isNaN(value)) {
+        score[key] = value;
+      }
+    }
+
+    // SCORM 1.2 has no scaled score; derive it from the raw score range
+    if (score.scaled === undefined && score.raw !== undefined) {
+      const min = score.min ?? 0;
+      const max = score.max ?? 100;
+
+      if (max > min) {
+        score.scaled = Math.max(-1, Math.min(1, (score.raw - min) / (max - min)));
+      }
+    }
+
+    if (score.raw !== undefined && (
+      (score.min !== undefined && score.raw < score.min) ||
+      (score.max !== undefined && score.raw > score.max))) {
+      delete score.min;
+      delete score.max;
+    }
+
+    return Object.keys(score).length > 0 ? score : null;
+  }
+
+  /**
+   * Convert a SCORM 1.2 timespan (HHHH:MM:SS.SS) or SCORM 2004 duration to ISO 8601
+   */
+  toDuration(value) {
+    if (!value) return null;
+
+    if (/^P/.test(value)) {
+      return value;
+    }
+
+    const match = /^(\d{2,4}):(\d{2}):(\d{2})(\.\d{1,2})?$/.exec(value);
+    if (!match) return null;
+
+    const seconds = parseFloat(`${match[3]}${match[4] || ''}`);
+    return `PT${parseInt(match[1], 10)}H${parseInt(match[2], 10)}M${seconds}S`;
+  }
+
+  /**
+   * Helper: Convert to array
+   */
+  toArray(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : Object.values(value);
+  }
+}
+
+export default new ScormXapiTranslator();
@@ -0,0 +1,1186 @@
+import { statements } from '../models/database.js';
+import scormParser from './scorm-parser.js';
+import packageHandler from './package-handler.js';
+
+// Sequencing defaults defined by the SCORM 2004 sequencing model
+const DEFAULT_SEQUENCING = scormParser.extractItemSequencing({ 'imsss:sequencing': {} });
+
+const PRIMARY_OBJECTIVE = '_primary';
+
+const DEFAULT_OBJECTIVE_RULES = [
+  { childActivitySet: 'all', conditionCombination: 'any', conditions: [{ condition: 'objectiveStatusKnown', operator: 'noOp' }], action: 'notSatisfied' },
+  { childActivitySet: 'all', conditionCombination: 'any', conditions: [{ condition: 'satisfied', operator: 'noOp' }], action: 'satisfied' },
+];
+
+const DEFAULT_PROGRESS_RULES = [
+  { childActivitySet: 'all', conditionCombination: 'any', conditions: [{ condition: 'activityProgressKnown', operator: 'noOp' }], action: 'incomplete' },
+  { childActivitySet: 'all', conditionCombination: 'any', conditions: [{ condition: 'completed', operator: 'noOp' }], action: 'completed' },
+];
+
+const NAVIGATION_REQUESTS = [
+  'start', 'resumeAll', 'continue', 'previous', 'choice', 'jump',
+  'exit', 'exitAll', 'suspendAll', 'abandon', 'abandonAll',
+];
+
+/**
+ * Activity tree and tracking state for one learner in one package
+ */
+class SequencingSession {
+  constructor(organization, resources, state, userId) {
+    this.userId = userId;
+    this.state = state;
+    this.index = {};
+    this.globals = new Map();
+    this.dirtyGlobals = new Set();
+    this.root = this.buildActivity(organization, null, resources, true);
+
+    // Flow orders (clusters always precede their descendants)
+    this.forwardOrder = this.collectOrder(this.root, false);
+    this.backwardOrder = this.collectOrder(this.root, true);
+  }
+
+  /**
+   * Build an activity node from an organization or item
+   */
+  buildActivity(node, parent, resources, isRoot = false) {
+    const sequencing = node.sequencing?.deliveryControls ? node.sequencing : DEFAULT_SEQUENCING;
+    const resource = node.identifierref
+      ? resources.find(r => r.identifier === node.identifierref)
+      : null;
+
+    const activity = {
+      id: node.identifier,
+      title: node.title,
+      isvisible: node.isvisible !== false,
+      isRoot,
+      parent,
+      seq: sequencing,
+      launchUrl: resource?.href ? scormParser.buildLaunchUrl(resource.href, node.parameters) : null,
+      children: [],
+    };
+
+    this.index[activity.id] = activity;
+    activity.children = (isRoot ? node.items : node.children || [])
+      .map(child => this.buildActivity(child, activity, resources));
+
+    return activity;
+  }
+
+  /**
+   * Collect activities (excluding the root) in flow order
+   */
+  collectOrder(activity, reverse) {
+    const children = reverse ? [...activity.children].reverse() : activity.children;
+    const order = [];
+
+    for (const child of children) {
+      order.push(child);
+      order.push(...this.collectOrder(child, reverse));
+    }
+
+    return order;
+  }
+
+  isLeaf(activity) {
+    return activity.children.length === 0;
+  }
+
+  isDescendant(activity, ancestor) {
+    for (let a = activity.parent; a; a = a.parent) {
+      if (a === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Activities from the root down to (and including) the given activity
+   */
+  pathFromRoot(activity) {
+    const path = [];
+    for (let a = activity; a; a = a.parent) {
+      path.unshift(a);
+    }
+    return path;
+  }
+
+  commonAncestor(a, b) {
+    if (!a || !b) return this.root;
+
+    const pathB = this.pathFromRoot(b);
+    for (let x = a; x; x = x.parent) {
+      if (pathB.includes(x)) return x;
+    }
+
+    return this.root;
+  }
+
+  get current() {
+    return this.state.currentActivity ? this.index[this.state.currentActivity] || null : null;
+  }
+
+  set current(activity) {
+    this.state.currentActivity = activity ? activity.id : null;
+  }
+
+  /**
+   * Tracking state of an activity
+   */
+  activityState(activity) {
+    if (!this.state.activities[activity.id]) {
+      this.state.activities[activity.id] = {
+        attemptCount: 0,
+        isActive: false,
+        isSuspended: false,
+        attemptProgressStatus: false,
+        attemptCompletionStatus: false,
+        objectives: {},
+      };
+    }
+
+    return this.state.activities[activity.id];
+  }
+
+  /**
+   * Find an objective definition (primary when no ID is given)
+   */
+  objectiveDefinition(activity, objectiveId = null) {
+    const objectives = activity.seq.objectives || [];
+
+    if (objectiveId) {
+      const found = objectives.find(o => o.objectiveID === objectiveId);
+      if (found) return found;
+    }
+
+    return objectives.find(o => o.primary) || {
+      objectiveID: null,
+      primary: true,
+      satisfiedByMeasure: false,
+      minNormalizedMeasure: 1,
+      mapInfo: [],
+    };
+  }
+
+  objectiveKey(definition) {
+    return definition.primary ? PRIMARY_OBJECTIVE : definition.objectiveID;
+  }
+
+  localObjective(activity, definition) {
+    const objectives = this.activityState(activity).objectives;
+    const key = this.objectiveKey(definition);
+
+    if (!objectives[key]) {
+      objectives[key] = {
+        progressStatus: false,
+        satisfiedStatus: false,
+        measureStatus: false,
+        normalizedMeasure: 0,
+      };
+    }
+
+    return objectives[key];
+  }
+
+  /**
+   * Effective objective status, reading through global objective maps
+   */
+  getObjective(activity, objectiveId = null) {
+    const definition = this.objectiveDefinition(activity, objectiveId);
+    const result = { ...this.localObjective(activity, definition) };
+
+    for (const map of definition.mapInfo) {
+      const global = this.getGlobal(map.targetObjectiveID);
+
+      if (map.readSatisfiedStatus && global.satisfiedStatus !== null) {
+        result.progressStatus = true;
+        result.satisfiedStatus = global.satisfiedStatus;
+      }
+
+      if (map.readNormalizedMeasure && global.normalizedMeasure !== null) {
+        result.measureStatus = true;
+        result.normalizedMeasure = global.normalizedMeasure;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Update a local objective and write it through its global maps
+   */
+  setObjective(activity, objectiveId, { satisfied, measure }) {
+    const definition = this.objectiveDefinition(activity, objectiveId);
+    const local = this.localObjective(activity, definition);
+
+    if (satisfied !== undefined) {
+      local.progressStatus = satisfied !== null;
+      local.satisfiedStatus = satisfied === true;
+    }
+
+    if (measure !== undefined) {
+      local.measureStatus = measure !== null;
+      local.normalizedMeasure = measure === null ? 0 : measure;
+    }
+
+    // Only known values are written to shared objectives
+    for (const map of definition.mapInfo) {
+      const global = this.getGlobal(map.targetObjectiveID);
+
+      if (map.writeSatisfiedStatus && satisfied !== undefined && local.progressStatus) {
+        global.satisfiedStatus = local.satisfiedStatus;
+        this.dirtyGlobals.add(map.targetObjectiveID);
+      }
+
+      if (map.writeNormalizedMeasure && measure !== undefined && local.measureStatus) {
+        global.normalizedMeasure = local.normalizedMeasure;
+        this.dirtyGlobals.add(map.targetObjectiveID);
+      }
+    }
+  }
+
+  getGlobal(objectiveId) {
+    if (!this.globals.has(objectiveId)) {
+      const row = statements.getGlobalObjective.get(this.userId, objectiveId);
+
+      this.globals.set(objectiveId, {
+        satisfiedStatus: row && row.satisfied_status !== null ? row.satisfied_status === 1 : null,
+        normalizedMeasure: row ? row.normalized_measure : null,
+      });
+    }
+
+    return this.globals.get(objectiveId);
+  }
+
+  flushGlobals() {
+    for (const objectiveId of this.dirtyGlobals) {
+      const global = this.globals.get(objectiveId);
+
+      statements.saveGlobalObjective.run(
+        this.userId,
+        objectiveId,
+        global.satisfiedStatus === null ? null : (global.satisfiedStatus ? 1 : 0),
+        global.normalizedMeasure
+      );
+    }
+
+    this.dirtyGlobals.clear();
+  }
+
+  /**
+   * Evaluate a single sequencing or rollup rule condition
+   */
+  evaluateCondition(activity, condition) {
+    const state = this.activityState(activity);
+    const objective = this.getObjective(activity, condition.referencedObjective);
+    let result;
+
+    switch (condition.condition) {
+      case 'satisfied':
+        result = objective.progressStatus && objective.satisfiedStatus;
+        break;
+      case 'objectiveStatusKnown':
+        result = objective.progressStatus;
+        break;
+      case 'objectiveMeasureKnown':
+        result = objective.measureStatus;
+        break;
+      case 'objectiveMeasureGreaterThan':
+        result = objective.measureStatus && objective.normalizedMeasure > condition.measureThreshold;
+        break;
+      case 'objectiveMeasureLessThan':
+        result = objective.measureStatus && objective.normalizedMeasure < condition.measureThreshold;
+        break;
+      case 'completed':
+        result = state.attemptProgressStatus && state.attemptCompletionStatus;
+        break;
+      case 'activityProgressKnown':
+        result = state.attemptProgressStatus;
+        break;
+      case 'attempted':
+        result = state.attemptCount > 0;
+        break;
+      case 'attemptLimitExceeded':
+        result = this.attemptLimitReached(activity);
+        break;
+      case 'always':
+        result = true;
+        break;
+      default:
+        // Time based conditions are not tracked by this player
+        result = false;
+    }
+
+    return condition.operator === 'not' ? !result : result;
+  }
+
+  matchConditions(activity, rule) {
+    if (!rule.conditions || rule.conditions.length === 0) {
+      return false;
+    }
+
+    const results = rule.conditions.map(c => this.evaluateCondition(activity, c));
+    return rule.conditionCombination === 'any' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  /**
+   * Return the action of the first matching rule of a type, limited to the given actions
+   */
+  findRuleAction(activity, ruleType, actions) {
+    const rules = activity.seq.sequencingRules?.[ruleType] || [];
+
+    for (const rule of rules) {
+      if (actions.includes(rule.action) && this.matchConditions(activity, rule)) {
+        return rule.action;
+      }
+    }
+
+    return null;
+  }
+
+  attemptLimitReached(activity) {
+    const limit = activity.seq.limitConditions?.attemptLimit;
+    return Boolean(limit) && this.activityState(activity).attemptCount >= limit;
+  }
+
+  /**
+   * Check Activity Process: true when the activity may not be delivered
+   */
+  isActivityBlocked(activity) {
+    const state = this.activityState(activity);
+
+    if (this.findRuleAction(activity, 'preConditionRules', ['disabled'])) {
+      return true;
+    }
+
+    return !state.isActive && !state.isSuspended && this.attemptLimitReached(activity);
+  }
+
+  /**
+   * Flow tree traversal from an activity in either direction
+   */
+  flow(from, forward, { entering = false, within = null } = {}) {
+    const order = forward ? this.forwardOrder : this.backwardOrder;
+    let index = from && !from.isRoot ? order.indexOf(from) + 1 : 0;
+    let skipUnder = from && !from.isRoot && !entering ? from : null;
+
+    for (; index < order.length; index++) {
+      const candidate = order[index];
+
+      if (within && !this.isDescendant(candidate, within)) {
+        break;
+      }
+
+      if (skipUnder && this.isDescendant(candidate, skipUnder)) {
+        continue;
+      }
+
+      const parentMode = candidate.parent.seq.controlMode;
+      if (!parentMode.flow) {
+        return { error: 'Flow navigation is not allowed in this cluster' };
+      }
+
+      if (!forward && parentMode.forwardOnly) {
+        return { error: 'Backward navigation is not allowed in this cluster' };
+      }
+
+      if (forward && this.findRuleAction(candidate, 'preConditionRules', ['stopForwardTraversal'])) {
+        return { error: 'Forward traversal stopped by sequencing rule' };
+      }
+
+      if (this.findRuleAction(candidate, 'preConditionRules', ['skip'])) {
+        skipUnder = candidate;
+        continue;
+      }
+
+      if (this.isActivityBlocked(candidate)) {
+        return { error: `Activity ${candidate.id} is disabled or has exceeded its attempt limit` };
+      }
+
+      if (this.isLeaf(candidate)) {
+        return { activity: candidate };
+      }
+    }
+
+    return forward ? { end: true } : { error: 'Beginning of course reached' };
+  }
+
+  /**
+   * Validate a choice navigation request against control modes and rules
+   */
+  checkChoice(target) {
+    if (!target) {
+      return 'Target activity does not exist';
+    }
+
+    const current = this.current;
+    const path = this.pathFromRoot(target);
+
+    for (const activity of path) {
+      if (this.findRuleAction(activity, 'preConditionRules', ['hiddenFromChoice'])) {
+        return `Activity ${activity.id} is hidden from choice`;
+      }
+
+      if (activity.parent && !activity.parent.seq.controlMode.choice) {
+        return `Choice navigation is not allowed in ${activity.parent.id}`;
+      }
+
+      if (!this.activityState(activity).isActive && this.isActivityBlocked(activity)) {
+        return `Activity ${activity.id} is disabled or has exceeded its attempt limit`;
+      }
+
+      if (activity !== target &&
+          activity.seq.constrainedChoice?.preventActivation &&
+          !this.activityState(activity).isActive) {
+        return `Activity ${activity.id} prevents activation of its descendants`;
+      }
+    }
+
+    if (current && this.activityState(current).isActive) {
+      const common = this.commonAncestor(current, target);
+
+      for (let a = current; a && a !== common; a = a.parent) {
+        if (this.activityState(a).isActive && !a.seq.controlMode.choiceExit) {
+          return `Activity ${a.id} does not allow exiting by choice`;
+        }
+      }
+
+      const constrained = current.parent?.seq.constrainedChoice?.constrainChoice;
+      if (constrained && target !== current) {
+        const next = this.flow(current, true).activity;
+        const previous = this.flow(current, false).activity;
+        const allowed = [next, previous].filter(Boolean);
+
+        if (!allowed.some(a => a === target || this.isDescendant(a, target) || this.isDescendant(target, a.parent))) {
+          return 'Choice is constrained to the next or previous activity';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * End the current attempt on an activity and roll up its status
+   */
+  endAttempt(activity) {
+    const state = this.activityState(activity);
+    const delivery = activity.seq.deliveryControls;
+
+    if (this.isLeaf(activity) && delivery.tracked && !state.isSuspended) {
+      if (!delivery.completionSetByContent && !state.attemptProgressStatus) {
+        state.attemptProgressStatus = true;
+        state.attemptCompletionStatus = true;
+      }
+
+      if (!delivery.objectiveSetByContent && !this.getObjective(activity).progressStatus) {
+        this.setObjective(activity, null, { satisfied: true });
+      }
+    }
+
+    state.isActive = false;
+    this.rollup(activity);
+  }
+
+  /**
+   * Start attempts on every inactive activity down to the target
+   */
+  startAttempts(target) {
+    let resumed = false;
+
+    for (const activity of this.pathFromRoot(target)) {
+      const state = this.activityState(activity);
+
+      if (state.isActive) continue;
+
+      if (state.isSuspended) {
+        state.isSuspended = false;
+        resumed = resumed || activity === target;
+      } else {
+        state.attemptCount++;
+        if (state.attemptCount > 1) {
+          this.resetAttempt(activity);
+        }
+      }
+
+      state.isActive = true;
+    }
+
+    return resumed;
+  }
+
+  resetAttempt(activity) {
+    const state = this.activityState(activity);
+    state.attemptProgressStatus = false;
+    state.attemptCompletionStatus = false;
+    state.objectives = {};
+  }
+
+  resetSubtree(activity) {
+    for (const child of activity.children) {
+      const state = this.activityState(child);
+      state.isActive = false;
+      state.isSuspended = false;
+      this.resetAttempt(child);
+      this.resetSubtree(child);
+    }
+  }
+
+  /**
+   * Deliver a leaf activity, ending attempts that are no longer in its path
+   */
+  deliver(target) {
+    const current = this.current;
+
+    if (current && current !== target) {
+      const common = this.commonAncestor(current, target);
+
+      for (let a = current; a && a !== common; a = a.parent) {
+        if (this.activityState(a).isActive) {
+          this.endAttempt(a);
+        }
+      }
+    }
+
+    const resumed = this.startAttempts(target);
+    this.current = target;
+    this.state.suspendedActivity = null;
+
+    return {
+      action: 'deliver',
+      activity: target,
+      entry: resumed ? 'resume' : 'ab-initio',
+    };
+  }
+
+  /**
+   * Treat an item launched outside the sequencer as the current activity
+   */
+  adoptCurrent(itemId) {
+    const activity = itemId ? this.index[itemId] : null;
+
+    if (activity && this.isLeaf(activity) && this.current !== activity) {
+      this.deliver(activity);
+    }
+  }
+
+  /**
+   * Deliver the first available leaf of a cluster (or the activity itself)
+   */
+  deliverInto(activity) {
+    if (this.isLeaf(activity)) {
+      if (this.isActivityBlocked(activity)) {
+        return { error: `Activity ${activity.id} is disabled or has exceeded its attempt limit` };
+      }
+      return this.deliver(activity);
+    }
+
+    const result = this.flow(activity, true, { entering: true, within: activity });
+    if (!result.activity) {
+      return { error: result.error || `Nothing to deliver in ${activity.id}` };
+    }
+
+    return this.deliver(result.activity);
+  }
+
+  /**
+   * Termination request process with exit and post condition rules
+   */
+  terminateCurrent() {
+    const current = this.current;
+
+    if (!current || !this.activityState(current).isActive) {
+      return null;
+    }
+
+    this.endAttempt(current);
+
+    // Exit action rules are evaluated from the root down
+    for (const ancestor of this.pathFromRoot(current).slice(0, -1)) {
+      if (this.findRuleAction(ancestor, 'exitConditionRules', ['exit'])) {
+        for (let a = current.parent; a && a !== ancestor.parent; a = a.parent) {
+          this.endAttempt(a);
+        }
+        this.current = ancestor;
+        break;
+      }
+    }
+
+    // Post condition rules may exit further or request more sequencing
+    for (;;) {
+      const activity = this.current;
+      const action = this.findRuleAction(activity, 'postConditionRules',
+        ['exitParent', 'exitAll', 'retry', 'retryAll', 'continue', 'previous']);
+
+      if (action === 'exitParent' && activity.parent) {
+        this.endAttempt(activity.parent);
+        this.current = activity.parent;
+        continue;
+      }
+
+      return action === 'exitParent' ? null : action;
+    }
+  }
+
+  /**
+   * Rollup from an activity up to the root
+   */
+  rollup(activity) {
+    for (let a = activity; a; a = a.parent) {
+      if (this.isLeaf(a)) {
+        this.applySatisfiedByMeasure(a);
+      } else {
+        this.rollupMeasure(a);
+        this.rollupObjective(a);
+        this.rollupProgress(a);
+      }
+    }
+  }
+
+  applySatisfiedByMeasure(activity) {
+    const definition = this.objectiveDefinition(activity);
+    if (!definition.satisfiedByMeasure) {
+      return false;
+    }
+
+    const objective = this.getObjective(activity);
+    const state = this.activityState(activity);
+
+    if (!objective.measureStatus ||
+        (state.isActive && !activity.seq.rollupConsiderations.measureSatisfactionIfActive)) {
+      this.setObjective(activity, null, { satisfied: null });
+    } else {
+      this.setObjective(activity, null, {
+        satisfied: objective.normalizedMeasure >= definition.minNormalizedMeasure,
+      });
+    }
+
+    return true;
+  }
+
+  rollupMeasure(activity) {
+    let totalWeight = 0;
+    let weighted = 0;
+    let known = false;
+
+    for (const child of activity.children) {
+      if (!child.seq.deliveryControls.tracked) continue;
+
+      const weight = child.seq.rollupRules.objectiveMeasureWeight;
+      const objective = this.getObjective(child);
+      totalWeight += weight;
+
+      if (objective.measureStatus) {
+        known = true;
+        weighted += objective.normalizedMeasure * weight;
+      }
+    }
+
+    if (known && totalWeight > 0) {
+      this.setObjective(activity, null, { measure: weighted / totalWeight });
+    } else if (totalWeight > 0) {
+      this.setObjective(activity, null, { measure: null });
+    }
+  }
+
+  rollupObjective(activity) {
+    if (this.applySatisfiedByMeasure(activity)) {
+      return;
+    }
+
+    const rules = this.rollupRulesFor(activity, DEFAULT_OBJECTIVE_RULES);
+
+    if (rules.some(r => r.action === 'notSatisfied' && this.evaluateRollupRule(activity, r))) {
+      this.setObjective(activity, null, { satisfied: false });
+    }
+
+    if (rules.some(r => r.action === 'satisfied' && this.evaluateRollupRule(activity, r))) {
+      this.setObjective(activity, null, { satisfied: true });
+    }
+  }
+
+  rollupProgress(activity) {
+    const state = this.activityState(activity);
+    const rules = this.rollupRulesFor(activity, DEFAULT_PROGRESS_RULES);
+
+    if (rules.some(r => r.action === 'incomplete' && this.evaluateRollupRule(activity, r))) {
+      state.attemptProgressStatus = true;
+      state.attemptCompletionStatus = false;
+    }
+
+    if (rules.some(r => r.action === 'completed' && this.evaluateRollupRule(activity, r))) {
+      state.attemptProgressStatus = true;
+      state.attemptCompletionStatus = true;
+    }
+  }
+
+  /**
+   * Rollup rules of an activity for the actions of the defaults, each action without a rule of its own taking its default
+   */
+  rollupRulesFor(activity, defaults) {
+    return defaults.flatMap((fallback) => {
+      const custom = activity.seq.rollupRules.rules.filter(r => r.action === fallback.action);
+      return custom.length > 0 ? custom : [fallback];
+    });
+  }
+
+  /**
+   * Check whether a child contributes to a rollup action
+   */
+  contributesTo(child, action) {
+    const seq = child.seq;
+    if (!seq.deliveryControls.tracked) return false;
+
+    const objectiveAction = action === 'satisfied' || action === 'notSatisfied';
+    if (objectiveAction && !seq.rollupRules.rollupObjectiveSatisfied) return false;
+    if (!objectiveAction && !seq.rollupRules.rollupProgressCompletion) return false;
+
+    const key = {
+      satisfied: 'requiredForSatisfied',
+      notSatisfied: 'requiredForNotSatisfied',
+      completed: 'requiredForCompleted',
+      incomplete: 'requiredForIncomplete',
+    }[action];
+    const state = this.activityState(child);
+
+    switch (seq.rollupConsiderations[key]) {
+      case 'ifAttempted':
+        return state.attemptCount > 0;
+      case 'ifNotSkipped':
+        return !this.findRuleAction(child, 'preConditionRules', ['skip']);
+      case 'ifNotSuspended':
+        return !state.isSuspended;
+      default:
+        return true;
+    }
+  }
+
+  evaluateRollupRule(activity, rule) {
+    const children = activity.children.filter(c => this.contributesTo(c, rule.action));
+
+    if (children.length === 0) {
+      return false;
+    }
+
+    const matches = children.filter(c => this.matchConditions(c, rule)).length;
+
+    switch (rule.childActivitySet) {
+      case 'any':
+        return matches > 0;
+      case 'none':
+        return matches === 0;
+      case 'atLeastCount':
+        return matches >= rule.minimumCount;
+      case 'atLeastPercent':
+        return matches / children.length >= rule.minimumPercent;
+      default:
+        return matches === children.length;
+    }
+  }
+
+  /**
+   * Navigation request process followed by the resulting sequencing request
+   */
+  navigate(request, targetId) {
+    const current = this.current;
+    const currentActive = current && this.activityState(current).isActive;
+
+    switch (request) {
+      case 'start':
+        if (current) return { error: 'Sequencing session has already begun' };
+        return this.deliverInto(this.root);
+
+      case 'resumeAll': {
+        const suspended = this.index[this.state.suspendedActivity];
+        if (current || !suspended) return { error: 'There is no suspended attempt to resume' };
+        return this.deliver(suspended);
+      }
+
+      case 'continue':
+      case 'previous': {
+        if (!current) return { error: 'Sequencing session has not begun' };
+        if (!current.parent || !current.parent.seq.controlMode.flow) {
+          return { error: 'Flow navigation is not allowed in this cluster' };
+        }
+        if (request === 'previous' && current.parent.seq.controlMode.forwardOnly) {
+          return { error: 'Backward navigation is not allowed in this cluster' };
+        }
+
+        const followUp = currentActive ? this.terminateCurrent() : null;
+        if (followUp && followUp !== 'continue' && followUp !== 'previous') {
+          return this.sequence(followUp);
+        }
+
+        return this.sequence(followUp || request);
+      }
+
+      case 'choice':
+      case 'jump': {
+        const target = this.index[targetId];
+        if (!target) return { error: 'Target activity does not exist' };
+
+        if (request === 'choice') {
+          const invalid = this.checkChoice(target);
+          if (invalid) return { error: invalid };
+        }
+
+        // The current attempt ends through the termination process, whose post conditions replace the request
+        if (currentActive && current !== target) {
+          const followUp = this.terminateCurrent();
+          if (followUp) return this.sequence(followUp);
+        }
+
+        return this.deliverInto(target);
+      }
+
+      case 'exit': {
+        if (!currentActive) return { error: 'Current activity is not active' };
+        const followUp = this.terminateCurrent();
+
+        if (followUp) return this.sequence(followUp);
+        if (this.current.isRoot) {
+          this.current = null;
+          return { action: 'end' };
+        }
+        return { action: 'exit' };
+      }
+
+      case 'exitAll':
+      case 'abandonAll':
+        for (const activity of Object.values(this.index)) {
+          const state = this.activityState(activity);
+          if (state.isActive) {
+            if (request === 'exitAll') {
+              this.endAttempt(activity);
+            } else {
+              state.isActive = false;
+            }
+          }
+        }
+        this.current = null;
+        return { action: 'end' };
+
+      case 'abandon':
+        if (!currentActive) return { error: 'Current activity is not active' };
+        this.activityState(current).isActive = false;
+        return { action: 'exit' };
+
+      case 'suspendAll':
+        if (!current) return { error: 'Sequencing session has not begun' };
+        for (const activity of this.pathFromRoot(current)) {
+          const state = this.activityState(activity);
+          state.isSuspended = true;
+          state.isActive = false;
+        }
+        this.rollup(current);
+        this.state.suspendedActivity = current.id;
+        this.current = null;
+        return { action: 'suspend' };
+
+      default:
+        return { error: `Unsupported navigation request: ${request}` };
+    }
+  }
+
+  /**
+   * Sequencing request process (after termination)
+   */
+  sequence(request) {
+    const current = this.current;
+
+    switch (request) {
+      case 'continue': {
+        const result = this.flow(current, true);
+        if (result.end) {
+          this.navigate('exitAll');
+          return { action: 'end' };
+        }
+        return result.activity ? this.deliver(result.activity) : result;
+      }
+
+      case 'previous': {
+        const result = this.flow(current, false);
+        return result.activity ? this.deliver(result.activity) : result;
+      }
+
+      case 'retry':
+        this.activityState(current).isActive = false;
+        this.resetSubtree(current);
+        return this.deliverInto(current);
+
+      case 'retryAll':
+        this.navigate('exitAll');
+        this.resetSubtree(this.root);
+        return this.deliverInto(this.root);
+
+      case 'exitAll':
+        return this.navigate('exitAll');
+
+      default:
+        return { error: `Unsupported sequencing request: ${request}` };
+    }
+  }
+
+  /**
+   * Apply runtime (CMI) results of a delivered activity
+   */
+  applyRuntimeData(activity, cmi) {
+    if (!activity.seq.deliveryControls.tracked) {
+      return;
+    }
+
+    const state = this.activityState(activity);
+    const core = cmi.core || {};
+
+    // Completion
+    const completion = cmi.completion_status || core.lesson_status;
+    if (completion) {
+      if (['completed', 'passed', 'failed'].includes(completion)) {
+        state.attemptProgressStatus = true;
+        state.attemptCompletionStatus = true;
+      } else if (['incomplete', 'browsed'].includes(completion)) {
+        state.attemptProgressStatus = true;
+        state.attemptCompletionStatus = false;
+      } else {
+        state.attemptProgressStatus = false;
+      }
+    }
+
+    // Success
+    const success = cmi.success_status || (['passed', 'failed'].includes(core.lesson_status) ? core.lesson_status : null);
+    if (success === 'passed' || success === 'failed') {
+      this.setObjective(activity, null, { satisfied: success === 'passed' });
+    } else if (success === 'unknown') {
+      this.setObjective(activity, null, { satisfied: null });
+    }
+
+    // Measure
+    const measure = this.normalizedMeasure(cmi.score || core.score);
+    if (measure !== null) {
+      this.setObjective(activity, null, { measure });
+    }
+
+    // Secondary objectives reported by the content
+    const objectives = cmi.objectives ? Object.values(cmi.objectives) : [];
+    for (const objective of objectives) {
+      if (!objective || !objective.id) continue;
+
+      const definition = this.objectiveDefinition(activity, objective.id);
+      if (definition.objectiveID !== objective.id) continue;
+
+      const objectiveSuccess = objective.success_status ||
+        (['passed', 'failed'].includes(objective.status) ? objective.status : null);
+      const objectiveMeasure = this.normalizedMeasure(objective.score);
+
+      this.setObjective(activity, objective.id, {
+        ...(objectiveSuccess === 'passed' || objectiveSuccess === 'failed'
+          ? { satisfied: objectiveSuccess === 'passed' }
+          : {}),
+        ...(objectiveMeasure !== null ? { measure: objectiveMeasure } : {}),
+      });
+    }
+
+    // Suspended attempts resume on next delivery
+    const exit = cmi.exit || core.exit;
+    if (exit !== undefined) {
+      state.isSuspended = exit === 'suspend';
+    }
+
+    this.rollup(activity);
+  }
+
+  normalizedMeasure(score) {
+    if (!score) return null;
+
+    if (score.scaled !== undefined && score.scaled !== '') {
+      const scaled = parseFloat(score.scaled);
+      return Number.isNaN(scaled) ? null : scaled;
+    }
+
+    if (score.raw !== undefined && score.raw !== '') {
+      const raw = parseFloat(score.raw);
+      const min = score.min !== undefined && score.min !== '' ? parseFloat(score.min) : 0;
+      const max = score.max !== undefined && score.max !== '' ? parseFloat(score.max) : 100;
+
+      if (Number.isNaN(raw) || max === min) return null;
+      return Math.max(0, Math.min(1, (raw - min) / (max - min)));
+    }
+
+    return null;
+  }
+
+  /**
+   * Summary of activity status and navigation availability
+   */
+  describe() {
+    const current = this.current;
+    const hasFlow = current && current.parent && current.parent.seq.controlMode.flow;
+
+    return {
+      currentActivity: this.state.currentActivity,
+      suspendedActivity: this.state.suspendedActivity,
+      navigation: {
+        start: !current,
+        resumeAll: !current && Boolean(this.state.suspendedActivity),
+        continue: Boolean(hasFlow && this.flow(current, true).activity),
+        previous: Boolean(hasFlow && !current.parent.seq.controlMode.forwardOnly &&
+          this.flow(current, false).activity),
+        choice: Object.fromEntries(
+          this.forwardOrder.map(a => [a.id, this.checkChoice(a) === null])
+        ),
+      },
+      activities: [this.root, ...this.forwardOrder].map(activity => {
+        const state = this.activityState(activity);
+        const objective = this.getObjective(activity);
+
+        return {
+          identifier: activity.id,
+          title: activity.title,
+          parent: activity.parent ? activity.parent.id : null,
+          isLeaf: this.isLeaf(activity),
+          attemptCount: state.attemptCount,
+          isActive: state.isActive,
+          isSuspended: state.isSuspended,
+          completionStatus: state.attemptProgressStatus
+            ? (state.attemptCompletionStatus ? 'completed' : 'incomplete')
+            : 'unknown',
+          successStatus: objective.progressStatus
+            ? (objective.satisfiedStatus ? 'passed' : 'failed')
+            : 'unknown',
+          normalizedMeasure: objective.measureStatus ? objective.normalizedMeasure : null,
+          hidden: Boolean(this.findRuleAction(activity, 'preConditionRules', ['hiddenFromChoice'])),
+          disabled: Boolean(this.findRuleAction(activity, 'preConditionRules', ['disabled'])),
+        };
+      }),
+    };
+  }
+}
+
+/**
+ * SCORM 2004 Sequencing Engine
+ * Evaluates IMS Simple Sequencing rules to decide which activity is delivered
+ */
+export class SequencingEngine {
+  /**
+   * Load the sequencing session for a learner and the organization a package is delivered with
+   */
+  loadSession(pkg, userId) {
+    const organization = packageHandler.getOrganization(pkg);
+
+    if (!organization) {
+      throw new Error('Package has no organization to sequence');
+    }
+
+    const learner = userId || '';
+    const row = statements.getSequencingState.get(pkg.id, learner, organization.identifier);
+    const state = row ? JSON.parse(row.state) : {
+      currentActivity: null,
+      suspendedActivity: null,
+      activities: {},
+    };
+
+    return new SequencingSession(organization, pkg.metadata.resources || [], state, learner);
+  }
+
+  /**
+   * Persist the sequencing session (state is kept per organization, whose activity is the root)
+   */
+  saveSession(pkg, session) {
+    statements.saveSequencingState.run(pkg.id, session.userId, session.root.id, JSON.stringify(session.state));
+    session.flushGlobals();
+  }
+
+  /**
+   * Process a navigation request and return what should be delivered next
+   */
+  navigate(pkg, userId, request, targetId = null, fromItemId = null) {
+    if (!NAVIGATION_REQUESTS.includes(request)) {
+      return { success: false, error: `Unsupported navigation request: ${request}` };
+    }
+
+    const session = this.loadSession(pkg, userId);
+    session.adoptCurrent(fromItemId);
+    const result = session.navigate(request, targetId);
+
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    this.saveSession(pkg, session);
+
+    return {
+      success: true,
+      request,
+      action: result.action,
+      itemId: result.activity ? result.activity.id : null,
+      title: result.activity ? result.activity.title : null,
+      launchUrl: result.activity ? result.activity.launchUrl : null,
+      entry: result.entry || null,
+    };
+  }
+
+  /**
+   * Feed committed runtime data for an item into the activity tree
+   */
+  reportRuntimeData(pkg, userId, itemId, cmi) {
+    const session = this.loadSession(pkg, userId);
+    const activity = session.index[itemId];
+
+    if (!activity || !cmi) {
+      return false;
+    }
+
+    session.adoptCurrent(itemId);
+    session.applyRuntimeData(activity, cmi);
+    this.saveSession(pkg, session);
+
+    return true;
+  }
+
+  /**
+   * Get activity status and valid navigation for a learner
+   */
+  getStatus(pkg, userId) {
+    return this.loadSession(pkg, userId).describe();
+  }
+
+  /**
+   * Answer adl.nav.request_valid.* for the item a SCO is running in
+   */
+  getRequestValid(pkg, userId, itemId) {
+    const session = this.loadSession(pkg, userId);
+    session.adoptCurrent(itemId);
+
+    const { navigation } = session.describe();
+    const toVocabulary = value => (value ? 'true' : 'false');
+
+    return {
+      continue: toVocabulary(navigation.continue),
+      previous: toVocabulary(navigation.previous),
+      choice: Object.fromEntries(
+        Object.entries(navigation.choice).map(([id, valid]) => [id, toVocabulary(valid)])
+      ),
+      jump: Object.fromEntries(
+        session.forwardOrder.map(a => [a.id, toVocabulary(session.isLeaf(a))])
+      ),
+    };
+  }
+
+  /**
+   * Resolve a single adl.nav.request_valid data model element
+   */
+  getRequestValidElement(pkg, userId, itemId, element) {
+    const valid = this.getRequestValid(pkg, userId, itemId);
+    const match = /^adl\.nav\.request_valid\.(continue|previous|(choice|jump)\.\{target=([^}]+)\})$/.exec(element);
+
+    if (!match) {
+      return null;
+    }
+
+    if (!match[2]) {
+      return valid[match[1]];
+    }
+
+    return valid[match[2]][match[3]] || 'false';
+  }
+}
+
+export default new SequencingEngine();
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import { promisify } from 'util';
+import xml2js from 'xml2js';
+import path from 'path';
+import { findFile } from '../utils/file-system.js';
+
+const readFile = promisify(fs.readFile);
+
+const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
+
+const COURSE_TYPE = 'http://adlnet.gov/expapi/activities/course';
+
+/**
+ * Parse TinCan package descriptors (tincan.xml)
+ */
+export class TincanParser {
+  /**
+   * Find and parse tincan.xml from extracted package
+   */
+  async parseDescriptor(packagePath) {
+    try {
+      const descriptorPath = await findFile(packagePath, 'tincan.xml');
+
+      if (!descriptorPath) {
+        throw new Error('tincan.xml not found in package');
+      }
+
+      const content = await readFile(descriptorPath, 'utf8');
+      const parsed = await parser.parseStringPromise(content);
+      const baseDir = path.relative(packagePath, path.dirname(descriptorPath)).split(path.sep).join('/');
+
+      return this.extractPackageData(parsed, baseDir);
+    } catch (error) {
+      console.error('TinCan parsing error:', error);
+      throw new Error(`Failed to parse tincan.xml: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract activities in the same shape as SCORM manifest data
+   */
+  extractPackageData(parsed, baseDir = '') {
+    const root = parsed.tincan;
+
+    if (!root) {
+      throw new Error('Invalid TinCan descriptor');
+    }
+
+    const activities = this.toArray(root.activities?.activity);
+    const resources = [];
+    const items = [];
+
+    for (const activity of activities) {
+      const launch = this.text(activity.launch);
+
+      if (!activity.id || !launch) {
+        continue;
+      }
+
+      const isAbsolute = /^[a-z][a-z0-9+.-]*:/i.test(launch);
+      const resourceId = `${activity.id}#resource`;
+
+      resources.push({
+        identifier: resourceId,
+        type: 'tincan',
+        href: isAbsolute || !baseDir ? launch : `${baseDir}/${launch}`,
+        scormType: 'sco',
+        external: isAbsolute,
+        files: [],
+        dependencies: [],
+      });
+
+      items.push({
+        identifier: activity.id,
+        identifierref: resourceId,
+        title: this.text(activity.name) || activity.id,
+        description: this.text(activity.description),
+        isvisible: true,
+        parameters: null,
+        sequencing: null,
+        tincan: {
+          activityId: activity.id,
+          activityType: activity.type || null,
+        },
+        children: [],
+      });
+    }
+
+    if (items.length === 0) {
+      throw new Error('tincan.xml does not contain any launchable activities');
+    }
+
+    const course = activities.find(activity => activity.type === COURSE_TYPE) ||
+      activities.find(activity => activity.id === items[0].identifier);
+    const title = this.text(course.name) || course.id;
+
+    return {
+      format: 'tincan',
+      version: 'tincan',
+      title,
+      identifier: course.id,
+      manifestIdentifier: course.id,
+      metadata: {
+        schema: 'TinCan',
+        schemaVersion: '1.0',
+        general: {
+          title,
+          description: this.text(course.description),
+        },
+      },
+      organizations: [{
+        identifier: course.id,
+        title,
+        structure: 'tincan',
+        sequencing: null,
+        items,
+      }],
+      resources,
+      sequencing: null,
+      launchData: {
+        identifier: items[0].identifier,
+        resource: items[0].identifierref,
+        launchUrl: resources[0].href,
+        parameters: null,
+        scormType: 'sco',
+      },
+    };
+  }
+
+  /**
+   * Helper: Convert to array
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Helper: Text of an element that may carry a lang attribute or repeat per language
+   */
+  text(node) {
+    const first = this.toArray(node)[0];
+
+    if (!first) return '';
+    if (typeof first === 'string') return first.trim();
+    return (first._ || '').trim();
+  }
+}
+
+export default new TincanParser();
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { statements } from '../models/database.js';
+import scormApiService from './scorm-api.js';
+import packageHandler from './package-handler.js';
+import xapiLrs from './xapi-lrs.js';
+
+/**
+ * TinCan Service
+ * Launches TinCan activities against the embedded LRS
+ */
+export class TincanService {
+  /**
+   * Create a launch (session, LRS credentials and registration) for an activity
+   */
+  createLaunch(pkg, item, options) {
+    const {
+      baseUrl,
+      userId = 'anonymous',
+      name = null,
+      registration = null,
+    } = options;
+
+    if (!item.tincan) {
+      throw new Error('Item is not a TinCan activity');
+    }
+
+    if (registration && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(registration)) {
+      throw new Error('Registration must be a UUID');
+    }
+
+    // Reuse the learner's registration so state (bookmarks, suspend data) carries over
+    const previous = statements.getLatestTincanLaunch.get(pkg.id, userId);
+    const registrationId = registration || previous?.registration || uuidv4();
+
+    const actor = xapiLrs.buildActor(userId, baseUrl, name);
+    const { sessionId } = scormApiService.initializeSession(pkg.id, userId, item.identifier, pkg.package_version);
+    const authToken = crypto.randomBytes(24).toString('hex');
+
+    statements.insertTincanLaunch.run(
+      sessionId,
+      pkg.id,
+      userId,
+      item.tincan.activityId,
+      registrationId,
+      authToken,
+      JSON.stringify(actor)
+    );
+
+    return {
+      sessionId,
+      registration: registrationId,
+      actor,
+      launchUrl: this.buildLaunchUrl(pkg, item, {
+        baseUrl,
+        actor,
+        authToken,
+        registration: registrationId,
+      }),
+    };
+  }
+
+  /**
+   * Build the activity URL with the TinCan launch query parameters
+   */
+  buildLaunchUrl(pkg, item, { baseUrl, actor, authToken, registration }) {
+    const resource = (pkg.metadata.resources || []).find(r => r.identifier === item.identifierref);
+
+    if (!resource) {
+      throw new Error('Activity resource not found');
+    }
+
+    const url = resource.external
+      ? resource.href
+      : packageHandler.getContentUrl(pkg, baseUrl, resource.href);
+
+    const params = new URLSearchParams({
+      endpoint: `${baseUrl}/xapi/`,
+      auth: `Basic ${Buffer.from(`tincan:${authToken}`).toString('base64')}`,
+      actor: JSON.stringify(actor),
+      registration,
+      activity_id: item.tincan.activityId,
+    });
+
+    return `${url}${url.includes('?') ? '&' : '?'}${params.toString()}`;
+  }
+}
+
+export default new TincanService();
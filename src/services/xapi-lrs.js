@@ -0,0 +1,1046 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { db, statements } from '../models/database.js';
+
+export const XAPI_VERSION = '1.0.3';
+export const SUPPORTED_VERSIONS = ['1.0.3', '1.0.2', '1.0.1', '1.0.0'];
+
+const MAX_LIMIT = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+const CMI5_SESSION_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/sessionid';
+
+const VERBS = {
+  voided: 'http://adlnet.gov/expapi/verbs/voided',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  terminated: 'http://adlnet.gov/expapi/verbs/terminated',
+};
+
+const STATEMENT_PROPERTIES = [
+  'id', 'actor', 'verb', 'object', 'result', 'context', 'timestamp',
+  'stored', 'authority', 'version', 'attachments', 'objectType',
+];
+
+const CONTEXT_ACTIVITY_TYPES = ['parent', 'grouping', 'category', 'other'];
+
+// Prepared statements and concurrency rules for each document resource
+const DOCUMENTS = {
+  state: {
+    get: 'getXapiState',
+    ids: 'getXapiStateIds',
+    save: 'saveXapiState',
+    remove: 'deleteXapiState',
+    idParam: 'stateId',
+    concurrency: false,
+  },
+  activityProfile: {
+    get: 'getXapiActivityProfile',
+    ids: 'getXapiActivityProfileIds',
+    save: 'saveXapiActivityProfile',
+    remove: 'deleteXapiActivityProfile',
+    idParam: 'profileId',
+    concurrency: true,
+  },
+  agentProfile: {
+    get: 'getXapiAgentProfile',
+    ids: 'getXapiAgentProfileIds',
+    save: 'saveXapiAgentProfile',
+    remove: 'deleteXapiAgentProfile',
+    idParam: 'profileId',
+    concurrency: true,
+  },
+};
+
+/**
+ * Create an error carrying the HTTP status the LRS should respond with
+ */
+function lrsError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * xAPI Learning Record Store
+ * Stores statements, attachments and state/profile documents for xAPI, TinCan and cmi5 content
+ */
+export class XapiLrs {
+  /**
+   * Build the xAPI actor for a learner
+   */
+  buildActor(userId, baseUrl, name = null) {
+    return {
+      objectType: 'Agent',
+      account: {
+        homePage: baseUrl,
+        name: userId,
+      },
+      name: name || userId,
+    };
+  }
+
+  /**
+   * Resolve HTTP Basic credentials issued for a cmi5 or TinCan launch
+   * Requests without credentials are accepted as local (offline) writes
+   */
+  resolveCredentials(authorization) {
+    if (!authorization) {
+      return null;
+    }
+
+    const match = /^Basic\s+(\S+)$/i.exec(authorization);
+    if (!match) {
+      throw lrsError(401, 'Unsupported authorization scheme');
+    }
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const username = separator === -1 ? decoded : decoded.slice(0, separator);
+    const password = separator === -1 ? '' : decoded.slice(separator + 1);
+
+    const cmi5Launch = statements.getCmi5LaunchByToken.get(password);
+    if (cmi5Launch) {
+      return {
+        username,
+        format: 'cmi5',
+        sessionId: cmi5Launch.session_id,
+        packageId: cmi5Launch.package_id,
+        registration: cmi5Launch.registration,
+      };
+    }
+
+    const tincanLaunch = statements.getTincanLaunchByToken.get(password);
+    if (tincanLaunch) {
+      return {
+        username,
+        format: 'tincan',
+        sessionId: tincanLaunch.session_id,
+        packageId: tincanLaunch.package_id,
+        registration: tincanLaunch.registration,
+      };
+    }
+
+    throw lrsError(401, 'Invalid credentials');
+  }
+
+  /**
+   * Build the authority recorded on statements stored with the given credentials
+   */
+  buildAuthority(credentials, baseUrl) {
+    return {
+      objectType: 'Agent',
+      name: 'Offline SCORM Player',
+      account: {
+        homePage: baseUrl || config.xapi.actorHomePage,
+        name: credentials ? `${credentials.username}:${credentials.sessionId}` : 'local',
+      },
+    };
+  }
+
+  /**
+   * Store one or more statements, returning their ids in order
+   */
+  storeStatements(input, options = {}) {
+    const { credentials = null, baseUrl = '', attachments = [], statementId = null } = options;
+    const list = Array.isArray(input) ? input : [input];
+
+    if (list.length === 0) {
+      throw lrsError(400, 'No statements provided');
+    }
+
+    if (statementId) {
+      if (!UUID_PATTERN.test(statementId)) {
+        throw lrsError(400, 'statementId must be a UUID');
+      }
+      if (list.length !== 1 || (list[0].id && list[0].id !== statementId)) {
+        throw lrsError(400, 'statementId does not match the statement id');
+      }
+      list[0] = { ...list[0], id: statementId };
+    }
+
+    const seen = new Set();
+    for (const statement of list) {
+      this.validateStatement(statement);
+
+      if (statement.id) {
+        if (seen.has(statement.id)) {
+          throw lrsError(400, `Duplicate statement id in request: ${statement.id}`);
+        }
+        seen.add(statement.id);
+      }
+    }
+
+    const attachmentContent = this.matchAttachments(list, attachments);
+    const stored = new Date().toISOString();
+    const authority = this.buildAuthority(credentials, baseUrl);
+
+    const store = db.transaction(() => {
+      const ids = [];
+
+      for (const attachment of attachmentContent) {
+        statements.insertXapiAttachment.run(
+          attachment.sha2,
+          attachment.contentType,
+          attachment.content.length,
+          attachment.content
+        );
+      }
+
+      for (const statement of list) {
+        ids.push(this.insertStatement(statement, { stored, authority, credentials }));
+      }
+
+      return ids;
+    });
+
+    return store();
+  }
+
+  /**
+   * Insert a single validated statement
+   */
+  insertStatement(statement, { stored, authority, credentials }) {
+    const id = statement.id || uuidv4();
+    const record = this.normalizeStatement({
+      ...statement,
+      id,
+      timestamp: statement.timestamp || stored,
+      stored,
+      authority,
+      version: statement.version || '1.0.0',
+    });
+
+    const existing = statements.getXapiStatement.get(id);
+    if (existing) {
+      if (!this.isSameStatement(JSON.parse(existing.statement), record)) {
+        throw lrsError(409, `Statement ${id} already exists with different content`);
+      }
+      return id;
+    }
+
+    let voids = null;
+    if (record.verb.id === VERBS.voided) {
+      voids = record.object.id;
+      const target = statements.getXapiStatement.get(voids);
+
+      if (target) {
+        if (target.verb_id === VERBS.voided) {
+          throw lrsError(400, 'A voiding statement cannot be voided');
+        }
+        statements.voidXapiStatement.run(voids);
+      }
+    }
+
+    const object = record.object;
+    const objectType = object.objectType || 'Activity';
+    const isVoided = statements.getXapiVoidingStatement.get(id) ? 1 : 0;
+    const sessionId = this.findSessionId(record, credentials);
+
+    statements.insertXapiStatement.run(
+      id,
+      JSON.stringify(record),
+      this.agentKey(record.actor),
+      record.verb.id,
+      objectType === 'Activity' ? object.id : null,
+      objectType === 'Agent' || objectType === 'Group' ? this.agentKey(object) : null,
+      record.context?.registration || null,
+      JSON.stringify(this.relatedAgents(record)),
+      JSON.stringify(this.relatedActivities(record)),
+      voids,
+      isVoided,
+      sessionId,
+      stored
+    );
+
+    if (sessionId && !isVoided) {
+      this.recordProgress(sessionId, record);
+    }
+
+    return id;
+  }
+
+  /**
+   * Find the player session a statement belongs to
+   */
+  findSessionId(statement, credentials) {
+    if (credentials?.sessionId) {
+      return credentials.sessionId;
+    }
+
+    const sessionId = statement.context?.extensions?.[CMI5_SESSION_EXTENSION];
+    if (sessionId && statements.getSession.get(sessionId)) {
+      return sessionId;
+    }
+
+    return null;
+  }
+
+  /**
+   * Reflect completion, success and score from a statement onto its session
+   */
+  recordProgress(sessionId, statement) {
+    const verb = statement.verb.id;
+    const result = statement.result || {};
+    const score = result.score || {};
+
+    let successStatus = null;
+    if (verb === VERBS.passed || result.success === true) {
+      successStatus = 'passed';
+    } else if (verb === VERBS.failed || result.success === false) {
+      successStatus = 'failed';
+    }
+
+    statements.updateSessionProgress.run(
+      verb === VERBS.completed || result.completion === true ? 1 : 0,
+      successStatus,
+      score.raw ?? null,
+      score.min ?? null,
+      score.max ?? null,
+      verb === VERBS.terminated ? result.duration || null : null,
+      sessionId
+    );
+  }
+
+  /**
+   * Pair attachment parts with the attachments declared by statements
+   */
+  matchAttachments(list, parts) {
+    const bySha2 = new Map(parts.map(part => [part.sha2, part]));
+    const matched = [];
+
+    for (const statement of list) {
+      const declared = [
+        ...(statement.attachments || []),
+        ...(statement.object?.objectType === 'SubStatement' ? statement.object.attachments || [] : []),
+      ];
+
+      for (const attachment of declared) {
+        const part = bySha2.get(attachment.sha2);
+
+        if (part) {
+          matched.push({ ...part, contentType: attachment.contentType });
+          bySha2.delete(attachment.sha2);
+        } else if (!attachment.fileUrl && !statements.getXapiAttachment.get(attachment.sha2)) {
+          throw lrsError(400, `Missing attachment content for sha2 ${attachment.sha2}`);
+        }
+      }
+    }
+
+    if (bySha2.size > 0) {
+      throw lrsError(400, 'Attachment part does not match any statement attachment');
+    }
+
+    return matched;
+  }
+
+  /**
+   * Get a single statement by id (or a voided statement by voidedStatementId)
+   */
+  getStatement(id, { voided = false, format = 'exact' } = {}) {
+    const row = statements.getXapiStatement.get(id);
+
+    if (!row || Boolean(row.voided) !== voided) {
+      throw lrsError(404, 'Statement not found');
+    }
+
+    return this.formatStatement(JSON.parse(row.statement), format);
+  }
+
+  /**
+   * Query statements with the xAPI filter parameters
+   */
+  queryStatements(query = {}) {
+    const conditions = ['voided = 0'];
+    const params = [];
+    const format = this.parseFormat(query.format);
+    const ascending = query.ascending === 'true';
+
+    if (query.agent) {
+      const key = this.parseAgentParam(query.agent);
+
+      if (query.related_agents === 'true') {
+        conditions.push('EXISTS (SELECT 1 FROM json_each(related_agents) WHERE value = ?)');
+        params.push(key);
+      } else {
+        conditions.push('(actor_key = ? OR object_agent_key = ?)');
+        params.push(key, key);
+      }
+    }
+
+    if (query.verb) {
+      conditions.push('verb_id = ?');
+      params.push(query.verb);
+    }
+
+    if (query.activity) {
+      if (query.related_activities === 'true') {
+        conditions.push('EXISTS (SELECT 1 FROM json_each(related_activities) WHERE value = ?)');
+      } else {
+        conditions.push('activity_id = ?');
+      }
+      params.push(query.activity);
+    }
+
+    if (query.registration) {
+      conditions.push('registration = ?');
+      params.push(query.registration);
+    }
+
+    if (query.since) {
+      conditions.push('stored > ?');
+      params.push(this.parseTimestamp(query.since, 'since'));
+    }
+
+    if (query.until) {
+      conditions.push('stored <= ?');
+      params.push(this.parseTimestamp(query.until, 'until'));
+    }
+
+    if (query.cursor) {
+      conditions.push(ascending ? 'seq > ?' : 'seq < ?');
+      params.push(parseInt(query.cursor, 10) || 0);
+    }
+
+    const requested = query.limit !== undefined ? parseInt(query.limit, 10) : 0;
+    if (Number.isNaN(requested) || requested < 0) {
+      throw lrsError(400, 'limit must be a non-negative integer');
+    }
+    const limit = requested === 0 ? MAX_LIMIT : Math.min(requested, MAX_LIMIT);
+
+    const rows = db.prepare(`
+      SELECT seq, statement FROM xapi_statements
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY seq ${ascending ? 'ASC' : 'DESC'}
+      LIMIT ?
+    `).all(...params, limit + 1);
+
+    const page = rows.slice(0, limit);
+
+    return {
+      statements: page.map(row => this.formatStatement(JSON.parse(row.statement), format)),
+      cursor: rows.length > limit ? page[page.length - 1].seq : null,
+    };
+  }
+
+  /**
+   * Collect stored attachment content referenced by statements
+   */
+  getAttachmentContent(list) {
+    const parts = new Map();
+
+    for (const statement of list) {
+      const declared = [
+        ...(statement.attachments || []),
+        ...(statement.object?.objectType === 'SubStatement' ? statement.object.attachments || [] : []),
+      ];
+
+      for (const attachment of declared) {
+        if (parts.has(attachment.sha2)) continue;
+
+        const row = statements.getXapiAttachment.get(attachment.sha2);
+        if (row) {
+          parts.set(attachment.sha2, {
+            sha2: row.sha2,
+            contentType: row.content_type,
+            content: row.content,
+          });
+        }
+      }
+    }
+
+    return [...parts.values()];
+  }
+
+  /**
+   * Get the most recently stored definition of an activity
+   */
+  getActivity(activityId) {
+    if (!activityId) {
+      throw lrsError(400, 'activityId parameter is required');
+    }
+
+    const row = statements.getLatestXapiActivityStatement.get(activityId);
+    const definition = row ? JSON.parse(row.statement).object.definition : null;
+
+    return {
+      objectType: 'Activity',
+      id: activityId,
+      ...(definition ? { definition } : {}),
+    };
+  }
+
+  /**
+   * Get the Person object for an agent
+   */
+  getPerson(agentParam) {
+    this.parseAgentParam(agentParam);
+    const agent = JSON.parse(agentParam);
+    const person = { objectType: 'Person' };
+
+    for (const property of ['name', 'mbox', 'mbox_sha1sum', 'openid', 'account']) {
+      if (agent[property] !== undefined) {
+        person[property] = [agent[property]];
+      }
+    }
+
+    return person;
+  }
+
+  /**
+   * Resolve the key and id of a document resource from query parameters
+   */
+  resolveDocument(type, query) {
+    const definition = DOCUMENTS[type];
+    const key = [];
+
+    if (type === 'state' || type === 'activityProfile') {
+      if (!query.activityId) {
+        throw lrsError(400, 'activityId parameter is required');
+      }
+      key.push(query.activityId);
+    }
+
+    if (type === 'state' || type === 'agentProfile') {
+      if (!query.agent) {
+        throw lrsError(400, 'agent parameter is required');
+      }
+      key.push(this.parseAgentParam(query.agent));
+    }
+
+    if (type === 'state') {
+      if (query.registration && !UUID_PATTERN.test(query.registration)) {
+        throw lrsError(400, 'registration must be a UUID');
+      }
+      key.push(query.registration || '');
+    }
+
+    return {
+      key,
+      id: query[definition.idParam] || null,
+      since: query.since ? this.parseTimestamp(query.since, 'since') : '',
+    };
+  }
+
+  /**
+   * Get a stored document
+   */
+  getDocument(type, key, id) {
+    const row = statements[DOCUMENTS[type].get].get(...key, id);
+
+    if (!row) {
+      throw lrsError(404, 'Document not found');
+    }
+
+    return {
+      content: row.content,
+      contentType: row.content_type,
+      etag: row.etag,
+      updated: row.updated_at,
+    };
+  }
+
+  /**
+   * List stored document ids, optionally only those updated since a timestamp
+   */
+  listDocumentIds(type, key, since = '') {
+    return statements[DOCUMENTS[type].ids].all(...key, since).map(row => row.id);
+  }
+
+  /**
+   * Store a document (PUT replaces it, POST merges JSON objects)
+   */
+  saveDocument(type, key, id, { content, contentType, merge = false, ifMatch = null, ifNoneMatch = null }) {
+    const definition = DOCUMENTS[type];
+
+    if (!id) {
+      throw lrsError(400, `${definition.idParam} parameter is required`);
+    }
+
+    const existing = statements[definition.get].get(...key, id);
+    this.checkPreconditions(existing, ifMatch, ifNoneMatch);
+
+    if (!merge && definition.concurrency && existing && !ifMatch && !ifNoneMatch) {
+      throw lrsError(409, 'Document already exists; send If-Match or If-None-Match');
+    }
+
+    let body = content;
+    let storedType = contentType || 'application/octet-stream';
+
+    if (merge && existing) {
+      const current = this.parseJsonObject(existing.content, 'Stored document is not a JSON object');
+      const update = this.parseJsonObject(content, 'Merged document must be a JSON object');
+
+      body = Buffer.from(JSON.stringify({ ...current, ...update }));
+      storedType = 'application/json';
+    } else if (merge) {
+      this.parseJsonObject(content, 'Merged document must be a JSON object');
+      storedType = 'application/json';
+    }
+
+    const etag = crypto.createHash('sha1').update(body).digest('hex');
+    statements[definition.save].run(...key, id, body, storedType, etag, new Date().toISOString());
+
+    return { etag };
+  }
+
+  /**
+   * Delete a document (or, for state, every document matching the key)
+   */
+  deleteDocument(type, key, id, { ifMatch = null, ifNoneMatch = null } = {}) {
+    const definition = DOCUMENTS[type];
+
+    if (!id) {
+      if (type !== 'state') {
+        throw lrsError(400, `${definition.idParam} parameter is required`);
+      }
+
+      statements.deleteXapiStates.run(...key);
+      return;
+    }
+
+    const existing = statements[definition.get].get(...key, id);
+    this.checkPreconditions(existing, ifMatch, ifNoneMatch);
+
+    statements[definition.remove].run(...key, id);
+  }
+
+  /**
+   * Enforce If-Match / If-None-Match against the stored document
+   */
+  checkPreconditions(existing, ifMatch, ifNoneMatch) {
+    const matches = (header) => header.split(',')
+      .map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''))
+      .some(tag => tag === '*' || tag === existing.etag);
+
+    if (ifMatch && (!existing || !matches(ifMatch))) {
+      throw lrsError(412, 'If-Match precondition failed');
+    }
+
+    if (ifNoneMatch && existing && matches(ifNoneMatch)) {
+      throw lrsError(412, 'If-None-Match precondition failed');
+    }
+  }
+
+  /**
+   * Validate a statement against the xAPI data model
+   */
+  validateStatement(statement, substatement = false) {
+    if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+      throw lrsError(400, 'Statement must be a JSON object');
+    }
+
+    for (const property of Object.keys(statement)) {
+      if (!STATEMENT_PROPERTIES.includes(property)) {
+        throw lrsError(400, `Unknown statement property: ${property}`);
+      }
+    }
+
+    if (substatement) {
+      for (const property of ['id', 'stored', 'version', 'authority']) {
+        if (statement[property] !== undefined) {
+          throw lrsError(400, `SubStatement cannot contain ${property}`);
+        }
+      }
+    } else if (statement.id !== undefined && !UUID_PATTERN.test(statement.id)) {
+      throw lrsError(400, 'Statement id must be a UUID');
+    }
+
+    this.validateAgent(statement.actor, 'actor');
+
+    if (!statement.verb || typeof statement.verb !== 'object' || !IRI_PATTERN.test(statement.verb.id || '')) {
+      throw lrsError(400, 'Statement verb must have an IRI id');
+    }
+
+    this.validateObject(statement.object, substatement);
+
+    if (statement.verb.id === VERBS.voided && statement.object.objectType !== 'StatementRef') {
+      throw lrsError(400, 'Voiding statements must target a StatementRef');
+    }
+
+    if (statement.result !== undefined) {
+      this.validateResult(statement.result);
+    }
+
+    if (statement.context !== undefined) {
+      this.validateContext(statement.context);
+    }
+
+    if (statement.timestamp !== undefined && Number.isNaN(Date.parse(statement.timestamp))) {
+      throw lrsError(400, 'Statement timestamp must be an ISO 8601 date');
+    }
+
+    if (statement.attachments !== undefined) {
+      if (!Array.isArray(statement.attachments)) {
+        throw lrsError(400, 'Statement attachments must be an array');
+      }
+
+      for (const attachment of statement.attachments) {
+        if (!attachment || !IRI_PATTERN.test(attachment.usageType || '') ||
+            typeof attachment.display !== 'object' || typeof attachment.contentType !== 'string' ||
+            typeof attachment.length !== 'number' || typeof attachment.sha2 !== 'string') {
+          throw lrsError(400, 'Attachments require usageType, display, contentType, length and sha2');
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate an Agent or Group
+   */
+  validateAgent(agent, field) {
+    if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+      throw lrsError(400, `Statement ${field} must be an Agent or Group`);
+    }
+
+    const objectType = agent.objectType || 'Agent';
+    if (!['Agent', 'Group'].includes(objectType)) {
+      throw lrsError(400, `Statement ${field} must be an Agent or Group`);
+    }
+
+    const key = this.agentKey(agent);
+
+    if (objectType === 'Agent' && !key) {
+      throw lrsError(400, `Statement ${field} must have an inverse functional identifier`);
+    }
+
+    if (objectType === 'Group') {
+      if (agent.member !== undefined) {
+        if (!Array.isArray(agent.member)) {
+          throw lrsError(400, `Group ${field} member must be an array`);
+        }
+        agent.member.forEach(member => {
+          if (member.objectType === 'Group') {
+            throw lrsError(400, 'Group members must be Agents');
+          }
+          this.validateAgent(member, `${field} member`);
+        });
+      } else if (!key) {
+        throw lrsError(400, `Anonymous group ${field} must list its members`);
+      }
+    }
+  }
+
+  /**
+   * Validate a statement object
+   */
+  validateObject(object, substatement) {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      throw lrsError(400, 'Statement object is required');
+    }
+
+    const objectType = object.objectType || 'Activity';
+
+    switch (objectType) {
+      case 'Activity':
+        if (!IRI_PATTERN.test(object.id || '')) {
+          throw lrsError(400, 'Activity id must be an IRI');
+        }
+        break;
+      case 'Agent':
+      case 'Group':
+        this.validateAgent(object, 'object');
+        break;
+      case 'StatementRef':
+        if (!UUID_PATTERN.test(object.id || '')) {
+          throw lrsError(400, 'StatementRef id must be a UUID');
+        }
+        break;
+      case 'SubStatement':
+        if (substatement) {
+          throw lrsError(400, 'SubStatements cannot be nested');
+        }
+        this.validateStatement(object, true);
+        break;
+      default:
+        throw lrsError(400, `Unknown object type: ${objectType}`);
+    }
+  }
+
+  /**
+   * Validate a statement result
+   */
+  validateResult(result) {
+    if (!result || typeof result !== 'object') {
+      throw lrsError(400, 'Statement result must be an object');
+    }
+
+    const score = result.score;
+    if (score !== undefined) {
+      if (score.scaled !== undefined && (score.scaled < -1 || score.scaled > 1)) {
+        throw lrsError(400, 'Score scaled must be between -1 and 1');
+      }
+      if (score.raw !== undefined &&
+          ((score.min !== undefined && score.raw < score.min) ||
+           (score.max !== undefined && score.raw > score.max))) {
+        throw lrsError(400, 'Score raw must be between min and max');
+      }
+    }
+  }
+
+  /**
+   * Validate a statement context
+   */
+  validateContext(context) {
+    if (!context || typeof context !== 'object') {
+      throw lrsError(400, 'Statement context must be an object');
+    }
+
+    if (context.registration !== undefined && !UUID_PATTERN.test(context.registration)) {
+      throw lrsError(400, 'Context registration must be a UUID');
+    }
+
+    for (const type of Object.keys(context.contextActivities || {})) {
+      if (!CONTEXT_ACTIVITY_TYPES.includes(type)) {
+        throw lrsError(400, `Unknown context activity type: ${type}`);
+      }
+
+      const activities = [].concat(context.contextActivities[type]);
+      if (activities.some(activity => !IRI_PATTERN.test(activity?.id || ''))) {
+        throw lrsError(400, 'Context activity ids must be IRIs');
+      }
+    }
+  }
+
+  /**
+   * Normalize single context activities to arrays (as the LRS must return them)
+   */
+  normalizeStatement(statement) {
+    const normalize = (target) => {
+      const contextActivities = target.context?.contextActivities;
+
+      if (contextActivities) {
+        for (const type of Object.keys(contextActivities)) {
+          contextActivities[type] = [].concat(contextActivities[type]);
+        }
+      }
+    };
+
+    normalize(statement);
+    if (statement.object.objectType === 'SubStatement') {
+      normalize(statement.object);
+    }
+
+    return statement;
+  }
+
+  /**
+   * Compare a stored statement with a resubmitted one, ignoring LRS-assigned properties
+   */
+  isSameStatement(stored, submitted) {
+    const strip = ({ stored: _stored, authority, version, ...rest }) => rest;
+    const canonical = (value) => JSON.stringify(value, (key, item) => (
+      item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+        : item
+    ));
+
+    const a = strip(stored);
+    const b = strip(submitted);
+
+    // A resubmission without a timestamp receives the new stored time
+    if (!submitted.timestamp || submitted.timestamp === submitted.stored) {
+      delete a.timestamp;
+      delete b.timestamp;
+    }
+
+    return canonical(a) === canonical(b);
+  }
+
+  /**
+   * Canonical key for an agent's inverse functional identifier
+   */
+  agentKey(agent) {
+    const identifiers = ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(ifi => agent[ifi] !== undefined);
+
+    if (identifiers.length > 1) {
+      throw lrsError(400, 'Agents must have exactly one inverse functional identifier');
+    }
+
+    switch (identifiers[0]) {
+      case 'mbox':
+        if (!/^mailto:/i.test(agent.mbox)) {
+          throw lrsError(400, 'mbox must be a mailto IRI');
+        }
+        return `mbox:${agent.mbox.toLowerCase()}`;
+      case 'mbox_sha1sum':
+        return `mbox_sha1sum:${agent.mbox_sha1sum}`;
+      case 'openid':
+        return `openid:${agent.openid}`;
+      case 'account':
+        if (!agent.account?.homePage || agent.account?.name === undefined) {
+          throw lrsError(400, 'account must have homePage and name');
+        }
+        return `account:${agent.account.homePage}|${agent.account.name}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse an agent query parameter (JSON) into its key
+   */
+  parseAgentParam(value) {
+    let agent;
+
+    try {
+      agent = JSON.parse(value);
+    } catch (error) {
+      throw lrsError(400, 'agent parameter must be JSON');
+    }
+
+    if (!agent || typeof agent !== 'object') {
+      throw lrsError(400, 'agent parameter must be a JSON object');
+    }
+
+    const key = this.agentKey(agent);
+    if (!key) {
+      throw lrsError(400, 'agent parameter must have an inverse functional identifier');
+    }
+
+    return key;
+  }
+
+  /**
+   * Agents a statement relates to (for related_agents queries)
+   */
+  relatedAgents(statement) {
+    const keys = new Set();
+    const add = (agent) => {
+      if (!agent || typeof agent !== 'object') return;
+
+      const key = this.agentKey(agent);
+      if (key) keys.add(key);
+      (agent.member || []).forEach(add);
+    };
+
+    const collect = (target) => {
+      add(target.actor);
+      if (['Agent', 'Group'].includes(target.object?.objectType)) {
+        add(target.object);
+      }
+      add(target.context?.instructor);
+      add(target.context?.team);
+    };
+
+    collect(statement);
+    add(statement.authority);
+    if (statement.object.objectType === 'SubStatement') {
+      collect(statement.object);
+    }
+
+    return [...keys];
+  }
+
+  /**
+   * Activities a statement relates to (for related_activities queries)
+   */
+  relatedActivities(statement) {
+    const ids = new Set();
+
+    const collect = (target) => {
+      if ((target.object?.objectType || 'Activity') === 'Activity' && target.object?.id) {
+        ids.add(target.object.id);
+      }
+
+      for (const activities of Object.values(target.context?.contextActivities || {})) {
+        [].concat(activities).forEach(activity => ids.add(activity.id));
+      }
+    };
+
+    collect(statement);
+    if (statement.object.objectType === 'SubStatement') {
+      collect(statement.object);
+    }
+
+    return [...ids];
+  }
+
+  /**
+   * Apply the statement format parameter
+   */
+  formatStatement(statement, format) {
+    if (format !== 'ids') {
+      return statement;
+    }
+
+    const idsAgent = (agent) => {
+      const ifi = ['mbox', 'mbox_sha1sum', 'openid', 'account'].find(key => agent[key] !== undefined);
+
+      return {
+        objectType: agent.objectType || 'Agent',
+        ...(ifi ? { [ifi]: agent[ifi] } : {}),
+        ...(agent.member ? { member: agent.member.map(idsAgent) } : {}),
+      };
+    };
+
+    const idsObject = (object) => {
+      switch (object.objectType || 'Activity') {
+        case 'Activity':
+          return { objectType: 'Activity', id: object.id };
+        case 'Agent':
+        case 'Group':
+          return idsAgent(object);
+        default:
+          return object;
+      }
+    };
+
+    return {
+      ...statement,
+      actor: idsAgent(statement.actor),
+      verb: { id: statement.verb.id },
+      object: idsObject(statement.object),
+      ...(statement.authority ? { authority: idsAgent(statement.authority) } : {}),
+    };
+  }
+
+  /**
+   * Validate the format query parameter
+   */
+  parseFormat(format) {
+    if (format === undefined) {
+      return 'exact';
+    }
+
+    if (!['ids', 'exact', 'canonical'].includes(format)) {
+      throw lrsError(400, `Invalid format: ${format}`);
+    }
+
+    return format;
+  }
+
+  /**
+   * Normalize a timestamp query parameter to the stored ISO format
+   */
+  parseTimestamp(value, name) {
+    const time = Date.parse(value);
+
+    if (Number.isNaN(time)) {
+      throw lrsError(400, `${name} must be an ISO 8601 timestamp`);
+    }
+
+    return new Date(time).toISOString();
+  }
+
+  /**
+   * Parse a JSON object from a document body
+   */
+  parseJsonObject(content, message) {
+    try {
+      const value = JSON.parse(Buffer.from(content).toString('utf8'));
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value;
+      }
+    } catch (error) {
+      // Fall through to the validation error
+    }
+
+    throw lrsError(400, message);
+  }
+}
+
+export default new XapiLrs();
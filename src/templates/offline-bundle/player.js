@@ -0,0 +1,490 @@
+/**
+ * Offline bundle player
+ * Runs the bundled SCORM runtime, shows the table of contents, keeps progress in IndexedDB
+ * and exports it as a signed file for POST /api/sync/import-file
+ */
+(function () {
+  'use strict';
+
+  const elements = {
+    title: document.getElementById('courseTitle'),
+    toc: document.getElementById('toc'),
+    tocToggle: document.getElementById('tocToggle'),
+    previous: document.getElementById('previousButton'),
+    next: document.getElementById('nextButton'),
+    exportProgress: document.getElementById('exportButton'),
+    status: document.getElementById('status'),
+    frame: document.getElementById('content'),
+  };
+
+  const state = {
+    bundle: null,
+    bundleHash: null,
+    db: null,
+    api: null,
+    current: null,
+    progress: new Map(),
+  };
+
+  /**
+   * IndexedDB helpers
+   */
+  function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('attempts', { keyPath: 'sessionId' });
+        request.result.createObjectStore('meta', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function storeRequest(storeName, mode, action) {
+    return new Promise((resolve, reject) => {
+      const request = action(state.db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  const storage = {
+    getAll: () => storeRequest('attempts', 'readonly', store => store.getAll()),
+    put: record => storeRequest('attempts', 'readwrite', store => store.put(record)),
+    getMeta: key => storeRequest('meta', 'readonly', store => store.get(key))
+      .then(record => (record ? record.value : null)),
+    setMeta: (key, value) => storeRequest('meta', 'readwrite', store => store.put({ key, value })),
+  };
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  function setStatus(text) {
+    elements.status.textContent = text;
+  }
+
+  /**
+   * Runtime helpers (SCORM 1.2 and 2004 keep the same values under different names)
+   */
+  function is2004() {
+    return state.bundle.scormVersion === '2004';
+  }
+
+  function isCompleted(cmi) {
+    if (!cmi) return false;
+
+    if (is2004()) {
+      return cmi.completion_status === 'completed' || cmi.success_status === 'passed';
+    }
+
+    const status = cmi.core && cmi.core.lesson_status;
+    return status === 'completed' || status === 'passed';
+  }
+
+  function wasSuspended(cmi) {
+    return Boolean(cmi) && (is2004() ? cmi.exit : cmi.core && cmi.core.exit) === 'suspend';
+  }
+
+  /**
+   * Build the data loaded into the runtime before the SCO initializes
+   * A suspended attempt is restored in full, otherwise only status, score and total time carry over
+   */
+  function buildResumeData(record) {
+    const saved = record && record.cmi;
+
+    if (!saved) {
+      return null;
+    }
+
+    if (is2004()) {
+      const data = wasSuspended(saved)
+        ? Object.assign({}, saved, { entry: 'resume' })
+        : {
+          completion_status: saved.completion_status,
+          success_status: saved.success_status,
+          score: saved.score,
+          entry: '',
+        };
+
+      delete data.exit;
+      delete data.session_time;
+      data.total_time = record.totalTime || '';
+      return data;
+    }
+
+    const core = Object.assign({}, saved.core, { total_time: record.totalTime || '' });
+    delete core.exit;
+    delete core.session_time;
+
+    if (wasSuspended(saved)) {
+      core.entry = 'resume';
+      return Object.assign({}, saved, { core });
+    }
+
+    return {
+      core: {
+        lesson_status: core.lesson_status,
+        score: core.score,
+        total_time: core.total_time,
+        entry: '',
+      },
+    };
+  }
+
+  function createId() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+
+    const bytes = Array.from({ length: 16 }, () => Math.floor(Math.random() * 256));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  async function saveProgress(api, item, attempt) {
+    const cmi = api.renderCMIToJSONObject().cmi;
+    const record = {
+      sessionId: attempt.sessionId,
+      itemId: item.identifier,
+      startedAt: attempt.startedAt,
+      cmi,
+      totalTime: api.cmi.getCurrentTotalTime(),
+      completed: isCompleted(cmi),
+      updatedAt: new Date().toISOString(),
+    };
+
+    state.progress.set(item.identifier, record);
+    await storage.put(record);
+
+    renderToc();
+    setStatus(`Saved ${new Date().toLocaleTimeString()}`);
+  }
+
+  function createApi(item) {
+    const settings = {
+      autocommit: true,
+      autocommitSeconds: 10,
+      lmsCommitUrl: false,
+      logLevel: 4,
+    };
+
+    const api = is2004() ? new window.Scorm2004API(settings) : new window.Scorm12API(settings);
+    const previous = state.progress.get(item.identifier);
+    const resumeData = buildResumeData(previous);
+
+    // A suspended attempt continues; anything else starts a new attempt (exported as its own session)
+    const attempt = previous && wasSuspended(previous.cmi)
+      ? { sessionId: previous.sessionId, startedAt: previous.startedAt }
+      : { sessionId: createId(), startedAt: new Date().toISOString() };
+
+    if (item.launchCmi) {
+      api.loadFromJSON(item.launchCmi, 'cmi');
+    }
+
+    if (resumeData) {
+      api.loadFromJSON(resumeData, 'cmi');
+    }
+
+    const save = () => {
+      saveProgress(api, item, attempt).catch(error => console.error('Offline bundle: failed to save progress', error));
+    };
+
+    if (is2004()) {
+      window.API_1484_11 = api;
+      api.on('Commit', save);
+      api.on('Terminate', () => {
+        save();
+        handleNavigationRequest(api.adl.nav.request);
+      });
+    } else {
+      window.API = api;
+      api.on('LMSCommit', save);
+      api.on('LMSFinish', save);
+    }
+
+    return api;
+  }
+
+  /**
+   * Items and navigation
+   */
+  function launchableItems() {
+    return state.bundle.items.filter(item => item.launchUrl);
+  }
+
+  function unloadContent() {
+    return new Promise((resolve) => {
+      if (!elements.frame.getAttribute('src')) {
+        resolve();
+        return;
+      }
+
+      elements.frame.addEventListener('load', () => resolve(), { once: true });
+      elements.frame.src = 'about:blank';
+    });
+  }
+
+  async function launch(item) {
+    if (!item || !item.launchUrl) {
+      return;
+    }
+
+    // The previous SCO must unload (and call LMSFinish/Terminate) before its API is replaced
+    await unloadContent();
+
+    state.current = item;
+    state.api = createApi(item);
+    await storage.setMeta('lastItem', item.identifier);
+
+    renderToc();
+    updateButtons();
+    elements.frame.src = `content/${item.launchUrl}`;
+  }
+
+  function step(offset) {
+    const items = launchableItems();
+    const index = items.findIndex(item => item === state.current);
+    return items[index + offset] || null;
+  }
+
+  function handleNavigationRequest(request) {
+    if (!request || request === '_none_') {
+      return;
+    }
+
+    let target = null;
+    const choice = /^\{target=(.+)\}choice$/.exec(request);
+
+    if (request === 'continue') {
+      target = step(1);
+    } else if (request === 'previous') {
+      target = step(-1);
+    } else if (choice) {
+      target = launchableItems().find(item => item.identifier === choice[1]) || null;
+    }
+
+    if (target) {
+      setTimeout(() => launch(target), 0);
+    }
+  }
+
+  function updateButtons() {
+    elements.previous.disabled = !step(-1);
+    elements.next.disabled = !step(1);
+  }
+
+  function renderToc() {
+    const list = document.createElement('ul');
+
+    for (const item of state.bundle.items.filter(entry => entry.isvisible !== false)) {
+      const entry = document.createElement('li');
+      const record = state.progress.get(item.identifier);
+
+      entry.textContent = item.title;
+      entry.style.paddingLeft = `${12 + item.depth * 16}px`;
+
+      if (item.launchUrl) {
+        entry.classList.add('launchable');
+        entry.addEventListener('click', () => launch(item));
+      }
+      if (item === state.current) {
+        entry.classList.add('active');
+      }
+      if (record && record.completed) {
+        entry.classList.add('completed');
+      }
+
+      list.appendChild(entry);
+    }
+
+    elements.toc.replaceChildren(list);
+  }
+
+  /**
+   * Progress export
+   * Exports are signed with HMAC-SHA256 using the key issued with the bundle. SHA-256 is implemented
+   * here because crypto.subtle is missing outside secure contexts (file:// and plain http on a LAN)
+   */
+  const SHA256_K = (() => {
+    const primes = [];
+    for (let candidate = 2; primes.length < 64; candidate++) {
+      if (primes.every(prime => candidate % prime !== 0)) primes.push(candidate);
+    }
+    return primes.map(prime => (Math.cbrt(prime) % 1) * 0x100000000 | 0);
+  })();
+
+  function sha256(bytes) {
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const words = new Int32Array(64);
+    const padded = new Uint8Array((((bytes.length + 8) >> 6) + 1) << 6);
+    const view = new DataView(padded.buffer);
+
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+
+    for (let offset = 0; offset < padded.length; offset += 64) {
+      for (let i = 0; i < 64; i++) {
+        if (i < 16) {
+          words[i] = view.getUint32(offset + i * 4);
+        } else {
+          const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+          const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+          words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+      }
+
+      let [a, b, c, d, e, f, g, h] = hash;
+
+      for (let i = 0; i < 64; i++) {
+        const t1 = h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i] | 0;
+        const t2 = (rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c)) | 0;
+        [h, g, f, e, d, c, b, a] = [g, f, e, d + t1 | 0, c, b, a, t1 + t2 | 0];
+      }
+
+      [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = hash[i] + value | 0; });
+    }
+
+    const digest = new Uint8Array(32);
+    hash.forEach((value, i) => new DataView(digest.buffer).setUint32(i * 4, value >>> 0));
+    return digest;
+  }
+
+  function hmacSha256(keyHex, message) {
+    let key = new Uint8Array(keyHex.match(/../g).map(pair => parseInt(pair, 16)));
+    if (key.length > 64) key = sha256(key);
+
+    const pad = (value) => {
+      const block = new Uint8Array(64).fill(value);
+      key.forEach((byte, i) => { block[i] ^= byte; });
+      return block;
+    };
+    const concat = (a, b) => {
+      const result = new Uint8Array(a.length + b.length);
+      result.set(a);
+      result.set(b, a.length);
+      return result;
+    };
+
+    const inner = sha256(concat(pad(0x36), new TextEncoder().encode(message)));
+    return Array.from(sha256(concat(pad(0x5c), inner)), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function exportProgress() {
+    const attempts = await storage.getAll();
+    const payload = {
+      format: 'scorm-offline-progress',
+      formatVersion: 1,
+      packageId: state.bundle.packageId,
+      packageVersion: state.bundle.packageVersion,
+      bundleHash: state.bundleHash,
+      learner: state.bundle.learner,
+      organization: state.bundle.organization ?? null,
+      exportedAt: new Date().toISOString(),
+      sessions: attempts
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+        .map(attempt => ({
+          sessionId: attempt.sessionId,
+          itemId: attempt.itemId,
+          startedAt: attempt.startedAt,
+          updatedAt: attempt.updatedAt,
+          completed: attempt.completed,
+          totalTime: attempt.totalTime,
+          cmi: attempt.cmi,
+        })),
+    };
+
+    // The server checks the signature against JSON.stringify(payload), so the payload is kept as an object
+    const file = {
+      payload,
+      signature: {
+        algorithm: 'HMAC-SHA256',
+        value: hmacSha256(state.bundle.progressExport.key, JSON.stringify(payload)),
+      },
+    };
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    link.download = `progress-${payload.packageId}-${payload.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+    setStatus(`Exported ${payload.sessions.length} attempt(s)`);
+  }
+
+  async function registerServiceWorker() {
+    // Service workers need http(s); bundles opened from disk still work, just without precaching
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+      return;
+    }
+
+    try {
+      await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+      console.warn('Offline bundle: service worker registration failed', error);
+    }
+  }
+
+  async function start() {
+    const response = await fetch('bundle.json');
+    state.bundle = await response.json();
+
+    document.title = state.bundle.title;
+    elements.title.textContent = state.bundle.title;
+
+    await loadScript(state.bundle.runtime.script);
+
+    state.db = await openDatabase(`scorm-bundle-${state.bundle.packageId}`);
+    for (const record of await storage.getAll()) {
+      const latest = state.progress.get(record.itemId);
+      if (!latest || latest.updatedAt < record.updatedAt) {
+        state.progress.set(record.itemId, record);
+      }
+    }
+
+    try {
+      state.bundleHash = (await (await fetch('asset-manifest.json')).json()).bundleHash;
+    } catch (error) {
+      console.warn('Offline bundle: asset manifest unavailable', error);
+    }
+
+    registerServiceWorker();
+
+    elements.tocToggle.addEventListener('click', () => elements.toc.classList.toggle('hidden'));
+    elements.previous.addEventListener('click', () => launch(step(-1)));
+    elements.next.addEventListener('click', () => launch(step(1)));
+    elements.exportProgress.addEventListener('click', () => {
+      exportProgress().catch((error) => {
+        console.error('Offline bundle: export failed', error);
+        setStatus('Export failed');
+      });
+    });
+    window.addEventListener('online', () => setStatus('Online'));
+    window.addEventListener('offline', () => setStatus('Offline'));
+
+    const lastItem = await storage.getMeta('lastItem');
+    const items = launchableItems();
+
+    renderToc();
+    await launch(items.find(item => item.identifier === lastItem) || items[0]);
+  }
+
+  start().catch((error) => {
+    console.error('Offline bundle: failed to start', error);
+    setStatus('Failed to start the player');
+  });
+})();
@@ -0,0 +1,52 @@
+/**
+ * Offline bundle service worker
+ * Precaches every asset listed in asset-manifest.json; the cache is named after the scope and bundle hash
+ */
+
+const CACHE_PREFIX = `scorm-bundle:${self.registration.scope}:`;
+
+async function loadAssetManifest() {
+  const response = await fetch('asset-manifest.json', { cache: 'no-store' });
+  return response.json();
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const manifest = await loadAssetManifest();
+    const cache = await caches.open(CACHE_PREFIX + manifest.bundleHash);
+
+    await cache.addAll(['./', 'asset-manifest.json', ...manifest.assets.map(asset => asset.path)]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    try {
+      // Drop caches of earlier bundles served from the same scope
+      const manifest = await loadAssetManifest();
+      const current = CACHE_PREFIX + manifest.bundleHash;
+      const names = await caches.keys();
+
+      await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== current)
+        .map(name => caches.delete(name)));
+    } catch (error) {
+      console.warn('Offline bundle: cache cleanup skipped', error);
+    }
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') {
+    return;
+  }
+
+  event.respondWith((async () => {
+    // Content is requested with launch parameters; cached files are matched without them
+    const cached = await caches.match(event.request, { ignoreSearch: true });
+    return cached || fetch(event.request);
+  })());
+});
@@ -0,0 +1,50 @@
+/**
+ * SCORM API bridge
+ * Runs on the isolated content origin inside the player's frame: exposes window.API and window.API_1484_11
+ * to the SCO it hosts and relays every call to the player's runtime with postMessage
+ */
+(function () {
+  'use strict';
+
+  const config = JSON.parse(document.getElementById('bridge-config').textContent);
+  const params = new URLSearchParams(window.location.search);
+  const launch = params.get('launch') || '';
+  const playerOrigin = params.get('origin') || '';
+  const frame = document.getElementById('content');
+
+  function fail(message) {
+    frame.remove();
+    const error = document.createElement('p');
+    error.className = 'error';
+    error.textContent = message;
+    document.body.appendChild(error);
+  }
+
+  if (!config.playerOrigins.includes(playerOrigin)) {
+    fail('This player is not allowed to launch content.');
+    return;
+  }
+
+  // Only package content of this origin is launched
+  if (!/^\/api\/packages\/[^/]+\/(versions\/\d+\/)?content\//.test(launch)) {
+    fail('Invalid launch URL.');
+    return;
+  }
+
+  const api = new window.CrossFrameAPI(playerOrigin, window.parent);
+  window.API = api;
+  window.API_1484_11 = api;
+
+  // GetValue answers from a cache the bridge fills asynchronously; load the player's CMI data before
+  // the SCO starts so values read right after Initialize (learner name, entry, suspend data) are there.
+  // CrossFrameAPI has no public preload, so this uses its _post and _cache members: scorm-again is pinned
+  // to an exact release and test/scorm-bridge.test.js fails if they change
+  api._post('getFlattenedCMI', [])
+    .then((values) => {
+      Object.keys(values || {}).forEach((key) => api._cache.set(key, String(values[key])));
+    })
+    .catch((error) => console.warn('SCORM bridge: could not preload CMI data', error))
+    .then(() => {
+      frame.src = launch;
+    });
+})();
@@ -0,0 +1,509 @@
+// SCORM run-time data models (SCORM 1.2 RTE 3.4 and SCORM 2004 RTE 4.2): every element with its access,
+// type and vocabulary. Paths use "n" for collection indexes; keywords (_children, _count, _version) are read-only.
+
+export const ERROR_STRINGS = {
+  '1.2': {
+    0: 'No error',
+    101: 'General exception',
+    201: 'Invalid argument error',
+    202: 'Element cannot have children',
+    203: 'Element not an array - cannot have count',
+    301: 'Not initialized',
+    401: 'Not implemented error',
+    402: 'Invalid set value, element is a keyword',
+    403: 'Element is read only',
+    404: 'Element is write only',
+    405: 'Incorrect data type',
+  },
+  2004: {
+    0: 'No Error',
+    101: 'General Exception',
+    102: 'General Initialization Failure',
+    103: 'Already Initialized',
+    104: 'Content Instance Terminated',
+    111: 'General Termination Failure',
+    112: 'Termination Before Initialization',
+    113: 'Termination After Termination',
+    122: 'Retrieve Data Before Initialization',
+    123: 'Retrieve Data After Termination',
+    132: 'Store Data Before Initialization',
+    133: 'Store Data After Termination',
+    142: 'Commit Before Initialization',
+    143: 'Commit After Termination',
+    201: 'General Argument Error',
+    301: 'General Get Failure',
+    351: 'General Set Failure',
+    391: 'General Commit Failure',
+    401: 'Undefined Data Model Element',
+    402: 'Unimplemented Data Model Element',
+    403: 'Data Model Element Value Not Initialized',
+    404: 'Data Model Element Is Read Only',
+    405: 'Data Model Element Is Write Only',
+    406: 'Data Model Element Type Mismatch',
+    407: 'Data Model Element Value Out Of Range',
+    408: 'Data Model Dependency Not Established',
+  },
+};
+
+// The error each version reports for a kind of failure (SCORM 1.2 has no codes for ranges, dependencies or
+// uninitialized values: values out of range are a data type error and unset elements read as ""). SCORM 1.2
+// reports calls before LMSInitialize as "Not initialized" and every other state error as a general exception.
+const ERROR_CODES = {
+  '1.2': {
+    argument: 201, undefined: 201, getFailure: 201, setFailure: 201, children: 202, count: 203,
+    keyword: 402, readOnly: 403, writeOnly: 404, type: 405, range: 405, notInitialized: 0,
+    alreadyInitialized: 101, initializeAfterTermination: 101, terminateBeforeInitialization: 301,
+    terminateAfterTermination: 101, getBeforeInitialization: 301, getAfterTermination: 101,
+    setBeforeInitialization: 301, setAfterTermination: 101, commitBeforeInitialization: 301,
+    commitAfterTermination: 101, commitFailure: 101, terminateFailure: 101,
+  },
+  2004: {
+    argument: 201, undefined: 401, getFailure: 301, setFailure: 351, children: 301, count: 301,
+    keyword: 404, readOnly: 404, writeOnly: 405, type: 406, range: 407, dependency: 408, notInitialized: 403,
+    alreadyInitialized: 103, initializeAfterTermination: 104, terminateBeforeInitialization: 112,
+    terminateAfterTermination: 113, getBeforeInitialization: 122, getAfterTermination: 123,
+    setBeforeInitialization: 132, setAfterTermination: 133, commitBeforeInitialization: 142,
+    commitAfterTermination: 143, commitFailure: 391, terminateFailure: 111,
+  },
+};
+
+const DECIMAL = /^-?\d+(\.\d+)?$/;
+const INTEGER = /^-?\d+$/;
+const LANGUAGE = /^([a-zA-Z]{1,8}|i|x)(-[a-zA-Z0-9]{1,8})*$/;
+
+/**
+ * Value types: each returns null for a valid value or the kind of failure with a diagnostic
+ */
+const types = {
+  string: spm => value => (value.length <= spm ? null : ['type', `must not be longer than ${spm} characters`]),
+
+  pattern: (regex, description) => value => (regex.test(value) ? null : ['type', `must be ${description}`]),
+
+  vocabulary: values => value => (values.includes(value) ? null : ['type', `must be one of: ${values.map(v => `"${v}"`).join(', ')}`]),
+
+  number: (regex, { min = -Infinity, max = Infinity, blank = false } = {}) => (value) => {
+    if (blank && value === '') return null;
+    if (!regex.test(value)) return ['type', `must be ${regex === INTEGER ? 'an integer' : 'a number'}`];
+    if (Number(value) < min || Number(value) > max) return ['range', `must be between ${min} and ${max}`];
+    return null;
+  },
+
+  // SCORM 2004 localized_string_type: an optional {lang=...} delimiter before the text
+  localized: spm => (value) => {
+    const match = /^\{lang=([^}]*)\}/.exec(value);
+    if (match && !LANGUAGE.test(match[1])) return ['type', `has an invalid language code: ${match[1]}`];
+    return types.string(spm)(match ? value.slice(match[0].length) : value);
+  },
+
+  oneOf: (...checks) => value => (checks.some(check => check(value) === null) ? null : checks[checks.length - 1](value)),
+};
+
+const SCORM12_TIMESPAN = types.pattern(/^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/, 'a timespan (HHHH:MM:SS.SS)');
+const SCORM12_TIME = types.pattern(/^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,2})?$/, 'a time (HH:MM:SS.SS)');
+const SCORM12_IDENTIFIER = types.pattern(/^[!-~]{1,255}$/, 'an identifier (up to 255 characters without spaces)');
+const SCORM12_SCORE = types.number(DECIMAL, { min: 0, max: 100, blank: true });
+const SCORM12_STATUS = ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'];
+
+const TIME = types.pattern(
+  /^\d{4}(-\d{2}(-\d{2}(T\d{2}(:\d{2}(:\d{2}(\.\d{1,2})?(Z|[+-]\d{2}(:\d{2})?)?)?)?)?)?)?$/,
+  'an ISO 8601 time (YYYY-MM-DDThh:mm:ss.s)'
+);
+const DURATION = types.pattern(
+  /^P(?!$)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/,
+  'an ISO 8601 duration (PnYnMnDTnHnMnS)'
+);
+const LONG_IDENTIFIER = types.pattern(/^\S{1,4000}$/, 'an identifier (up to 4000 characters without spaces)');
+const REAL = types.number(DECIMAL);
+const SCALED = types.number(DECIMAL, { min: -1, max: 1 });
+const PROGRESS = types.number(DECIMAL, { min: 0, max: 1 });
+const COMPLETION_STATUS = ['completed', 'incomplete', 'not attempted', 'unknown'];
+const SUCCESS_STATUS = ['passed', 'failed', 'unknown'];
+const NAV_REQUEST = types.pattern(
+  /^(continue|previous|exit|exitAll|abandon|abandonAll|suspendAll|_none_|\{target=[^}]+\}(choice|jump))$/,
+  'a navigation request (continue, previous, {target=ID}choice, {target=ID}jump, exit, exitAll, abandon, abandonAll, suspendAll or _none_)'
+);
+
+const keyword = value => ({ access: 'ro', keyword: true, value });
+const count = () => ({ access: 'ro', keyword: true, count: true });
+const ro = (check = null, extra = {}) => ({ access: 'ro', check, ...extra });
+const rw = (check, extra = {}) => ({ access: 'rw', check, ...extra });
+const wo = (check, extra = {}) => ({ access: 'wo', check, ...extra });
+
+const SCORM12_MODEL = {
+  'cmi._children': keyword('core,suspend_data,launch_data,comments,objectives,student_data,student_preference,interactions'),
+  'cmi._version': keyword('3.4'),
+  'cmi.core._children': keyword('student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time'),
+  'cmi.core.student_id': ro(),
+  'cmi.core.student_name': ro(),
+  'cmi.core.lesson_location': rw(types.string(255)),
+  'cmi.core.credit': ro(null, { default: 'credit' }),
+  // Content reports progress; "not attempted" is only set by the LMS
+  'cmi.core.lesson_status': rw(types.vocabulary(SCORM12_STATUS.filter(status => status !== 'not attempted')), { default: 'not attempted' }),
+  'cmi.core.entry': ro(null, { default: 'ab-initio' }),
+  'cmi.core.score._children': keyword('raw,min,max'),
+  'cmi.core.score.raw': rw(SCORM12_SCORE),
+  'cmi.core.score.min': rw(SCORM12_SCORE),
+  'cmi.core.score.max': rw(SCORM12_SCORE),
+  'cmi.core.total_time': ro(null, { default: '0000:00:00' }),
+  'cmi.core.lesson_mode': ro(null, { default: 'normal' }),
+  'cmi.core.exit': wo(types.vocabulary(['time-out', 'suspend', 'logout', ''])),
+  'cmi.core.session_time': wo(SCORM12_TIMESPAN),
+  'cmi.suspend_data': rw(types.string(4096)),
+  'cmi.launch_data': ro(),
+  'cmi.comments': rw(types.string(4096)),
+  'cmi.comments_from_lms': ro(),
+  'cmi.objectives._children': keyword('id,score,status'),
+  'cmi.objectives._count': count(),
+  'cmi.objectives.n.id': rw(SCORM12_IDENTIFIER),
+  'cmi.objectives.n.score._children': keyword('raw,min,max'),
+  'cmi.objectives.n.score.raw': rw(SCORM12_SCORE),
+  'cmi.objectives.n.score.min': rw(SCORM12_SCORE),
+  'cmi.objectives.n.score.max': rw(SCORM12_SCORE),
+  'cmi.objectives.n.status': rw(types.vocabulary(SCORM12_STATUS)),
+  'cmi.student_data._children': keyword('mastery_score,max_time_allowed,time_limit_action'),
+  'cmi.student_data.mastery_score': ro(),
+  'cmi.student_data.max_time_allowed': ro(),
+  'cmi.student_data.time_limit_action': ro(),
+  'cmi.student_preference._children': keyword('audio,language,speed,text'),
+  'cmi.student_preference.audio': rw(types.number(INTEGER, { min: -1, max: 100 }), { default: '0' }),
+  'cmi.student_preference.language': rw(types.string(255)),
+  'cmi.student_preference.speed': rw(types.number(INTEGER, { min: -100, max: 100 }), { default: '0' }),
+  'cmi.student_preference.text': rw(types.number(INTEGER, { min: -1, max: 1 }), { default: '0' }),
+  'cmi.interactions._children': keyword('id,objectives,time,type,correct_responses,weighting,student_response,result,latency'),
+  'cmi.interactions._count': count(),
+  'cmi.interactions.n.id': wo(SCORM12_IDENTIFIER),
+  'cmi.interactions.n.objectives._count': count(),
+  'cmi.interactions.n.objectives.n.id': wo(SCORM12_IDENTIFIER),
+  'cmi.interactions.n.time': wo(SCORM12_TIME),
+  'cmi.interactions.n.type': wo(types.vocabulary(['true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric'])),
+  'cmi.interactions.n.correct_responses._count': count(),
+  'cmi.interactions.n.correct_responses.n.pattern': wo(types.string(255)),
+  'cmi.interactions.n.weighting': wo(types.number(DECIMAL)),
+  'cmi.interactions.n.student_response': wo(types.string(255)),
+  'cmi.interactions.n.result': wo(types.oneOf(types.number(DECIMAL), types.vocabulary(['correct', 'wrong', 'unanticipated', 'neutral']))),
+  'cmi.interactions.n.latency': wo(SCORM12_TIMESPAN),
+};
+
+// Responses of true-false and numeric interactions have a fixed format; the others are free-form up to the SPM
+const responseCheck = (spm, { numericRange = false } = {}) => ({
+  'true-false': types.vocabulary(['true', 'false']),
+  numeric: numericRange
+    ? types.pattern(/^(-?\d+(\.\d+)?)?\[:\](-?\d+(\.\d+)?)?$/, 'a numeric range (min[:]max)')
+    : REAL,
+  default: types.string(spm),
+});
+
+const SCORM2004_MODEL = {
+  'cmi._version': keyword('1.0'),
+  'cmi.comments_from_learner._children': keyword('comment,location,timestamp'),
+  'cmi.comments_from_learner._count': count(),
+  'cmi.comments_from_learner.n.comment': rw(types.localized(4000)),
+  'cmi.comments_from_learner.n.location': rw(types.string(250)),
+  'cmi.comments_from_learner.n.timestamp': rw(TIME),
+  'cmi.comments_from_lms._children': keyword('comment,location,timestamp'),
+  'cmi.comments_from_lms._count': count(),
+  'cmi.comments_from_lms.n.comment': ro(),
+  'cmi.comments_from_lms.n.location': ro(),
+  'cmi.comments_from_lms.n.timestamp': ro(),
+  'cmi.completion_status': rw(types.vocabulary(COMPLETION_STATUS), { default: 'unknown' }),
+  'cmi.completion_threshold': ro(),
+  'cmi.credit': ro(null, { default: 'credit' }),
+  'cmi.entry': ro(null, { default: 'ab-initio' }),
+  'cmi.exit': wo(types.vocabulary(['time-out', 'suspend', 'logout', 'normal', ''])),
+  'cmi.interactions._children': keyword('id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description'),
+  'cmi.interactions._count': count(),
+  'cmi.interactions.n.id': rw(LONG_IDENTIFIER),
+  'cmi.interactions.n.type': rw(
+    types.vocabulary(['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other']),
+    { requires: 'id' }
+  ),
+  'cmi.interactions.n.objectives._count': count(),
+  'cmi.interactions.n.objectives.n.id': rw(LONG_IDENTIFIER, { requires: 'id' }),
+  'cmi.interactions.n.timestamp': rw(TIME, { requires: 'id' }),
+  'cmi.interactions.n.correct_responses._count': count(),
+  'cmi.interactions.n.correct_responses.n.pattern': rw(null, { requires: 'type', byType: responseCheck(4000, { numericRange: true }) }),
+  'cmi.interactions.n.weighting': rw(REAL, { requires: 'id' }),
+  'cmi.interactions.n.learner_response': rw(null, { requires: 'type', byType: responseCheck(4000) }),
+  'cmi.interactions.n.result': rw(types.oneOf(REAL, types.vocabulary(['correct', 'incorrect', 'unanticipated', 'neutral'])), { requires: 'id' }),
+  'cmi.interactions.n.latency': rw(DURATION, { requires: 'id' }),
+  'cmi.interactions.n.description': rw(types.localized(250), { requires: 'id' }),
+  'cmi.launch_data': ro(),
+  'cmi.learner_id': ro(),
+  'cmi.learner_name': ro(),
+  'cmi.learner_preference._children': keyword('audio_level,language,delivery_speed,audio_captioning'),
+  'cmi.learner_preference.audio_level': rw(types.number(DECIMAL, { min: 0 }), { default: '1' }),
+  'cmi.learner_preference.language': rw(types.oneOf(types.vocabulary(['']), types.pattern(LANGUAGE, 'a language code')), { default: '' }),
+  'cmi.learner_preference.delivery_speed': rw(types.number(DECIMAL, { min: 0 }), { default: '1' }),
+  'cmi.learner_preference.audio_captioning': rw(types.vocabulary(['-1', '0', '1']), { default: '0' }),
+  'cmi.location': rw(types.string(1000)),
+  'cmi.max_time_allowed': ro(),
+  'cmi.mode': ro(null, { default: 'normal' }),
+  'cmi.objectives._children': keyword('id,score,success_status,completion_status,progress_measure,description'),
+  'cmi.objectives._count': count(),
+  'cmi.objectives.n.id': rw(LONG_IDENTIFIER),
+  'cmi.objectives.n.score._children': keyword('scaled,raw,min,max'),
+  'cmi.objectives.n.score.scaled': rw(SCALED, { requires: 'id' }),
+  'cmi.objectives.n.score.raw': rw(REAL, { requires: 'id' }),
+  'cmi.objectives.n.score.min': rw(REAL, { requires: 'id' }),
+  'cmi.objectives.n.score.max': rw(REAL, { requires: 'id' }),
+  'cmi.objectives.n.success_status': rw(types.vocabulary(SUCCESS_STATUS), { requires: 'id', default: 'unknown' }),
+  'cmi.objectives.n.completion_status': rw(types.vocabulary(COMPLETION_STATUS), { requires: 'id', default: 'unknown' }),
+  'cmi.objectives.n.progress_measure': rw(PROGRESS, { requires: 'id' }),
+  'cmi.objectives.n.description': rw(types.localized(250), { requires: 'id' }),
+  'cmi.progress_measure': rw(PROGRESS),
+  'cmi.scaled_passing_score': ro(),
+  'cmi.score._children': keyword('scaled,raw,min,max'),
+  'cmi.score.scaled': rw(SCALED),
+  'cmi.score.raw': rw(REAL),
+  'cmi.score.min': rw(REAL),
+  'cmi.score.max': rw(REAL),
+  'cmi.session_time': wo(DURATION),
+  'cmi.success_status': rw(types.vocabulary(SUCCESS_STATUS), { default: 'unknown' }),
+  'cmi.suspend_data': rw(types.string(64000)),
+  'cmi.time_limit_action': ro(null, { default: 'continue,no message' }),
+  'cmi.total_time': ro(null, { default: 'PT0H0M0S' }),
+  'adl.nav.request': rw(NAV_REQUEST, { default: '_none_' }),
+  'adl.nav.request_valid.continue': ro(),
+  'adl.nav.request_valid.previous': ro(),
+  'adl.nav.request_valid.choice.{target}': ro(),
+  'adl.nav.request_valid.jump.{target}': ro(),
+};
+
+const MODELS = { '1.2': SCORM12_MODEL, 2004: SCORM2004_MODEL };
+
+/**
+ * Data model a package's SCORM version uses ('1.2' or '2004')
+ */
+export function getDataModelVersion(scormVersion) {
+  return String(scormVersion).startsWith('2004') ? '2004' : '1.2';
+}
+
+/**
+ * GetErrorString text for an error code
+ */
+export function getErrorString(version, errorCode) {
+  return ERROR_STRINGS[version][errorCode] || '';
+}
+
+/**
+ * Error code a version reports for a kind of failure, such as "getBeforeInitialization"
+ */
+export function getErrorCode(version, kind) {
+  return ERROR_CODES[version][kind];
+}
+
+/**
+ * Model path of an element: indexes become "n" and navigation targets "{target}"
+ */
+function toPath(element) {
+  const target = /^(adl\.nav\.request_valid\.(choice|jump))\.\{target=[^}]+\}$/.exec(element);
+  if (target) {
+    return `${target[1]}.{target}`;
+  }
+
+  return element.split('.').map(segment => (/^\d+$/.test(segment) ? 'n' : segment)).join('.');
+}
+
+/**
+ * Number of entries of a collection among the stored values
+ */
+function countEntries(collection, stored) {
+  const prefix = `${collection}.`;
+  const indexes = new Set();
+
+  for (const element of stored.keys()) {
+    if (element.startsWith(prefix)) {
+      const index = element.slice(prefix.length).split('.')[0];
+      if (/^\d+$/.test(index)) indexes.add(index);
+    }
+  }
+
+  return indexes.size;
+}
+
+/**
+ * Collections an element lies in, with the index it uses in each (outermost first)
+ */
+function collectionIndexes(element) {
+  const segments = element.split('.');
+
+  return segments.flatMap((segment, position) => (/^\d+$/.test(segment)
+    ? [{ collection: segments.slice(0, position).join('.'), index: Number(segment) }]
+    : []));
+}
+
+/**
+ * Element of the (outermost) collection entry an element belongs to, such as the id of its interaction
+ */
+function entryElement(element, name) {
+  const [{ collection, index }] = collectionIndexes(element);
+  return `${collection}.${index}.${name}`;
+}
+
+/**
+ * Build a result carrying the error code of a kind of failure
+ */
+function failure(version, kind, diagnostic, value = '') {
+  return { value, errorCode: ERROR_CODES[version][kind], diagnostic };
+}
+
+/**
+ * Resolve an element to its definition, or the failure for elements the model does not define
+ */
+function resolve(version, element, method) {
+  const model = MODELS[version];
+
+  if (typeof element !== 'string' || !element) {
+    return { error: failure(version, method === 'get' ? 'getFailure' : 'setFailure', 'The data model element was not specified') };
+  }
+
+  const path = toPath(element);
+  const definition = model[path];
+
+  if (definition) {
+    return { path, definition };
+  }
+
+  // Keywords asked of elements that exist but have no children or are not collections
+  const keywordMatch = /^(.*)\.(_children|_count)$/.exec(path);
+  if (keywordMatch && (model[keywordMatch[1]] || Object.keys(model).some(key => key.startsWith(`${keywordMatch[1]}.`)))) {
+    const kind = keywordMatch[2] === '_children' ? 'children' : 'count';
+    return {
+      error: failure(version, kind, `${element.slice(0, -keywordMatch[2].length - 1)} does not have ${keywordMatch[2] === '_children' ? 'children' : 'a count'}`),
+    };
+  }
+
+  return { error: failure(version, 'undefined', `${element} is not defined in the SCORM ${version} data model`) };
+}
+
+/**
+ * Answer GetValue for an element from a session's stored values
+ * stored maps elements to values; defaults supplies values the LMS provides (such as the learner id)
+ * Returns { value, errorCode, diagnostic } with errorCode 0 on success
+ */
+export function getValue(version, element, stored, defaults = {}) {
+  const { definition, error } = resolve(version, element, 'get');
+
+  if (error) {
+    return error;
+  }
+
+  if (definition.access === 'wo') {
+    return failure(version, 'writeOnly', `${element} is write only`);
+  }
+
+  if (definition.count) {
+    return { value: String(countEntries(element.slice(0, -'._count'.length), stored)), errorCode: 0, diagnostic: '' };
+  }
+
+  if (definition.keyword) {
+    return { value: definition.value, errorCode: 0, diagnostic: '' };
+  }
+
+  for (const { collection, index } of collectionIndexes(element)) {
+    if (index >= countEntries(collection, stored)) {
+      return failure(version, 'getFailure', `${collection}.${index} does not exist (${collection}._count is ${countEntries(collection, stored)})`);
+    }
+  }
+
+  const value = stored.get(element) ?? defaults[element] ?? definition.default;
+
+  if (value === undefined) {
+    const { errorCode, diagnostic } = failure(version, 'notInitialized', `${element} has not been set`);
+    return { value: '', errorCode, diagnostic: errorCode ? diagnostic : '' };
+  }
+
+  return { value: String(value), errorCode: 0, diagnostic: '' };
+}
+
+/**
+ * Check a SetValue against the data model and a session's stored values
+ * Returns { value, errorCode, diagnostic }; value is the string to store when errorCode is 0
+ */
+export function setValue(version, element, value, stored) {
+  const { definition, error } = resolve(version, element, 'set');
+
+  if (error) {
+    return error;
+  }
+
+  if (definition.keyword) {
+    return failure(version, 'keyword', `${element} is a keyword and cannot be set`);
+  }
+
+  if (definition.access === 'ro') {
+    return failure(version, 'readOnly', `${element} is read only`);
+  }
+
+  if (value === null || value === undefined || typeof value === 'object') {
+    return failure(version, 'argument', 'The value must be a string');
+  }
+
+  const text = String(value);
+
+  // Entries of a collection are added in order, one index past the last
+  for (const { collection, index } of collectionIndexes(element)) {
+    const entries = countEntries(collection, stored);
+
+    if (index > entries) {
+      return failure(version, 'setFailure', `${collection}.${index} is out of order (${collection}._count is ${entries})`);
+    }
+  }
+
+  const owner = definition.requires && entryElement(element, definition.requires);
+  if (owner && !stored.has(owner)) {
+    return failure(version, 'dependency', `${owner} must be set before ${element}`);
+  }
+
+  const check = definition.byType
+    ? definition.byType[stored.get(entryElement(element, 'type'))] || definition.byType.default
+    : definition.check;
+  const problem = check ? check(text) : null;
+
+  if (problem) {
+    return failure(version, problem[0], `${element} ${problem[1]}`);
+  }
+
+  return { value: text, errorCode: 0, diagnostic: '' };
+}
+
+/**
+ * Check the values of a commit against the data model in order, as a series of SetValue calls
+ * Values equal to an element's current value are skipped: players send read-only and unset ("") elements back
+ * unchanged. Returns { accepted: [[element, value]], rejected: [{ element, value, errorCode, diagnostic }] }
+ */
+export function checkValues(version, values, stored, defaults = {}) {
+  const current = new Map(stored);
+  const accepted = [];
+  const rejected = [];
+
+  for (const [element, value] of values) {
+    if (String(value) === currentValue(version, element, current, defaults)) {
+      continue;
+    }
+
+    const result = setValue(version, element, value, current);
+
+    if (result.errorCode) {
+      rejected.push({ element, value, errorCode: result.errorCode, diagnostic: result.diagnostic });
+    } else {
+      accepted.push([element, result.value]);
+      current.set(element, result.value);
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Value an element has for a session: stored, provided by the LMS or its default ("" when unset)
+ */
+function currentValue(version, element, stored, defaults) {
+  const definition = MODELS[version][toPath(element)];
+
+  if (definition?.count) {
+    return String(countEntries(element.slice(0, -'._count'.length), stored));
+  }
+
+  return String(stored.get(element) ?? defaults[element] ?? definition?.default ?? definition?.value ?? '');
+}
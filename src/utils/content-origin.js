@@ -0,0 +1,67 @@
+import config from '../config/config.js';
+
+// Bridge page the player frames on the content origin; it hosts the SCO and relays its SCORM API calls
+export const BRIDGE_PATH = '/scorm-bridge/index.html';
+
+/**
+ * Whether package content is served from its own origin
+ */
+export function isContentIsolated() {
+  return Boolean(config.content.port);
+}
+
+/**
+ * Base URL content is served from (the API's own base URL unless content is isolated)
+ */
+export function getContentBaseUrl(baseUrl) {
+  if (!isContentIsolated()) {
+    return baseUrl;
+  }
+
+  return (config.content.publicUrl || `http://${config.content.host}:${config.content.port}`).replace(/\/$/, '');
+}
+
+/**
+ * Origins allowed to frame content and drive the bridge
+ */
+export function getPlayerOrigins() {
+  return config.content.playerOrigins.length > 0
+    ? config.content.playerOrigins
+    : [`http://${config.host}:${config.port}`];
+}
+
+/**
+ * URL of the bridge page that launches a content URL for a player origin
+ */
+export function getBridgeUrl(launchUrl, playerOrigin) {
+  const url = new URL(launchUrl);
+  const params = new URLSearchParams({ launch: `${url.pathname}${url.search}${url.hash}`, origin: playerOrigin });
+
+  return `${url.origin}${BRIDGE_PATH}?${params.toString()}`;
+}
+
+/**
+ * Content-Security-Policy of the content origin
+ * Course scripts keep inline code and eval (authoring tools rely on both) but may only connect back to
+ * the xAPI, cmi5 fetch and AICC HACP endpoints of the API origin, never to the rest of the API
+ */
+export function buildContentSecurityPolicy() {
+  const origins = getPlayerOrigins();
+  const runtimeEndpoints = origins.flatMap(origin => [`${origin}/xapi/`, `${origin}/api/cmi5/fetch/`, `${origin}/api/aicc/hacp`]);
+
+  return [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline' 'unsafe-eval' blob:",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob:",
+    "media-src 'self' data: blob:",
+    "font-src 'self' data:",
+    `connect-src 'self' ${runtimeEndpoints.join(' ')}`,
+    "frame-src 'self' blob:",
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    `form-action 'self' ${origins.map(origin => `${origin}/api/aicc/hacp`).join(' ')}`,
+    `frame-ancestors 'self' ${origins.join(' ')}`,
+  ].join('; ');
+}
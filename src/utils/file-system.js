@@ -69,25 +69,77 @@ export async function getDirectorySize(dirPath) {
 
 /**
  * Find file recursively in directory
+ * Searches level by level, so a file near the root wins over one nested deeper
  */
 export async function findFile(dirPath, filename) {
-  const files = await readdir(dirPath);
+  let level = [dirPath];
+
+  while (level.length > 0) {
+    const next = [];
+
+    for (const directory of level) {
+      const files = await readdir(directory);
+
+      for (const file of files) {
+        const filePath = path.join(directory, file);
+        const stats = await stat(filePath);
+
+        if (stats.isDirectory()) {
+          next.push(filePath);
+        } else if (file.toLowerCase() === filename.toLowerCase()) {
+          return filePath;
+        }
+      }
+    }
+
+    level = next;
+  }
   
+  return null;
+}
+
+/**
+ * Find the first file with a given extension recursively in directory
+ */
+export async function findFileByExtension(dirPath, extension) {
+  const files = await readdir(dirPath);
+
   for (const file of files) {
     const filePath = path.join(dirPath, file);
     const stats = await stat(filePath);
-    
+
     if (stats.isDirectory()) {
-      const found = await findFile(filePath, filename);
+      const found = await findFileByExtension(filePath, extension);
       if (found) return found;
-    } else if (file.toLowerCase() === filename.toLowerCase()) {
+    } else if (path.extname(file).toLowerCase() === extension.toLowerCase()) {
       return filePath;
     }
   }
-  
+
   return null;
 }
 
+/**
+ * List all files below a directory as relative paths with forward slashes
+ */
+export async function listFiles(dirPath, prefix = '') {
+  const result = [];
+  const files = await readdir(dirPath);
+
+  for (const file of files) {
+    const filePath = path.join(dirPath, file);
+    const stats = await stat(filePath);
+
+    if (stats.isDirectory()) {
+      result.push(...await listFiles(filePath, `${prefix}${file}/`));
+    } else {
+      result.push(`${prefix}${file}`);
+    }
+  }
+
+  return result;
+}
+
 /**
  * Copy directory recursively
  */
@@ -121,3 +173,17 @@ export function getExtension(filename) {
 export function sanitizeFilename(filename) {
   return filename.replace(/[^a-z0-9.-]/gi, '_').toLowerCase();
 }
+
+/**
+ * Content-Disposition of a download: an ASCII filename for old clients and the UTF-8 name (RFC 6266)
+ */
+export function attachmentDisposition(filename) {
+  const ascii = filename.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/["\\/%]/g, '_').trim();
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  // Names with nothing but non-ASCII characters before the extension still get one
+  const fallback = !ascii || ascii.startsWith('.') ? `download${ascii}` : ascii;
+
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
@@ -0,0 +1,67 @@
+/**
+ * Whether a number was given (mastery score overrides are null when cleared)
+ */
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * CMI values a SCO starts with, from its manifest item, in the shape of a commit's cmi object
+ * Both versions get adlcp:datafromlms (dataFromLMS) as cmi.launch_data. SCORM 1.2 reads the mastery score
+ * and time limit from adlcp elements into cmi.student_data; SCORM 2004 takes the time limit from
+ * imsss:limitConditions and the passing score from a primary objective satisfied by measure.
+ * A package mastery score override (0-100) replaces the manifest's.
+ */
+export function getLaunchCmi(item, scormVersion, { masteryScore = null } = {}) {
+  if (!item) {
+    return {};
+  }
+
+  const cmi = {};
+
+  if (item.datafromlms) {
+    cmi.launch_data = item.datafromlms;
+  }
+
+  if (String(scormVersion).startsWith('2004')) {
+    const objective = (item.sequencing?.objectives || []).find(candidate => candidate.primary);
+    const maxTime = item.sequencing?.limitConditions?.attemptAbsoluteDurationLimit;
+
+    if (isSet(masteryScore)) {
+      cmi.scaled_passing_score = String(masteryScore / 100);
+    } else if (objective?.satisfiedByMeasure) {
+      cmi.scaled_passing_score = String(objective.minNormalizedMeasure);
+    }
+
+    if (maxTime) {
+      cmi.max_time_allowed = maxTime;
+    }
+
+    if (item.timelimitaction) {
+      cmi.time_limit_action = item.timelimitaction;
+    }
+
+    return cmi;
+  }
+
+  const studentData = {};
+  const mastery = isSet(masteryScore) ? masteryScore : item.masteryscore;
+
+  if (isSet(mastery)) {
+    studentData.mastery_score = String(mastery);
+  }
+
+  if (item.maxtimeallowed) {
+    studentData.max_time_allowed = item.maxtimeallowed;
+  }
+
+  if (item.timelimitaction) {
+    studentData.time_limit_action = item.timelimitaction;
+  }
+
+  if (Object.keys(studentData).length > 0) {
+    cmi.student_data = studentData;
+  }
+
+  return cmi;
+}
@@ -0,0 +1,93 @@
+import path from 'path';
+
+// Content types of the files SCORM, cmi5 and AICC packages typically carry
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xhtml': 'application/xhtml+xml',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.xml': 'application/xml',
+  '.xsd': 'application/xml',
+  '.dtd': 'application/xml-dtd',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.au': 'text/plain',
+  '.crs': 'text/plain',
+  '.des': 'text/plain',
+  '.cst': 'text/plain',
+  '.ort': 'text/plain',
+  '.pre': 'text/plain',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.mov': 'video/quicktime',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.pdf': 'application/pdf',
+  '.swf': 'application/x-shockwave-flash',
+  '.wasm': 'application/wasm',
+  '.zip': 'application/zip',
+};
+
+// Types worth compressing (images, media, fonts and archives are compressed already)
+const COMPRESSIBLE_TYPES = [
+  'text/',
+  'application/json',
+  'application/xml',
+  'application/xhtml+xml',
+  'application/xml-dtd',
+  'application/x-subrip',
+  'application/vnd.apple.mpegurl',
+  'image/svg+xml',
+  'image/x-icon',
+  'image/bmp',
+  'font/ttf',
+  'font/otf',
+  'application/vnd.ms-fontobject',
+  'application/wasm',
+];
+
+/**
+ * Content type of a file by extension (text types are declared UTF-8)
+ */
+export function getContentType(filename) {
+  const type = MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+  return type.startsWith('text/') || type === 'application/json' ? `${type}; charset=utf-8` : type;
+}
+
+/**
+ * Whether a file is worth compressing for transfer
+ */
+export function isCompressible(filename) {
+  const type = MIME_TYPES[path.extname(filename).toLowerCase()];
+
+  return Boolean(type) && COMPRESSIBLE_TYPES.some(prefix => type.startsWith(prefix));
+}
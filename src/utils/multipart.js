@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+const CRLF = '\r\n';
+
+/**
+ * Get the boundary parameter of a multipart Content-Type header
+ */
+export function getBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Parse a multipart/mixed body into parts with lower-cased headers
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+
+  if (!boundary) {
+    throw new Error('Multipart body is missing its boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let position = body.indexOf(delimiter);
+
+  if (position === -1) {
+    throw new Error('Multipart body does not contain its boundary');
+  }
+
+  while (position !== -1) {
+    let start = position + delimiter.length;
+
+    // Closing delimiter
+    if (body.slice(start, start + 2).toString() === '--') {
+      break;
+    }
+
+    start += CRLF.length;
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) {
+      throw new Error('Multipart body is not terminated');
+    }
+
+    // Drop the CRLF that precedes the next delimiter
+    const part = body.slice(start, next - CRLF.length);
+    const headerEnd = part.indexOf(`${CRLF}${CRLF}`);
+    if (headerEnd === -1) {
+      throw new Error('Multipart part is missing its headers');
+    }
+
+    const headers = {};
+    for (const line of part.slice(0, headerEnd).toString('utf8').split(CRLF)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    parts.push({
+      headers,
+      content: part.slice(headerEnd + CRLF.length * 2),
+    });
+
+    position = next;
+  }
+
+  return parts;
+}
+
+/**
+ * Build a multipart/mixed body from parts ({ headers, content })
+ */
+export function buildMultipart(parts) {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const chunks = [];
+
+  for (const part of parts) {
+    const headerLines = Object.entries(part.headers)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(CRLF);
+
+    chunks.push(Buffer.from(`--${boundary}${CRLF}${headerLines}${CRLF}${CRLF}`));
+    chunks.push(Buffer.isBuffer(part.content) ? part.content : Buffer.from(part.content));
+    chunks.push(Buffer.from(CRLF));
+  }
+
+  chunks.push(Buffer.from(`--${boundary}--${CRLF}`));
+
+  return {
+    contentType: `multipart/mixed; boundary=${boundary}`,
+    body: Buffer.concat(chunks),
+  };
+}
@@ -0,0 +1,200 @@
+// Package details an administrator may override; null in an update restores the manifest value or default
+export const EDITABLE_FIELDS = ['title', 'description', 'keywords', 'tags', 'masteryScore', 'visibility', 'launchOptions', 'organization'];
+
+// Fields whose original value comes from the manifest
+export const MANIFEST_FIELDS = ['title', 'description', 'keywords', 'organization'];
+
+export const VISIBILITIES = ['public', 'hidden'];
+
+const DEFAULTS = {
+  tags: [],
+  masteryScore: null,
+  visibility: 'public',
+  launchOptions: {},
+};
+
+const LAUNCH_OPTIONS = {
+  display: value => ['embedded', 'popup'].includes(value) || 'must be "embedded" or "popup"',
+  width: value => (Number.isInteger(value) && value >= 100 && value <= 10000) || 'must be an integer between 100 and 10000',
+  height: value => (Number.isInteger(value) && value >= 100 && value <= 10000) || 'must be an integer between 100 and 10000',
+  showToc: value => typeof value === 'boolean' || 'must be a boolean',
+  showNavigation: value => typeof value === 'boolean' || 'must be a boolean',
+};
+
+/**
+ * Trim a list of strings, dropping empty and duplicate entries
+ */
+function cleanList(values) {
+  return [...new Set(values.map(value => value.trim()).filter(Boolean))];
+}
+
+/**
+ * Check a list of short strings
+ */
+function checkList(value, { maxItems, maxLength }) {
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    return 'must be an array of strings';
+  }
+
+  if (value.length > maxItems) {
+    return `must not contain more than ${maxItems} entries`;
+  }
+
+  if (value.some(entry => entry.trim().length > maxLength)) {
+    return `entries must not be longer than ${maxLength} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a details update and normalize its values
+ * Returns { changes, errors } where errors is a list of { field, error }
+ */
+export function validateDetails(input) {
+  const errors = [];
+  const changes = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { changes, errors: [{ field: null, error: 'Request body must be an object' }] };
+  }
+
+  for (const [field, value] of Object.entries(input)) {
+    const fail = (error) => errors.push({ field, error });
+
+    if (!EDITABLE_FIELDS.includes(field)) {
+      fail('Field cannot be edited');
+      continue;
+    }
+
+    if (value === null) {
+      changes[field] = null;
+      continue;
+    }
+
+    switch (field) {
+      case 'title':
+        if (typeof value !== 'string' || !value.trim()) {
+          fail('must be a non-empty string');
+        } else if (value.trim().length > 255) {
+          fail('must not be longer than 255 characters');
+        } else {
+          changes.title = value.trim();
+        }
+        break;
+
+      case 'description':
+        if (typeof value !== 'string') {
+          fail('must be a string');
+        } else if (value.length > 10000) {
+          fail('must not be longer than 10000 characters');
+        } else {
+          changes.description = value.trim();
+        }
+        break;
+
+      case 'keywords':
+      case 'tags': {
+        const error = checkList(value, { maxItems: 50, maxLength: 100 });
+        if (error) {
+          fail(error);
+        } else {
+          changes[field] = cleanList(value);
+        }
+        break;
+      }
+
+      case 'masteryScore':
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+          fail('must be a number between 0 and 100');
+        } else {
+          changes.masteryScore = value;
+        }
+        break;
+
+      case 'visibility':
+        if (!VISIBILITIES.includes(value)) {
+          fail(`must be one of: ${VISIBILITIES.join(', ')}`);
+        } else {
+          changes.visibility = value;
+        }
+        break;
+
+      case 'organization':
+        if (typeof value !== 'string' || !value.trim()) {
+          fail('must be a non-empty string');
+        } else {
+          changes.organization = value.trim();
+        }
+        break;
+
+      case 'launchOptions':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          fail('must be an object');
+          break;
+        }
+
+        for (const [option, optionValue] of Object.entries(value)) {
+          const check = LAUNCH_OPTIONS[option];
+          const result = !check ? 'is not a launch option' : optionValue === null || check(optionValue);
+
+          if (result !== true) {
+            errors.push({ field: `launchOptions.${option}`, error: result });
+          }
+        }
+        changes.launchOptions = value;
+        break;
+    }
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Apply validated changes to the stored overrides
+ * Launch options merge key by key (null removes one); other fields are replaced or removed
+ */
+export function applyDetailChanges(overrides, changes) {
+  const result = { ...overrides };
+
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === 'launchOptions' && value !== null) {
+      const launchOptions = { ...(result.launchOptions || {}), ...value };
+
+      for (const option of Object.keys(launchOptions)) {
+        if (launchOptions[option] === null) delete launchOptions[option];
+      }
+
+      if (Object.keys(launchOptions).length > 0) {
+        result.launchOptions = launchOptions;
+      } else {
+        delete result.launchOptions;
+      }
+    } else if (value === null) {
+      delete result[field];
+    } else {
+      result[field] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Combine the manifest values with the overrides into the details shown for a package
+ */
+export function buildDetails(original, overrides) {
+  const details = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    details[field] = overrides[field] !== undefined
+      ? overrides[field]
+      : (MANIFEST_FIELDS.includes(field) ? original[field] : DEFAULTS[field]);
+  }
+
+  return {
+    ...details,
+    original,
+    overridden: EDITABLE_FIELDS.filter(field => overrides[field] !== undefined),
+  };
+}
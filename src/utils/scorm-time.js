@@ -0,0 +1,44 @@
+/**
+ * Seconds in a SCORM 1.2 / AICC timespan (HHHH:MM:SS.SS) or SCORM 2004 duration (PnYnMnDTnHnMnS)
+ * Years and months count as 365 and 30 days; anything else counts as no time
+ */
+export function toSeconds(value) {
+  const duration = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value || '');
+  if (duration) {
+    const [years, months, days, hours, minutes, seconds] = duration.slice(1).map(part => parseFloat(part || '0'));
+    return (((years * 365 + months * 30 + days) * 24 + hours) * 60 + minutes) * 60 + seconds;
+  }
+
+  const timespan = /^(\d{1,4}):(\d{2}):(\d{2}(?:\.\d{1,2})?)$/.exec(value || '');
+  if (timespan) {
+    const [hours, minutes, seconds] = timespan.slice(1).map(parseFloat);
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+
+  return 0;
+}
+
+/**
+ * Format seconds as a SCORM 1.2 timespan or a SCORM 2004 duration
+ */
+export function formatTime(totalSeconds, scormVersion) {
+  const total = Math.round(totalSeconds * 100) / 100;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = Math.round((total % 60) * 100) / 100;
+
+  if (String(scormVersion).startsWith('2004')) {
+    return `PT${hours}H${minutes}M${seconds}S`;
+  }
+
+  const [whole, fraction] = seconds.toFixed(2).split('.');
+  return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${whole.padStart(2, '0')}` +
+    (fraction === '00' ? '' : `.${fraction}`);
+}
+
+/**
+ * Total time of an attempt after a session: its total so far plus the session time
+ */
+export function addSessionTime(totalTime, sessionTime, scormVersion) {
+  return formatTime(toSeconds(totalTime) + toSeconds(sessionTime), scormVersion);
+}
@@ -0,0 +1,141 @@
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  middot: '·',
+  laquo: '«',
+  raquo: '»',
+  aacute: 'á',
+  agrave: 'à',
+  acirc: 'â',
+  auml: 'ä',
+  ccedil: 'ç',
+  eacute: 'é',
+  egrave: 'è',
+  ecirc: 'ê',
+  iacute: 'í',
+  ntilde: 'ñ',
+  oacute: 'ó',
+  ouml: 'ö',
+  uacute: 'ú',
+  uuml: 'ü',
+  szlig: 'ß',
+};
+
+/**
+ * Decode HTML/XML character references
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : ' ';
+    }
+
+    return NAMED_ENTITIES[entity] ?? NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Escape text for use in HTML (the reverse of decodeEntities for the markup characters)
+ */
+export function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Collapse runs of whitespace
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extract the visible text and the <title> of an HTML or XHTML document
+ */
+export function extractHtmlText(html) {
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ');
+
+  return {
+    title: title ? normalizeWhitespace(decodeEntities(title[1])) : '',
+    text: normalizeWhitespace(decodeEntities(body)),
+  };
+}
+
+/**
+ * Extract the character data of an XML document
+ */
+export function extractXmlText(xml) {
+  const body = xml
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, ' $1 ')
+    .replace(/<[^>]*>/g, ' ');
+
+  return { title: '', text: normalizeWhitespace(decodeEntities(body)) };
+}
+
+/**
+ * Extract the human-readable strings of a JSON document (identifiers, paths and URLs are skipped)
+ */
+export function extractJsonText(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { title: '', text: '' };
+  }
+
+  const strings = [];
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      if (/\p{L}/u.test(value) && !/^[\w.\-/:#?=&%]+$/.test(value)) {
+        strings.push(value);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(data);
+
+  return { title: '', text: normalizeWhitespace(strings.join(' ')) };
+}
+
+/**
+ * Extract searchable text from a file by extension; returns null for unsupported types
+ */
+export function extractText(filename, content) {
+  const extension = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+
+  switch (extension) {
+    case '.html':
+    case '.htm':
+    case '.xhtml':
+      return extractHtmlText(content);
+    case '.xml':
+      return extractXmlText(content);
+    case '.json':
+      return extractJsonText(content);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,154 @@
+import xml2js from 'xml2js';
+
+// Namespace families of SCORM manifests, recognized by the last segment of the namespace URI so every
+// schema variant maps to one canonical prefix ('' is the IMS CP namespace, read without a prefix)
+const NAMESPACE_FAMILIES = [
+  // IMS Content Packaging 1.1.2 (imscp_rootv1p1p2) and 1.1.3/1.1.4 (imscp_v1p1)
+  { pattern: /^imscp_/, prefix: '', version: segment => (segment.startsWith('imscp_rootv1p1') ? '1.2' : '2004') },
+  // ADL Content Packaging: SCORM 1.2 (adlcp_rootv1p2) and SCORM 2004 (adlcp_v1p3)
+  { pattern: /^adlcp_/, prefix: 'adlcp', version: segment => (segment.startsWith('adlcp_rootv1p2') ? '1.2' : '2004') },
+  { pattern: /^imsss/, prefix: 'imsss', version: () => '2004' },
+  { pattern: /^adlseq_/, prefix: 'adlseq', version: () => '2004' },
+  { pattern: /^adlnav_/, prefix: 'adlnav', version: () => '2004' },
+  // IMS Metadata 1.2.x and IEEE LOM
+  { pattern: /^(imsmd_|lom$)/, prefix: 'lom', version: () => null },
+];
+
+const FIXED_NAMESPACES = {
+  'http://www.w3.org/XML/1998/namespace': 'xml',
+  'http://www.w3.org/2001/XMLSchema-instance': 'xsi',
+};
+
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+const namespaceParser = new xml2js.Parser({ xmlns: true, explicitArray: true });
+const plainParser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
+
+/**
+ * Namespace family of a URI, or null for namespaces SCORM does not define
+ */
+function getFamily(uri) {
+  const segment = String(uri).replace(/(\.xsd)?\/*$/i, '').split('/').pop().toLowerCase();
+  const family = NAMESPACE_FAMILIES.find(candidate => candidate.pattern.test(segment));
+
+  return family ? { prefix: family.prefix, version: family.version(segment) } : null;
+}
+
+/**
+ * Canonical prefix of a namespace URI ('' for IMS CP), or undefined for unknown namespaces
+ */
+export function getCanonicalPrefix(uri) {
+  if (FIXED_NAMESPACES[uri]) {
+    return FIXED_NAMESPACES[uri];
+  }
+
+  return getFamily(uri)?.prefix;
+}
+
+/**
+ * SCORM version ('1.2' or '2004') a namespace URI belongs to, or null when it is shared or unknown
+ */
+export function getNamespaceVersion(uri) {
+  return getFamily(uri)?.version || null;
+}
+
+/**
+ * Name of an element or attribute under its canonical prefix (as written for unknown namespaces)
+ */
+function canonicalName(uri, local, qualifiedName) {
+  const prefix = uri ? getCanonicalPrefix(uri) : undefined;
+
+  if (prefix === undefined) {
+    return qualifiedName;
+  }
+
+  return prefix ? `${prefix}:${local}` : local;
+}
+
+/**
+ * Convert a namespace-aware xml2js node into the shape of a mergeAttrs/explicitArray:false parse
+ */
+function convertElement(element, namespaces) {
+  if (typeof element !== 'object' || element === null) {
+    return element;
+  }
+
+  const result = {};
+  const add = (key, value) => {
+    if (!(key in result)) {
+      result[key] = value;
+    } else if (Array.isArray(result[key])) {
+      result[key].push(value);
+    } else {
+      result[key] = [result[key], value];
+    }
+  };
+
+  for (const attribute of Object.values(element.$ || {})) {
+    if (attribute.uri === XMLNS_NAMESPACE || attribute.name === 'xmlns') {
+      namespaces.add(attribute.value);
+      continue;
+    }
+
+    // Unprefixed attributes belong to no namespace, whatever the default namespace is
+    add(canonicalName(attribute.uri, attribute.local, attribute.name), attribute.value);
+  }
+
+  for (const [qualifiedName, children] of Object.entries(element)) {
+    if (qualifiedName === '$' || qualifiedName === '$ns' || qualifiedName === '_') {
+      continue;
+    }
+
+    for (const child of children) {
+      const ns = child?.$ns;
+      add(ns ? canonicalName(ns.uri, ns.local, qualifiedName) : qualifiedName, convertElement(child, namespaces));
+    }
+  }
+
+  const text = typeof element._ === 'string' ? element._ : undefined;
+
+  if (Object.keys(result).length === 0) {
+    return text ?? '';
+  }
+
+  if (text !== undefined && text.trim()) {
+    result._ = text;
+  }
+
+  return result;
+}
+
+/**
+ * Parse an XML document with element and attribute names resolved by namespace URI
+ * Returns the document (IMS CP names unprefixed, SCORM namespaces under their canonical prefixes)
+ * and the namespace URIs it declares. Documents with undeclared prefixes are parsed as written.
+ */
+export async function parseNamespacedXml(content) {
+  let parsed;
+
+  try {
+    parsed = await namespaceParser.parseStringPromise(content);
+  } catch (error) {
+    if (!/unbound namespace prefix/i.test(error.message)) {
+      throw error;
+    }
+
+    const document = await plainParser.parseStringPromise(content);
+    const root = Object.values(document)[0] || {};
+    const namespaces = Object.entries(root)
+      .filter(([key, value]) => (key === 'xmlns' || key.startsWith('xmlns:')) && typeof value === 'string')
+      .map(([, value]) => value);
+
+    return { document, namespaces };
+  }
+
+  const namespaces = new Set();
+  const document = {};
+
+  for (const [qualifiedName, root] of Object.entries(parsed)) {
+    const ns = root?.$ns;
+    document[ns ? canonicalName(ns.uri, ns.local, qualifiedName) : qualifiedName] = convertElement(root, namespaces);
+  }
+
+  return { document, namespaces: [...namespaces] };
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import config from '../config/config.js';
+import { ensureDir } from './file-system.js';
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Small entries are exempt from the compression ratio check (a few KB of padding compresses extremely well)
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+/**
+ * Create an extraction error carrying the entries that caused it
+ */
+function extractionError(message, entryErrors = []) {
+  const error = new Error(message);
+  error.entryErrors = entryErrors;
+  return error;
+}
+
+/**
+ * Merge extraction limits with the configured defaults
+ */
+function getLimits(overrides = {}) {
+  return {
+    maxEntries: config.scorm.maxEntries,
+    maxUncompressedSize: config.scorm.maxUncompressedSize,
+    maxCompressionRatio: config.scorm.maxCompressionRatio,
+    ...overrides,
+  };
+}
+
+/**
+ * Read the central directory of a ZIP file without extracting anything
+ * The archive stays open so entries can be streamed afterwards
+ */
+async function readEntries(zipPath) {
+  const zipfile = await yauzl.openPromise(zipPath, {
+    lazyEntries: true,
+    autoClose: false,
+    // File names are validated here so every bad entry can be reported, not just the first
+    decodeStrings: false,
+  }).catch((error) => {
+    throw extractionError(`Invalid ZIP archive: ${error.message}`);
+  });
+
+  const entries = await new Promise((resolve, reject) => {
+    const result = [];
+
+    zipfile.on('entry', (entry) => {
+      const mode = (entry.externalFileAttributes >>> 16) & S_IFMT;
+      const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+
+      result.push({
+        name,
+        entry,
+        isDirectory: name.endsWith('/'),
+        isSymlink: mode === S_IFLNK,
+        isEncrypted: entry.isEncrypted(),
+        compressedSize: entry.compressedSize,
+        uncompressedSize: entry.uncompressedSize,
+      });
+
+      zipfile.readEntry();
+    });
+    zipfile.once('end', () => resolve(result));
+    zipfile.once('error', reject);
+    zipfile.readEntry();
+  }).catch((error) => {
+    zipfile.close();
+    throw extractionError(`Invalid ZIP archive: ${error.message}`);
+  });
+
+  return { zipfile, entries };
+}
+
+/**
+ * Check entry paths, types and declared sizes against the limits
+ */
+function checkEntries(entries, destDir, limits) {
+  const entryErrors = [];
+  const root = path.resolve(destDir);
+  let totalSize = 0;
+  let totalCompressed = 0;
+
+  for (const item of entries) {
+    const { name } = item;
+    const fail = (error) => entryErrors.push({ entry: name, error });
+
+    if (!name || name.includes('\0')) {
+      fail('Invalid file name');
+    } else if (/^[a-z]:/i.test(name) || name.startsWith('/')) {
+      fail('Absolute paths are not allowed');
+    } else if (name.split('/').includes('..')) {
+      fail('Path escapes the package directory');
+    } else {
+      const target = path.resolve(root, name);
+      if (target !== root && !target.startsWith(root + path.sep)) {
+        fail('Path escapes the package directory');
+      }
+    }
+
+    if (item.isSymlink) {
+      fail('Symbolic links are not allowed');
+    }
+
+    if (item.isEncrypted) {
+      fail('Encrypted entries are not supported');
+    }
+
+    if (!item.isDirectory && item.uncompressedSize >= RATIO_MIN_SIZE &&
+        item.uncompressedSize > item.compressedSize * limits.maxCompressionRatio) {
+      fail(`Compression ratio exceeds ${limits.maxCompressionRatio}:1`);
+    }
+
+    totalSize += item.uncompressedSize;
+    totalCompressed += item.compressedSize;
+  }
+
+  if (entries.length > limits.maxEntries) {
+    entryErrors.push({ entry: null, error: `Archive contains ${entries.length} entries (limit ${limits.maxEntries})` });
+  }
+
+  if (totalSize > limits.maxUncompressedSize) {
+    entryErrors.push({
+      entry: null,
+      error: `Uncompressed size ${totalSize} bytes exceeds the limit of ${limits.maxUncompressedSize} bytes`,
+    });
+  }
+
+  const ratioReported = entryErrors.some(({ error }) => error.startsWith('Compression ratio'));
+  if (!ratioReported && totalSize >= RATIO_MIN_SIZE && totalSize > totalCompressed * limits.maxCompressionRatio) {
+    entryErrors.push({ entry: null, error: `Compression ratio exceeds ${limits.maxCompressionRatio}:1` });
+  }
+
+  return entryErrors;
+}
+
+/**
+ * List the entry names of a ZIP file and the problems that would stop its extraction
+ */
+export async function inspectZip(zipPath, limits = {}) {
+  const { zipfile, entries } = await readEntries(zipPath);
+  zipfile.close();
+
+  return {
+    names: entries.map(item => item.name),
+    entryErrors: checkEntries(entries, '.', getLimits(limits)),
+  };
+}
+
+/**
+ * Stream every entry of a ZIP file into a directory
+ * Sizes are enforced on the actual decompressed bytes, not only on the declared ones
+ */
+export async function extractZip(zipPath, destDir, limits = {}) {
+  const settings = getLimits(limits);
+  const { zipfile, entries } = await readEntries(zipPath);
+  const root = path.resolve(destDir);
+
+  try {
+    const entryErrors = checkEntries(entries, root, settings);
+
+    if (entryErrors.length > 0) {
+      throw extractionError(`Archive rejected: ${entryErrors.length} invalid entr${entryErrors.length === 1 ? 'y' : 'ies'}`, entryErrors);
+    }
+
+    await ensureDir(root);
+    let written = 0;
+
+    for (const item of entries) {
+      const target = path.resolve(root, item.name);
+
+      if (item.isDirectory) {
+        await ensureDir(target);
+        continue;
+      }
+
+      await ensureDir(path.dirname(target));
+
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+
+          if (written > settings.maxUncompressedSize) {
+            callback(new Error(`Uncompressed size exceeds the limit of ${settings.maxUncompressedSize} bytes`));
+          } else {
+            callback(null, chunk);
+          }
+        },
+      });
+
+      try {
+        const stream = await zipfile.openReadStreamPromise(item.entry);
+        await pipeline(stream, counter, fs.createWriteStream(target));
+      } catch (error) {
+        throw extractionError(`Failed to extract ${item.name}`, [{ entry: item.name, error: error.message }]);
+      }
+    }
+
+    return { entries: entries.length, size: written };
+  } finally {
+    zipfile.close();
+  }
+}
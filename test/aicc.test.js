@@ -0,0 +1,152 @@
+import { uploadFixture } from './helpers/packages.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import aiccRoutes from '../src/routes/aicc.routes.js';
+import aiccService from '../src/services/aicc-service.js';
+import aiccParser from '../src/services/aicc-parser.js';
+import packageHandler from '../src/services/package-handler.js';
+import scormApiService from '../src/services/scorm-api.js';
+
+const BASE_URL = 'http://lms.test';
+
+const INTERACTIONS = [
+  'course_id,student_id,lesson_id,date,time,interaction_id,objective_id,type_interaction,correct_response,'
+    + 'student_response,result,weighting,latency',
+  '"SAFETY101","aicc-learner","A1","2026/03/02","10:05:00","q1","obj1","C","a","b","W","1","00:00:05"',
+  '"SAFETY101","aicc-learner","A1","2026/03/02","10:06:00","q2","obj1","T","t","t","C","1","00:00:03"',
+].join('\r\n');
+
+describe('AICC', () => {
+  let pkg;
+  let server;
+  let hacpUrl;
+
+  before(async () => {
+    pkg = await uploadFixture('aicc-course');
+
+    // HACP commands arrive as form posts, parsed the way the API server parses them
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/aicc', aiccRoutes);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    hacpUrl = `http://127.0.0.1:${server.address().port}/api/aicc/hacp`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * Post a HACP command and parse the response into its fields and aicc_data
+   */
+  const hacp = async (fields) => {
+    const response = await fetch(hacpUrl, { method: 'POST', body: new URLSearchParams(fields) });
+    const text = await response.text();
+    const [head, aiccData = null] = text.split(/\r\naicc_data=/);
+
+    assert.equal(response.status, 200);
+    return { ...Object.fromEntries(head.split('\r\n').map(line => line.split('='))), aiccData };
+  };
+
+  const launch = userId => aiccService.createLaunch(pkg, packageHandler.getPackageItem(pkg.id, 'A1'), {
+    baseUrl: BASE_URL,
+    userId,
+    name: 'Doe, Jane',
+  });
+
+  it('imports the course structure, descriptions and AU settings', () => {
+    assert.equal(pkg.format, 'aicc');
+    assert.equal(pkg.title, 'Site Safety');
+
+    const [block] = pkg.metadata.organizations[0].items;
+    assert.deepEqual([block.identifier, block.title], ['B1', 'Induction']);
+    assert.deepEqual(block.children.map(au => [au.identifier, au.title]), [['A1', 'Hazards'], ['A2', 'Equipment']]);
+
+    const { aicc, description } = block.children[0];
+    assert.equal(description, 'Spotting hazards, on site');
+    assert.deepEqual(
+      [aicc.masteryScore, aicc.maxScore, aicc.maxTimeAllowed, aicc.timeLimitAction, aicc.coreVendor],
+      [80, 100, '00:30:00', 'C,N', 'theme=dark']
+    );
+  });
+
+  it('launches an AU with the HACP parameters', () => {
+    const { sessionId, launchUrl } = launch('launching-learner');
+    const url = new URL(launchUrl);
+
+    assert.equal(`${url.origin}${url.pathname}`, `${BASE_URL}/api/packages/${pkg.id}/content/lesson1.htm`);
+    assert.equal(url.searchParams.get('module'), '1');
+    assert.equal(url.searchParams.get('aicc_sid'), sessionId);
+    assert.equal(url.searchParams.get('aicc_url'), `${BASE_URL}/api/aicc/hacp`);
+  });
+
+  it('parses INI sections and quoted CSV fields', () => {
+    const ini = aiccParser.parseIni('[Core]\r\nLesson_Status = I\r\n; comment\r\n[Core_Lesson]\r\npage=2\r\nstep=4');
+    assert.deepEqual(ini, { core: { _text: '', lesson_status: 'I' }, core_lesson: { _text: 'page=2\nstep=4' } });
+
+    assert.deepEqual(aiccParser.parseCsv('"ID","Text"\n"q1","Say ""yes"", then\nwait"\n\n"q2",""'), [
+      { id: 'q1', text: 'Say "yes", then\nwait' },
+      { id: 'q2', text: '' },
+    ]);
+  });
+
+  it('answers GetParam and stores PutParam and PutInteractions on the session', async () => {
+    const { sessionId } = launch('aicc-learner');
+
+    // Field names are case-insensitive
+    const getParam = await hacp({ Command: 'GetParam', Session_ID: sessionId });
+    assert.equal(getParam.error, '0');
+    assert.match(getParam.aiccData, /^\[Core\]\r\nStudent_ID=aicc-learner\r\nStudent_Name=Doe, Jane\r\n/);
+    assert.match(getParam.aiccData, /\r\nLesson_Status=not attempted,ab-initio\r\n/);
+    assert.match(getParam.aiccData, /\r\n\[Core_Vendor\]\r\ntheme=dark\r\n/);
+    assert.match(getParam.aiccData, /\r\nMastery_Score=80\r\nMax_Time_Allowed=00:30:00\r\nTime_Limit_Action=C,N$/);
+
+    const putParam = await hacp({
+      command: 'PutParam',
+      session_id: sessionId,
+      aicc_data: '[CORE]\r\nLesson_Location=page3\r\nLesson_Status=P,S\r\nScore=85,100,0\r\nTime=00:10:00\r\n'
+        + '[Core_Lesson]\r\nbookmark=3\r\n[Objectives_Status]\r\nJ_ID.1=obj1\r\nJ_Score.1=90\r\nJ_Status.1=Passed',
+    });
+    assert.equal(putParam.error, '0');
+
+    const { cmi } = scormApiService.getCmiData(sessionId);
+    assert.deepEqual(
+      [cmi.core.lesson_location, cmi.core.lesson_status, cmi.core.exit, cmi.core.score.raw, cmi.core.score.max],
+      ['page3', 'passed', 'suspend', '85', '100']
+    );
+    assert.equal(cmi.suspend_data, 'bookmark=3');
+    assert.deepEqual(cmi.objectives[0], { id: 'obj1', score: { raw: '90' }, status: 'passed' });
+
+    await hacp({ command: 'PutInteractions', session_id: sessionId, aicc_data: INTERACTIONS });
+    const interactions = scormApiService.getInteractions(sessionId);
+    assert.deepEqual(interactions.map(({ interaction_id: id, type, result }) => [id, type, result]), [
+      ['q1', 'choice', 'wrong'],
+      ['q2', 'true-false', 'correct'],
+    ]);
+    assert.deepEqual(interactions[0].correct_responses, [{ pattern: 'a' }]);
+
+    assert.equal((await hacp({ command: 'ExitAU', session_id: sessionId })).error, '0');
+    assert.equal((await hacp({ command: 'GetParam', session_id: sessionId })).error, '3');
+
+    // A suspended attempt resumes on the next launch
+    const resumed = await hacp({ command: 'GetParam', session_id: launch('aicc-learner').sessionId });
+    assert.match(resumed.aiccData, /\r\nLesson_Location=page3\r\n/);
+    assert.match(resumed.aiccData, /\r\nLesson_Status=passed,resume\r\n/);
+    assert.match(resumed.aiccData, /\r\n\[Core_Lesson\]\r\nbookmark=3\r\n/);
+  });
+
+  it('reports unknown commands and sessions', async () => {
+    const { sessionId } = launch('erring-learner');
+
+    assert.deepEqual(await hacp({ command: 'GetStatus', session_id: sessionId }), {
+      error: '1',
+      error_text: 'Invalid Command',
+      version: '2.2',
+      aiccData: null,
+    });
+    assert.equal((await hacp({ command: 'GetParam', session_id: 'unknown' })).error, '3');
+    assert.equal((await hacp({ command: 'GetParam' })).error, '3');
+  });
+});
@@ -0,0 +1,79 @@
+import './helpers/storage.js';
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+// The store binds fs.link when it is imported, so the mock has to be in place first
+const originalLink = fs.link;
+let linkError = null;
+mock.method(fs, 'link', (existingPath, newPath, callback) => {
+  const code = typeof linkError === 'function' ? linkError(existingPath, newPath) : linkError;
+  if (code) {
+    return callback(Object.assign(new Error(`${code}: link failed`), { code }));
+  }
+  return originalLink(existingPath, newPath, callback);
+});
+
+const { default: blobStore } = await import('../src/services/blob-store.js');
+const { statements } = await import('../src/models/database.js');
+
+let versions = 0;
+
+/**
+ * Write a package directory with the given files and return the version id and its path
+ */
+function writeVersion(files) {
+  const versionId = `blob-version-${++versions}`;
+  const directory = path.join(process.env.STORAGE_DIR, 'packages', versionId);
+
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), content);
+  }
+
+  return { versionId, directory };
+}
+
+describe('BlobStore', () => {
+  beforeEach(() => {
+    linkError = null;
+  });
+
+  it('hardlinks identical files to one blob', async () => {
+    const { versionId, directory } = writeVersion({ 'a.txt': 'same content 1', 'b/a.txt': 'same content 1' });
+
+    const result = await blobStore.storeDirectory(versionId, directory);
+
+    assert.deepEqual(result, { files: 2, dedupedFiles: 1, dedupedBytes: 14 });
+    assert.equal(fs.statSync(path.join(directory, 'a.txt')).ino, fs.statSync(path.join(directory, 'b/a.txt')).ino);
+  });
+
+  for (const code of ['EXDEV', 'EPERM', 'ENOTSUP']) {
+    it(`stores blobs as copies when hardlinks fail with ${code}`, async () => {
+      linkError = code;
+      const content = `copied content ${code}`;
+      const { versionId, directory } = writeVersion({ 'a.txt': content, 'b.txt': content });
+
+      const result = await blobStore.storeDirectory(versionId, directory);
+      const [file] = statements.getPackageFiles.all(versionId);
+
+      assert.deepEqual(result, { files: 2, dedupedFiles: 0, dedupedBytes: 0 });
+      assert.equal(fs.readFileSync(blobStore.getBlobPath(file.hash), 'utf8'), content);
+      assert.equal(fs.readFileSync(path.join(directory, 'b.txt'), 'utf8'), content);
+      assert.equal(statements.getBlob.get(file.hash).ref_count, 2);
+    });
+  }
+
+  it('deletes the blobs it created when storing a directory fails partway', async () => {
+    const { versionId, directory } = writeVersion({ 'a.txt': 'first blob', 'b.txt': 'second blob' });
+    linkError = existingPath => (existingPath.endsWith('b.txt') ? 'EIO' : null);
+
+    await assert.rejects(blobStore.storeDirectory(versionId, directory), { code: 'EIO' });
+
+    const hash = await blobStore.hashFile(path.join(directory, 'a.txt'));
+    assert.equal(fs.existsSync(blobStore.getBlobPath(hash)), false);
+    assert.equal(statements.getBlob.get(hash), undefined);
+    assert.deepEqual(statements.getPackageFiles.all(versionId), []);
+  });
+});
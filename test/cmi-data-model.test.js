@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkValues, getDataModelVersion, getErrorString, getValue, setValue } from '../src/utils/cmi-data-model.js';
+
+const errorCode = (version, element, value, stored = new Map()) => setValue(version, element, value, stored).errorCode;
+
+describe('CMI data model', () => {
+  it('maps package SCORM versions to a data model', () => {
+    assert.equal(getDataModelVersion('1.2'), '1.2');
+    assert.equal(getDataModelVersion('2004 4th Edition'), '2004');
+    assert.equal(getErrorString('2004', 406), 'Data Model Element Type Mismatch');
+  });
+
+  describe('SCORM 1.2', () => {
+    it('rejects read-only, keyword and undefined elements', () => {
+      assert.equal(errorCode('1.2', 'cmi.core.student_id', 'x'), 403);
+      assert.equal(errorCode('1.2', 'cmi.core._children', 'x'), 402);
+      assert.equal(errorCode('1.2', 'cmi.core.bogus', 'x'), 201);
+      assert.equal(getValue('1.2', 'cmi.core.exit', new Map()).errorCode, 404);
+    });
+
+    it('checks vocabularies, timespans and score ranges', () => {
+      assert.equal(errorCode('1.2', 'cmi.core.lesson_status', 'passed'), 0);
+      assert.equal(errorCode('1.2', 'cmi.core.lesson_status', 'not attempted'), 405);
+      assert.equal(errorCode('1.2', 'cmi.core.session_time', '0001:02:03.5'), 0);
+      assert.equal(errorCode('1.2', 'cmi.core.session_time', 'PT1H'), 405);
+      assert.equal(errorCode('1.2', 'cmi.core.score.raw', '101'), 405);
+    });
+
+    it('reads unset elements as empty strings and keywords from the model', () => {
+      const stored = new Map([['cmi.interactions.0.id', 'q1']]);
+
+      assert.deepEqual(getValue('1.2', 'cmi.core.lesson_location', stored), { value: '', errorCode: 0, diagnostic: '' });
+      assert.equal(getValue('1.2', 'cmi.interactions._count', stored).value, '1');
+      assert.equal(getValue('1.2', 'cmi.core.score._children', stored).value, 'raw,min,max');
+      assert.equal(getValue('1.2', 'cmi.core.student_id._children', stored).errorCode, 202);
+    });
+  });
+
+  describe('SCORM 2004', () => {
+    it('checks types, ranges and the SPM of localized strings', () => {
+      assert.equal(errorCode('2004', 'cmi.learner_id', 'x'), 404);
+      assert.equal(errorCode('2004', 'cmi.completion_status', 'done'), 406);
+      assert.equal(errorCode('2004', 'cmi.score.scaled', '1.5'), 407);
+      assert.equal(errorCode('2004', 'cmi.session_time', 'PT1H2M3.5S'), 0);
+      assert.equal(errorCode('2004', 'cmi.comments_from_learner.0.comment', '{lang=en-US}Great'), 0);
+      assert.equal(errorCode('2004', 'cmi.location', 'x'.repeat(1001)), 406);
+      assert.equal(getValue('2004', 'cmi.location', new Map()).errorCode, 403);
+    });
+
+    it('requires collection entries in order with their identifier set first', () => {
+      const stored = new Map([['cmi.interactions.0.id', 'q1']]);
+
+      assert.equal(errorCode('2004', 'cmi.objectives.1.id', 'obj', stored), 351);
+      assert.equal(errorCode('2004', 'cmi.objectives.0.score.raw', '5', stored), 408);
+      assert.equal(errorCode('2004', 'cmi.interactions.0.learner_response', 'true', stored), 408);
+      assert.equal(getValue('2004', 'cmi.objectives.0.id', stored).errorCode, 301);
+    });
+
+    it('checks responses against the interaction type', () => {
+      const stored = new Map([['cmi.interactions.0.id', 'q1'], ['cmi.interactions.0.type', 'true-false']]);
+
+      assert.equal(errorCode('2004', 'cmi.interactions.0.learner_response', 'true', stored), 0);
+      assert.equal(errorCode('2004', 'cmi.interactions.0.learner_response', 'maybe', stored), 406);
+    });
+
+    it('checks committed values in order, skipping the ones that did not change', () => {
+      const stored = new Map([['cmi.learner_id', 'alice']]);
+      const { accepted, rejected } = checkValues('2004', [
+        ['cmi.learner_id', 'alice'],
+        ['cmi.entry', 'ab-initio'],
+        ['cmi.learner_name', 'Mallory'],
+        ['cmi.completion_status', 'banana'],
+        ['cmi.interactions.0.id', 'q1'],
+        ['cmi.interactions.0.type', 'true-false'],
+        ['cmi.interactions.0.learner_response', 'true'],
+      ], stored, { 'cmi.entry': 'ab-initio' });
+
+      assert.deepEqual(accepted, [
+        ['cmi.interactions.0.id', 'q1'],
+        ['cmi.interactions.0.type', 'true-false'],
+        ['cmi.interactions.0.learner_response', 'true'],
+      ]);
+      assert.deepEqual(rejected.map(({ element, errorCode }) => [element, errorCode]), [
+        ['cmi.learner_name', 404],
+        ['cmi.completion_status', 406],
+      ]);
+    });
+  });
+});
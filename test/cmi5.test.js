@@ -0,0 +1,112 @@
+import { uploadFixture } from './helpers/packages.js';
+import { callController } from './helpers/controllers.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import cmi5Controller from '../src/controllers/cmi5.controller.js';
+import cmi5Service from '../src/services/cmi5-service.js';
+import packageHandler from '../src/services/package-handler.js';
+import xapiLrs from '../src/services/xapi-lrs.js';
+
+const BASE_URL = 'http://lms.test';
+const COURSE = 'https://example.com/courses/cmi5-course';
+
+describe('cmi5', () => {
+  let pkg;
+
+  before(async () => {
+    pkg = await uploadFixture('cmi5-course');
+  });
+
+  const getAu = id => packageHandler.getPackageItem(pkg.id, `${COURSE}/${id}`);
+
+  it('imports the course structure with its blocks and AUs', () => {
+    assert.equal(pkg.format, 'cmi5');
+    assert.equal(pkg.identifier, COURSE);
+
+    const [block] = pkg.metadata.organizations[0].items;
+    assert.equal(block.title, 'Module 1');
+    assert.deepEqual(block.children.map(au => au.title), ['Lesson 1', 'Lesson 2']);
+
+    assert.deepEqual(getAu('au-1').cmi5, {
+      moveOn: 'CompletedAndPassed',
+      masteryScore: 0.8,
+      launchMethod: 'OwnWindow',
+      activityType: null,
+      launchParameters: '{"difficulty":"hard"}',
+      entitlementKey: null,
+    });
+    assert.deepEqual([getAu('au-2').cmi5.moveOn, getAu('au-2').cmi5.launchMethod], ['NotApplicable', 'AnyWindow']);
+  });
+
+  it('launches an AU with the cmi5 launch parameters and records the launch', () => {
+    const launch = cmi5Service.createLaunch(pkg, getAu('au-1'), { baseUrl: BASE_URL, userId: 'cmi5-learner' });
+    const url = new URL(launch.launchUrl);
+
+    assert.equal(`${url.origin}${url.pathname}`, `${BASE_URL}/api/packages/${pkg.id}/content/au/index.html`);
+    assert.equal(url.searchParams.get('lang'), 'en');
+    assert.equal(url.searchParams.get('endpoint'), `${BASE_URL}/xapi/`);
+    assert.equal(url.searchParams.get('fetch'), `${BASE_URL}/api/cmi5/fetch/${launch.sessionId}`);
+    assert.deepEqual(JSON.parse(url.searchParams.get('actor')), launch.actor);
+    assert.equal(url.searchParams.get('registration'), launch.registration);
+    assert.equal(url.searchParams.get('activityId'), `${COURSE}/au-1`);
+    assert.equal(launch.launchMethod, 'OwnWindow');
+
+    const { key } = xapiLrs.resolveDocument('state', {
+      activityId: `${COURSE}/au-1`,
+      agent: JSON.stringify(launch.actor),
+      registration: launch.registration,
+    });
+    const launchData = JSON.parse(xapiLrs.getDocument('state', key, 'LMS.LaunchData').content);
+
+    assert.deepEqual(launchData, launch.launchData);
+    assert.deepEqual(launchData, {
+      ...launch.launchData,
+      launchMode: 'Normal',
+      moveOn: 'CompletedAndPassed',
+      masteryScore: 0.8,
+      launchParameters: '{"difficulty":"hard"}',
+    });
+
+    const { statements } = xapiLrs.queryStatements({ registration: launch.registration });
+    assert.deepEqual(statements.map(statement => statement.verb.id), ['http://adlnet.gov/expapi/verbs/launched']);
+  });
+
+  it('reuses the learner registration and launches external AUs at their own URL', () => {
+    const first = cmi5Service.createLaunch(pkg, getAu('au-1'), { baseUrl: BASE_URL, userId: 'returning-learner' });
+    const second = cmi5Service.createLaunch(pkg, getAu('au-2'), { baseUrl: BASE_URL, userId: 'returning-learner' });
+
+    assert.equal(second.registration, first.registration);
+    assert.notEqual(second.sessionId, first.sessionId);
+    assert.match(second.launchUrl, /^https:\/\/content\.example\.com\/au-2\/index\.html\?endpoint=/);
+
+    assert.throws(() => cmi5Service.createLaunch(pkg, getAu('au-1'), {
+      baseUrl: BASE_URL,
+      userId: 'other-learner',
+      registration: first.registration,
+    }), /Registration belongs to a different course or learner/);
+    assert.throws(() => cmi5Service.createLaunch(pkg, getAu('au-1'), { baseUrl: BASE_URL, launchMode: 'Preview' }),
+      /Invalid launch mode: Preview/);
+  });
+
+  it('hands out the auth token once and accepts it as LRS credentials', async () => {
+    const launch = cmi5Service.createLaunch(pkg, getAu('au-1'), { baseUrl: BASE_URL, userId: 'fetching-learner' });
+
+    const fetched = await callController(cmi5Controller, 'fetchAuthToken', { params: { sessionId: launch.sessionId } });
+    const authToken = fetched.body['auth-token'];
+
+    const credentials = xapiLrs.resolveCredentials(`Basic ${authToken}`);
+    assert.deepEqual(credentials, {
+      username: 'cmi5',
+      format: 'cmi5',
+      sessionId: launch.sessionId,
+      packageId: pkg.id,
+      registration: launch.registration,
+    });
+
+    const again = await callController(cmi5Controller, 'fetchAuthToken', { params: { sessionId: launch.sessionId } });
+    assert.deepEqual(again.body, { 'error-code': '1', 'error-text': 'Auth token has already been retrieved' });
+
+    const unknown = await callController(cmi5Controller, 'fetchAuthToken', { params: { sessionId: 'unknown' } });
+    assert.equal(unknown.body['error-code'], '3');
+  });
+});
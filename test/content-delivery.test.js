@@ -0,0 +1,132 @@
+import { uploadFixture } from './helpers/packages.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import contentRoutes from '../src/routes/content.routes.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/manifests/media-scorm12');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Content delivery', () => {
+  const video = fs.readFileSync(path.join(FIXTURE, 'video.mp4'));
+  const script = fs.readFileSync(path.join(FIXTURE, 'lesson.js'));
+  let server;
+  let contentPath;
+
+  before(async () => {
+    const pkg = await uploadFixture('media-scorm12');
+    contentPath = `/api/packages/${pkg.id}/content`;
+
+    const app = express();
+    app.use(contentRoutes);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * Request a content file and collect the raw (still encoded) body
+   */
+  const get = (file, headers = {}) => new Promise((resolve, reject) => {
+    const request = http.get({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: `${contentPath}/${file}`,
+      headers,
+    }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks),
+      }));
+    });
+    request.on('error', reject);
+  });
+
+  it('sends hash validators and answers matching conditional requests with 304', async () => {
+    const response = await get('video.mp4');
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.equals(video));
+    assert.equal(response.headers.etag, `"${sha256(video)}"`);
+    assert.equal(response.headers['content-type'], 'video/mp4');
+    assert.equal(response.headers['cache-control'], 'no-cache');
+    assert.ok(response.headers['last-modified']);
+
+    const { etag } = response.headers;
+
+    for (const ifNoneMatch of [etag, `W/${etag}`, `"other", ${etag}`, '*']) {
+      const cached = await get('video.mp4', { 'If-None-Match': ifNoneMatch });
+      assert.equal(cached.status, 304, ifNoneMatch);
+      assert.equal(cached.body.length, 0);
+    }
+
+    assert.equal((await get('video.mp4', { 'If-None-Match': '"other"' })).status, 200);
+    assert.equal((await get('video.mp4', { 'If-Modified-Since': response.headers['last-modified'] })).status, 304);
+  });
+
+  it('serves a single byte range and rejects unsatisfiable ones with 416', async () => {
+    const partial = await get('video.mp4', { Range: 'bytes=100-199' });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers['content-range'], 'bytes 100-199/1024');
+    assert.ok(partial.body.equals(video.subarray(100, 200)));
+
+    const suffix = await get('video.mp4', { Range: 'bytes=-24' });
+    assert.equal(suffix.headers['content-range'], 'bytes 1000-1023/1024');
+    assert.ok(suffix.body.equals(video.subarray(1000)));
+
+    const unsatisfiable = await get('video.mp4', { Range: 'bytes=2000-3000' });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(unsatisfiable.headers['content-range'], 'bytes */1024');
+
+    // Several ranges, or a range of a changed file, get the whole file
+    assert.equal((await get('video.mp4', { Range: 'bytes=0-9,20-29' })).status, 200);
+    assert.equal((await get('video.mp4', { Range: 'bytes=0-9', 'If-Range': '"stale"' })).status, 200);
+    assert.equal((await get('video.mp4', { Range: 'bytes=0-9', 'If-Range': `"${sha256(video)}"` })).status, 206);
+  });
+
+  it('sends the precompressed variant the client accepts', async () => {
+    const brotli = await get('lesson.js', { 'Accept-Encoding': 'gzip;q=0.8, br' });
+    assert.equal(brotli.headers['content-encoding'], 'br');
+    assert.equal(brotli.headers.etag, `"${sha256(script)}-br"`);
+    assert.equal(brotli.headers.vary, 'Accept-Encoding');
+    assert.ok(brotli.body.length < script.length);
+    assert.ok(zlib.brotliDecompressSync(brotli.body).equals(script));
+
+    // Encodings of equal weight go by the client's order
+    const gzip = await get('lesson.js', { 'Accept-Encoding': 'gzip, deflate, br' });
+    assert.equal(gzip.headers['content-encoding'], 'gzip');
+    assert.ok(zlib.gunzipSync(gzip.body).equals(script));
+
+    const identity = await get('lesson.js', { 'Accept-Encoding': 'identity' });
+    assert.equal(identity.headers['content-encoding'], undefined);
+    assert.equal(identity.headers['content-type'], 'text/javascript; charset=utf-8');
+    assert.ok(identity.body.equals(script));
+
+    // Ranges are served from the identity encoding; a validator of one encoding does not match another
+    const range = await get('lesson.js', { 'Accept-Encoding': 'br', Range: 'bytes=0-9' });
+    assert.deepEqual([range.status, range.headers['content-encoding']], [206, undefined]);
+    const otherEncoding = await get('lesson.js', { 'Accept-Encoding': 'gzip', 'If-None-Match': brotli.headers.etag });
+    assert.equal(otherEncoding.status, 200);
+
+    const binary = await get('video.mp4', { 'Accept-Encoding': 'gzip, br' });
+    assert.equal(binary.headers['content-encoding'], undefined);
+  });
+
+  it('does not serve files outside the package', async () => {
+    assert.equal((await get('missing.js')).status, 404);
+    assert.equal((await get('..%2f..%2fpackage.json')).status, 404);
+  });
+});
@@ -0,0 +1,23 @@
+import { uploadFixture } from './helpers/packages.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import contentIndex from '../src/services/content-index.js';
+
+describe('ContentIndex', () => {
+  let pkg;
+
+  before(async () => {
+    pkg = await uploadFixture('content-search-scorm12');
+  });
+
+  it('escapes the indexed text of snippets and marks the matches', () => {
+    const { hits } = contentIndex.search({ q: 'extinguishers', packageId: pkg.id });
+
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].title, 'Fire safety');
+    assert.equal(
+      hits[0].snippet,
+      '<mark>Extinguishers</mark> &lt;img src=x onerror=&quot;alert(document.cookie)&quot;&gt; are checked every month &amp; logged.'
+    );
+  });
+});
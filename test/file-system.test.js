@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { attachmentDisposition } from '../src/utils/file-system.js';
+
+describe('attachmentDisposition', () => {
+  it('quotes an ASCII filename and adds the UTF-8 name', () => {
+    assert.equal(
+      attachmentDisposition('Fire "Safety" 101.zip'),
+      `attachment; filename="Fire _Safety_ 101.zip"; filename*=UTF-8''Fire%20%22Safety%22%20101.zip`
+    );
+  });
+
+  it('builds valid header values from non-Latin-1 and control characters', () => {
+    for (const title of ['Sécurité incendie', '消防安全', 'Line\r\nX-Injected: 1', '']) {
+      const value = attachmentDisposition(`${title}.zip`);
+      assert.doesNotThrow(() => http.validateHeaderValue('Content-Disposition', value));
+      assert.match(value, /^attachment; filename="[\x20-\x7e]+\.zip"; filename\*=UTF-8''[A-Za-z0-9%._~!-]+$/);
+    }
+
+    assert.equal(
+      attachmentDisposition('Sécurité.zip'),
+      `attachment; filename="Securite.zip"; filename*=UTF-8''S%C3%A9curit%C3%A9.zip`
+    );
+    assert.match(attachmentDisposition('消防安全.zip'), /filename="download.zip"/);
+  });
+});
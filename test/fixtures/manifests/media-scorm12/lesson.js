@@ -0,0 +1,42 @@
+// Chapter markers of the video lesson
+const chapters = [];
+chapters.push({ index: 0, title: 'Chapter 0', start: 0, end: 15 });
+chapters.push({ index: 1, title: 'Chapter 1', start: 15, end: 30 });
+chapters.push({ index: 2, title: 'Chapter 2', start: 30, end: 45 });
+chapters.push({ index: 3, title: 'Chapter 3', start: 45, end: 60 });
+chapters.push({ index: 4, title: 'Chapter 4', start: 60, end: 75 });
+chapters.push({ index: 5, title: 'Chapter 5', start: 75, end: 90 });
+chapters.push({ index: 6, title: 'Chapter 6', start: 90, end: 105 });
+chapters.push({ index: 7, title: 'Chapter 7', start: 105, end: 120 });
+chapters.push({ index: 8, title: 'Chapter 8', start: 120, end: 135 });
+chapters.push({ index: 9, title: 'Chapter 9', start: 135, end: 150 });
+chapters.push({ index: 10, title: 'Chapter 10', start: 150, end: 165 });
+chapters.push({ index: 11, title: 'Chapter 11', start: 165, end: 180 });
+chapters.push({ index: 12, title: 'Chapter 12', start: 180, end: 195 });
+chapters.push({ index: 13, title: 'Chapter 13', start: 195, end: 210 });
+chapters.push({ index: 14, title: 'Chapter 14', start: 210, end: 225 });
+chapters.push({ index: 15, title: 'Chapter 15', start: 225, end: 240 });
+chapters.push({ index: 16, title: 'Chapter 16', start: 240, end: 255 });
+chapters.push({ index: 17, title: 'Chapter 17', start: 255, end: 270 });
+chapters.push({ index: 18, title: 'Chapter 18', start: 270, end: 285 });
+chapters.push({ index: 19, title: 'Chapter 19', start: 285, end: 300 });
+chapters.push({ index: 20, title: 'Chapter 20', start: 300, end: 315 });
+chapters.push({ index: 21, title: 'Chapter 21', start: 315, end: 330 });
+chapters.push({ index: 22, title: 'Chapter 22', start: 330, end: 345 });
+chapters.push({ index: 23, title: 'Chapter 23', start: 345, end: 360 });
+chapters.push({ index: 24, title: 'Chapter 24', start: 360, end: 375 });
+chapters.push({ index: 25, title: 'Chapter 25', start: 375, end: 390 });
+chapters.push({ index: 26, title: 'Chapter 26', start: 390, end: 405 });
+chapters.push({ index: 27, title: 'Chapter 27', start: 405, end: 420 });
+chapters.push({ index: 28, title: 'Chapter 28', start: 420, end: 435 });
+chapters.push({ index: 29, title: 'Chapter 29', start: 435, end: 450 });
+chapters.push({ index: 30, title: 'Chapter 30', start: 450, end: 465 });
+chapters.push({ index: 31, title: 'Chapter 31', start: 465, end: 480 });
+chapters.push({ index: 32, title: 'Chapter 32', start: 480, end: 495 });
+chapters.push({ index: 33, title: 'Chapter 33', start: 495, end: 510 });
+chapters.push({ index: 34, title: 'Chapter 34', start: 510, end: 525 });
+chapters.push({ index: 35, title: 'Chapter 35', start: 525, end: 540 });
+chapters.push({ index: 36, title: 'Chapter 36', start: 540, end: 555 });
+chapters.push({ index: 37, title: 'Chapter 37', start: 555, end: 570 });
+chapters.push({ index: 38, title: 'Chapter 38', start: 570, end: 585 });
+chapters.push({ index: 39, title: 'Chapter 39', start: 585, end: 600 });
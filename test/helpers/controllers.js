@@ -0,0 +1,20 @@
+/**
+ * Call a controller method with a request and collect the status and JSON body it answers
+ */
+export async function callController(controller, method, { params = {}, query = {}, body = {} } = {}) {
+  const response = { status: 200, body: null };
+  const res = {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(data) {
+      response.body = data;
+      return this;
+    },
+  };
+
+  await controller[method]({ params, query, body }, res);
+
+  return response;
+}
@@ -0,0 +1,154 @@
+import http from 'http';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Mock LRS
+ * Minimal in-memory xAPI endpoint for tests: records posted statements and can simulate outages
+ */
+export class MockLrs {
+  constructor() {
+    this.server = null;
+    this.endpoint = null;
+    this.statements = [];
+    this.requests = [];
+    this.failures = 0;
+  }
+
+  /**
+   * Start listening on a local port (0 picks a free one) and return the endpoint URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.endpoint = `http://127.0.0.1:${this.server.address().port}/xapi/`;
+        resolve(this.endpoint);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Forget recorded statements and requests
+   */
+  reset() {
+    this.statements = [];
+    this.requests = [];
+    this.failures = 0;
+  }
+
+  /**
+   * Respond with 503 to the next `count` statement requests
+   */
+  failNext(count = 1) {
+    this.failures = count;
+  }
+
+  /**
+   * Handle an LRS request
+   */
+  handle(req, res) {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const body = Buffer.concat(chunks).toString('utf8');
+
+      this.requests.push({
+        method: req.method,
+        path: url.pathname,
+        headers: req.headers,
+        body,
+      });
+
+      if (url.pathname === '/xapi/about') {
+        return this.send(res, 200, { version: ['1.0.3'] });
+      }
+
+      if (url.pathname !== '/xapi/statements') {
+        return this.send(res, 404, { error: 'Not found' });
+      }
+
+      if (!req.headers['x-experience-api-version']) {
+        return this.send(res, 400, { error: 'Missing X-Experience-API-Version header' });
+      }
+
+      if (req.method === 'GET') {
+        const statementId = url.searchParams.get('statementId');
+        if (statementId) {
+          const statement = this.statements.find(existing => existing.id === statementId);
+          return statement ? this.send(res, 200, statement) : this.send(res, 404, { error: 'Not found' });
+        }
+
+        return this.send(res, 200, { statements: [...this.statements].reverse(), more: '' });
+      }
+
+      if (this.failures > 0) {
+        this.failures--;
+        return this.send(res, 503, { error: 'Simulated outage' });
+      }
+
+      let posted;
+      try {
+        posted = JSON.parse(body);
+      } catch (error) {
+        return this.send(res, 400, { error: 'Invalid JSON' });
+      }
+
+      const list = Array.isArray(posted) ? posted : [posted];
+
+      // Like strict LRSs, reject the whole request when any statement id is already stored
+      if (list.some(statement => this.statements.some(existing => existing.id === statement.id))) {
+        return this.send(res, 409, { error: 'Statement id already exists' });
+      }
+
+      const ids = list.map(statement => {
+        const id = statement.id || uuidv4();
+        this.statements.push({ ...statement, id, stored: new Date().toISOString() });
+        return id;
+      });
+
+      if (req.method === 'PUT') {
+        res.writeHead(204);
+        return res.end();
+      }
+
+      this.send(res, 200, ids);
+    });
+  }
+
+  /**
+   * Helper: Send a JSON response
+   */
+  send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': '1.0.3',
+    });
+    res.end(JSON.stringify(body));
+  }
+}
+
+/**
+ * Create a mock LRS instance
+ */
+export function createMockLrs() {
+  return new MockLrs();
+}
+
+export default MockLrs;
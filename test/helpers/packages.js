@@ -0,0 +1,24 @@
+import './storage.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AdmZip from 'adm-zip';
+import config from '../../src/config/config.js';
+import packageHandler from '../../src/services/package-handler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(__dirname, '../fixtures/manifests');
+
+/**
+ * Upload a manifest fixture (as a new package unless options say otherwise) and return the stored package
+ */
+export async function uploadFixture(name, options = {}) {
+  const zip = new AdmZip();
+  zip.addLocalFolder(path.join(FIXTURES, name));
+
+  const zipPath = path.join(config.paths.storage, `${name}.zip`);
+  zip.writeZip(zipPath);
+
+  const { packageId } = await packageHandler.processPackage(zipPath, `${name}.zip`, { newPackage: true, ...options });
+
+  return packageHandler.getPackage(packageId);
+}
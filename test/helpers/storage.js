@@ -0,0 +1,9 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Services open the database and storage directories when imported: import this first so they use a scratch one
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorm-player-test-'));
+process.env.STORAGE_DIR = storageDir;
+
+process.on('exit', () => fs.rmSync(storageDir, { recursive: true, force: true }));
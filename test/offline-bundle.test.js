@@ -0,0 +1,120 @@
+import { uploadFixture } from './helpers/packages.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { createRequire } from 'module';
+import AdmZip from 'adm-zip';
+import offlineBundle from '../src/services/offline-bundle.js';
+import packageHandler from '../src/services/package-handler.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Read a bundle archive into a map of entry names to contents
+ */
+function readBundle(buffer) {
+  return new Map(new AdmZip(buffer).getEntries().map(entry => [entry.entryName, entry.getData()]));
+}
+
+const readJson = (files, name) => JSON.parse(files.get(name).toString('utf8'));
+
+const bundleFor = async (pkg, learner) => readBundle(await packageHandler.createOfflineBundle(pkg.id, { learner }));
+
+describe('Offline bundles', () => {
+  const packages = {};
+
+  before(async () => {
+    packages['1.2'] = await uploadFixture('versioned-scorm12');
+    packages.mastery = await uploadFixture('storyline-scorm12');
+    packages['2004'] = await uploadFixture('sub-manifests-scorm2004');
+    packages.cmi5 = await uploadFixture('cmi5-course');
+  });
+
+  it('bundles the player shell, the installed runtime and the package content', async () => {
+    const files = await bundleFor(packages['1.2'], 'offline-learner');
+
+    assert.deepEqual([...files.keys()].sort(), [
+      'asset-manifest.json', 'bundle.json',
+      'content/imsmanifest.xml', 'content/lesson_a.html', 'content/lesson_b.html',
+      'index.html', 'player.css', 'player.js',
+      'runtime/LICENSE', 'runtime/scorm12.min.js',
+      'sw.js',
+    ]);
+    assert.ok(files.get('runtime/scorm12.min.js').equals(fs.readFileSync(require.resolve('scorm-again/scorm12/min'))));
+
+    // Nothing the shell loads may come from the network
+    for (const name of ['index.html', 'player.js', 'sw.js']) {
+      assert.doesNotMatch(files.get(name).toString('utf8'), /(src|href)=["']?(https?:)?\/\//, name);
+    }
+
+    const bundle = readJson(files, 'bundle.json');
+    assert.deepEqual(
+      [bundle.packageId, bundle.packageVersion, bundle.scormVersion, bundle.learner, bundle.organization],
+      [packages['1.2'].id, 1, '1.2', 'offline-learner', 'Versioned_ORG']
+    );
+    assert.deepEqual(bundle.runtime, {
+      name: 'scorm-again',
+      version: '3.4.3',
+      script: 'runtime/scorm12.min.js',
+      global: 'Scorm12API',
+    });
+    assert.deepEqual(bundle.items.map(({ identifier, launchUrl }) => [identifier, launchUrl]), [
+      ['Lesson_A', 'lesson_a.html'],
+      ['Lesson_B', 'lesson_b.html'],
+    ]);
+    assert.equal(bundle.progressExport.key, offlineBundle.getProgressKey(packages['1.2'].id, 1, 'offline-learner'));
+  });
+
+  it('lists every other bundled file in the asset manifest', async () => {
+    const files = await bundleFor(packages['1.2'], 'offline-learner');
+    const manifest = readJson(files, 'asset-manifest.json');
+
+    const bundled = [...files.keys()].filter(name => name !== 'asset-manifest.json').sort();
+
+    assert.deepEqual(manifest.assets.map(asset => asset.path), bundled);
+
+    for (const asset of manifest.assets) {
+      const content = files.get(asset.path);
+      assert.equal(asset.size, content.length);
+      assert.equal(asset.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+    }
+
+    const bundleHash = crypto.createHash('sha256')
+      .update(manifest.assets.map(asset => `${asset.sha256}  ${asset.path}`).join('\n'))
+      .digest('hex');
+    assert.equal(manifest.bundleHash, bundleHash);
+  });
+
+  it('rebuilds the same archive for a learner and binds anonymous downloads to a new learner', async () => {
+    const { id } = packages['1.2'];
+    const first = await packageHandler.createOfflineBundle(id, { learner: 'repeat-learner' });
+    const second = await packageHandler.createOfflineBundle(id, { learner: 'repeat-learner' });
+
+    assert.ok(first.equals(second));
+
+    const anonymous = [await packageHandler.createOfflineBundle(id), await packageHandler.createOfflineBundle(id)]
+      .map(buffer => readJson(readBundle(buffer), 'bundle.json').learner);
+
+    assert.ok(anonymous.every(learner => learner.startsWith('anonymous-')));
+    assert.notEqual(anonymous[0], anonymous[1]);
+  });
+
+  it('carries the launch values of each item and the SCORM 2004 runtime', async () => {
+    const mastery = readJson(await bundleFor(packages.mastery), 'bundle.json');
+    assert.deepEqual(mastery.items[0].launchCmi, { student_data: { mastery_score: '80' } });
+
+    const files = await bundleFor(packages['2004']);
+    const bundle = readJson(files, 'bundle.json');
+
+    assert.deepEqual([bundle.scormVersion, bundle.runtime.global], ['2004', 'Scorm2004API']);
+    assert.ok(files.has('runtime/scorm2004.min.js'));
+    assert.ok(bundle.items.some(item => item.depth > 0));
+  });
+
+  it('refuses packages the offline player cannot run', async () => {
+    await assert.rejects(packageHandler.createOfflineBundle(packages.cmi5.id), {
+      message: 'Offline bundles are not available for cmi5 packages',
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { uploadFixture } from './helpers/packages.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../src/models/database.js';
+import packageCatalog from '../src/services/package-catalog.js';
+import packageHandler from '../src/services/package-handler.js';
+
+const COURSES = [
+  { title: 'Forklift Safety', description: 'Driving lift trucks', tags: ['warehouse'] },
+  { title: 'Fire Safety', description: 'Extinguishers and evacuation', tags: ['facilities'] },
+  { title: 'First Aid', description: 'Treating injuries', tags: ['health'] },
+  { title: 'Customer Service', description: 'Handling complaints', tags: ['retail'] },
+  { title: 'Safety Drafts', description: 'Unpublished safety material', tags: ['warehouse'], visibility: 'hidden' },
+];
+
+describe('Package catalog', () => {
+  const ids = {};
+
+  before(async () => {
+    for (const course of COURSES) {
+      const { id } = await uploadFixture('content-search-scorm12');
+      packageHandler.updatePackageDetails(id, course);
+      ids[course.title] = id;
+    }
+
+    // Every package shares its upload time, so only the id tells them apart
+    db.prepare('UPDATE packages SET uploaded_at = 1767225600').run();
+  });
+
+  const titles = result => result.packages.map(pkg => pkg.title);
+
+  it('pages through packages with equal sort values without skipping or repeating any', () => {
+    for (const order of ['desc', 'asc']) {
+      const seen = [];
+      let cursor;
+
+      do {
+        const page = packageCatalog.listPackages({ sort: 'uploaded_at', order, limit: '2', ...(cursor && { cursor }) });
+        assert.ok(page.packages.length <= 2);
+        assert.equal(page.total, 4);
+        seen.push(...page.packages.map(pkg => pkg.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      const expected = Object.entries(ids).filter(([title]) => title !== 'Safety Drafts').map(([, id]) => id).sort();
+      assert.deepEqual(seen, order === 'asc' ? expected : expected.reverse());
+    }
+  });
+
+  it('matches every search word as a prefix of a title, description or tag', () => {
+    const search = q => titles(packageCatalog.listPackages({ q, sort: 'title' }));
+
+    assert.deepEqual(search('saf'), ['Fire Safety', 'Forklift Safety']);
+    assert.deepEqual(search('fi saf'), ['Fire Safety']);
+    assert.deepEqual(search('complain'), ['Customer Service']);
+    assert.deepEqual(search('wareh'), ['Forklift Safety']);
+
+    // FTS5 syntax is not passed through: quotes and stars are dropped, operators are plain words
+    assert.deepEqual(search('"first" aid*'), ['First Aid']);
+    assert.deepEqual(search('first OR safety'), []);
+    assert.throws(() => search('*'), { status: 400, message: 'q must contain at least one word' });
+
+    const ranked = packageCatalog.listPackages({ q: 'safety', sort: 'relevance' });
+    assert.deepEqual([...titles(ranked)].sort(), ['Fire Safety', 'Forklift Safety']);
+    assert.equal(ranked.nextCursor, null);
+  });
+
+  it('leaves hidden packages out unless asked for them', () => {
+    const visible = packageCatalog.listPackages({ sort: 'title' });
+    assert.deepEqual(titles(visible), ['Customer Service', 'Fire Safety', 'First Aid', 'Forklift Safety']);
+
+    const all = packageCatalog.listPackages({ sort: 'title', includeHidden: 'true' });
+    assert.deepEqual(titles(all), [...titles(visible), 'Safety Drafts']);
+
+    assert.deepEqual(titles(packageCatalog.listPackages({ tag: 'warehouse' })), ['Forklift Safety']);
+    assert.deepEqual(titles(packageCatalog.listPackages({ q: 'drafts' })), []);
+    assert.deepEqual(titles(packageCatalog.listPackages({ q: 'drafts', includeHidden: 'true' })), ['Safety Drafts']);
+  });
+
+  it('projects fields and rejects invalid parameters', () => {
+    const [pkg] = packageCatalog.listPackages({ fields: 'title,scorm_version', limit: '1' }).packages;
+    assert.deepEqual(Object.keys(pkg), ['id', 'title', 'scorm_version']);
+
+    assert.throws(() => packageCatalog.listPackages({ fields: 'file_path' }), { status: 400 });
+    assert.throws(() => packageCatalog.listPackages({ cursor: 'not-a-cursor' }), { message: 'Invalid cursor' });
+    assert.throws(() => packageCatalog.listPackages({ limit: '0' }), { status: 400 });
+    assert.throws(() => packageCatalog.listPackages({ cursor: 'x', offset: '0' }), { status: 400 });
+  });
+});
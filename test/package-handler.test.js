@@ -0,0 +1,107 @@
+import { uploadFixture } from './helpers/packages.js';
+import { callController } from './helpers/controllers.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import scormController from '../src/controllers/scorm.controller.js';
+import { db } from '../src/models/database.js';
+import packageHandler from '../src/services/package-handler.js';
+import scormApiService from '../src/services/scorm-api.js';
+
+describe('Package versions', () => {
+  it('lists versions without manifest data, paths or validation reports', async () => {
+    const pkg = await uploadFixture('lectora-scorm12');
+    const [version] = packageHandler.getPackageVersions(pkg.id);
+
+    assert.equal(version.version_number, 1);
+    assert.equal(version.current, true);
+    assert.deepEqual(['metadata', 'file_path', 'validation'].filter(key => key in version), []);
+    assert.ok((await packageHandler.getValidationReport(pkg.id)).summary);
+  });
+});
+
+describe('Package versioning', () => {
+  let pkg;
+  let reuploaded;
+  const sessions = {};
+
+  const initialize = async (userId, itemId) => {
+    const { body } = await callController(scormController, 'initializeSession', {
+      params: { packageId: pkg.id },
+      body: { userId, itemId },
+    });
+    return body;
+  };
+
+  before(async () => {
+    pkg = await uploadFixture('versioned-scorm12');
+
+    sessions.suspended = await initialize('pinned-learner', 'Lesson_A');
+    scormApiService.commitSession(sessions.suspended.sessionId, { cmi: { core: { exit: 'suspend' } } });
+
+    reuploaded = await uploadFixture('versioned-scorm12-v2', { newPackage: false });
+  });
+
+  it('stores a re-upload of the same manifest identifier as the next version', () => {
+    assert.equal(reuploaded.id, pkg.id);
+    assert.equal(reuploaded.package_version, 2);
+    const versions = packageHandler.getPackageVersions(pkg.id);
+    assert.deepEqual(versions.map(({ version_number: number, current }) => [number, current]), [[2, true], [1, false]]);
+  });
+
+  it('pins each item to the version its resumable attempt started on', async () => {
+    assert.equal(packageHandler.resolveVersion(pkg.id, 'pinned-learner', 'Lesson_A'), 1);
+    assert.equal(packageHandler.resolveVersion(pkg.id, 'pinned-learner', 'Lesson_B'), 2);
+
+    const resumed = await initialize('pinned-learner', 'Lesson_A');
+    const started = await initialize('pinned-learner', 'Lesson_B');
+
+    assert.deepEqual([resumed.attempt, resumed.entry], [1, 'resume']);
+    assert.equal(scormApiService.getSession(resumed.sessionId).package_version, 1);
+    assert.equal(scormApiService.getSession(started.sessionId).package_version, 2);
+  });
+
+  it('pins a launch without an item by the item the current version launches', () => {
+    assert.equal(packageHandler.resolveVersion(pkg.id, 'pinned-learner'), 1);
+    assert.equal(packageHandler.resolveVersion(pkg.id, 'other-learner'), 2);
+  });
+
+  it('refuses a migration that would orphan sessions, storing nothing', async () => {
+    const orphaned = await initialize('migrating-learner', 'Lesson_B');
+
+    const upload = uploadFixture('versioned-scorm12-v3', { newPackage: false, migrateSessions: true });
+
+    await assert.rejects(upload, (error) => {
+      assert.equal(error.status, 409);
+      assert.deepEqual(error.sessions.find(session => session.sessionId === orphaned.sessionId), {
+        sessionId: orphaned.sessionId,
+        userId: 'migrating-learner',
+        organization: 'Versioned_ORG',
+        itemId: 'Lesson_B',
+        error: 'Item Lesson_B not found in version 3',
+      });
+      return true;
+    });
+
+    assert.equal(packageHandler.getPackageVersions(pkg.id).length, 2);
+  });
+
+  it('moves every session onto a version that has their items', async () => {
+    const migrated = await uploadFixture('versioned-scorm12-v2', { newPackage: false, migrateSessions: true });
+
+    assert.equal(migrated.package_version, 3);
+    assert.equal(scormApiService.getSession(sessions.suspended.sessionId).package_version, 3);
+    assert.equal(packageHandler.resolveVersion(pkg.id, 'pinned-learner', 'Lesson_A'), 3);
+  });
+});
+
+describe('Manifest identifier backfill', () => {
+  it('lets packages uploaded before versioning receive new versions', async () => {
+    const pkg = await uploadFixture('storyline-scorm12');
+    db.prepare('UPDATE packages SET manifest_identifier = NULL WHERE id = ?').run(pkg.id);
+
+    assert.equal(await packageHandler.backfillManifestIdentifiers(), 1);
+
+    const reuploaded = await uploadFixture('storyline-scorm12', { newPackage: false });
+    assert.deepEqual([reuploaded.id, reuploaded.package_version], [pkg.id, 2]);
+  });
+});
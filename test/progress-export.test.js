@@ -0,0 +1,98 @@
+import { uploadFixture } from './helpers/packages.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuidv4 } from 'uuid';
+import offlineBundle from '../src/services/offline-bundle.js';
+import progressExportService from '../src/services/progress-export.js';
+import scormApiService from '../src/services/scorm-api.js';
+
+describe('Progress export import', () => {
+  let pkg;
+
+  before(async () => {
+    pkg = await uploadFixture('versioned-scorm12');
+    await uploadFixture('versioned-scorm12-v2', { newPackage: false });
+  });
+
+  /**
+   * Build the file an offline bundle of the package's first version exports for a learner
+   */
+  const exportFile = (learner) => {
+    const payload = {
+      format: 'scorm-offline-progress',
+      formatVersion: 1,
+      packageId: pkg.id,
+      packageVersion: 1,
+      bundleHash: 'bundle-hash',
+      learner,
+      organization: 'Versioned_ORG',
+      exportedAt: '2026-03-02T10:10:00.000Z',
+      sessions: [{
+        sessionId: uuidv4(),
+        itemId: 'Lesson_A',
+        startedAt: '2026-03-02T10:00:00.000Z',
+        updatedAt: '2026-03-02T10:05:00.000Z',
+        completed: true,
+        totalTime: '0000:05:00.00',
+        cmi: {
+          core: { lesson_status: 'completed', entry: 'ab-initio', session_time: '0000:05:00.00' },
+          suspend_data: 'page=3',
+        },
+      }],
+    };
+
+    const key = offlineBundle.getProgressKey(pkg.id, 1, learner);
+    return { payload, signature: { algorithm: 'HMAC-SHA256', value: progressExportService.sign(payload, key) } };
+  };
+
+  it('imports the sessions of a signed export once', () => {
+    const file = exportFile('export-learner');
+    const [{ sessionId }] = file.payload.sessions;
+
+    const result = progressExportService.importFile(file, { userId: 'export-learner' });
+
+    assert.deepEqual([result.packageVersion, result.userId], [1, 'export-learner']);
+    assert.deepEqual([result.imported, result.skipped], [1, 0]);
+    assert.deepEqual(result.sessions, [{ sessionId, itemId: 'Lesson_A', status: 'created' }]);
+
+    const session = scormApiService.getSession(sessionId);
+    assert.deepEqual([session.user_id, session.package_version], ['export-learner', 1]);
+
+    const { cmi } = scormApiService.getCmiData(sessionId);
+    assert.equal(cmi.core.lesson_status, 'completed');
+    assert.equal(cmi.suspend_data, 'page=3');
+
+    const again = progressExportService.importFile(file);
+    assert.deepEqual([again.imported, again.skipped], [0, 1]);
+  });
+
+  it('rejects an export edited after it was signed', () => {
+    const file = exportFile('tampering-learner');
+    file.payload.sessions[0].cmi.core.lesson_status = 'passed';
+
+    assert.throws(() => progressExportService.importFile(file), { status: 400, message: 'Invalid export signature' });
+    assert.deepEqual(scormApiService.getSessionsByUser('tampering-learner'), []);
+  });
+
+  it('rejects an export for another learner or package version', () => {
+    const file = exportFile('bound-learner');
+    const rebound = changes => ({ ...file, payload: { ...file.payload, ...changes } });
+    const invalidSignature = { status: 400, message: 'Invalid export signature' };
+
+    assert.throws(() => progressExportService.importFile(file, { userId: 'other-learner' }), {
+      status: 400,
+      message: 'Export belongs to a different learner',
+    });
+
+    // The key is derived from the learner and the version, so rebinding the payload breaks the signature
+    assert.throws(() => progressExportService.importFile(rebound({ learner: 'other-learner' })), invalidSignature);
+    assert.throws(() => progressExportService.importFile(rebound({ packageVersion: 2 })), invalidSignature);
+    assert.throws(() => progressExportService.importFile(rebound({ packageVersion: 9 })), {
+      status: 404,
+      message: 'Package version not found',
+    });
+
+    assert.deepEqual(scormApiService.getSessionsByUser('bound-learner'), []);
+    assert.deepEqual(scormApiService.getSessionsByUser('other-learner'), []);
+  });
+});
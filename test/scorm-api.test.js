@@ -0,0 +1,249 @@
+import { uploadFixture } from './helpers/packages.js';
+import { callController } from './helpers/controllers.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import scormController from '../src/controllers/scorm.controller.js';
+import scormApiService from '../src/services/scorm-api.js';
+import sequencingEngine from '../src/services/sequencing-engine.js';
+
+describe('Batched SCORM API calls', () => {
+  const packages = {};
+
+  before(async () => {
+    packages['2004'] = await uploadFixture('storyline-scorm2004-4th');
+    packages['1.2'] = await uploadFixture('storyline-scorm12');
+  });
+
+  const initialize = async (version, userId) => {
+    const { body } = await callController(scormController, 'initializeSession', {
+      params: { packageId: packages[version].id },
+      body: { userId },
+    });
+    return body.sessionId;
+  };
+
+  const run = async (version, sessionId, calls) => {
+    const { status, body } = await callController(scormController, 'runApiCalls', {
+      params: { packageId: packages[version].id },
+      body: { sessionId, calls },
+    });
+    return status === 200 ? body : { status, ...body };
+  };
+
+  const codes = ({ results }) => results.map(({ method, errorCode }) => [method, errorCode]);
+
+  it('fails calls before Initialize and a second Initialize', async () => {
+    const sessionId = await initialize('2004', 'rpc-before');
+    const batch = await run('2004', sessionId, [
+      { method: 'GetValue', params: ['cmi.location'] },
+      { method: 'SetValue', params: ['cmi.location', 'p1'] },
+      { method: 'Commit', params: [''] },
+      { method: 'Initialize', params: [''] },
+      { method: 'Initialize', params: [''] },
+    ]);
+
+    assert.equal(batch.state, 'running');
+    assert.deepEqual(codes(batch), [
+      ['GetValue', 122], ['SetValue', 132], ['Commit', 142], ['Initialize', 0], ['Initialize', 103],
+    ]);
+    assert.equal(batch.results[4].result, 'false');
+    assert.equal(batch.results[4].errorString, 'Already Initialized');
+  });
+
+  it('keeps the last error and diagnostic between batches', async () => {
+    const sessionId = await initialize('2004', 'rpc-error');
+    await run('2004', sessionId, [
+      { method: 'Initialize', params: [''] },
+      { method: 'SetValue', params: ['cmi.score.scaled', '2'] },
+    ]);
+
+    const batch = await run('2004', sessionId, [
+      { method: 'GetLastError' },
+      { method: 'GetDiagnostic', params: [''] },
+      { method: 'GetErrorString', params: ['407'] },
+      { method: 'SetValue', params: ['cmi.location', 'p2'] },
+      { method: 'GetLastError' },
+    ]);
+
+    assert.deepEqual(batch.results.map(({ result }) => result), [
+      '407', 'cmi.score.scaled must be between -1 and 1', 'Data Model Element Value Out Of Range', 'true', '0',
+    ]);
+  });
+
+  it('fails calls after Terminate', async () => {
+    const sessionId = await initialize('2004', 'rpc-after');
+    const terminated = await run('2004', sessionId, [
+      { method: 'Initialize', params: [''] },
+      { method: 'SetValue', params: ['cmi.location', 'p3'] },
+      { method: 'Terminate', params: [''] },
+    ]);
+    assert.equal(terminated.state, 'terminated');
+
+    const batch = await run('2004', sessionId, [
+      { method: 'GetValue', params: ['cmi.location'] },
+      { method: 'SetValue', params: ['cmi.location', 'p4'] },
+      { method: 'Commit', params: [''] },
+      { method: 'Terminate', params: [''] },
+      { method: 'Initialize', params: [''] },
+      { method: 'GetLastError' },
+    ]);
+
+    assert.deepEqual(codes(batch), [
+      ['GetValue', 123], ['SetValue', 133], ['Commit', 143], ['Terminate', 113], ['Initialize', 104],
+      ['GetLastError', 104],
+    ]);
+    assert.equal(batch.results[0].result, '');
+  });
+
+  it('uses the SCORM 1.2 error codes and method names', async () => {
+    const sessionId = await initialize('1.2', 'rpc-12');
+    const batch = await run('1.2', sessionId, [
+      { method: 'LMSGetValue', params: ['cmi.core.lesson_location'] },
+      { method: 'LMSInitialize', params: [''] },
+      { method: 'LMSInitialize', params: [''] },
+      { method: 'LMSFinish', params: [''] },
+      { method: 'LMSSetValue', params: ['cmi.core.lesson_location', 'p1'] },
+    ]);
+
+    assert.deepEqual(codes(batch), [
+      ['LMSGetValue', 301], ['LMSInitialize', 0], ['LMSInitialize', 101], ['LMSFinish', 0], ['LMSSetValue', 101],
+    ]);
+  });
+
+  it('refuses batches with unknown methods without running any call', async () => {
+    const sessionId = await initialize('2004', 'rpc-unknown');
+    const refused = await run('2004', sessionId, [
+      { method: 'Initialize', params: [''] },
+      { method: 'LMSLaunch', params: [''] },
+      { method: 'GetValue', params: 'cmi.location' },
+    ]);
+
+    assert.equal(refused.status, 400);
+    assert.equal(refused.errors.length, 2);
+    assert.match(refused.errors[0], /^calls\[1\]\.method must be one of/);
+    assert.equal(refused.errors[1], 'calls[2].params must be an array');
+
+    const batch = await run('2004', sessionId, [{ method: 'GetValue', params: ['cmi.location'] }]);
+    assert.equal(batch.results[0].errorCode, 122);
+  });
+});
+
+describe('Attempts', () => {
+  let pkg;
+
+  before(async () => {
+    pkg = await uploadFixture('storyline-scorm2004-4th');
+  });
+
+  const start = (userId, options) => scormApiService.startAttempt(
+    pkg.id, userId, 'Customer_Service_SCO', pkg.package_version, 'Customer_Service_ORG', options
+  );
+  const commit = (sessionId, cmi) => scormApiService.commitSession(sessionId, { cmi });
+  const stored = sessionId => scormApiService.getCmiData(sessionId).cmi;
+
+  it('resumes a suspended attempt with its location and suspend data', () => {
+    const first = start('attempt-suspend');
+    assert.deepEqual([first.attempt, first.entry, first.resumed], [1, 'ab-initio', false]);
+    commit(first.sessionId, { location: 'p3', suspend_data: 'abc', session_time: 'PT1M', exit: 'suspend' });
+
+    const next = start('attempt-suspend');
+    assert.deepEqual([next.attempt, next.entry, next.resumed], [1, 'resume', true]);
+
+    const cmi = stored(next.sessionId);
+    assert.equal(cmi.location, 'p3');
+    assert.equal(cmi.suspend_data, 'abc');
+    assert.equal(cmi.total_time, 'PT0H1M0S');
+    assert.equal(cmi.exit, undefined);
+  });
+
+  it('continues an attempt left without an exit with an empty entry', () => {
+    const first = start('attempt-continue');
+    commit(first.sessionId, { location: 'p5' });
+
+    const next = start('attempt-continue');
+    assert.deepEqual([next.attempt, next.entry, next.resumed], [1, '', true]);
+    assert.equal(stored(next.sessionId).location, 'p5');
+  });
+
+  it('starts a new attempt after completion, a normal exit or when asked to', () => {
+    const first = start('attempt-new');
+    commit(first.sessionId, { completion_status: 'completed', location: 'end', exit: 'suspend' });
+
+    const second = start('attempt-new');
+    assert.deepEqual([second.attempt, second.entry, second.resumed], [2, 'ab-initio', false]);
+    assert.equal(stored(second.sessionId).location, undefined);
+    commit(second.sessionId, { exit: 'normal' });
+
+    const third = start('attempt-new');
+    assert.equal(third.attempt, 3);
+    commit(third.sessionId, { exit: 'suspend' });
+
+    const fourth = start('attempt-new', { newAttempt: true });
+    assert.deepEqual([fourth.attempt, fourth.entry], [4, 'ab-initio']);
+  });
+
+  it('lists the attempts of a learner with their sessions', () => {
+    const first = start('attempt-history');
+    commit(first.sessionId, { session_time: 'PT1M', exit: 'suspend' });
+    const resumed = start('attempt-history');
+    commit(resumed.sessionId, { completion_status: 'completed', session_time: 'PT2M' });
+    start('attempt-history');
+
+    const history = scormApiService.getAttemptHistory('attempt-history', { packageId: pkg.id });
+
+    const summary = ({ attempt, status, totalTime, sessions }) => [attempt, status, totalTime, sessions.length];
+    assert.deepEqual(history.map(summary), [
+      [1, 'completed', 'PT0H3M0S', 2],
+      [2, 'incomplete', 'PT0H0M0S', 1],
+    ]);
+    assert.deepEqual(history[0].sessions.map(session => session.sessionId), [first.sessionId, resumed.sessionId]);
+  });
+});
+
+describe('Sequencing of commits and terminates', () => {
+  const packages = {};
+
+  before(async () => {
+    packages['2004'] = await uploadFixture('storyline-scorm2004-4th');
+    packages['1.2'] = await uploadFixture('storyline-scorm12');
+  });
+
+  const call = (version, method, body) => callController(scormController, method, {
+    params: { packageId: packages[version].id },
+    body,
+  });
+
+  it('leaves SCORM 1.2 sessions out of sequencing', async (t) => {
+    const report = t.mock.method(sequencingEngine, 'reportRuntimeData');
+    const navigate = t.mock.method(sequencingEngine, 'navigate');
+    const { body: { sessionId } } = await call('1.2', 'initializeSession', { userId: 'sequencing-12' });
+
+    const commit = await call('1.2', 'commit', { sessionId, data: { cmi: { core: { lesson_location: 'p1' } } } });
+    const terminate = await call('1.2', 'terminateSession', { sessionId, data: {} });
+
+    assert.deepEqual([commit.status, commit.body.success], [200, true]);
+    assert.deepEqual([terminate.status, terminate.body.navigation], [200, null]);
+    assert.deepEqual([report.mock.callCount(), navigate.mock.callCount()], [0, 0]);
+  });
+
+  it('keeps a successful commit and terminate when sequencing fails', async (t) => {
+    const fail = () => {
+      throw new Error('Package has no organization to sequence');
+    };
+    t.mock.method(sequencingEngine, 'reportRuntimeData', fail);
+    t.mock.method(sequencingEngine, 'navigate', fail);
+    const { body: { sessionId } } = await call('2004', 'initializeSession', { userId: 'sequencing-error' });
+
+    const commit = await call('2004', 'commit', { sessionId, data: { cmi: { location: 'p2' } } });
+    assert.deepEqual([commit.status, commit.body.success], [200, true]);
+
+    const terminate = await call('2004', 'terminateSession', { sessionId, data: {} });
+    assert.equal(terminate.status, 200);
+    assert.deepEqual(terminate.body.navigation, {
+      request: '_none_',
+      action: 'exit',
+      error: 'Package has no organization to sequence',
+    });
+    assert.equal(scormApiService.getCmiData(sessionId).cmi.location, 'p2');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { createRequire } from 'module';
+import contentController from '../src/controllers/content.controller.js';
+
+const require = createRequire(import.meta.url);
+const PLAYER_ORIGIN = 'https://player.test';
+
+/**
+ * Run the cross-frame client the bridge page serves against a fake window and return its constructor
+ */
+function loadCrossFrameApi() {
+  const listeners = [];
+  const context = vm.createContext({
+    console, setTimeout, clearTimeout, setInterval, clearInterval,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+  });
+  context.window = context;
+  vm.runInContext(fs.readFileSync(require.resolve('scorm-again/cross-frame-api/min'), 'utf8'), context);
+  return { CrossFrameAPI: context.CrossFrameAPI, dispatch: event => listeners.forEach(listener => listener(event)) };
+}
+
+/**
+ * Call a content controller method with a response that records headers and the sent body
+ */
+async function serve(method, file) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+  };
+  await contentController[method]({ params: { file } }, res);
+  return res;
+}
+
+describe('SCORM API bridge', () => {
+  // bridge.js preloads the cache through CrossFrameAPI internals, which only this release is checked against
+  it('pins the scorm-again release the bridge was written against', () => {
+    const { dependencies } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+    assert.equal(dependencies['scorm-again'], '3.4.3');
+    const installed = path.join(path.dirname(require.resolve('scorm-again/cross-frame-api/min')), '../package.json');
+    assert.equal(JSON.parse(fs.readFileSync(installed, 'utf8')).version, '3.4.3');
+  });
+
+  it('preloads CMI data through the CrossFrameAPI internals the bridge uses', async () => {
+    const { CrossFrameAPI, dispatch } = loadCrossFrameApi();
+    const messages = [];
+    const player = { postMessage: (message, origin) => messages.push({ message, origin }) };
+    const api = new CrossFrameAPI(PLAYER_ORIGIN, player);
+
+    try {
+      const preload = api._post('getFlattenedCMI', []);
+      assert.equal(messages.length, 1);
+      assert.equal(messages[0].origin, PLAYER_ORIGIN);
+      assert.equal(messages[0].message.method, 'getFlattenedCMI');
+
+      const values = { 'cmi.core.student_name': 'Doe, Jane' };
+      const { messageId } = messages[0].message;
+      dispatch({ origin: PLAYER_ORIGIN, source: player, data: { messageId, result: values } });
+      assert.deepEqual({ ...await preload }, values);
+
+      // The client runs in its own realm, so its Map is not this realm's
+      assert.equal(Object.prototype.toString.call(api._cache), '[object Map]');
+      api._cache.set('cmi.core.student_name', values['cmi.core.student_name']);
+      assert.equal(api.LMSGetValue('cmi.core.student_name'), 'Doe, Jane');
+    } finally {
+      api.destroy();
+    }
+  });
+
+  it('serves the installed runtime to the player pages', async () => {
+    const runtime = await serve('serveRuntimeFile', 'cross-frame-lms.min.js');
+
+    assert.equal(runtime.statusCode, 200);
+    assert.equal(runtime.headers['content-type'], 'text/javascript; charset=utf-8');
+    assert.equal(runtime.body, fs.readFileSync(require.resolve('scorm-again/cross-frame-lms/min'), 'utf8'));
+
+    assert.equal((await serve('serveRuntimeFile', '../package.json')).statusCode, 404);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import scormParser from '../src/services/scorm-parser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(__dirname, 'fixtures/manifests');
+
+const parseFixture = (name) => scormParser.parseManifest(path.join(FIXTURES, name));
+
+describe('ScormParser', () => {
+  describe('Storyline SCORM 1.2', () => {
+    it('detects the version and resolves the launch', async () => {
+      const data = await parseFixture('storyline-scorm12');
+
+      assert.equal(data.version, '1.2');
+      assert.equal(data.title, 'Workplace Safety');
+      assert.deepEqual(data.launchData, {
+        identifier: 'Workplace_Safety_SCO',
+        resource: 'Workplace_Safety_RES',
+        launchUrl: 'index_lms.html',
+        parameters: undefined,
+        scormType: 'sco',
+      });
+    });
+
+    it('reads adlcp item elements and IMS metadata', async () => {
+      const data = await parseFixture('storyline-scorm12');
+
+      assert.equal(data.organizations[0].items[0].masteryscore, '80');
+      assert.equal(data.metadata.general.title, 'Workplace Safety');
+      assert.equal(data.metadata.general.description, 'Storyline course published for SCORM 1.2');
+      assert.deepEqual(data.resources[0].files, ['index_lms.html', 'story.html', 'lms/scormdriver.js']);
+    });
+  });
+
+  describe('Storyline SCORM 2004 4th Edition', () => {
+    it('detects the edition and reads adlcp:scormType', async () => {
+      const data = await parseFixture('storyline-scorm2004-4th');
+
+      assert.equal(data.version, '2004 4th Edition');
+      assert.equal(data.launchData.launchUrl, 'index_lms.html');
+      assert.equal(data.launchData.scormType, 'sco');
+      assert.equal(data.metadata.general.title, 'Customer Service Basics');
+    });
+
+    it('reads organization and item sequencing', async () => {
+      const data = await parseFixture('storyline-scorm2004-4th');
+      const [organization] = data.organizations;
+
+      assert.equal(organization.sequencing.controlMode.flow, true);
+      assert.equal(organization.items[0].sequencing.deliveryControls.completionSetByContent, true);
+      assert.equal(data.sequencing.controlMode.flow, true);
+    });
+  });
+
+  describe('Captivate SCORM 2004 3rd Edition', () => {
+    it('detects the edition and resolves the launch', async () => {
+      const data = await parseFixture('captivate-scorm2004-3rd');
+
+      assert.equal(data.version, '2004 3rd Edition');
+      assert.equal(data.launchData.launchUrl, 'index_scorm.html');
+      assert.equal(data.launchData.scormType, 'sco');
+    });
+
+    it('reads objectives and hidden navigation controls', async () => {
+      const data = await parseFixture('captivate-scorm2004-3rd');
+      const [item] = data.organizations[0].items;
+      const [objective] = item.sequencing.objectives;
+
+      assert.equal(objective.objectiveID, 'PRIMARYOBJ');
+      assert.equal(objective.primary, true);
+      assert.equal(objective.minNormalizedMeasure, 0.8);
+      assert.deepEqual(item.hideLMSUI, ['continue', 'previous']);
+    });
+  });
+
+  describe('iSpring SCORM 2004', () => {
+    it('detects SCORM 2004 from the adlcp namespace without a schemaversion', async () => {
+      const data = await parseFixture('ispring-scorm2004');
+
+      assert.equal(data.version, '2004');
+      assert.equal(data.launchData.launchUrl, 'res/index.html');
+      assert.equal(data.launchData.scormType, 'sco');
+    });
+
+    it('reads sequencing declared with a default imsss namespace', async () => {
+      const data = await parseFixture('ispring-scorm2004');
+      const [item] = data.organizations[0].items;
+
+      assert.equal(item.sequencing.controlMode.choiceExit, false);
+      assert.equal(item.sequencing.controlMode.flow, true);
+      assert.equal(item.sequencing.limitConditions.attemptLimit, 2);
+    });
+  });
+
+  describe('Lectora SCORM 1.2 in a subfolder', () => {
+    it('detects SCORM 1.2 from an adlcp namespace under another prefix', async () => {
+      const data = await parseFixture('lectora-scorm12');
+
+      assert.equal(data.version, '1.2');
+      assert.equal(data.title, 'Compliance Training');
+    });
+
+    it('resolves hrefs against the manifest folder and xml:base', async () => {
+      const data = await parseFixture('lectora-scorm12');
+
+      assert.equal(data.launchData.launchUrl, 'course/html/a001index.html');
+      assert.equal(data.launchData.parameters, '?chapter=1');
+      assert.deepEqual(data.resources[0].files, ['course/html/a001index.html', 'course/html/trivantis.js']);
+      assert.equal(data.resources[1].scormType, 'sco');
+    });
+
+    it('reads adlcp item elements under another prefix', async () => {
+      const data = await parseFixture('lectora-scorm12');
+      const [first, second] = data.organizations[0].items;
+
+      assert.equal(first.maxtimeallowed, '00:30:00');
+      assert.equal(first.timelimitaction, 'continue,no message');
+      assert.equal(first.datafromlms, 'chapter1');
+      assert.equal(second.prerequisites._, 'Lectora_ITEM1');
+    });
+
+    it('applies item parameters and keeps the runtime values in the activity tree', async () => {
+      const data = await parseFixture('lectora-scorm12');
+      const [first] = scormParser.buildActivityTree(data.organizations[0], data.resources);
+
+      assert.equal(first.launchUrl, 'course/html/a001index.html?chapter=1');
+      assert.equal(first.datafromlms, 'chapter1');
+      assert.equal(first.maxtimeallowed, '00:30:00');
+      assert.equal(first.timelimitaction, 'continue,no message');
+    });
+  });
+
+  describe('Custom namespace prefixes', () => {
+    it('resolves a prefixed IMS CP manifest by namespace', async () => {
+      const data = await parseFixture('custom-prefixes-scorm2004');
+
+      assert.equal(data.version, '2004');
+      assert.equal(data.title, 'Prefixed Course');
+      assert.equal(data.manifestIdentifier, 'Prefixed_Course');
+      assert.deepEqual(data.resources.map(resource => resource.scormType), ['asset', 'sco']);
+    });
+
+    it('launches the first item and reads sequencing under other prefixes', async () => {
+      const data = await parseFixture('custom-prefixes-scorm2004');
+      const [organization] = data.organizations;
+      const lesson = organization.items[1];
+
+      assert.equal(data.launchData.launchUrl, 'intro.html');
+      assert.equal(organization.sequencing.controlMode.choice, false);
+      assert.equal(lesson.sequencing.limitConditions.attemptLimit, 3);
+      assert.equal(lesson.sequencing.deliveryControls.completionSetByContent, true);
+      assert.deepEqual(lesson.hideLMSUI, ['exitAll']);
+    });
+  });
+
+  describe('Undeclared prefixes', () => {
+    it('falls back to the prefixes as written', async () => {
+      const data = await parseFixture('undeclared-prefix-scorm12');
+
+      assert.equal(data.version, '1.2');
+      assert.equal(data.launchData.launchUrl, 'start.htm');
+      assert.equal(data.launchData.scormType, 'sco');
+      assert.equal(data.organizations[0].items[0].masteryscore, '70');
+    });
+  });
+
+  describe('Launch parameters', () => {
+    it('merges parameters into the href query following the CAM rules', () => {
+      assert.equal(scormParser.buildLaunchUrl('index.html', '?lesson=2'), 'index.html?lesson=2');
+      assert.equal(scormParser.buildLaunchUrl('index.html?lang=en', '&lesson=2'), 'index.html?lang=en&lesson=2');
+      assert.equal(scormParser.buildLaunchUrl('index.html#intro', 'lesson=2'), 'index.html?lesson=2#intro');
+      assert.equal(scormParser.buildLaunchUrl('index.html', undefined), 'index.html');
+    });
+
+    it('adds a fragment only when the href has none', () => {
+      assert.equal(scormParser.buildLaunchUrl('index.html', '#page3'), 'index.html#page3');
+      assert.equal(scormParser.buildLaunchUrl('index.html#intro', '#page3'), 'index.html#intro');
+    });
+  });
+
+  describe('Sub-manifests', () => {
+    it('aggregates the default organization of a referenced sub-manifest', async () => {
+      const data = await parseFixture('sub-manifests-scorm2004');
+      const [moduleA, wrapUp] = data.organizations[0].items;
+
+      assert.equal(moduleA.subManifest, 'Module_A_Manifest');
+      assert.equal(moduleA.identifierref, undefined);
+      assert.deepEqual(moduleA.children.map(child => child.identifier), ['Module_A_Lesson']);
+      assert.equal(wrapUp.identifierref, 'Wrap_Up_RES');
+    });
+
+    it('resolves sub-manifest resources through the inherited xml:base', async () => {
+      const data = await parseFixture('sub-manifests-scorm2004');
+      const resources = Object.fromEntries(data.resources.map(resource => [resource.identifier, resource]));
+
+      assert.equal(data.launchData.launchUrl, 'modules/a/lesson1.html');
+      assert.equal(resources.Wrap_Up_RES.href, 'modules/wrapup/index.html');
+      assert.deepEqual(resources.Module_A_RES.files, ['modules/a/lesson1.html', 'shared/styles.css']);
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addSessionTime, toSeconds } from '../src/utils/scorm-time.js';
+
+describe('SCORM time', () => {
+  it('reads SCORM 1.2 timespans and SCORM 2004 durations', () => {
+    assert.equal(toSeconds('0001:02:03.5'), 3723.5);
+    assert.equal(toSeconds('PT1H2M3.5S'), 3723.5);
+    assert.equal(toSeconds('P1DT1S'), 86401);
+    assert.equal(toSeconds(undefined), 0);
+  });
+
+  it('adds a session time to the total in the format of the SCORM version', () => {
+    assert.equal(addSessionTime('0000:00:30', '0000:01:00.5', '1.2'), '0000:01:30.50');
+    assert.equal(addSessionTime('PT1M5S', 'PT59M', '2004 4th Edition'), 'PT1H0M5S');
+    assert.equal(addSessionTime(undefined, undefined, '1.2'), '0000:00:00');
+  });
+});
@@ -0,0 +1,140 @@
+import { uploadFixture } from './helpers/packages.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sequencingEngine from '../src/services/sequencing-engine.js';
+
+describe('SequencingEngine', () => {
+  let pkg;
+
+  before(async () => {
+    pkg = await uploadFixture('sequencing-scorm2004');
+  });
+
+  const organization = identifier => ({ ...pkg, organization_id: identifier });
+  const activity = (delivered, userId, id) => sequencingEngine.getStatus(delivered, userId).activities
+    .find(a => a.identifier === id);
+
+  describe('pre-condition rules', () => {
+    it('skips activities in flow and disables them until a global objective is satisfied', () => {
+      const delivered = organization('PRE');
+
+      assert.equal(sequencingEngine.navigate(delivered, 'pre-failed', 'start').itemId, 'P1');
+      sequencingEngine.reportRuntimeData(delivered, 'pre-failed', 'P1', { success_status: 'failed' });
+      assert.equal(sequencingEngine.navigate(delivered, 'pre-failed', 'continue').itemId, 'P3');
+      assert.match(sequencingEngine.navigate(delivered, 'pre-failed', 'continue').error, /P4 is disabled/);
+
+      sequencingEngine.navigate(delivered, 'pre-passed', 'start');
+      sequencingEngine.reportRuntimeData(delivered, 'pre-passed', 'P1', { success_status: 'passed' });
+      assert.equal(sequencingEngine.navigate(delivered, 'pre-passed', 'choice', 'P4').itemId, 'P4');
+    });
+
+    it('refuses choice of activities hidden from choice', () => {
+      const delivered = organization('PRE');
+
+      sequencingEngine.navigate(delivered, 'pre-hidden', 'start');
+
+      assert.match(sequencingEngine.navigate(delivered, 'pre-hidden', 'choice', 'P3').error, /hidden from choice/);
+      assert.equal(sequencingEngine.getRequestValid(delivered, 'pre-hidden', 'P1').choice.P3, 'false');
+    });
+  });
+
+  describe('exit and post condition rules', () => {
+    it('retries an activity whose post condition asks for it', () => {
+      const delivered = organization('POST');
+
+      sequencingEngine.navigate(delivered, 'post-retry', 'start');
+      sequencingEngine.reportRuntimeData(delivered, 'post-retry', 'Q1', { success_status: 'failed' });
+      const result = sequencingEngine.navigate(delivered, 'post-retry', 'continue');
+
+      assert.equal(result.itemId, 'Q1');
+      assert.equal(activity(delivered, 'post-retry', 'Q1').attemptCount, 2);
+    });
+
+    it('exits the cluster whose exit condition holds', () => {
+      const delivered = organization('POST');
+
+      sequencingEngine.navigate(delivered, 'post-exit', 'start');
+      sequencingEngine.reportRuntimeData(delivered, 'post-exit', 'Q1', { success_status: 'passed' });
+
+      assert.equal(sequencingEngine.navigate(delivered, 'post-exit', 'continue').itemId, 'R1');
+      assert.equal(activity(delivered, 'post-exit', 'C1').successStatus, 'passed');
+    });
+
+    it('runs the termination rules of the current activity on choice', () => {
+      const delivered = organization('POST');
+
+      sequencingEngine.navigate(delivered, 'choice-retry', 'start');
+      sequencingEngine.reportRuntimeData(delivered, 'choice-retry', 'Q1', { success_status: 'failed' });
+      assert.equal(sequencingEngine.navigate(delivered, 'choice-retry', 'choice', 'R1').itemId, 'Q1');
+
+      sequencingEngine.navigate(delivered, 'choice-exit', 'start');
+      sequencingEngine.reportRuntimeData(delivered, 'choice-exit', 'Q1', { success_status: 'passed' });
+      assert.equal(sequencingEngine.navigate(delivered, 'choice-exit', 'choice', 'Q2').itemId, 'Q2');
+      assert.equal(activity(delivered, 'choice-exit', 'C1').attemptCount, 2);
+    });
+  });
+
+  describe('control modes and limit conditions', () => {
+    it('allows only forward flow when choice is off', () => {
+      const delivered = organization('FLOW');
+
+      assert.equal(sequencingEngine.navigate(delivered, 'flow', 'start').itemId, 'F1');
+      assert.match(sequencingEngine.navigate(delivered, 'flow', 'choice', 'F2').error, /Choice navigation/);
+      assert.equal(sequencingEngine.navigate(delivered, 'flow', 'continue').itemId, 'F2');
+      assert.match(sequencingEngine.navigate(delivered, 'flow', 'previous').error, /Backward navigation/);
+      assert.equal(sequencingEngine.navigate(delivered, 'flow', 'continue').action, 'end');
+    });
+
+    it('blocks activities whose attempt limit is reached', () => {
+      const delivered = organization('FLOW');
+
+      sequencingEngine.navigate(delivered, 'limit', 'start');
+      sequencingEngine.navigate(delivered, 'limit', 'continue');
+      sequencingEngine.navigate(delivered, 'limit', 'exitAll');
+
+      assert.equal(sequencingEngine.navigate(delivered, 'limit', 'start').itemId, 'F1');
+      assert.match(sequencingEngine.navigate(delivered, 'limit', 'continue').error, /F2 .*attempt limit/);
+    });
+  });
+
+  describe('rollup', () => {
+    it('rolls up satisfaction by rule, measures by weight and completion of all children', () => {
+      const delivered = organization('ROLLUP');
+      const report = (itemId, cmi) => sequencingEngine.reportRuntimeData(delivered, 'rollup', itemId, cmi);
+
+      report('U1', { completion_status: 'completed', success_status: 'passed', score: { scaled: '0.8' } });
+      report('U3', { completion_status: 'completed', success_status: 'failed', score: { scaled: '0.1' } });
+
+      // Children without a measure count towards the total weight
+      let root = activity(delivered, 'rollup', 'ROLLUP');
+      assert.equal(root.successStatus, 'unknown');
+      assert.equal(root.normalizedMeasure, 0.4);
+      assert.equal(root.completionStatus, 'unknown');
+
+      report('U2', { completion_status: 'completed', success_status: 'passed', score: { scaled: '0.4' } });
+
+      root = activity(delivered, 'rollup', 'ROLLUP');
+      assert.equal(root.successStatus, 'passed');
+      assert.equal(root.normalizedMeasure.toFixed(2), '0.60');
+      assert.equal(root.completionStatus, 'completed');
+    });
+
+    it('keeps the default rule of an action without a custom rule of its own', () => {
+      const failed = organization('ROLLUP');
+      for (const itemId of ['U1', 'U2', 'U3']) {
+        sequencingEngine.reportRuntimeData(failed, 'rollup-failed', itemId, { success_status: 'failed' });
+      }
+      assert.equal(activity(failed, 'rollup-failed', 'ROLLUP').successStatus, 'failed');
+
+      const delivered = organization('PROGRESS');
+      const report = (itemId, cmi) => sequencingEngine.reportRuntimeData(delivered, 'rollup-progress', itemId, cmi);
+
+      report('V1', { completion_status: 'incomplete' });
+      report('V2', { completion_status: 'incomplete' });
+      assert.equal(activity(delivered, 'rollup-progress', 'PROGRESS').completionStatus, 'incomplete');
+
+      report('V2', { completion_status: 'completed' });
+      assert.equal(activity(delivered, 'rollup-progress', 'PROGRESS').completionStatus, 'completed');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import './helpers/storage.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import xapiRoutes from '../src/routes/xapi.routes.js';
+import xapiLrs from '../src/services/xapi-lrs.js';
+
+const VERB_BASE = 'http://adlnet.gov/expapi/verbs/';
+const ACTIVITY_BASE = 'https://example.com/activities/';
+const LEARNER = { objectType: 'Agent', mbox: 'mailto:learner@example.com' };
+
+const statement = (activity, verb = 'experienced', extra = {}) => ({
+  actor: LEARNER,
+  verb: { id: `${VERB_BASE}${verb}` },
+  object: { objectType: 'Activity', id: `${ACTIVITY_BASE}${activity}` },
+  ...extra,
+});
+
+describe('xAPI LRS', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/xapi', xapiRoutes);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * Call the LRS with the version header (and a JSON body when one is given)
+   */
+  const request = (path, { method = 'GET', body, headers = {} } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'X-Experience-API-Version': '1.0.3',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const query = params => new URLSearchParams(params).toString();
+
+  describe('Statements', () => {
+    it('rejects statements that do not match the data model', async () => {
+      const invalid = [
+        [{ ...statement('invalid'), id: 'not-a-uuid' }, 'Statement id must be a UUID'],
+        [{ ...statement('invalid'), verb: { id: 'experienced' } }, 'Statement verb must have an IRI id'],
+        [{ ...statement('invalid'), score: 1 }, 'Unknown statement property: score'],
+        [{ ...statement('invalid'), actor: { ...LEARNER, openid: 'https://example.com/learner' } },
+          'Agents must have exactly one inverse functional identifier'],
+        [statement('invalid', 'voided'), 'Voiding statements must target a StatementRef'],
+      ];
+
+      for (const [body, error] of invalid) {
+        const response = await request('/xapi/statements', { method: 'POST', body });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error, error);
+      }
+
+      const missingVersion = await fetch(`${baseUrl}/xapi/statements`);
+      assert.equal(missingVersion.status, 400);
+    });
+
+    it('stores statements, accepts identical resends and rejects conflicting ones', async () => {
+      const id = uuidv4();
+      const original = { ...statement('conflict'), id };
+
+      const stored = await request('/xapi/statements', { method: 'POST', body: [original] });
+      assert.deepEqual(await stored.json(), [id]);
+
+      const resent = await request(`/xapi/statements?${query({ statementId: id })}`, { method: 'PUT', body: original });
+      assert.equal(resent.status, 204);
+
+      const conflict = await request(`/xapi/statements?${query({ statementId: id })}`, {
+        method: 'PUT',
+        body: statement('conflict', 'completed'),
+      });
+      assert.equal(conflict.status, 409);
+
+      const fetched = await request(`/xapi/statements?${query({ statementId: id })}`);
+      assert.equal((await fetched.json()).verb.id, `${VERB_BASE}experienced`);
+    });
+
+    it('hides voided statements from queries and serves them by voidedStatementId', async () => {
+      const [id] = xapiLrs.storeStatements(statement('voiding'));
+      const [voidingId] = xapiLrs.storeStatements({
+        ...statement('voiding', 'voided'),
+        object: { objectType: 'StatementRef', id },
+      });
+
+      assert.equal((await request(`/xapi/statements?${query({ statementId: id })}`)).status, 404);
+
+      const voided = await request(`/xapi/statements?${query({ voidedStatementId: id })}`);
+      assert.equal((await voided.json()).id, id);
+
+      const listed = await request(`/xapi/statements?${query({ activity: `${ACTIVITY_BASE}voiding` })}`);
+      assert.deepEqual((await listed.json()).statements, []);
+
+      assert.throws(() => xapiLrs.storeStatements({
+        ...statement('voiding', 'voided'),
+        object: { objectType: 'StatementRef', id: voidingId },
+      }), { status: 400, message: 'A voiding statement cannot be voided' });
+    });
+
+    it('filters queries and pages through them with the more link', async () => {
+      const activity = `${ACTIVITY_BASE}paging`;
+      const ids = xapiLrs.storeStatements(['experienced', 'completed', 'experienced', 'experienced']
+        .map(verb => statement('paging', verb)));
+      xapiLrs.storeStatements({ ...statement('paging'), actor: { mbox: 'mailto:other@example.com' } });
+
+      const filter = { activity, agent: JSON.stringify(LEARNER), verb: `${VERB_BASE}experienced`, limit: '2' };
+      const first = await (await request(`/xapi/statements?${query(filter)}`)).json();
+
+      assert.deepEqual(first.statements.map(({ id }) => id), [ids[3], ids[2]]);
+      assert.match(first.more, /^\/xapi\/statements\?/);
+
+      const second = await (await request(first.more)).json();
+      assert.deepEqual(second.statements.map(({ id }) => id), [ids[0]]);
+      assert.equal(second.more, '');
+
+      const ascending = await (await request(`/xapi/statements?${query({ ...filter, ascending: 'true' })}`)).json();
+      assert.deepEqual(ascending.statements.map(({ id }) => id), [ids[0], ids[2]]);
+
+      const invalidLimit = await request(`/xapi/statements?${query({ activity, limit: '-1' })}`);
+      assert.equal(invalidLimit.status, 400);
+    });
+  });
+
+  describe('Documents', () => {
+    const documentPath = (path, params) => `/xapi/${path}?${query(params)}`;
+
+    it('saves, merges and deletes state documents', async () => {
+      const params = { activityId: `${ACTIVITY_BASE}state`, agent: JSON.stringify(LEARNER), stateId: 'bookmark' };
+
+      assert.equal((await request(documentPath('activities/state', params))).status, 404);
+
+      const saved = await request(documentPath('activities/state', params), { method: 'PUT', body: { page: 1 } });
+      assert.equal(saved.status, 204);
+
+      const merged = await request(documentPath('activities/state', params), { method: 'POST', body: { score: 5 } });
+      assert.equal(merged.status, 204);
+
+      const fetched = await request(documentPath('activities/state', params));
+      assert.deepEqual(await fetched.json(), { page: 1, score: 5 });
+      assert.equal(fetched.headers.get('etag'), merged.headers.get('etag'));
+
+      const { stateId, ...key } = params;
+      assert.deepEqual(await (await request(documentPath('activities/state', key))).json(), [stateId]);
+
+      assert.equal((await request(documentPath('activities/state', params), { method: 'DELETE' })).status, 204);
+      assert.equal((await request(documentPath('activities/state', params))).status, 404);
+    });
+
+    it('enforces ETag preconditions on profile documents', async () => {
+      const params = { activityId: `${ACTIVITY_BASE}profile`, profileId: 'settings' };
+      const path = documentPath('activities/profile', params);
+      const put = (body, headers = {}) => request(path, { method: 'PUT', body, headers });
+
+      const created = await put({ theme: 'dark' }, { 'If-None-Match': '*' });
+      assert.equal(created.status, 204);
+      const etag = created.headers.get('etag');
+
+      const unconditional = await put({ theme: 'light' });
+      assert.equal(unconditional.status, 409);
+
+      const exists = await put({ theme: 'light' }, { 'If-None-Match': '*' });
+      assert.equal(exists.status, 412);
+
+      const stale = await put({ theme: 'light' }, { 'If-Match': '"stale"' });
+      assert.equal(stale.status, 412);
+
+      const updated = await put({ theme: 'light' }, { 'If-Match': etag });
+      assert.equal(updated.status, 204);
+      assert.notEqual(updated.headers.get('etag'), etag);
+
+      const staleDelete = await request(path, { method: 'DELETE', headers: { 'If-Match': etag } });
+      assert.equal(staleDelete.status, 412);
+      assert.deepEqual(await (await request(path)).json(), { theme: 'light' });
+    });
+  });
+
+  describe('Credentials', () => {
+    it('treats requests without an Authorization header as local writes', async () => {
+      assert.equal(xapiLrs.resolveCredentials(undefined), null);
+
+      const [id] = await (await request('/xapi/statements', { method: 'POST', body: statement('local') })).json();
+      const stored = await (await request(`/xapi/statements?${query({ statementId: id })}`)).json();
+
+      assert.equal(stored.authority.account.name, 'local');
+    });
+
+    it('rejects unknown credentials and other schemes', async () => {
+      const unknown = `Basic ${Buffer.from('learner:not-a-launch-token').toString('base64')}`;
+
+      assert.throws(() => xapiLrs.resolveCredentials(unknown), { status: 401, message: 'Invalid credentials' });
+      assert.throws(() => xapiLrs.resolveCredentials('Bearer token'), {
+        status: 401,
+        message: 'Unsupported authorization scheme',
+      });
+
+      const response = await request('/xapi/statements', { headers: { Authorization: unknown } });
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('www-authenticate'), 'Basic realm="xAPI"');
+    });
+  });
+});
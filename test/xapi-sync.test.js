@@ -0,0 +1,106 @@
+import { uploadFixture } from './helpers/packages.js';
+import { createMockLrs } from './helpers/mock-lrs.js';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import offlineSync from '../src/services/offline-sync.js';
+import scormApiService from '../src/services/scorm-api.js';
+
+const VERB_BASE = 'http://adlnet.gov/expapi/verbs/';
+
+describe('SCORM to xAPI sync', () => {
+  const lrs = createMockLrs();
+  const packages = {};
+
+  before(async () => {
+    config.xapi.translateScorm = true;
+    config.xapi.lrs.endpoint = await lrs.start();
+
+    packages['1.2'] = await uploadFixture('storyline-scorm12');
+    packages['2004'] = await uploadFixture('storyline-scorm2004-4th');
+  });
+
+  after(async () => {
+    await lrs.stop();
+  });
+
+  beforeEach(async () => {
+    // Leave nothing from a previous test in the queue
+    await offlineSync.processSyncQueue();
+    lrs.reset();
+  });
+
+  const runSession = (version, userId, cmi) => {
+    const { id, package_version: packageVersion } = packages[version];
+    const [organization, item] = version === '1.2'
+      ? ['Workplace_Safety_ORG', 'Workplace_Safety_SCO']
+      : ['Customer_Service_ORG', 'Customer_Service_SCO'];
+
+    const { sessionId } = scormApiService.initializeSession(id, userId, item, packageVersion, organization);
+    scormApiService.commitSession(sessionId, { cmi });
+    scormApiService.terminateSession(sessionId);
+    return sessionId;
+  };
+
+  const verbs = () => lrs.statements.map(statement => statement.verb.id.replace(VERB_BASE, ''));
+
+  it('sends the statements of a SCORM 1.2 session', async () => {
+    runSession('1.2', 'xapi-learner-12', {
+      core: { lesson_status: 'passed', score: { raw: '90', min: '0', max: '100' } },
+      interactions: [{ id: 'q1', type: 'true-false', student_response: 't', result: 'correct' }],
+    });
+
+    const result = await offlineSync.processSyncQueue();
+
+    assert.equal(result.errors, 0);
+    assert.deepEqual(verbs(), ['initialized', 'answered', 'completed', 'passed', 'terminated']);
+    assert.equal(lrs.requests[0].headers['x-experience-api-version'], '1.0.3');
+  });
+
+  it('sends the statements of a SCORM 2004 session', async () => {
+    runSession('2004', 'xapi-learner-2004', {
+      success_status: 'passed',
+      score: { scaled: '0.9' },
+      interactions: [{ id: 'q1', type: 'true-false', learner_response: 'true', result: 'correct' }],
+    });
+
+    await offlineSync.processSyncQueue();
+
+    assert.deepEqual(verbs(), ['initialized', 'answered', 'passed', 'terminated']);
+    assert.equal(lrs.statements.find(statement => statement.verb.id.endsWith('passed')).result.score.scaled, 0.9);
+  });
+
+  it('retries statements the LRS failed to store', async () => {
+    runSession('2004', 'xapi-learner-retry', { success_status: 'passed' });
+    lrs.failNext(1);
+
+    const failed = await offlineSync.processSyncQueue();
+    assert.equal(failed.errors, 1);
+    assert.deepEqual(verbs(), ['passed', 'terminated']);
+
+    const retried = await offlineSync.processSyncQueue();
+    assert.deepEqual([retried.synced, retried.errors], [1, 0]);
+    assert.deepEqual(verbs(), ['passed', 'terminated', 'initialized']);
+    assert.equal(scormApiService.getPendingSyncItems().length, 0);
+  });
+
+  it('counts a resync of statements the LRS already stored as synced', async () => {
+    const sessionId = runSession('2004', 'xapi-learner-resync', { success_status: 'passed' });
+    await offlineSync.processSyncQueue();
+    const sent = lrs.statements.map(({ stored, ...statement }) => statement);
+
+    const extra = { ...sent[0], id: '6f1c7a52-4f4e-4c1b-9d43-3d6ab1f0c2e1' };
+    await offlineSync.uploadOfflineSession({
+      sessionId,
+      packageId: packages['2004'].id,
+      actions: [
+        { type: 'xapi', data: { statements: sent } },
+        { type: 'xapi', data: { statements: [sent[1], extra] } },
+      ],
+    });
+
+    assert.equal(scormApiService.getPendingSyncItems().length, 0);
+    assert.equal(lrs.statements.length, sent.length + 1);
+    assert.ok(lrs.requests.some(request => request.method === 'POST' && request.body === JSON.stringify([extra])));
+  });
+});
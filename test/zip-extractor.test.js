@@ -0,0 +1,101 @@
+import './helpers/storage.js';
+import { buildZip } from './helpers/zip.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { extractZip, inspectZip } from '../src/utils/zip-extractor.js';
+
+const S_IFLNK = 0o120777;
+
+let archives = 0;
+
+/**
+ * Write a crafted archive into the scratch storage directory and return its path
+ */
+function writeZip(entries) {
+  const zipPath = path.join(process.env.STORAGE_DIR, `archive-${++archives}.zip`);
+  fs.writeFileSync(zipPath, buildZip(entries));
+  return zipPath;
+}
+
+const errorsOf = async (entries, limits) => (await inspectZip(writeZip(entries), limits)).entryErrors;
+
+describe('ZIP extraction', () => {
+  it('extracts files and directories', async () => {
+    const dest = path.join(process.env.STORAGE_DIR, 'extract-ok');
+    const result = await extractZip(writeZip([
+      { name: 'imsmanifest.xml', content: '<manifest/>' },
+      { name: 'content/', mode: 0o40755 },
+      { name: 'content/index.html', content: '<html></html>'.repeat(100), deflate: true },
+    ]), dest);
+
+    assert.deepEqual(result, { entries: 3, size: 11 + 1300 });
+    assert.equal(fs.readFileSync(path.join(dest, 'content/index.html'), 'utf8').length, 1300);
+  });
+
+  // Backslashes in entry names are read as path separators
+  it('rejects entries that escape the package directory', async () => {
+    const dest = path.join(process.env.STORAGE_DIR, 'slip', 'package');
+    const zipPath = writeZip([
+      { name: 'index.html', content: 'ok' },
+      { name: '../evil.txt', content: 'x' },
+      { name: 'content/../../evil.txt', content: 'x' },
+      { name: '..\\evil.txt', content: 'x' },
+    ]);
+
+    await assert.rejects(extractZip(zipPath, dest), (error) => {
+      assert.deepEqual(error.entryErrors.map(({ entry }) => entry), [
+        '../evil.txt', 'content/../../evil.txt', '../evil.txt',
+      ]);
+      assert.ok(error.entryErrors.every(({ error: message }) => message === 'Path escapes the package directory'));
+      return true;
+    });
+
+    assert.equal(fs.existsSync(path.join(process.env.STORAGE_DIR, 'slip', 'evil.txt')), false);
+    assert.equal(fs.existsSync(dest), false);
+  });
+
+  it('rejects absolute paths', async () => {
+    const errors = await errorsOf([
+      { name: '/etc/evil', content: 'x' },
+      { name: 'C:/evil', content: 'x' },
+      { name: '\\evil', content: 'x' },
+    ]);
+
+    assert.deepEqual(errors, [
+      { entry: '/etc/evil', error: 'Absolute paths are not allowed' },
+      { entry: 'C:/evil', error: 'Absolute paths are not allowed' },
+      { entry: '/evil', error: 'Absolute paths are not allowed' },
+    ]);
+  });
+
+  it('rejects symbolic links', async () => {
+    const dest = path.join(process.env.STORAGE_DIR, 'symlink');
+
+    await assert.rejects(extractZip(writeZip([{ name: 'passwd', content: '/etc/passwd', mode: S_IFLNK }]), dest), {
+      entryErrors: [{ entry: 'passwd', error: 'Symbolic links are not allowed' }],
+    });
+    assert.equal(fs.existsSync(path.join(dest, 'passwd')), false);
+  });
+
+  it('rejects entries above the compression ratio, but not small ones', async () => {
+    const bomb = [{ name: 'zeros.bin', content: Buffer.alloc(2 * 1024 * 1024), deflate: true }];
+
+    assert.deepEqual(await errorsOf(bomb), [{ entry: 'zeros.bin', error: 'Compression ratio exceeds 100:1' }]);
+    assert.deepEqual(await errorsOf(bomb, { maxCompressionRatio: 2000 }), []);
+    assert.deepEqual(await errorsOf([{ name: 'padding.bin', content: Buffer.alloc(64 * 1024), deflate: true }]), []);
+  });
+
+  it('rejects archives with too many entries or too large a total size', async () => {
+    const entries = ['a.html', 'b.html', 'c.html'].map(name => ({ name, content: 'x'.repeat(10) }));
+
+    assert.deepEqual(await errorsOf(entries, { maxEntries: 2 }), [
+      { entry: null, error: 'Archive contains 3 entries (limit 2)' },
+    ]);
+    assert.deepEqual(await errorsOf(entries, { maxUncompressedSize: 25 }), [
+      { entry: null, error: 'Uncompressed size 30 bytes exceeds the limit of 25 bytes' },
+    ]);
+    assert.deepEqual(await errorsOf(entries, { maxEntries: 3, maxUncompressedSize: 30 }), []);
+  });
+});